@@ -0,0 +1,70 @@
+/**
+ * Stand-in earthquake feed server
+ * 
+ * Serves public/live_feed_sample.json as an FDSN/USGS-style GeoJSON feed,
+ * releasing its events one at a time (oldest first) so the live feed
+ * panel can be tested offline. Each event is stamped with the time it was
+ * released.
+ * 
+ * Usage: npm run mock-feed -- [--port 8787] [--interval 30]
+ */
+
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+
+const fixture = JSON.parse(readFileSync(new URL('../public/live_feed_sample.json', import.meta.url), 'utf8'));
+
+/**
+ * Read a numeric --name value from the command line
+ */
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  const value = index >= 0 ? Number(process.argv[index + 1]) : NaN;
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const port = option('port', 8787);
+const interval = option('interval', 30);
+
+const queue = [...fixture.features].sort((a, b) => a.properties.time - b.properties.time);
+const released = [];
+
+// Release the first event right away, then one per interval
+function release() {
+  const feature = queue.shift();
+  if (!feature) return;
+
+  const time = Date.now();
+  released.unshift({ ...feature, properties: { ...feature.properties, time, updated: time } });
+  console.log(`Released ${feature.id}: ${feature.properties.title}`);
+
+  if (queue.length > 0) {
+    setTimeout(release, interval * 1000);
+  }
+}
+
+const server = createServer((request, response) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  };
+
+  const { pathname } = new URL(request.url, `http://localhost:${port}`);
+  if (pathname !== '/' && pathname !== '/fdsnws/event/1/query') {
+    response.writeHead(404, headers);
+    response.end(JSON.stringify({ error: 'Not found' }));
+    return;
+  }
+
+  response.writeHead(200, headers);
+  response.end(JSON.stringify({
+    type: 'FeatureCollection',
+    metadata: { generated: Date.now(), title: fixture.metadata.title, status: 200, count: released.length },
+    features: released,
+  }));
+});
+
+server.listen(port, () => {
+  console.log(`Mock feed at http://localhost:${port}/fdsnws/event/1/query (one event every ${interval} s)`);
+  release();
+});
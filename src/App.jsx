@@ -1,77 +1,237 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import './App.css';
+import { useTranslation } from './LanguageContext';
+import LanguageSwitcher from './components/LanguageSwitcher';
 import ControlPanel from './components/ControlPanel';
 import MapView from './components/MapView';
 import IntensityDisplay from './components/IntensityDisplay';
 import DamageEstimate from './components/DamageEstimate';
+import LossEstimate from './components/LossEstimate';
 import HistoricalComparison from './components/HistoricalComparison';
-import { calculateIntensity } from './utils/attenuationModel';
-import { calculateHypocentralDistance } from './utils/geoUtils';
-import { getMMI } from './utils/mmiScale';
-import { estimateDamage, estimateAffectedPopulation } from './utils/damageModel';
+import CityImpactTable from './components/CityImpactTable';
+import ModelDiagnostics from './components/ModelDiagnostics';
+import AftershockPanel from './components/AftershockPanel';
+import HazardPanel from './components/HazardPanel';
+import FacilityPanel from './components/FacilityPanel';
+import NetworkPanel from './components/NetworkPanel';
+import ComparePanel from './components/ComparePanel';
+import ExportPanel from './components/ExportPanel';
+import ScenarioComparison from './components/ScenarioComparison';
+import LiveFeedPanel from './components/LiveFeedPanel';
+import QuakeAlert from './components/QuakeAlert';
+import CatalogImport from './components/CatalogImport';
+import { getAttenuationModel } from './utils/attenuationModel';
+import { createRupturePlane } from './utils/faultModel';
+import { createTsunamiSource } from './utils/tsunamiModel';
+import { generateAftershockSequence, evaluateAftershockShaking } from './utils/aftershockModel';
+import { createSeed } from './utils/random';
+import { DEFAULT_SAMPLE_COUNT } from './utils/uncertaintyModel';
+import { RETURN_PERIODS } from './utils/hazardModel';
+import { evaluateFacilities } from './utils/facilityModel';
+import { buildRoadGraph, evaluateRoadSegments, analyzeConnectivity } from './utils/networkModel';
+import { getTimesOfDay } from './utils/casualtyModel';
+import { calculateCityResult } from './utils/scenarioResults';
+import { computeCities, computeGrid, computeUncertainty, cancelChannel } from './utils/computeService';
+import { CHILE_BOUNDS, createGridSpec } from './utils/intensityGrid';
+import { describeScenario, describeScenarioSettings, MAX_PINNED_SCENARIOS } from './utils/scenarioComparison';
+import { parseScenario, serializeScenario, DEFAULT_SCENARIO } from './utils/scenarioUrl';
+import { estimateEventImpact, toFeedScenario } from './utils/liveFeed';
+import { mergeCatalogs } from './utils/catalogImport';
+
+// Delay before writing slider changes to the URL (ms)
+const URL_UPDATE_DELAY = 250;
+
+// Resolution of the comparison maps (degrees)
+const COMPARISON_CELL_SIZE = 0.1;
 
 function App() {
+  const { t } = useTranslation();
+
+  // Scenario from the permalink (falls back to defaults)
+  const [initialUrlState] = useState(() => parseScenario(window.location.hash));
+  const initial = initialUrlState.scenario;
+
   // Simulation state
-  const [magnitude, setMagnitude] = useState(7.5);
-  const [depth, setDepth] = useState(35);
-  const [epicenter, setEpicenter] = useState({
-    lat: -33.4489, // Santiago default
-    lon: -70.6693,
-  });
-  const [selectedCity, setSelectedCity] = useState('Santiago');
+  const [magnitude, setMagnitude] = useState(initial.magnitude);
+  const [depth, setDepth] = useState(initial.depth);
+  const [epicenter, setEpicenter] = useState(initial.epicenter);
+  const [selectedCity, setSelectedCity] = useState(initial.selectedCity);
+  const [mapFocus, setMapFocus] = useState(null);
+  const [modelId, setModelId] = useState(initial.modelId);
+  const [faultEnabled, setFaultEnabled] = useState(initial.faultEnabled);
+  const [strike, setStrike] = useState(initial.strike);
+  const [dip, setDip] = useState(initial.dip);
+  const [siteEffects, setSiteEffects] = useState(initial.siteEffects);
+  const [timeOfDay, setTimeOfDay] = useState(initial.timeOfDay);
+  const [urlErrors, setUrlErrors] = useState(initialUrlState.errors);
+  const [unknownCity, setUnknownCity] = useState(null);
+  const [sampleCount, setSampleCount] = useState(DEFAULT_SAMPLE_COUNT);
+  const [hazardMode, setHazardMode] = useState(false);
+  const [hazardReturnPeriod, setHazardReturnPeriod] = useState(RETURN_PERIODS[0]);
+  const [pinnedScenarios, setPinnedScenarios] = useState([]);
+  const [compareMode, setCompareMode] = useState(false);
+  const [quakeAlert, setQuakeAlert] = useState(null);
 
   // Data state
   const [cities, setCities] = useState([]);
   const [historicalQuakes, setHistoricalQuakes] = useState([]);
+  const [importedCatalogs, setImportedCatalogs] = useState([]);
+  const [vs30Grid, setVs30Grid] = useState(null);
+  const [observedEvents, setObservedEvents] = useState([]);
+  const [sourceZones, setSourceZones] = useState([]);
+  const [buildingInventory, setBuildingInventory] = useState(null);
+  const [economicExposure, setEconomicExposure] = useState(null);
+  const [criticalFacilities, setCriticalFacilities] = useState([]);
+  const [roadNetwork, setRoadNetwork] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadErrors, setLoadErrors] = useState([]);
 
   // Calculated results
   const [results, setResults] = useState(null);
+  const [cityResults, setCityResults] = useState([]);
+  const [cityResultsScenario, setCityResultsScenario] = useState(null);
+  const [uncertainty, setUncertainty] = useState(null);
+  const [aftershocks, setAftershocks] = useState(null);
+  const [aftershockTime, setAftershockTime] = useState(0);
+
+  // One seed per session so the uncertainty bands move smoothly with the sliders
+  const [uncertaintySeed] = useState(createSeed);
   
   // Shake animation state
   const [shakeClass, setShakeClass] = useState('');
 
   // Load data on mount
   useEffect(() => {
-    const loadData = async () => {
+    // Fetch one bundled dataset; a failure is reported without stopping the others
+    const loadDataset = async (id, file, apply) => {
       try {
-        // Load cities CSV
-        const citiesResponse = await fetch('/Chile-Terremotea-Sim/cities.csv');
-        const citiesText = await citiesResponse.text();
-        const citiesData = parseCSV(citiesText);
-        setCities(citiesData);
-
-        // Load historical quakes JSON
-        const quakesResponse = await fetch('/Chile-Terremotea-Sim/historical_quakes.json');
-        const quakesData = await quakesResponse.json();
-        setHistoricalQuakes(quakesData);
-
-        setLoading(false);
+        const response = await fetch(`/Chile-Terremotea-Sim/${file}`);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        apply(file.endsWith('.csv') ? await response.text() : await response.json());
       } catch (error) {
-        console.error('Error loading data:', error);
-        setLoading(false);
+        console.error(`Error loading ${file}:`, error);
+        setLoadErrors(current => [...current, { id, message: error.message }]);
       }
     };
 
+    const loadData = async () => {
+      await Promise.all([
+        // Cities with population, Vs30 and region
+        loadDataset('cities', 'cities.csv', (text) => {
+          const citiesData = parseCSV(text);
+          setCities(citiesData);
+
+          // Reject unknown cities from the permalink
+          if (!citiesData.some(c => c.city === initial.selectedCity)) {
+            setUnknownCity(initial.selectedCity);
+            setSelectedCity(DEFAULT_SCENARIO.selectedCity);
+          }
+        }),
+
+        // Historical quakes
+        loadDataset('historicalQuakes', 'historical_quakes.json', setHistoricalQuakes),
+
+        // Gridded Vs30 for sites without their own value
+        loadDataset('vs30Grid', 'vs30_grid.json', setVs30Grid),
+
+        // Observed intensities for model validation
+        loadDataset('observedIntensities', 'observed_intensities.json', (data) => setObservedEvents(data.events)),
+
+        // Seismic source zones for probabilistic hazard
+        loadDataset('seismicSources', 'seismic_sources.json', (data) => setSourceZones(data.zones)),
+
+        // Building inventory for the fragility damage model
+        loadDataset('buildingInventory', 'building_inventory.json', setBuildingInventory),
+
+        // Regional GDP and replacement-cost exposure for economic losses
+        loadDataset('economicExposure', 'economic_exposure.json', setEconomicExposure),
+
+        // Hospitals, ports, bridges and substations
+        loadDataset('criticalFacilities', 'critical_facilities.json', (data) => setCriticalFacilities(data.facilities)),
+
+        // Simplified road graph for network disruption
+        loadDataset('roadNetwork', 'road_network.json', setRoadNetwork),
+      ]);
+
+      setLoading(false);
+    };
+
     loadData();
   }, []);
 
   // Parse CSV helper
   const parseCSV = (text) => {
     const lines = text.trim().split('\n');
-    const headers = lines[0].split(',');
+    const headers = lines[0].split(',').map(header => header.trim());
     
     return lines.slice(1).map(line => {
       const values = line.split(',');
+      const field = (name) => {
+        const index = headers.indexOf(name);
+        return index >= 0 ? values[index]?.trim() : undefined;
+      };
+
       return {
-        city: values[0],
-        lat: parseFloat(values[1]),
-        lon: parseFloat(values[2]),
-        population: parseInt(values[3]),
+        city: field('city'),
+        lat: parseFloat(field('lat')),
+        lon: parseFloat(field('lon')),
+        population: parseInt(field('population')),
+        vs30: field('vs30') ? parseFloat(field('vs30')) : null, // Optional column
+        region: field('region') || null, // Optional column
+        coastal: field('coastal') === '1', // Optional column
       };
     });
   };
 
+  // Bundled historical events plus the catalogs imported by the user (with
+  // duplicates of listed events reported per file)
+  const mergedCatalogs = useMemo(
+    () => mergeCatalogs(historicalQuakes, importedCatalogs),
+    [historicalQuakes, importedCatalogs]
+  );
+  const catalogQuakes = mergedCatalogs.entries;
+
+  // Finite-fault rupture plane (null = point source)
+  const rupture = useMemo(() => {
+    if (!faultEnabled) return null;
+
+    const { tectonicType } = getAttenuationModel(modelId);
+    return createRupturePlane({
+      magnitude,
+      strike,
+      dip,
+      hypocenter: epicenter,
+      depth,
+      tectonicType: tectonicType === 'any' ? 'interface' : tectonicType,
+    });
+  }, [faultEnabled, magnitude, strike, dip, epicenter, depth, modelId]);
+
+  // Tsunami source (the Vs30 raster doubles as the land mask)
+  const tsunami = useMemo(
+    () => createTsunamiSource({ magnitude, depth, epicenter, rupture }, vs30Grid),
+    [magnitude, depth, epicenter, rupture, vs30Grid]
+  );
+
+  // Full scenario shared by city results, the map overlay and the compute worker
+  const scenario = useMemo(() => ({
+    magnitude,
+    depth,
+    epicenter,
+    rupture,
+    modelId,
+    siteEffects,
+    vs30Grid,
+    tsunami,
+    buildingInventory,
+    timeOfDay,
+    economicExposure,
+  }), [magnitude, depth, epicenter, rupture, modelId, siteEffects, vs30Grid, tsunami, buildingInventory, timeOfDay, economicExposure]);
+
+  // Control settings that reproduce the scenario (pins, exported scenario files)
+  const settings = { magnitude, depth, epicenter, selectedCity, modelId, faultEnabled, strike, dip, siteEffects, timeOfDay };
+
   // Calculate results whenever simulation parameters change
   useEffect(() => {
     if (cities.length === 0) return;
@@ -80,35 +240,157 @@ function App() {
     const city = cities.find(c => c.city === selectedCity) || cities[0];
     if (!city) return;
 
-    // Calculate hypocentral distance
-    const distance = calculateHypocentralDistance(
-      epicenter.lat,
-      epicenter.lon,
-      city.lat,
-      city.lon,
-      depth
-    );
+    setResults({
+      ...calculateCityResult(city, scenario),
+      timestamp: Date.now(), // Force new object reference
+    });
+  }, [scenario, selectedCity, cities]);
 
-    // Calculate intensity
-    const intensityValue = calculateIntensity(magnitude, depth, distance);
+  // Status of every critical facility under the scenario shaking
+  const facilityResults = useMemo(
+    () => evaluateFacilities(criticalFacilities, scenario),
+    [criticalFacilities, scenario]
+  );
 
-    // Get MMI
-    const mmi = getMMI(intensityValue);
+  // Road graph with nodes at cities
+  const roadGraph = useMemo(
+    () => (roadNetwork && cities.length > 0 ? buildRoadGraph(roadNetwork, cities) : null),
+    [roadNetwork, cities]
+  );
 
-    // Calculate damage
-    const damagePercent = estimateDamage(intensityValue);
-    const affectedPop = estimateAffectedPopulation(city.population, damagePercent);
+  // Road segment closures and the cities they cut off from Santiago or hospitals
+  const roadSegments = useMemo(
+    () => (roadGraph ? evaluateRoadSegments(roadGraph, scenario) : []),
+    [roadGraph, scenario]
+  );
+  const connectivity = useMemo(
+    () => (roadGraph
+      ? analyzeConnectivity(roadGraph, roadSegments, facilityResults.filter(f => f.type === 'hospital'))
+      : null),
+    [roadGraph, roadSegments, facilityResults]
+  );
 
-    setResults({
-      city: city.city,
-      distance,
-      intensityValue,
-      mmi,
-      damagePercent,
-      affectedPop,
-      timestamp: Date.now(), // Force new object reference
+  // Median and 16th/84th percentile bands for the selected city (the previous
+  // bands stay visible until the new sample is ready)
+  useEffect(() => {
+    if (!results) return;
+
+    return computeUncertainty(results, { sampleCount, seed: uncertaintySeed }, {
+      onComplete: setUncertainty,
+      onError: (error) => console.error('Error sampling uncertainty:', error),
+    });
+  }, [results, sampleCount, uncertaintySeed]);
+
+  // A new mainshock invalidates its aftershock sequence
+  useEffect(() => {
+    setAftershocks(null);
+  }, [magnitude, depth, epicenter, rupture, modelId]);
+
+  // Sample a new aftershock sequence for the current mainshock
+  const handleGenerateAftershocks = (durationDays) => {
+    const sequence = generateAftershockSequence(scenario, { durationDays, seed: createSeed() });
+    setAftershocks({
+      sequence,
+      shaking: evaluateAftershockShaking(sequence.events, cities, modelId),
+    });
+    setAftershockTime(durationDays);
+  };
+
+  // Apply a scenario (e.g. from a pasted permalink)
+  const applyScenario = (next) => {
+    setMagnitude(next.magnitude);
+    setDepth(next.depth);
+    setEpicenter(next.epicenter);
+    setSelectedCity(next.selectedCity);
+    setModelId(next.modelId);
+    setFaultEnabled(next.faultEnabled);
+    setStrike(next.strike);
+    setDip(next.dip);
+    setSiteEffects(next.siteEffects);
+    setTimeOfDay(next.timeOfDay);
+  };
+
+  // Load a preset or replayed catalog event; the epicenter is optional
+  const handleScenarioLoad = ({ magnitude: nextMagnitude, depth: nextDepth, epicenter: nextEpicenter }) => {
+    setMagnitude(nextMagnitude);
+    setDepth(nextDepth);
+    if (nextEpicenter) {
+      setEpicenter(nextEpicenter);
+      setMapFocus({ ...nextEpicenter, requestedAt: Date.now() });
+    }
+  };
+
+  // Load the newest live-feed event as the scenario and raise an alert
+  const handleFeedEvents = (events) => {
+    const event = events[events.length - 1];
+    if (!event.valid) {
+      setQuakeAlert({ event, impact: null });
+      return;
+    }
+
+    handleScenarioLoad(toFeedScenario(event));
+    setQuakeAlert({
+      event,
+      impact: estimateEventImpact(event, cities, {
+        modelId,
+        siteEffects,
+        vs30Grid,
+        buildingInventory,
+        timeOfDay,
+        economicExposure,
+      }),
+    });
+  };
+
+  // Reload the scenario when the hash is edited by hand
+  useEffect(() => {
+    const handleHashChange = () => {
+      const { scenario: next, errors } = parseScenario(window.location.hash);
+
+      // Same unknown-city check as the initial load
+      const cityKnown = cities.length === 0 || cities.some(c => c.city === next.selectedCity);
+      setUnknownCity(cityKnown ? null : next.selectedCity);
+      applyScenario(cityKnown ? next : { ...next, selectedCity: DEFAULT_SCENARIO.selectedCity });
+      setUrlErrors(errors);
+    };
+
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [cities]);
+
+  // Keep the URL in sync with the scenario (replace, not push, so sliders don't flood history)
+  useEffect(() => {
+    if (loading) return;
+
+    const timer = setTimeout(() => {
+      const hash = serializeScenario({
+        magnitude,
+        depth,
+        epicenter,
+        selectedCity,
+        modelId,
+        faultEnabled,
+        strike,
+        dip,
+        siteEffects,
+        timeOfDay,
+      });
+      window.history.replaceState(null, '', `#${hash}`);
+    }, URL_UPDATE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [loading, magnitude, depth, epicenter, selectedCity, modelId, faultEnabled, strike, dip, siteEffects, timeOfDay]);
+
+  // Stream results for every city from the compute worker
+  useEffect(() => {
+    if (cities.length === 0) return;
+
+    return computeCities(scenario, cities, {
+      onProgress: setCityResults,
+      onComplete: () => setCityResultsScenario(scenario),
+      onError: (error) => console.error('Error computing city results:', error),
     });
-  }, [magnitude, depth, epicenter, selectedCity, cities]);
+  }, [scenario, cities]);
 
   // Trigger shake animation when results change
   useEffect(() => {
@@ -137,6 +419,85 @@ function App() {
     setSelectedCity(cityName);
   };
 
+  // Handle row click in the impact table: select the city and pan to it
+  const handleTableCitySelect = (cityName) => {
+    const city = cities.find(c => c.city === cityName);
+    setSelectedCity(cityName);
+    if (city) {
+      setMapFocus({ lat: city.lat, lon: city.lon, requestedAt: Date.now() });
+    }
+  };
+
+  // City results are complete for the current scenario (pins reuse them)
+  const cityResultsReady = cityResultsScenario === scenario;
+
+  // Pin the current scenario for side-by-side comparison
+  const handlePinScenario = () => {
+    if (pinnedScenarios.length >= MAX_PINNED_SCENARIOS || !cityResultsReady) return;
+
+    const id = Date.now();
+    const updatePin = (changes) => setPinnedScenarios(current => current.map(pin => (pin.id === id ? { ...pin, ...changes } : pin)));
+    setPinnedScenarios(current => [...current, {
+      id,
+      settings,
+      scenario,
+      cityResults,
+      grid: null,
+      gridError: null,
+    }]);
+
+    // National intensity grid for the twin maps and the difference overlay
+    computeGrid(scenario, createGridSpec(CHILE_BOUNDS, COMPARISON_CELL_SIZE), {
+      onComplete: (grid) => updatePin({ grid }),
+      onError: (error) => {
+        console.error('Error computing comparison grid:', error);
+        updatePin({ gridError: error.message });
+      },
+    }, `pin-${id}`);
+  };
+
+  const handleUnpinScenario = (id) => {
+    cancelChannel(`pin-${id}`);
+    setPinnedScenarios(current => current.filter(pin => pin.id !== id));
+  };
+
+  // Load a pinned scenario back into the controls
+  const handleLoadPinned = (pin) => {
+    applyScenario(pin.settings);
+    setMapFocus({ ...pin.settings.epicenter, requestedAt: Date.now() });
+    setCompareMode(false);
+  };
+
+  // Load an imported scenario file
+  const handleScenarioImport = (next) => {
+    applyScenario(next);
+    setMapFocus({ ...next.epicenter, requestedAt: Date.now() });
+  };
+
+  // Labels of the pinned scenarios, in the current language
+  const describedPins = useMemo(() => {
+    const labels = {
+      near: t('compare.near'),
+      finiteFault: t('compare.finiteFault'),
+      pointSource: t('compare.pointSource'),
+      siteEffects: t('compare.siteEffects'),
+      rock: t('compare.rock'),
+      timesOfDay: Object.fromEntries(getTimesOfDay().map(({ id }) => [id, t(`timesOfDay.${id}.name`)])),
+    };
+
+    return pinnedScenarios.map(pin => ({
+      ...pin,
+      label: describeScenario(pin.settings, cities, labels),
+      details: describeScenarioSettings(pin.settings, labels),
+    }));
+  }, [pinnedScenarios, cities, t]);
+
+  const handleFacilitySelect = (facility) => {
+    setMapFocus({ lat: facility.lat, lon: facility.lon, requestedAt: Date.now() });
+  };
+
+  const showComparison = compareMode && pinnedScenarios.length >= 2;
+
   if (loading) {
     return (
       <div style={{ 
@@ -147,7 +508,7 @@ function App() {
         fontSize: '20px',
         color: '#666'
       }}>
-        Loading Chile Earthquake Simulator...
+        {t('app.loading')}
       </div>
     );
   }
@@ -155,22 +516,79 @@ function App() {
   return (
     <div className={`app ${shakeClass}`}>
       <header className="app-header">
-        <h1>Chile Earthquake Simulator</h1>
-        <p>Interactive simulation of earthquake impacts in Chile</p>
+        <div>
+          <h1>{t('app.title')}</h1>
+          <p>{t('app.subtitle')}</p>
+        </div>
+        <LanguageSwitcher />
       </header>
 
+      {(urlErrors.length > 0 || unknownCity) && (
+        <div className="url-warning">
+          <span>
+            {t('app.urlWarning', {
+              errors: [...urlErrors, ...(unknownCity ? [t('app.unknownCity', { city: unknownCity })] : [])].join('; '),
+            })}
+          </span>
+          <button
+            onClick={() => {
+              setUrlErrors([]);
+              setUnknownCity(null);
+            }}
+            aria-label={t('app.dismiss')}
+          >
+            ×
+          </button>
+        </div>
+      )}
+
+      {loadErrors.length > 0 && (
+        <div className="url-warning">
+          <span>
+            {t('app.loadWarning', {
+              errors: loadErrors.map(({ id, message }) => `${t(`app.datasets.${id}`)} (${message})`).join('; '),
+            })}
+          </span>
+          <button onClick={() => setLoadErrors([])} aria-label={t('app.dismiss')}>×</button>
+        </div>
+      )}
+
+      {quakeAlert && (
+        <QuakeAlert
+          event={quakeAlert.event}
+          impact={quakeAlert.impact}
+          onCitySelect={handleTableCitySelect}
+          onDismiss={() => setQuakeAlert(null)}
+        />
+      )}
+
       <div className="app-layout">
         {/* Left Panel - Controls */}
         <aside className="controls-panel">
           <ControlPanel
             magnitude={magnitude}
             depth={depth}
+            modelId={modelId}
+            faultEnabled={faultEnabled}
+            strike={strike}
+            dip={dip}
+            siteEffects={siteEffects}
             onMagnitudeChange={setMagnitude}
             onDepthChange={setDepth}
+            onModelChange={setModelId}
+            onFaultEnabledChange={setFaultEnabled}
+            onStrikeChange={setStrike}
+            onDipChange={setDip}
+            onSiteEffectsChange={setSiteEffects}
+            sampleCount={sampleCount}
+            onSampleCountChange={setSampleCount}
+            timeOfDay={timeOfDay}
+            onTimeOfDayChange={setTimeOfDay}
+            onScenarioLoad={handleScenarioLoad}
           />
           
           <div className="city-selector card">
-            <label htmlFor="city-select">Analysis City:</label>
+            <label htmlFor="city-select">{t('app.analysisCity')}</label>
             <select 
               id="city-select"
               value={selectedCity} 
@@ -184,42 +602,167 @@ function App() {
             </select>
           </div>
 
+          <ComparePanel
+            pinned={describedPins}
+            compareMode={showComparison}
+            onPin={handlePinScenario}
+            pinReady={cityResultsReady}
+            onRemove={handleUnpinScenario}
+            onLoad={handleLoadPinned}
+            onCompareModeChange={setCompareMode}
+          />
+
+          <ExportPanel
+            settings={settings}
+            scenario={scenario}
+            cities={cities}
+            cityResults={cityResultsReady ? cityResults : null}
+            usdToClp={economicExposure?.usd_to_clp}
+            onScenarioImport={handleScenarioImport}
+          />
+
           {results && (
             <>
               <IntensityDisplay 
                 intensity={results.intensityValue}
                 mmi={results.mmi}
                 distance={results.distance}
+                ruptureDistance={rupture ? results.distances.rrup : null}
+                pga={results.pga}
+                pgv={results.pgv}
+                modelId={results.modelId}
+                rockIntensity={results.rockIntensity}
+                siteIntensity={results.siteIntensity}
+                site={results.site}
+                uncertainty={uncertainty?.intensity}
               />
               
               <DamageEstimate
                 damagePercent={results.damagePercent}
+                buildingDamage={results.buildingDamage}
                 affectedPopulation={results.affectedPop}
+                casualties={results.casualties}
                 city={results.city}
+                coastal={results.coastal}
+                tsunami={results.tsunami}
+                tsunamiSource={tsunami}
+                uncertainty={uncertainty}
               />
+
+              {results.losses && (
+                <LossEstimate
+                  losses={results.losses}
+                  city={results.city}
+                  usdToClp={economicExposure.usd_to_clp}
+                />
+              )}
             </>
           )}
         </aside>
 
-        {/* Center - Map */}
-        <main className="map-panel">
-          <MapView
-            epicenter={epicenter}
-            cities={cities}
-            selectedCity={selectedCity}
-            onEpicenterChange={setEpicenter}
-            onCityClick={handleCityClick}
-            magnitude={magnitude}
-            depth={depth}
-          />
-        </main>
+        {/* Center - Map and City Impact Table */}
+        <div className="center-panel">
+          {showComparison ? (
+            <ScenarioComparison
+              pinned={describedPins}
+              onCitySelect={handleTableCitySelect}
+              onClose={() => setCompareMode(false)}
+            />
+          ) : (
+            <>
+              <main className="map-panel">
+                <MapView
+                  epicenter={epicenter}
+                  cities={cities}
+                  selectedCity={selectedCity}
+                  onEpicenterChange={setEpicenter}
+                  onCityClick={handleCityClick}
+                  rupture={rupture}
+                  onStrikeChange={setStrike}
+                  gridScenario={scenario}
+                  cityResults={cityResults}
+                  facilityResults={facilityResults}
+                  roadSegments={roadSegments}
+                  focusLocation={mapFocus}
+                  magnitude={magnitude}
+                  depth={depth}
+                  aftershocks={aftershocks?.sequence.events}
+                  aftershockTime={aftershockTime}
+                  hazardZones={sourceZones}
+                  hazardReturnPeriod={hazardMode ? hazardReturnPeriod : null}
+                />
+              </main>
+
+              <CityImpactTable
+                results={cityResults}
+                totalCities={cities.length}
+                usdToClp={economicExposure?.usd_to_clp}
+                selectedCity={selectedCity}
+                onCitySelect={handleTableCitySelect}
+              />
+            </>
+          )}
+        </div>
 
         {/* Right Panel - Historical Comparison */}
         <aside className="comparison-panel">
           <HistoricalComparison
             currentMagnitude={magnitude}
             currentDepth={depth}
-            historicalQuakes={historicalQuakes}
+            currentEpicenter={epicenter}
+            historicalQuakes={catalogQuakes}
+            onQuakeSelect={handleScenarioLoad}
+          />
+
+          <CatalogImport
+            catalogs={mergedCatalogs.catalogs}
+            onImport={(catalogs) => setImportedCatalogs(current => [...current, ...catalogs])}
+            onRemove={(id) => setImportedCatalogs(current => current.filter(catalog => catalog.id !== id))}
+          />
+
+          <LiveFeedPanel
+            onNewEvents={handleFeedEvents}
+            onEventSelect={handleScenarioLoad}
+          />
+
+          <HazardPanel
+            zones={sourceZones}
+            cities={cities}
+            selectedCity={selectedCity}
+            enabled={hazardMode}
+            onEnabledChange={setHazardMode}
+            returnPeriod={hazardReturnPeriod}
+            onReturnPeriodChange={setHazardReturnPeriod}
+            onCitySelect={handleTableCitySelect}
+          />
+
+          <FacilityPanel
+            facilities={facilityResults}
+            onFacilitySelect={handleFacilitySelect}
+          />
+
+          {connectivity && (
+            <NetworkPanel
+              segments={roadSegments}
+              connectivity={connectivity}
+              hub={roadGraph.hub}
+              onCitySelect={handleTableCitySelect}
+            />
+          )}
+
+          <AftershockPanel
+            aftershocks={aftershocks}
+            time={aftershockTime}
+            onTimeChange={setAftershockTime}
+            onGenerate={handleGenerateAftershocks}
+          />
+
+          <ModelDiagnostics
+            events={observedEvents}
+            modelId={modelId}
+            siteEffects={siteEffects}
+            finiteFault={faultEnabled}
+            vs30Grid={vs30Grid}
           />
         </aside>
       </div>
@@ -0,0 +1,53 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { translations } from './translations';
+import {
+  detectLanguage,
+  findMissingKeys,
+  formatNumber,
+  loadLanguage,
+  saveLanguage,
+  translate,
+} from './utils/i18n';
+
+// Flag bundle gaps while developing (the test suite fails on them too)
+if (import.meta.env.DEV) {
+  const missing = findMissingKeys(translations);
+  if (missing.length > 0) {
+    console.warn('Missing translations:', missing.map(({ language, key }) => `${language}: ${key}`).join(', '));
+  }
+}
+
+const LanguageContext = createContext(null);
+
+export function LanguageProvider({ children }) {
+  const [language, setLanguage] = useState(
+    () => detectLanguage(loadLanguage(window.localStorage), navigator.languages || [navigator.language])
+  );
+
+  // Remember the choice and tell the browser (hyphenation, screen readers)
+  useEffect(() => {
+    saveLanguage(window.localStorage, language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const t = useCallback((key, params) => translate(translations, language, key, params), [language]);
+  const format = useCallback((value, options) => formatNumber(value, language, options), [language]);
+
+  const value = useMemo(
+    () => ({ language, setLanguage, t, formatNumber: format }),
+    [language, t, format]
+  );
+
+  return <LanguageContext.Provider value={value}>{children}</LanguageContext.Provider>;
+}
+
+/**
+ * Current language, its setter, t(key, params) and a locale-aware formatNumber
+ */
+export function useTranslation() {
+  const context = useContext(LanguageContext);
+  if (!context) {
+    throw new Error('useTranslation must be used inside a LanguageProvider');
+  }
+  return context;
+}
@@ -0,0 +1,148 @@
+import { useEffect, useState } from 'react';
+import './AftershockPanel.css';
+import { useTranslation } from '../LanguageContext';
+import {
+  AFTERSHOCK_COUNT_LEVEL,
+  countUpTo,
+  daysToTimeline,
+  formatElapsedTime,
+  timelineToDays,
+} from '../utils/aftershockModel';
+import { getMMILevel } from '../utils/mmiScale';
+
+// Sequence lengths offered (days)
+const DURATION_OPTIONS = [1, 7, 30, 90, 365];
+
+// Animation: timeline steps and delay between them (ms)
+const ANIMATION_STEPS = 200;
+const ANIMATION_INTERVAL = 50;
+
+// Cities listed in the shaking table
+const MAX_CITIES = 8;
+
+function AftershockPanel({ aftershocks, time, onTimeChange, onGenerate }) {
+  const { t, formatNumber } = useTranslation();
+  const [durationDays, setDurationDays] = useState(30);
+  const [playing, setPlaying] = useState(false);
+
+  const sequence = aftershocks?.sequence;
+  const position = sequence ? daysToTimeline(time, sequence.durationDays) : 0;
+
+  // Advance the timeline while playing
+  useEffect(() => {
+    if (!playing || !sequence) return;
+
+    const timer = setInterval(() => {
+      const next = Math.min(1, position + 1 / ANIMATION_STEPS);
+      onTimeChange(timelineToDays(next, sequence.durationDays));
+      if (next >= 1) setPlaying(false);
+    }, ANIMATION_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [playing, sequence, position, onTimeChange]);
+
+  // Stop when the sequence is cleared or replaced
+  useEffect(() => {
+    setPlaying(false);
+  }, [sequence]);
+
+  const handlePlay = () => {
+    if (position >= 1) onTimeChange(0);
+    setPlaying(!playing);
+  };
+
+  const visibleEvents = sequence ? countUpTo(sequence.events.map(event => event.time), time) : 0;
+
+  const cityCounts = aftershocks
+    ? aftershocks.shaking
+      .map(city => ({ ...city, count: countUpTo(city.times, time) }))
+      .filter(city => city.count > 0)
+      .sort((a, b) => b.count - a.count || b.maxIntensity - a.maxIntensity)
+      .slice(0, MAX_CITIES)
+    : [];
+
+  return (
+    <div className="aftershock-panel card">
+      <h2>{t('aftershocks.title')}</h2>
+
+      <div className="aftershock-generate">
+        <select
+          value={durationDays}
+          onChange={(e) => setDurationDays(parseInt(e.target.value))}
+          aria-label={t('aftershocks.sequenceLength')}
+        >
+          {DURATION_OPTIONS.map(days => (
+            <option key={days} value={days}>
+              {days === 1 ? t('aftershocks.firstDay') : t('aftershocks.days', { count: days })}
+            </option>
+          ))}
+        </select>
+        <button className="aftershock-btn" onClick={() => onGenerate(durationDays)}>
+          {t(sequence ? 'aftershocks.resample' : 'aftershocks.generate')}
+        </button>
+      </div>
+
+      {!sequence && (
+        <p className="aftershock-intro">{t('aftershocks.intro')}</p>
+      )}
+
+      {sequence && (
+        <>
+          <div className="aftershock-summary">
+            {t('aftershocks.summary', {
+              count: formatNumber(sequence.events.length),
+              min: sequence.minMagnitude.toFixed(1),
+              max: sequence.largestMagnitude.toFixed(1),
+            })}
+            <small>{t('aftershocks.seed', { seed: sequence.seed })}</small>
+          </div>
+
+          <div className="aftershock-timeline">
+            <button className="play-btn" onClick={handlePlay} aria-label={t(playing ? 'aftershocks.pause' : 'aftershocks.play')}>
+              {playing ? '❚❚' : '▶'}
+            </button>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step={1 / ANIMATION_STEPS}
+              value={position}
+              onChange={(e) => onTimeChange(timelineToDays(parseFloat(e.target.value), sequence.durationDays))}
+              aria-label={t('aftershocks.timeSinceMainshock')}
+            />
+          </div>
+          <div className="timeline-label">
+            <span>+{formatElapsedTime(time, t('aftershocks.dayUnit'))}</span>
+            <span>{t('aftershocks.events', { count: formatNumber(visibleEvents) })}</span>
+          </div>
+
+          <h3>{t('aftershocks.citiesAbove', { level: AFTERSHOCK_COUNT_LEVEL })}</h3>
+          {cityCounts.length > 0 ? (
+            <table className="aftershock-table">
+              <thead>
+                <tr>
+                  <th>{t('aftershocks.city')}</th>
+                  <th>{t('aftershocks.count')}</th>
+                  <th>{t('aftershocks.maxMmi')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {cityCounts.map(city => (
+                  <tr key={city.city}>
+                    <td>{city.city}</td>
+                    <td>{city.count}</td>
+                    <td>{getMMILevel(city.maxIntensity)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="aftershock-intro">{t('aftershocks.none', { level: AFTERSHOCK_COUNT_LEVEL })}</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AftershockPanel;
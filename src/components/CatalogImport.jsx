@@ -0,0 +1,104 @@
+import { useRef, useState } from 'react';
+import './CatalogImport.css';
+import { useTranslation } from '../LanguageContext';
+import { CATALOG_FORMATS, parseCatalogFile } from '../utils/catalogImport';
+
+// File types offered by the file picker
+const ACCEPT = CATALOG_FORMATS.flatMap(format => format.extensions).join(',');
+
+function CatalogImport({ catalogs, onImport, onRemove }) {
+  const { t, formatNumber } = useTranslation();
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+
+  const readFiles = async (files) => {
+    const results = await Promise.all([...files].map(async (file) => ({
+      id: `${file.name}-${Date.now()}-${Math.random()}`,
+      fileName: file.name,
+      ...parseCatalogFile(file.name, await file.text()),
+    })));
+    onImport(results);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (e.dataTransfer.files.length > 0) readFiles(e.dataTransfer.files);
+  };
+
+  const handleFileChange = (e) => {
+    if (e.target.files.length > 0) readFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  const describeProblem = (catalog, { row, message }) => (
+    row === null ? message : `${t(`importer.rows.${catalog.format}`, { row })}: ${message}`
+  );
+
+  return (
+    <div className="catalog-import card">
+      <h2>{t('importer.title')}</h2>
+
+      <div
+        className={`catalog-drop ${dragging ? 'dragging' : ''}`}
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+      >
+        <p>{t('importer.drop')}</p>
+        <button type="button" onClick={() => inputRef.current.click()}>{t('importer.choose')}</button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={ACCEPT}
+          multiple
+          hidden
+          onChange={handleFileChange}
+        />
+      </div>
+
+      {catalogs.length > 0 && (
+        <ul className="catalog-list">
+          {catalogs.map(catalog => (
+            <li key={catalog.id} className={catalog.entries.length === 0 && catalog.errors.length > 0 ? 'failed' : ''}>
+              <div className="catalog-summary">
+                <span className="catalog-name">
+                  {catalog.fileName}
+                  {catalog.format && <small>{t(`importer.formats.${catalog.format}`)}</small>}
+                </span>
+                <button onClick={() => onRemove(catalog.id)} aria-label={t('importer.remove', { file: catalog.fileName })}>×</button>
+              </div>
+              <span className="catalog-count">
+                {t('importer.imported', { count: catalog.entries.length, formatted: formatNumber(catalog.entries.length) })}
+                {catalog.errors.length > 0 && (
+                  <> · {t('importer.skipped', { count: catalog.errors.length, formatted: formatNumber(catalog.errors.length) })}</>
+                )}
+                {catalog.duplicates > 0 && (
+                  <> · {t('importer.duplicates', { count: catalog.duplicates, formatted: formatNumber(catalog.duplicates) })}</>
+                )}
+              </span>
+
+              {(catalog.errors.length > 0 || catalog.warnings.length > 0) && (
+                <details className="catalog-problems">
+                  <summary>{t('importer.details')}</summary>
+                  <ul>
+                    {catalog.errors.map((problem, index) => (
+                      <li key={`error-${index}`} className="error">{describeProblem(catalog, problem)}</li>
+                    ))}
+                    {catalog.warnings.map((problem, index) => (
+                      <li key={`warning-${index}`} className="warning">{describeProblem(catalog, problem)}</li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="catalog-note">{t('importer.note')}</p>
+    </div>
+  );
+}
+
+export default CatalogImport;
@@ -0,0 +1,220 @@
+import { useMemo, useState } from 'react';
+import './CityImpactTable.css';
+import { useTranslation } from '../LanguageContext';
+import { summarizeCityResults } from '../utils/scenarioResults';
+import { formatMoney, toCLP } from '../utils/lossModel';
+
+// Sortable columns: key -> value accessor
+const SORT_ACCESSORS = {
+  city: (r) => r.city,
+  region: (r) => r.region || '',
+  distance: (r) => r.distances.rrup,
+  intensity: (r) => r.intensityValue,
+  damage: (r) => r.damagePercent,
+  affected: (r) => r.affectedPop.affected,
+  displaced: (r) => r.affectedPop.displaced,
+  deaths: (r) => r.casualties.deaths.medium,
+  injuries: (r) => r.casualties.seriousInjuries.medium,
+  losses: (r) => r.losses?.total ?? 0,
+};
+
+// Column order (labels in cityTable.columns)
+const COLUMNS = ['city', 'region', 'distance', 'intensity', 'damage', 'affected', 'displaced', 'deaths', 'injuries', 'losses'];
+
+function CityImpactTable({ results, totalCities, usdToClp, selectedCity, onCitySelect }) {
+  const [sortKey, setSortKey] = useState('intensity');
+  const [sortAscending, setSortAscending] = useState(false);
+  const [filterText, setFilterText] = useState('');
+  const [regionFilter, setRegionFilter] = useState('');
+  const { language, t, formatNumber } = useTranslation();
+
+  // Format an amount in USD or CLP
+  const money = (amount, currency = 'USD') => formatMoney(amount, currency, language);
+
+  // Format a low-high casualty range
+  const formatRange = (range) => {
+    if (range.high === 0) return '—';
+    return `${formatNumber(range.low)}–${formatNumber(range.high)}`;
+  };
+
+  const summary = useMemo(() => summarizeCityResults(results), [results]);
+
+  const regions = useMemo(
+    () => [...new Set(results.map(r => r.region).filter(Boolean))].sort(),
+    [results]
+  );
+
+  const rows = useMemo(() => {
+    const text = filterText.trim().toLowerCase();
+    const accessor = SORT_ACCESSORS[sortKey];
+
+    return results
+      .filter(r => !regionFilter || r.region === regionFilter)
+      .filter(r => !text || r.city.toLowerCase().includes(text))
+      .sort((a, b) => {
+        const va = accessor(a);
+        const vb = accessor(b);
+        const order = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+        return sortAscending ? order : -order;
+      });
+  }, [results, filterText, regionFilter, sortKey, sortAscending]);
+
+  const handleSort = (key) => {
+    if (key === sortKey) {
+      setSortAscending(!sortAscending);
+    } else {
+      setSortKey(key);
+      setSortAscending(key === 'city' || key === 'region' || key === 'distance');
+    }
+  };
+
+  const { national } = summary;
+
+  return (
+    <div className="city-impact-table card">
+      <div className="impact-header">
+        <h2>{t('cityTable.title')}</h2>
+        {results.length < totalCities && (
+          <span className="impact-progress">
+            {t('cityTable.computed', { done: results.length, total: totalCities })}
+          </span>
+        )}
+      </div>
+
+      {/* National Totals */}
+      <div className="national-totals">
+        <div className="total-item">
+          <span className="total-label">{t('cityTable.totals.population')}</span>
+          <span className="total-value">{formatNumber(national.population)}</span>
+        </div>
+        <div className="total-item">
+          <span className="total-label">{t('cityTable.totals.affected')}</span>
+          <span className="total-value affected">{formatNumber(national.affected)}</span>
+        </div>
+        <div className="total-item">
+          <span className="total-label">{t('cityTable.totals.displaced')}</span>
+          <span className="total-value displaced">{formatNumber(national.displaced)}</span>
+        </div>
+        <div className="total-item">
+          <span className="total-label">{t('cityTable.totals.deaths')}</span>
+          <span className="total-value displaced">{formatRange(national.casualties.deaths)}</span>
+        </div>
+        <div className="total-item">
+          <span className="total-label">{t('cityTable.totals.seriousInjuries')}</span>
+          <span className="total-value affected">{formatRange(national.casualties.seriousInjuries)}</span>
+        </div>
+        <div className="total-item">
+          <span className="total-label">{t('cityTable.totals.minorInjuries')}</span>
+          <span className="total-value">{formatRange(national.casualties.minorInjuries)}</span>
+        </div>
+        {usdToClp && (
+          <div className="total-item">
+            <span className="total-label">{t('cityTable.totals.losses')}</span>
+            <span className="total-value losses">{money(national.losses.total)}</span>
+            <span className="total-detail">
+              {t('cityTable.lossDetail', {
+                clp: money(toCLP(national.losses.total, usdToClp), 'CLP'),
+                direct: money(national.losses.direct.total),
+                indirect: money(national.losses.indirect),
+              })}
+            </span>
+          </div>
+        )}
+      </div>
+
+      {/* Regional Totals */}
+      <details className="regional-totals">
+        <summary>{t('cityTable.regionalTotals', { count: summary.regions.length })}</summary>
+        <table>
+          <thead>
+            <tr>
+              <th>{t('cityTable.columns.region')}</th>
+              <th>{t('cityTable.columns.affected')}</th>
+              <th>{t('cityTable.columns.displaced')}</th>
+              <th>{t('cityTable.columns.deaths')}</th>
+              <th>{t('cityTable.columns.injuries')}</th>
+              <th>{t('cityTable.minorInjuries')}</th>
+              <th>{t('cityTable.columns.losses')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.regions.map(region => (
+              <tr key={region.name}>
+                <td>{region.name}</td>
+                <td>{formatNumber(region.affected)}</td>
+                <td>{formatNumber(region.displaced)}</td>
+                <td>{formatRange(region.casualties.deaths)}</td>
+                <td>{formatRange(region.casualties.seriousInjuries)}</td>
+                <td>{formatRange(region.casualties.minorInjuries)}</td>
+                <td>{money(region.losses.total)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+
+      {/* Filters */}
+      <div className="impact-filters">
+        <input
+          type="search"
+          placeholder={t('cityTable.filterPlaceholder')}
+          value={filterText}
+          onChange={(e) => setFilterText(e.target.value)}
+        />
+        <select value={regionFilter} onChange={(e) => setRegionFilter(e.target.value)}>
+          <option value="">{t('cityTable.allRegions')}</option>
+          {regions.map(region => (
+            <option key={region} value={region}>{region}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* City Table */}
+      <div className="impact-table-wrapper">
+        <table className="impact-table">
+          <thead>
+            <tr>
+              {COLUMNS.map(key => (
+                <th
+                  key={key}
+                  className={sortKey === key ? 'sorted' : ''}
+                  onClick={() => handleSort(key)}
+                >
+                  {t(`cityTable.columns.${key}`)}
+                  {sortKey === key && (sortAscending ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(r => (
+              <tr
+                key={r.city}
+                className={r.city === selectedCity ? 'selected' : ''}
+                onClick={() => onCitySelect(r.city)}
+              >
+                <td className="city-cell">{r.city}</td>
+                <td>{r.region}</td>
+                <td>{r.distances.rrup.toFixed(0)}</td>
+                <td>
+                  <span className="mmi-badge" style={{ backgroundColor: r.mmi.color }}>
+                    {r.mmi.level}
+                  </span>
+                  <small>{r.intensityValue.toFixed(1)}</small>
+                </td>
+                <td>{r.damagePercent.toFixed(1)}%</td>
+                <td>{formatNumber(r.affectedPop.affected)}</td>
+                <td>{formatNumber(r.affectedPop.displaced)}</td>
+                <td>{formatRange(r.casualties.deaths)}</td>
+                <td>{formatRange(r.casualties.seriousInjuries)}</td>
+                <td>{r.losses ? money(r.losses.total) : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default CityImpactTable;
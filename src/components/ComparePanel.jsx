@@ -0,0 +1,54 @@
+import './ComparePanel.css';
+import { MAX_PINNED_SCENARIOS } from '../utils/scenarioComparison';
+import { useTranslation } from '../LanguageContext';
+
+function ComparePanel({ pinned, compareMode, onPin, pinReady = true, onRemove, onLoad, onCompareModeChange }) {
+  const { t } = useTranslation();
+  const canPin = pinned.length < MAX_PINNED_SCENARIOS;
+  const canCompare = pinned.length >= 2;
+
+  return (
+    <div className="compare-panel card">
+      <h2>{t('compare.title')}</h2>
+
+      <button
+        className="compare-pin"
+        onClick={onPin}
+        disabled={!canPin || !pinReady}
+        title={canPin && !pinReady ? t('compare.computing') : undefined}
+      >
+        {t('compare.pin')}
+        <small>{pinned.length} / {MAX_PINNED_SCENARIOS}</small>
+      </button>
+
+      {pinned.length > 0 && (
+        <ul className="compare-list">
+          {pinned.map((pin, index) => (
+            <li key={pin.id}>
+              <span className="compare-name">
+                {index === 0 ? t('compare.baseline') : t('compare.scenario', { number: index + 1 })}: {pin.label}
+                <small>{pin.details}</small>
+              </span>
+              <button onClick={() => onLoad(pin)} title={t('compare.loadTitle')}>{t('compare.load')}</button>
+              <button onClick={() => onRemove(pin.id)} aria-label={t('compare.unpin', { label: pin.label })}>×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <button
+        className="compare-toggle"
+        onClick={() => onCompareModeChange(!compareMode)}
+        disabled={!canCompare}
+      >
+        {compareMode ? t('compare.back') : t('compare.sideBySide')}
+      </button>
+
+      {!canCompare && (
+        <p className="compare-hint">{t('compare.hint')}</p>
+      )}
+    </div>
+  );
+}
+
+export default ComparePanel;
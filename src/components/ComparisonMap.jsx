@@ -0,0 +1,142 @@
+import { useEffect, useRef } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import './ComparisonMap.css';
+import { renderGridImage } from '../utils/gridImage';
+import { useTranslation } from '../LanguageContext';
+
+// Overlay opacity of the comparison maps
+const OVERLAY_OPACITY = 0.65;
+
+function ComparisonMap({ title, subtitle, epicenters = [], ruptures = [], grid, error = null, getColor, view, onViewChange }) {
+  const { t } = useTranslation();
+  const mapRef = useRef(null);
+  const mapInstanceRef = useRef(null);
+  const overlayRef = useRef(null);
+  const sourceLayerRef = useRef(null);
+
+  // Initialize map
+  useEffect(() => {
+    if (!mapRef.current || mapInstanceRef.current) return;
+
+    const map = L.map(mapRef.current, {
+      center: view.center,
+      zoom: view.zoom,
+      zoomControl: true,
+      attributionControl: false,
+    });
+
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      maxZoom: 18,
+    }).addTo(map);
+
+    mapInstanceRef.current = map;
+
+    return () => {
+      if (mapInstanceRef.current) {
+        mapInstanceRef.current.remove();
+        mapInstanceRef.current = null;
+      }
+    };
+  }, []);
+
+  // Report pans and zooms so the other maps follow
+  useEffect(() => {
+    if (!mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+
+    const handleMoveEnd = () => {
+      const center = map.getCenter();
+      onViewChange({ center: [center.lat, center.lng], zoom: map.getZoom() });
+    };
+
+    map.on('moveend', handleMoveEnd);
+    return () => {
+      map.off('moveend', handleMoveEnd);
+    };
+  }, [onViewChange]);
+
+  // Follow the shared view
+  useEffect(() => {
+    if (!mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+    const center = map.getCenter();
+    const moved = center.lat !== view.center[0] || center.lng !== view.center[1] || map.getZoom() !== view.zoom;
+    if (moved) {
+      map.setView(view.center, view.zoom, { animate: false });
+    }
+  }, [view]);
+
+  // Draw the grid overlay
+  useEffect(() => {
+    if (!mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+
+    if (overlayRef.current) {
+      map.removeLayer(overlayRef.current);
+      overlayRef.current = null;
+    }
+
+    if (!grid) return;
+
+    const { spec } = grid;
+    overlayRef.current = L.imageOverlay(
+      renderGridImage(grid, spec.rows, getColor),
+      [[spec.latMin, spec.lonMin], [spec.latMax, spec.lonMax]],
+      { opacity: OVERLAY_OPACITY, interactive: false }
+    ).addTo(map);
+  }, [grid, getColor]);
+
+  // Draw epicenters and rupture outlines
+  useEffect(() => {
+    if (!mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+
+    if (sourceLayerRef.current) {
+      map.removeLayer(sourceLayerRef.current);
+    }
+
+    const layer = L.layerGroup();
+    ruptures.filter(Boolean).forEach(rupture => {
+      L.polygon(rupture.corners.map(corner => [corner.lat, corner.lon]), {
+        color: '#7c3aed',
+        weight: 1.5,
+        fillOpacity: 0.1,
+      }).addTo(layer);
+    });
+    epicenters.forEach(epicenter => {
+      L.circleMarker([epicenter.lat, epicenter.lon], {
+        radius: 5,
+        color: 'white',
+        weight: 2,
+        fillColor: '#dc2626',
+        fillOpacity: 1,
+      }).addTo(layer);
+    });
+
+    sourceLayerRef.current = layer.addTo(map);
+  }, [epicenters, ruptures]);
+
+  return (
+    <div className="comparison-map">
+      <div className="comparison-map-header">
+        <strong>{title}</strong>
+        {subtitle && <small>{subtitle}</small>}
+      </div>
+      <div className="comparison-map-body">
+        <div ref={mapRef} className="comparison-map-container"></div>
+        {!grid && (
+          <div className={`comparison-map-loading ${error ? 'error' : ''}`}>
+            {error ? t('compare.gridFailed', { error }) : t('compare.computing')}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ComparisonMap;
@@ -1,28 +1,57 @@
 import './ControlPanel.css';
+import { useTranslation } from '../LanguageContext';
+import { getAttenuationModels } from '../utils/attenuationModel';
+import { SAMPLE_COUNT_OPTIONS } from '../utils/uncertaintyModel';
+import { getTimesOfDay } from '../utils/casualtyModel';
+import { SLIDER_RANGES } from '../utils/scenarioUrl';
+
+function ControlPanel({
+  magnitude,
+  depth,
+  modelId,
+  faultEnabled,
+  strike,
+  dip,
+  siteEffects,
+  onMagnitudeChange,
+  onDepthChange,
+  onModelChange,
+  onFaultEnabledChange,
+  onStrikeChange,
+  onDipChange,
+  onSiteEffectsChange,
+  sampleCount,
+  onSampleCountChange,
+  timeOfDay,
+  onTimeOfDayChange,
+  onScenarioLoad,
+}) {
+  const { t, formatNumber } = useTranslation();
+  const models = getAttenuationModels();
+  const timesOfDay = getTimesOfDay();
 
-function ControlPanel({ magnitude, depth, onMagnitudeChange, onDepthChange }) {
   return (
     <div className="control-panel card">
-      <h2>Simulation Parameters</h2>
+      <h2>{t('controls.title')}</h2>
       
       {/* Magnitude Slider */}
       <div className="slider-container">
         <label htmlFor="magnitude-slider">
-          Magnitude (Mw)
+          {t('controls.magnitude')}
           <span className="slider-value">{magnitude.toFixed(1)}</span>
         </label>
         <input
           id="magnitude-slider"
           type="range"
-          min="5.0"
-          max="9.5"
-          step="0.1"
+          min={SLIDER_RANGES.magnitude.min}
+          max={SLIDER_RANGES.magnitude.max}
+          step={SLIDER_RANGES.magnitude.step}
           value={magnitude}
           onChange={(e) => onMagnitudeChange(parseFloat(e.target.value))}
         />
         <div className="slider-info">
           <span className="info-text">
-            {getMagnitudeDescription(magnitude)}
+            {t(`controls.magnitudeDescriptions.${getMagnitudeDescription(magnitude)}`)}
           </span>
         </div>
       </div>
@@ -30,57 +59,186 @@ function ControlPanel({ magnitude, depth, onMagnitudeChange, onDepthChange }) {
       {/* Depth Slider */}
       <div className="slider-container">
         <label htmlFor="depth-slider">
-          Depth
+          {t('controls.depth')}
           <span className="slider-value">{depth} km</span>
         </label>
         <input
           id="depth-slider"
           type="range"
-          min="5"
-          max="100"
-          step="5"
+          min={SLIDER_RANGES.depth.min}
+          max={SLIDER_RANGES.depth.max}
+          step={SLIDER_RANGES.depth.step}
           value={depth}
           onChange={(e) => onDepthChange(parseInt(e.target.value))}
         />
         <div className="slider-info">
           <span className="info-text">
-            {getDepthDescription(depth)}
+            {t(`controls.depthDescriptions.${getDepthDescription(depth)}`)}
+          </span>
+        </div>
+      </div>
+
+      {/* Attenuation Model Selector */}
+      <div className="model-selector">
+        <label htmlFor="model-select">{t('controls.model')}</label>
+        <select
+          id="model-select"
+          value={modelId}
+          onChange={(e) => onModelChange(e.target.value)}
+        >
+          {models.map(model => (
+            <option key={model.id} value={model.id}>
+              {model.name}
+            </option>
+          ))}
+        </select>
+        <div className="slider-info">
+          <span className="info-text">
+            {models.find(model => model.id === modelId)?.reference}
           </span>
         </div>
       </div>
 
+      {/* Monte Carlo Sample Count */}
+      <div className="model-selector">
+        <label htmlFor="samples-select">{t('controls.samples')}</label>
+        <select
+          id="samples-select"
+          value={sampleCount}
+          onChange={(e) => onSampleCountChange(parseInt(e.target.value))}
+        >
+          {SAMPLE_COUNT_OPTIONS.map(count => (
+            <option key={count} value={count}>
+              {formatNumber(count)}
+            </option>
+          ))}
+        </select>
+        <div className="slider-info">
+          <span className="info-text">
+            {t('controls.samplesHint')}
+          </span>
+        </div>
+      </div>
+
+      {/* Time of Day (casualty occupancy) */}
+      <div className="model-selector">
+        <label htmlFor="time-select">{t('controls.timeOfDay')}</label>
+        <select
+          id="time-select"
+          value={timeOfDay}
+          onChange={(e) => onTimeOfDayChange(e.target.value)}
+        >
+          {timesOfDay.map(time => (
+            <option key={time.id} value={time.id}>
+              {t(`timesOfDay.${time.id}.name`)}
+            </option>
+          ))}
+        </select>
+        <div className="slider-info">
+          <span className="info-text">
+            {t('controls.timeOfDayHint', { description: t(`timesOfDay.${timeOfDay}.description`) })}
+          </span>
+        </div>
+      </div>
+
+      {/* Site Amplification */}
+      <div className="option-section">
+        <label className="toggle-label" htmlFor="site-toggle">
+          <input
+            id="site-toggle"
+            type="checkbox"
+            checked={siteEffects}
+            onChange={(e) => onSiteEffectsChange(e.target.checked)}
+          />
+          {t('controls.siteEffects')}
+        </label>
+      </div>
+
+      {/* Finite Fault Geometry */}
+      <div className="option-section">
+        <label className="toggle-label" htmlFor="fault-toggle">
+          <input
+            id="fault-toggle"
+            type="checkbox"
+            checked={faultEnabled}
+            onChange={(e) => onFaultEnabledChange(e.target.checked)}
+          />
+          {t('controls.finiteFault')}
+        </label>
+
+        {faultEnabled && (
+          <>
+            <div className="slider-container">
+              <label htmlFor="strike-slider">
+                {t('controls.strike')}
+                <span className="slider-value">{strike}°</span>
+              </label>
+              <input
+                id="strike-slider"
+                type="range"
+                min={SLIDER_RANGES.strike.min}
+                max={SLIDER_RANGES.strike.max}
+                step={SLIDER_RANGES.strike.step}
+                value={strike}
+                onChange={(e) => onStrikeChange(parseInt(e.target.value))}
+              />
+            </div>
+
+            <div className="slider-container">
+              <label htmlFor="dip-slider">
+                {t('controls.dip')}
+                <span className="slider-value">{dip}°</span>
+              </label>
+              <input
+                id="dip-slider"
+                type="range"
+                min={SLIDER_RANGES.dip.min}
+                max={SLIDER_RANGES.dip.max}
+                step={SLIDER_RANGES.dip.step}
+                value={dip}
+                onChange={(e) => onDipChange(parseInt(e.target.value))}
+              />
+              <div className="slider-info">
+                <span className="info-text">
+                  {t('controls.ruptureHint')}
+                </span>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+
       {/* Quick Presets */}
       <div className="presets">
-        <h3>Quick Scenarios</h3>
+        <h3>{t('controls.quickScenarios')}</h3>
         <div className="preset-buttons">
           <button
             className="preset-btn"
-            onClick={() => {
-              onMagnitudeChange(8.8);
-              onDepthChange(35);
-            }}
+            onClick={() => onScenarioLoad({
+              magnitude: 8.8,
+              depth: 35,
+              epicenter: { lat: -36.29, lon: -73.239 },
+            })}
           >
-            2010 Maule
+            {t('controls.presets.maule')}
             <small>M8.8, 35km</small>
           </button>
           <button
             className="preset-btn"
-            onClick={() => {
-              onMagnitudeChange(9.5);
-              onDepthChange(33);
-            }}
+            onClick={() => onScenarioLoad({
+              magnitude: 9.5,
+              depth: 33,
+              epicenter: { lat: -39.5, lon: -74.5 },
+            })}
           >
-            1960 Valdivia
+            {t('controls.presets.valdivia')}
             <small>M9.5, 33km</small>
           </button>
           <button
             className="preset-btn"
-            onClick={() => {
-              onMagnitudeChange(6.5);
-              onDepthChange(20);
-            }}
+            onClick={() => onScenarioLoad({ magnitude: 6.5, depth: 20 })}
           >
-            Moderate
+            {t('controls.presets.moderate')}
             <small>M6.5, 20km</small>
           </button>
         </div>
@@ -89,23 +247,23 @@ function ControlPanel({ magnitude, depth, onMagnitudeChange, onDepthChange }) {
   );
 }
 
-// Helper function to describe magnitude
+// Helper function to describe magnitude (key in controls.magnitudeDescriptions)
 function getMagnitudeDescription(magnitude) {
-  if (magnitude < 5.5) return "Minor earthquake";
-  if (magnitude < 6.0) return "Light earthquake";
-  if (magnitude < 6.5) return "Moderate earthquake";
-  if (magnitude < 7.0) return "Strong earthquake";
-  if (magnitude < 7.5) return "Major earthquake";
-  if (magnitude < 8.0) return "Great earthquake";
-  return "Massive earthquake";
+  if (magnitude < 5.5) return "minor";
+  if (magnitude < 6.0) return "light";
+  if (magnitude < 6.5) return "moderate";
+  if (magnitude < 7.0) return "strong";
+  if (magnitude < 7.5) return "major";
+  if (magnitude < 8.0) return "great";
+  return "massive";
 }
 
-// Helper function to describe depth
+// Helper function to describe depth (key in controls.depthDescriptions)
 function getDepthDescription(depth) {
-  if (depth < 20) return "Shallow (higher intensity at surface)";
-  if (depth < 50) return "Intermediate depth";
-  if (depth < 70) return "Deep (lower surface intensity)";
-  return "Very deep";
+  if (depth < 20) return "shallow";
+  if (depth < 50) return "intermediate";
+  if (depth < 70) return "deep";
+  return "veryDeep";
 }
 
 export default ControlPanel;
\ No newline at end of file
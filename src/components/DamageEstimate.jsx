@@ -1,17 +1,25 @@
 import './DamageEstimate.css';
+import { useTranslation } from '../LanguageContext';
 import { getDamageCategory } from '../utils/damageModel';
+import { DAMAGE_STATES } from '../utils/fragilityModel';
+import { SEVERITY_LEVELS } from '../utils/casualtyModel';
 
-function DamageEstimate({ damagePercent, affectedPopulation, city }) {
+function DamageEstimate({ damagePercent, buildingDamage, affectedPopulation, casualties, city, coastal, tsunami, tsunamiSource, uncertainty }) {
+  const { t, formatNumber } = useTranslation();
   const category = getDamageCategory(damagePercent);
 
-  // Format large numbers with commas
-  const formatNumber = (num) => {
-    return num.toLocaleString('en-US');
-  };
+  // Format a 16th-84th percentile band of counts
+  const formatBand = (band) => `${formatNumber(Math.round(band.p16))}–${formatNumber(Math.round(band.p84))}`;
+
+  // Format a low-high estimate
+  const formatRange = (range) => `${formatNumber(range.low)}–${formatNumber(range.high)}`;
+
+  // Format a probability as a percentage
+  const formatPercent = (probability) => `${(probability * 100).toFixed(0)}%`;
 
   return (
     <div className="damage-estimate card">
-      <h2>Damage Assessment</h2>
+      <h2>{t('damage.title')}</h2>
 
       {/* City Name */}
       <div className="location-header">
@@ -22,10 +30,27 @@ function DamageEstimate({ damagePercent, affectedPopulation, city }) {
       {/* Damage Percentage Bar */}
       <div className="damage-bar-container">
         <div className="damage-bar-label">
-          <span>Estimated Damage</span>
-          <span className="damage-percent">{damagePercent.toFixed(1)}%</span>
+          <span>{t(buildingDamage ? 'damage.moderateOrWorse' : 'damage.estimatedDamage')}</span>
+          <span className="damage-percent">
+            {damagePercent.toFixed(1)}%
+            {uncertainty && (
+              <span className="damage-range">
+                {' '}({uncertainty.damagePercent.p16.toFixed(0)}–{uncertainty.damagePercent.p84.toFixed(0)}%)
+              </span>
+            )}
+          </span>
         </div>
         <div className="damage-bar-track">
+          {uncertainty && (
+            <div
+              className="damage-bar-band"
+              title={t('damage.percentileBand')}
+              style={{
+                left: `${uncertainty.damagePercent.p16}%`,
+                width: `${uncertainty.damagePercent.p84 - uncertainty.damagePercent.p16}%`,
+              }}
+            ></div>
+          )}
           <div 
             className="damage-bar-fill"
             style={{ 
@@ -55,17 +80,72 @@ function DamageEstimate({ damagePercent, affectedPopulation, city }) {
           opacity: 0.9
         }}
       >
-        <div className="category-name">{category.category}</div>
-        <div className="category-description">{category.description}</div>
+        <div className="category-name">{t(`damage.categories.${category.severity}.name`)}</div>
+        <div className="category-description">{t(`damage.categories.${category.severity}.description`)}</div>
       </div>
 
+      {/* Building Damage Distribution (fragility model) */}
+      {buildingDamage && (
+        <div className="building-damage">
+          <h3>{t('damage.buildingDamage')}</h3>
+
+          <div className="damage-distribution-bar">
+            {DAMAGE_STATES.map(state => (
+              <div
+                key={state.id}
+                className="damage-distribution-segment"
+                title={`${t(`damage.states.${state.id}`)}: ${formatPercent(buildingDamage.distribution[state.id])}`}
+                style={{
+                  width: `${buildingDamage.distribution[state.id] * 100}%`,
+                  backgroundColor: state.color,
+                }}
+              ></div>
+            ))}
+          </div>
+
+          <div className="damage-distribution-legend">
+            {DAMAGE_STATES.map(state => (
+              <span key={state.id} className="legend-entry">
+                <span className="legend-swatch" style={{ backgroundColor: state.color }}></span>
+                {t(`damage.states.${state.id}`)} {formatPercent(buildingDamage.distribution[state.id])}
+              </span>
+            ))}
+          </div>
+
+          <table className="typology-table">
+            <thead>
+              <tr>
+                <th>{t('damage.typology')}</th>
+                <th>{t('damage.share')}</th>
+                <th>{t('damage.atLeastModerate')}</th>
+                <th>{t('damage.complete')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {buildingDamage.byTypology.map(typology => (
+                <tr key={typology.id}>
+                  <td>{t(`damage.typologies.${typology.id}`)}</td>
+                  <td>{formatPercent(typology.share)}</td>
+                  <td>{formatPercent(typology.states.moderate + typology.states.extensive + typology.states.complete)}</td>
+                  <td>{formatPercent(typology.states.complete)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="inventory-source">
+            {t(`damage.inventorySources.${buildingDamage.inventorySource}`)} · {t('damage.meanDamageRatio', { value: formatPercent(buildingDamage.meanDamageRatio) })}
+          </div>
+        </div>
+      )}
+
       {/* Affected Population Statistics */}
       <div className="population-stats">
-        <h3>Population Impact</h3>
+        <h3>{t('damage.populationImpact')}</h3>
         
         <div className="stat-row">
           <div className="stat-item">
-            <div className="stat-label">Total Population</div>
+            <div className="stat-label">{t('damage.totalPopulation')}</div>
             <div className="stat-value total">
               {formatNumber(affectedPopulation.total)}
             </div>
@@ -74,7 +154,7 @@ function DamageEstimate({ damagePercent, affectedPopulation, city }) {
 
         <div className="stat-row">
           <div className="stat-item">
-            <div className="stat-label">People Affected</div>
+            <div className="stat-label">{t('damage.peopleAffected')}</div>
             <div className="stat-value affected">
               {formatNumber(affectedPopulation.affected)}
               <span className="stat-percent">
@@ -82,36 +162,105 @@ function DamageEstimate({ damagePercent, affectedPopulation, city }) {
               </span>
             </div>
           </div>
+          {uncertainty && (
+            <div className="stat-band">{t('damage.likelyRange', { range: formatBand(uncertainty.affected) })}</div>
+          )}
         </div>
 
         {affectedPopulation.displaced > 0 && (
           <div className="stat-row">
             <div className="stat-item">
-              <div className="stat-label">Potentially Displaced</div>
+              <div className="stat-label">{t('damage.potentiallyDisplaced')}</div>
               <div className="stat-value displaced">
                 {formatNumber(affectedPopulation.displaced)}
               </div>
             </div>
+            {uncertainty && (
+              <div className="stat-band">{t('damage.likelyRange', { range: formatBand(uncertainty.displaced) })}</div>
+            )}
+          </div>
+        )}
+
+        {uncertainty && (
+          <div className="uncertainty-note">
+            {t('damage.uncertaintyNote', { count: formatNumber(uncertainty.sampleCount) })}
           </div>
         )}
       </div>
 
+      {/* Casualties by severity (time-of-day occupancy) */}
+      <div className="casualty-stats">
+        <h3>
+          {t('damage.casualties')}
+          {casualties.timeOfDay && <span className="casualty-time"> · {t(`timesOfDay.${casualties.timeOfDay}.name`)}</span>}
+        </h3>
+
+        {SEVERITY_LEVELS.map(level => (
+          <div key={level.id} className="stat-row">
+            <div className="stat-item">
+              <div className="stat-label">{t(`damage.severity.${level.id}`)}</div>
+              <div className={`stat-value ${level.id === 'deaths' ? 'casualties' : 'injuries'}`}>
+                {formatNumber(casualties[level.id].medium)}
+                {casualties[level.id].high > 0 && (
+                  <span className="stat-percent">({formatRange(casualties[level.id])})</span>
+                )}
+              </div>
+            </div>
+            {uncertainty?.[level.id] && uncertainty[level.id].p84 >= 1 && (
+              <div className="stat-band">{t('damage.monteCarloRange', { range: formatBand(uncertainty[level.id]) })}</div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Tsunami (coastal cities only) */}
+      {coastal && (
+        <div className="tsunami-section">
+          <h3>{t('damage.tsunami')}</h3>
+          {tsunami ? (
+            <>
+              <div className="tsunami-stats">
+                <div className="stat-item">
+                  <div className="stat-label">{t('damage.firstWave')}</div>
+                  <div className="stat-value">~{Math.round(tsunami.arrivalMinutes)} min</div>
+                </div>
+                <div className="stat-item">
+                  <div className="stat-label">{t('damage.runUp')}</div>
+                  <div className="stat-value">{tsunami.runUp.toFixed(1)} m</div>
+                </div>
+              </div>
+              <div
+                className="tsunami-category"
+                style={{ backgroundColor: tsunami.category.color }}
+              >
+                <div className="category-name">{t(`damage.tsunamiCategories.${tsunami.category.severity}.name`)}</div>
+                <div className="category-description">{t(`damage.tsunamiCategories.${tsunami.category.severity}.description`)}</div>
+                <div className="tsunami-action">{t(`damage.tsunamiCategories.${tsunami.category.severity}.action`)}</div>
+              </div>
+            </>
+          ) : (
+            <p className="tsunami-none">
+              {tsunamiSource?.reasonId
+                ? t('damage.noTsunamiReason', {
+                  reason: t(`damage.tsunamiReasons.${tsunamiSource.reasonId}`, { limit: tsunamiSource.limit }),
+                })
+                : t('damage.noTsunami')}
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Warning Message */}
       {damagePercent > 30 && (
         <div className="warning-message">
           <span className="warning-icon">⚠️</span>
-          <span className="warning-text">
-            Significant damage expected. Emergency response would be required.
-          </span>
+          <span className="warning-text">{t('damage.warning')}</span>
         </div>
       )}
 
       {/* Disclaimer */}
       <div className="disclaimer">
-        <small>
-          These are simplified estimates for educational purposes. 
-          Actual damage depends on building codes, construction quality, and local conditions.
-        </small>
+        <small>{t('damage.disclaimer')}</small>
       </div>
     </div>
   );
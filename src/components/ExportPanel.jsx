@@ -0,0 +1,216 @@
+import { useEffect, useRef, useState } from 'react';
+import './ExportPanel.css';
+import SituationReport from './SituationReport';
+import { useTranslation } from '../LanguageContext';
+import { computeGrid, cancelChannel } from '../utils/computeService';
+import { CHILE_BOUNDS, chooseCellSize, createGridSpec, extractMMIContours } from '../utils/intensityGrid';
+import { renderReportMap } from '../utils/gridImage';
+import { DEFAULT_SCENARIO } from '../utils/scenarioUrl';
+import {
+  cityResultsToCSV,
+  contoursToGeoJSON,
+  exportFileName,
+  getExportMetadata,
+  gridToGeoJSON,
+  parseScenarioFile,
+  scenarioToJSON,
+  scenarioToKML,
+} from '../utils/scenarioExport';
+import { buildSituationReport, getReportMapBounds } from '../utils/situationReport';
+
+// Resolution of exported intensity grids (degrees)
+const EXPORT_CELL_SIZE = 0.1;
+
+// Compute channel of export grids (keeps the map overlay running)
+const EXPORT_CHANNEL = 'export';
+
+// Cities labelled on the report map
+const REPORT_MAP_PLACES = 6;
+
+// Save text as a file through a temporary link
+function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// cityResults are the worker results for the current scenario, null while they are computed
+function ExportPanel({ settings, scenario, cities, cityResults, usdToClp, onScenarioImport }) {
+  const { t } = useTranslation();
+  const inputRef = useRef(null);
+  const [pending, setPending] = useState(null);
+  const [importStatus, setImportStatus] = useState(null);
+  const [report, setReport] = useState(null);
+
+  // Drop a grid still being computed when the panel goes away
+  useEffect(() => () => cancelChannel(EXPORT_CHANNEL), []);
+
+  // The report is only kept for the print dialog
+  useEffect(() => {
+    const clear = () => setReport(null);
+    window.addEventListener('afterprint', clear);
+    return () => window.removeEventListener('afterprint', clear);
+  }, []);
+
+  const baseName = exportFileName(settings);
+
+  const exportCities = () => {
+    const csv = cityResultsToCSV(cityResults, getExportMetadata(settings));
+    downloadFile(`${baseName}-cities.csv`, csv, 'text/csv;charset=utf-8');
+  };
+
+  const exportScenario = () => {
+    downloadFile(`${baseName}-scenario.json`, scenarioToJSON(getExportMetadata(settings)), 'application/json');
+  };
+
+  // Grid exports need a national grid, computed on demand
+  const exportGrid = (format) => {
+    setPending(format);
+    const metadata = getExportMetadata(settings);
+
+    computeGrid(scenario, createGridSpec(CHILE_BOUNDS, EXPORT_CELL_SIZE), {
+      onComplete: (grid) => {
+        const contours = extractMMIContours(grid);
+        if (format === 'grid') {
+          downloadFile(`${baseName}-intensity.geojson`, JSON.stringify(gridToGeoJSON(grid, metadata)), 'application/geo+json');
+        } else if (format === 'contours') {
+          downloadFile(`${baseName}-contours.geojson`, JSON.stringify(contoursToGeoJSON(contours, metadata)), 'application/geo+json');
+        } else {
+          downloadFile(`${baseName}.kml`, scenarioToKML(grid, contours, metadata, baseName), 'application/vnd.google-earth.kml+xml');
+        }
+        setPending(null);
+      },
+      onError: (error) => {
+        console.error('Error computing export grid:', error);
+        setPending(null);
+      },
+    }, EXPORT_CHANNEL);
+  };
+
+  // Situation report: city results plus a map of the source area, then print
+  const printReport = () => {
+    setPending('report');
+    const data = buildSituationReport(settings, cityResults);
+    const bounds = getReportMapBounds(settings.epicenter, scenario.rupture);
+
+    computeGrid(scenario, createGridSpec(bounds, chooseCellSize(bounds, 120)), {
+      onComplete: (grid) => {
+        try {
+          const mapImage = renderReportMap(grid, {
+            landGrid: scenario.vs30Grid,
+            epicenter: settings.epicenter,
+            rupture: scenario.rupture,
+            places: data.cities.slice(0, REPORT_MAP_PLACES).map(city => ({ name: city.city, lat: city.lat, lon: city.lon })),
+          });
+          setReport({ data, mapImage });
+        } catch (error) {
+          console.error('Error drawing report map:', error);
+          setPending(null);
+        }
+      },
+      onError: (error) => {
+        console.error('Error computing report map:', error);
+        setPending(null);
+      },
+    }, EXPORT_CHANNEL);
+  };
+
+  // Print once the map image has loaded
+  const handleReportReady = () => {
+    setPending(null);
+    window.print();
+  };
+
+  const handleReportFailed = () => {
+    console.error('Report map image failed to load');
+    setReport(null);
+    setPending(null);
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { scenario: next, errors, parametersChanged } = parseScenarioFile(await file.text());
+      const unknownCity = cities.some(city => city.city === next.selectedCity) ? null : next.selectedCity;
+      if (unknownCity) next.selectedCity = DEFAULT_SCENARIO.selectedCity;
+
+      onScenarioImport(next);
+      setImportStatus({ fileName: file.name, problems: errors, unknownCity, parametersChanged, error: null });
+    } catch (error) {
+      setImportStatus({ fileName: file.name, problems: [], unknownCity: null, parametersChanged: false, error: error.message });
+    }
+  };
+
+  return (
+    <div className="export-panel card">
+      <h2>{t('export.title')}</h2>
+
+      <div className="export-buttons">
+        <button
+          type="button"
+          onClick={exportCities}
+          disabled={!cityResults}
+          title={cityResults ? undefined : t('export.computing')}
+        >
+          {t('export.cities')}
+        </button>
+        <button type="button" onClick={() => exportGrid('grid')} disabled={pending !== null}>
+          {pending === 'grid' ? t('export.computing') : t('export.grid')}
+        </button>
+        <button type="button" onClick={() => exportGrid('contours')} disabled={pending !== null}>
+          {pending === 'contours' ? t('export.computing') : t('export.contours')}
+        </button>
+        <button type="button" onClick={() => exportGrid('kml')} disabled={pending !== null}>
+          {pending === 'kml' ? t('export.computing') : t('export.kml')}
+        </button>
+        <button type="button" onClick={exportScenario}>{t('export.scenario')}</button>
+        <button type="button" className="export-report" onClick={printReport} disabled={pending !== null || !cityResults}>
+          {pending === 'report' ? t('export.preparing') : t('export.report')}
+        </button>
+        <button type="button" className="export-import" onClick={() => inputRef.current.click()}>{t('export.import')}</button>
+        <input ref={inputRef} type="file" accept=".json,application/json" hidden onChange={handleImport} />
+      </div>
+
+      {importStatus && (
+        <div className={`export-status ${importStatus.error ? 'error' : ''}`}>
+          {importStatus.error
+            ? t('export.importFailed', { file: importStatus.fileName, error: importStatus.error })
+            : t('export.imported', { file: importStatus.fileName })}
+          {(importStatus.problems.length > 0 || importStatus.unknownCity) && (
+            <span>
+              {t('export.importProblems', {
+                problems: [
+                  ...importStatus.problems,
+                  ...(importStatus.unknownCity ? [t('app.unknownCity', { city: importStatus.unknownCity })] : []),
+                ].join('; '),
+              })}
+            </span>
+          )}
+          {importStatus.parametersChanged && <span>{t('export.parametersChanged')}</span>}
+        </div>
+      )}
+
+      <p className="export-note">{t('export.note')}</p>
+
+      {report && (
+        <SituationReport
+          report={report.data}
+          mapImage={report.mapImage}
+          usdToClp={usdToClp}
+          onReady={handleReportReady}
+          onFailed={handleReportFailed}
+        />
+      )}
+    </div>
+  );
+}
+
+export default ExportPanel;
@@ -0,0 +1,100 @@
+import { useMemo } from 'react';
+import './FacilityPanel.css';
+import { useTranslation } from '../LanguageContext';
+import { FACILITY_STATUSES, summarizeFacilityStatus } from '../utils/facilityModel';
+
+function FacilityPanel({ facilities, onFacilitySelect }) {
+  const { t, formatNumber } = useTranslation();
+  const summary = useMemo(() => summarizeFacilityStatus(facilities), [facilities]);
+
+  if (facilities.length === 0) return null;
+
+  const statusById = Object.fromEntries(FACILITY_STATUSES.map(status => [status.id, status]));
+
+  return (
+    <div className="facility-panel card">
+      <h2>{t('facilities.title')}</h2>
+
+      {/* Count by status */}
+      <div className="facility-counts">
+        {FACILITY_STATUSES.map(status => (
+          <div key={status.id} className="facility-count" style={{ borderTopColor: status.color }}>
+            <span className="facility-count-value">{summary.counts[status.id]}</span>
+            <span className="facility-count-label">{t(`facilities.statuses.${status.id}`)}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="facility-population">
+        <div>
+          <span>{t('facilities.populationFailed')}</span>
+          <strong className="failed">{formatNumber(summary.population.failed)}</strong>
+        </div>
+        <div>
+          <span>{t('facilities.populationImpaired')}</span>
+          <strong className="impaired">{formatNumber(summary.population.impaired)}</strong>
+        </div>
+      </div>
+
+      {/* Status by facility type */}
+      <table className="facility-types">
+        <thead>
+          <tr>
+            <th>{t('facilities.type')}</th>
+            <th>{t('facilities.total')}</th>
+            <th>{t('facilities.impaired')}</th>
+            <th>{t('facilities.failed')}</th>
+            <th>{t('facilities.population')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {summary.byType.map(type => (
+            <tr key={type.id}>
+              <td>{t(`facilities.types.${type.id}`)}</td>
+              <td>{type.total}</td>
+              <td>{type.impaired}</td>
+              <td>{type.failed}</td>
+              <td>{type.population > 0 ? formatNumber(type.population) : '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Facilities likely out of service */}
+      <h3>{t('facilities.outOfService', { count: summary.outOfService.length })}</h3>
+      {summary.outOfService.length === 0 ? (
+        <p className="facility-none">{t('facilities.none')}</p>
+      ) : (
+        <ul className="facility-list">
+          {summary.outOfService.map(facility => (
+            <li
+              key={facility.id}
+              onClick={() => onFacilitySelect && onFacilitySelect(facility)}
+            >
+              <span
+                className="facility-status-dot"
+                style={{ backgroundColor: statusById[facility.status].color }}
+                title={t(`facilities.statuses.${facility.status}`)}
+              ></span>
+              <span className="facility-name">
+                {facility.name}
+                <small>
+                  {t('facilities.detail', {
+                    city: facility.city,
+                    pga: facility.pga.toFixed(2),
+                    probability: Math.round(facility.probabilities.failed * 100),
+                  })}
+                </small>
+              </span>
+              <span className="facility-served">{formatNumber(facility.service_population)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="facility-note">{t('facilities.note')}</p>
+    </div>
+  );
+}
+
+export default FacilityPanel;
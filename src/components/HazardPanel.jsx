@@ -0,0 +1,200 @@
+import { useEffect, useState } from 'react';
+import {
+  CartesianGrid,
+  Line,
+  LineChart,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import './HazardPanel.css';
+import { useTranslation } from '../LanguageContext';
+import { computeCityHazard } from '../utils/computeService';
+import { RETURN_PERIODS, getProbabilityOfExceedance } from '../utils/hazardModel';
+import { getMMILevel } from '../utils/mmiScale';
+
+// Exposure time used to describe return periods (years)
+const EXPOSURE_YEARS = 50;
+
+// Lowest annual rate drawn on the log axis
+const MIN_PLOTTED_RATE = 1e-5;
+
+function HazardPanel({
+  zones,
+  cities,
+  selectedCity,
+  enabled,
+  onEnabledChange,
+  returnPeriod,
+  onReturnPeriodChange,
+  onCitySelect,
+}) {
+  const { t } = useTranslation();
+  const [cityHazard, setCityHazard] = useState(null);
+  const [hazardError, setHazardError] = useState(null);
+
+  // Hazard curves for every city, computed in the worker once hazard mode is switched on
+  useEffect(() => {
+    setCityHazard(null);
+    setHazardError(null);
+    if (!enabled || zones.length === 0 || cities.length === 0) return;
+
+    return computeCityHazard(zones, cities, {
+      onComplete: setCityHazard,
+      onError: (error) => {
+        console.error('Error computing city hazard:', error);
+        setHazardError(error.message);
+      },
+    });
+  }, [enabled, zones, cities]);
+
+  const describePeriod = (period) => {
+    const probability = getProbabilityOfExceedance(1 / period, EXPOSURE_YEARS);
+    return t('hazard.period', { period, probability: Math.round(probability * 100), exposure: EXPOSURE_YEARS });
+  };
+
+  const formatIntensity = (value) => (value === null ? '—' : `${getMMILevel(value)} (${value.toFixed(1)})`);
+  const formatPGA = (value) => (value === null ? '—' : `${value.toFixed(2)} g`);
+
+  if (zones.length === 0) return null;
+
+  const selected = cityHazard?.find(city => city.city === selectedCity);
+  const curve = selected
+    ? selected.curves.intensity.filter(point => point.rate >= MIN_PLOTTED_RATE)
+    : [];
+  const ranked = cityHazard
+    ? [...cityHazard].sort((a, b) => (b.uniformHazard[returnPeriod].intensity ?? 0) - (a.uniformHazard[returnPeriod].intensity ?? 0))
+    : [];
+
+  return (
+    <div className="hazard-panel card">
+      <h2>{t('hazard.title')}</h2>
+
+      <label className="hazard-toggle" htmlFor="hazard-toggle">
+        <input
+          id="hazard-toggle"
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onEnabledChange(e.target.checked)}
+        />
+        {t('hazard.toggle')}
+      </label>
+
+      <select
+        className="hazard-period"
+        value={returnPeriod}
+        onChange={(e) => onReturnPeriodChange(parseInt(e.target.value))}
+        aria-label={t('hazard.returnPeriod')}
+      >
+        {RETURN_PERIODS.map(period => (
+          <option key={period} value={period}>
+            {describePeriod(period)}
+          </option>
+        ))}
+      </select>
+
+      {!enabled && (
+        <p className="hazard-intro">{t('hazard.intro', { count: zones.length })}</p>
+      )}
+
+      {enabled && !cityHazard && (
+        <p className={`hazard-status ${hazardError ? 'error' : ''}`}>
+          {hazardError ? t('hazard.failed', { error: hazardError }) : t('hazard.computing')}
+        </p>
+      )}
+
+      {selected && (
+        <>
+          <h3>{t('hazard.curve', { city: selected.city })}</h3>
+          <div className="hazard-values">
+            {RETURN_PERIODS.map(period => (
+              <div key={period} className={`hazard-value ${period === returnPeriod ? 'active' : ''}`}>
+                <span className="hazard-value-label">{t('hazard.periodLabel', { period })}</span>
+                <span className="hazard-value-mmi">{formatIntensity(selected.uniformHazard[period].intensity)}</span>
+                <small>PGA {formatPGA(selected.uniformHazard[period].pga)}</small>
+              </div>
+            ))}
+          </div>
+
+          <ResponsiveContainer width="100%" height={180}>
+            <LineChart data={curve} margin={{ top: 10, right: 10, bottom: 20, left: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                type="number"
+                dataKey="level"
+                domain={[1, 11]}
+                ticks={[1, 3, 5, 7, 9, 11]}
+                tick={{ fontSize: 11 }}
+                label={{ value: t('hazard.intensityAxis'), position: 'bottom', offset: 0, fontSize: 11 }}
+              />
+              <YAxis
+                type="number"
+                dataKey="rate"
+                scale="log"
+                domain={[MIN_PLOTTED_RATE, 1]}
+                allowDataOverflow
+                ticks={[1e-5, 1e-4, 1e-3, 1e-2, 1e-1, 1]}
+                tickFormatter={(value) => value.toExponential(0)}
+                tick={{ fontSize: 11 }}
+              />
+              {RETURN_PERIODS.map(period => (
+                <ReferenceLine
+                  key={period}
+                  y={1 / period}
+                  stroke={period === returnPeriod ? '#dc2626' : '#94a3b8'}
+                  strokeDasharray="4 3"
+                />
+              ))}
+              <Tooltip
+                formatter={(value) => [t('hazard.perYear', { rate: value.toExponential(2) }), t('hazard.exceedanceRate')]}
+                labelFormatter={(level) => t('hazard.intensityLabel', { level: level.toFixed(2) })}
+              />
+              <Line type="monotone" dataKey="rate" stroke="#2563eb" dot={false} strokeWidth={2} />
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+
+      {cityHazard && (
+        <>
+          <h3>{t('hazard.uniform')}</h3>
+          <div className="hazard-table-wrapper">
+            <table className="hazard-table">
+              <thead>
+                <tr>
+                  <th>{t('hazard.city')}</th>
+                  {RETURN_PERIODS.map(period => (
+                    <th key={period}>{t('hazard.periodColumn', { period })}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {ranked.map(city => (
+                  <tr
+                    key={city.city}
+                    className={city.city === selectedCity ? 'selected' : ''}
+                    onClick={() => onCitySelect && onCitySelect(city.city)}
+                  >
+                    <td>{city.city}</td>
+                    {RETURN_PERIODS.map(period => (
+                      <td key={period}>
+                        {city.uniformHazard[period].intensity === null
+                          ? '—'
+                          : `${getMMILevel(city.uniformHazard[period].intensity)} · ${formatPGA(city.uniformHazard[period].pga)}`}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="hazard-note">{t('hazard.note')}</p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default HazardPanel;
@@ -1,39 +1,92 @@
+import { useMemo } from 'react';
 import './HistoricalComparison.css';
+import { useTranslation } from '../LanguageContext';
+import {
+  DEFAULT_HISTORICAL_DEPTH_KM,
+  normalizeCatalogEntry,
+  rankCatalogEntries,
+  toReplayScenario,
+} from '../utils/earthquakeCatalog';
 
-function HistoricalComparison({ currentMagnitude, currentDepth, historicalQuakes }) {
-  // Find closest historical earthquakes by magnitude
-  const sortedQuakes = [...historicalQuakes]
-    .sort((a, b) => Math.abs(a.magnitude - currentMagnitude) - Math.abs(b.magnitude - currentMagnitude))
-    .slice(0, 5);
+function HistoricalComparison({
+  currentMagnitude,
+  currentDepth,
+  currentEpicenter,
+  historicalQuakes,
+  onQuakeSelect,
+}) {
+  const { t } = useTranslation();
+
+  const catalog = useMemo(
+    () => historicalQuakes.map(normalizeCatalogEntry),
+    [historicalQuakes]
+  );
+
+  // Closest events by magnitude and epicentral distance
+  const rankedQuakes = useMemo(
+    () => rankCatalogEntries(catalog, {
+      magnitude: currentMagnitude,
+      epicenter: currentEpicenter,
+    }),
+    [catalog, currentMagnitude, currentEpicenter]
+  );
 
   return (
     <div className="historical-comparison card">
-      <h2>Historical Reference</h2>
-      <p className="comparison-intro">
-        Similar magnitude earthquakes in Chile:
-      </p>
+      <h2>{t('historical.title')}</h2>
+      <p className="comparison-intro">{t('historical.intro')}</p>
 
       <div className="quakes-list">
-        {sortedQuakes.map((quake, index) => (
-          <div key={index} className="quake-item">
+        {rankedQuakes.map((quake) => (
+          <button
+            key={`${quake.name}-${quake.date}-${quake.epicenter_lat}-${quake.epicenter_lon}`}
+            type="button"
+            className={`quake-item ${quake.valid ? '' : 'invalid'}`}
+            disabled={!quake.valid}
+            title={quake.valid ? t('historical.replay') : quake.issues.join('; ')}
+            onClick={() => onQuakeSelect(toReplayScenario(quake))}
+          >
             <div className="quake-header">
-              <span className="quake-magnitude">M{quake.magnitude.toFixed(1)}</span>
+              <span className="quake-magnitude">
+                Mw{Number.isFinite(quake.mw) ? quake.mw.toFixed(1) : '?'}
+              </span>
               <span className="quake-date">{new Date(quake.date).getFullYear()}</span>
             </div>
             <div className="quake-name">{quake.name}</div>
-            {quake.depth && (
-              <div className="quake-depth">Depth: {quake.depth} km</div>
+            <div className="quake-details">
+              <span>
+                {t('historical.depth', { depth: quake.depthKm })}
+                {quake.depthIsDefault && <em> {t('historical.defaultDepth')}</em>}
+              </span>
+              {quake.distanceKm !== null && (
+                <span>{t('historical.distance', { distance: Math.round(quake.distanceKm) })}</span>
+              )}
+            </div>
+            {quake.magnitudeConverted && (
+              <div className="quake-note">
+                {t('historical.converted', { type: quake.magnitude_type, magnitude: quake.magnitude.toFixed(1) })}
+              </div>
+            )}
+            {quake.warnings.map(warning => (
+              <div key={warning} className="quake-note">{warning}</div>
+            ))}
+            {!quake.valid && (
+              <div className="quake-note quake-error">{t('historical.cannotReplay', { issues: quake.issues.join('; ') })}</div>
             )}
-          </div>
+          </button>
         ))}
       </div>
 
+      <p className="catalog-note">
+        {t('historical.catalogNote', { depth: DEFAULT_HISTORICAL_DEPTH_KM })}
+      </p>
+
       <div className="current-sim">
-        <strong>Current Simulation:</strong>
-        <div>M{currentMagnitude.toFixed(1)} at {currentDepth} km depth</div>
+        <strong>{t('historical.currentSimulation')}</strong>
+        <div>{t('historical.currentValue', { magnitude: currentMagnitude.toFixed(1), depth: currentDepth })}</div>
       </div>
     </div>
   );
 }
 
-export default HistoricalComparison;
\ No newline at end of file
+export default HistoricalComparison;
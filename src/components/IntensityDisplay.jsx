@@ -1,42 +1,69 @@
 import './IntensityDisplay.css';
+import { useTranslation } from '../LanguageContext';
+import { getAttenuationModel } from '../utils/attenuationModel';
+import { getMMI } from '../utils/mmiScale';
 
-function IntensityDisplay({ intensity, mmi, distance }) {
-  // MMI scale levels for visualization
+function IntensityDisplay({
+  intensity,
+  mmi,
+  distance,
+  ruptureDistance,
+  pga,
+  pgv,
+  modelId,
+  rockIntensity,
+  siteIntensity,
+  site,
+  uncertainty,
+}) {
+  const { t } = useTranslation();
+  const rockMMI = getMMI(rockIntensity);
+  const siteMMI = getMMI(siteIntensity);
+
+  // MMI scale levels for visualization (names from the mmi bundle)
   const mmiLevels = [
-    { level: 'I', min: 0, max: 1.5, name: 'Not felt', color: '#FFFFFF' },
-    { level: 'II', min: 1.5, max: 2.5, name: 'Weak', color: '#ACD8E9' },
-    { level: 'III', min: 2.5, max: 3.5, name: 'Weak', color: '#ACD8E9' },
-    { level: 'IV', min: 3.5, max: 4.5, name: 'Light', color: '#7BC5A6' },
-    { level: 'V', min: 4.5, max: 5.5, name: 'Moderate', color: '#FDE357' },
-    { level: 'VI', min: 5.5, max: 6.5, name: 'Strong', color: '#FDB462' },
-    { level: 'VII', min: 6.5, max: 7.5, name: 'Very strong', color: '#FB923C' },
-    { level: 'VIII', min: 7.5, max: 8.5, name: 'Severe', color: '#F87171' },
-    { level: 'IX', min: 8.5, max: 9.5, name: 'Violent', color: '#DC2626' },
-    { level: 'X', min: 9.5, max: 10.5, name: 'Extreme', color: '#991B1B' },
-    { level: 'XI', min: 10.5, max: 11.5, name: 'Extreme', color: '#7F1D1D' },
-    { level: 'XII', min: 11.5, max: 99, name: 'Extreme', color: '#450A0A' },
+    { level: 'I', min: 0, max: 1.5, color: '#FFFFFF' },
+    { level: 'II', min: 1.5, max: 2.5, color: '#ACD8E9' },
+    { level: 'III', min: 2.5, max: 3.5, color: '#ACD8E9' },
+    { level: 'IV', min: 3.5, max: 4.5, color: '#7BC5A6' },
+    { level: 'V', min: 4.5, max: 5.5, color: '#FDE357' },
+    { level: 'VI', min: 5.5, max: 6.5, color: '#FDB462' },
+    { level: 'VII', min: 6.5, max: 7.5, color: '#FB923C' },
+    { level: 'VIII', min: 7.5, max: 8.5, color: '#F87171' },
+    { level: 'IX', min: 8.5, max: 9.5, color: '#DC2626' },
+    { level: 'X', min: 9.5, max: 10.5, color: '#991B1B' },
+    { level: 'XI', min: 10.5, max: 11.5, color: '#7F1D1D' },
+    { level: 'XII', min: 11.5, max: 99, color: '#450A0A' },
   ];
 
   return (
     <div className="intensity-display card">
-      <h2>Ground Motion Intensity</h2>
+      <h2>{t('intensity.title')}</h2>
 
       {/* Distance info */}
       <div className="distance-info">
-        <span className="distance-label">Distance from epicenter:</span>
+        <span className="distance-label">{t('intensity.distanceFromEpicenter')}</span>
         <span className="distance-value">{distance.toFixed(1)} km</span>
       </div>
 
+      {ruptureDistance !== null && ruptureDistance !== undefined && (
+        <div className="distance-info">
+          <span className="distance-label">{t('intensity.distanceToRupture')}</span>
+          <span className="distance-value">{ruptureDistance.toFixed(1)} km</span>
+        </div>
+      )}
+
       {/* MMI Scale Gauge */}
       <div className="mmi-gauge">
         {mmiLevels.map((level) => {
           const isActive = intensity >= level.min && intensity < level.max;
+          const inRange = uncertainty && uncertainty.p84 >= level.min && uncertainty.p16 < level.max;
           return (
             <div
               key={level.level}
-              className={`mmi-level ${isActive ? 'active' : ''}`}
+              className={`mmi-level ${isActive ? 'active' : ''} ${inRange ? 'in-range' : ''}`}
               style={{ backgroundColor: level.color }}
-              title={`${level.level}: ${level.name}`}
+              title={`${level.level}: ${t(`mmi.${level.level}.name`)}`}
             >
               <span className="mmi-level-text">{level.level}</span>
             </div>
@@ -50,29 +77,70 @@ function IntensityDisplay({ intensity, mmi, distance }) {
           <span className="mmi-roman">{mmi.level}</span>
           <span className="mmi-numeric">({mmi.numericLevel})</span>
         </div>
-        <div className="mmi-name">{mmi.name}</div>
+        <div className="mmi-name">{t(`mmi.${mmi.level}.name`)}</div>
+      </div>
+
+      {/* Monte Carlo Range */}
+      {uncertainty && (
+        <div className="intensity-range">
+          <span className="distance-label">{t('intensity.likelyRange')}</span>
+          <span className="distance-value">
+            {getMMI(uncertainty.p16).level} – {getMMI(uncertainty.p84).level}
+          </span>
+          <small>
+            {t('intensity.rangeDetail', {
+              p16: uncertainty.p16.toFixed(1),
+              p84: uncertainty.p84.toFixed(1),
+              median: uncertainty.median.toFixed(1),
+            })}
+          </small>
+        </div>
+      )}
+
+      {/* Rock vs Site-Corrected Comparison */}
+      <div className="site-comparison">
+        <div className={`site-column ${site.applied ? '' : 'active'}`}>
+          <div className="site-column-label">{t('intensity.rock', { vs30: site.referenceVs30 })}</div>
+          <div className="site-column-value" style={{ backgroundColor: rockMMI.color }}>
+            {rockMMI.level}
+          </div>
+          <small>{rockIntensity.toFixed(2)}</small>
+        </div>
+        <div className={`site-column ${site.applied ? 'active' : ''}`}>
+          <div className="site-column-label">
+            {t('intensity.siteClass', { siteClass: site.siteClass, vs30: Math.round(site.vs30) })}
+          </div>
+          <div className="site-column-value" style={{ backgroundColor: siteMMI.color }}>
+            {siteMMI.level}
+          </div>
+          <small>{siteIntensity.toFixed(2)}</small>
+        </div>
       </div>
 
       {/* Shaking and Damage Info */}
       <div className="intensity-details">
         <div className="detail-row">
-          <span className="detail-label">Shaking:</span>
-          <span className="detail-value shaking">{mmi.shaking}</span>
+          <span className="detail-label">{t('intensity.shaking')}</span>
+          <span className="detail-value shaking">{t(`mmi.${mmi.level}.shaking`)}</span>
         </div>
         <div className="detail-row">
-          <span className="detail-label">Potential Damage:</span>
-          <span className="detail-value damage">{mmi.damage}</span>
+          <span className="detail-label">{t('intensity.potentialDamage')}</span>
+          <span className="detail-value damage">{t(`mmi.${mmi.level}.damage`)}</span>
         </div>
       </div>
 
       {/* Description */}
       <div className="intensity-description">
-        <p>{mmi.description}</p>
+        <p>{t(`mmi.${mmi.level}.description`)}</p>
       </div>
 
       {/* Intensity Value (for debugging/technical users) */}
       <div className="technical-info">
-        <small>Intensity value: {intensity.toFixed(2)}</small>
+        <small>{t('intensity.intensityValue', { value: intensity.toFixed(2) })}</small>
+        <small>
+          PGA: {(pga * 100).toFixed(1)} %g · PGV: {pgv.toFixed(1)} cm/s
+        </small>
+        <small>{t('intensity.model', { name: getAttenuationModel(modelId).name })}</small>
       </div>
     </div>
   );
@@ -0,0 +1,27 @@
+import './LanguageSwitcher.css';
+import { useTranslation } from '../LanguageContext';
+import { LANGUAGES } from '../utils/i18n';
+
+function LanguageSwitcher() {
+  const { language, setLanguage, t } = useTranslation();
+
+  return (
+    <div className="language-switcher" role="group" aria-label={t('app.language')}>
+      {LANGUAGES.map(option => (
+        <button
+          key={option.id}
+          type="button"
+          lang={option.id}
+          className={option.id === language ? 'active' : ''}
+          aria-pressed={option.id === language}
+          title={option.name}
+          onClick={() => setLanguage(option.id)}
+        >
+          {option.id.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default LanguageSwitcher;
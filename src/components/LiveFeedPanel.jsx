@@ -0,0 +1,134 @@
+import { useEffect, useRef, useState } from 'react';
+import './LiveFeedPanel.css';
+import { useTranslation } from '../LanguageContext';
+import { getLocale } from '../utils/i18n';
+import { DEFAULT_HISTORICAL_DEPTH_KM } from '../utils/earthquakeCatalog';
+import {
+  DEFAULT_POLL_INTERVAL,
+  FEED_SOURCES,
+  POLL_INTERVALS,
+  startFeedPolling,
+  toFeedScenario,
+} from '../utils/liveFeed';
+
+// Number of recent events listed
+const LIST_LIMIT = 8;
+
+function LiveFeedPanel({ onNewEvents, onEventSelect }) {
+  const { language, t } = useTranslation();
+  const [enabled, setEnabled] = useState(false);
+  const [sourceId, setSourceId] = useState(FEED_SOURCES[0].id);
+  const [customUrl, setCustomUrl] = useState('');
+  const [pollInterval, setPollInterval] = useState(DEFAULT_POLL_INTERVAL);
+  const [feed, setFeed] = useState({ events: [], checkedAt: null, error: null });
+
+  // Latest handler without restarting the poller (which would forget seen events)
+  const onNewEventsRef = useRef(onNewEvents);
+  onNewEventsRef.current = onNewEvents;
+
+  const url = sourceId === 'custom' ? customUrl.trim() : FEED_SOURCES.find(source => source.id === sourceId).url;
+
+  useEffect(() => {
+    setFeed({ events: [], checkedAt: null, error: null });
+    if (!enabled || !url) return;
+
+    return startFeedPolling(url, {
+      interval: pollInterval,
+      onUpdate: ({ events, newEvents, checkedAt }) => {
+        setFeed({ events, checkedAt, error: null });
+        if (newEvents.length > 0) onNewEventsRef.current(newEvents);
+      },
+      onError: (error) => setFeed(current => ({ ...current, checkedAt: new Date(), error: error.message })),
+    });
+  }, [enabled, url, pollInterval]);
+
+  const formatTime = (date) => new Date(date).toLocaleString(getLocale(language), {
+    dateStyle: 'short',
+    timeStyle: 'short',
+  });
+
+  return (
+    <div className="live-feed-panel card">
+      <h2>{t('liveFeed.title')}</h2>
+
+      <label className="live-feed-toggle" htmlFor="live-feed-toggle">
+        <input
+          id="live-feed-toggle"
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => setEnabled(e.target.checked)}
+        />
+        {t('liveFeed.follow')}
+      </label>
+
+      <div className="live-feed-settings">
+        <label htmlFor="live-feed-source">{t('liveFeed.source')}</label>
+        <select id="live-feed-source" value={sourceId} onChange={(e) => setSourceId(e.target.value)}>
+          {FEED_SOURCES.map(source => (
+            <option key={source.id} value={source.id}>{t(`liveFeed.sources.${source.id}`)}</option>
+          ))}
+          <option value="custom">{t('liveFeed.sources.custom')}</option>
+        </select>
+
+        {sourceId === 'custom' && (
+          <input
+            type="url"
+            className="live-feed-url"
+            value={customUrl}
+            placeholder={t('liveFeed.customUrl')}
+            onChange={(e) => setCustomUrl(e.target.value)}
+          />
+        )}
+
+        <label htmlFor="live-feed-interval">{t('liveFeed.interval')}</label>
+        <select id="live-feed-interval" value={pollInterval} onChange={(e) => setPollInterval(Number(e.target.value))}>
+          {POLL_INTERVALS.map(seconds => (
+            <option key={seconds} value={seconds}>
+              {seconds < 60 ? t('liveFeed.seconds', { count: seconds }) : t('liveFeed.minutes', { count: seconds / 60 })}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {enabled && (
+        <p className={`live-feed-status ${feed.error ? 'error' : ''}`}>
+          {!feed.checkedAt && t('liveFeed.checking')}
+          {feed.checkedAt && !feed.error && t('liveFeed.lastChecked', { time: formatTime(feed.checkedAt) })}
+          {feed.error && t('liveFeed.error', { message: feed.error })}
+        </p>
+      )}
+
+      {enabled && feed.checkedAt && !feed.error && feed.events.length === 0 && (
+        <p className="live-feed-empty">{t('liveFeed.empty')}</p>
+      )}
+
+      {feed.events.length > 0 && (
+        <ul className="live-feed-list">
+          {feed.events.slice(0, LIST_LIMIT).map(event => (
+            <li key={event.id}>
+              <button
+                type="button"
+                className={event.valid ? '' : 'invalid'}
+                disabled={!event.valid}
+                title={event.valid ? t('liveFeed.load') : t('liveFeed.cannotLoad', { issues: event.issues.join('; ') })}
+                onClick={() => onEventSelect(toFeedScenario(event))}
+              >
+                <span className="live-feed-magnitude">
+                  M{Number.isFinite(event.mw) ? event.mw.toFixed(1) : '?'}
+                </span>
+                <span className="live-feed-place">
+                  {event.name}
+                  <small>{event.time ? formatTime(event.time) : '—'} · {event.depthKm} km</small>
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="live-feed-note">{t('liveFeed.note', { depth: DEFAULT_HISTORICAL_DEPTH_KM })}</p>
+    </div>
+  );
+}
+
+export default LiveFeedPanel;
@@ -0,0 +1,68 @@
+import './LossEstimate.css';
+import { useTranslation } from '../LanguageContext';
+import { LOSS_SECTORS, formatMoney, toCLP } from '../utils/lossModel';
+
+function LossEstimate({ losses, city, usdToClp }) {
+  const { language, t, formatNumber } = useTranslation();
+
+  // Format an amount in both currencies
+  const formatBoth = (usd) => (
+    <>
+      <span className="loss-usd">{formatMoney(usd, 'USD', language)}</span>
+      <span className="loss-clp">{formatMoney(toCLP(usd, usdToClp), 'CLP', language)}</span>
+    </>
+  );
+
+  const largestSector = Math.max(...LOSS_SECTORS.map(({ id }) => losses.direct[id]));
+
+  return (
+    <div className="loss-estimate card">
+      <h2>{t('losses.title')}</h2>
+
+      <div className="loss-total">
+        <div className="loss-total-label">{t('losses.total', { city })}</div>
+        <div className="loss-total-value">{formatBoth(losses.total)}</div>
+        <div className="loss-total-gdp">
+          {t('losses.percentOfGdp', { percent: losses.percentOfGDP.toFixed(1), gdp: formatMoney(losses.gdp, 'USD', language) })}
+        </div>
+      </div>
+
+      {/* Direct losses by sector */}
+      <h3>{t('losses.directLosses')}</h3>
+      {LOSS_SECTORS.map(sector => (
+        <div key={sector.id} className="loss-sector">
+          <div className="loss-sector-label">
+            <span>{t(`losses.sectors.${sector.id}`)}</span>
+            <span className="loss-sector-value">{formatMoney(losses.direct[sector.id], 'USD', language)}</span>
+          </div>
+          <div className="loss-sector-track">
+            <div
+              className="loss-sector-fill"
+              style={{
+                width: `${largestSector > 0 ? (losses.direct[sector.id] / largestSector) * 100 : 0}%`,
+                backgroundColor: sector.color,
+              }}
+            ></div>
+          </div>
+        </div>
+      ))}
+
+      <div className="loss-rows">
+        <div className="loss-row">
+          <span>{t('losses.direct')}</span>
+          <span className="loss-row-value">{formatBoth(losses.direct.total)}</span>
+        </div>
+        <div className="loss-row">
+          <span>{t('losses.indirect')}</span>
+          <span className="loss-row-value">{formatBoth(losses.indirect)}</span>
+        </div>
+      </div>
+
+      <div className="loss-note">
+        {t(losses.exposureSource === 'region' ? 'losses.noteRegion' : 'losses.noteNational', { rate: formatNumber(usdToClp) })}
+      </div>
+    </div>
+  );
+}
+
+export default LossEstimate;
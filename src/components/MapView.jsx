@@ -1,7 +1,24 @@
-import { useEffect, useRef } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import './MapView.css';
+import { useTranslation } from '../LanguageContext';
+import { calculateBearing } from '../utils/geoUtils';
+import { getStrikeHandle, moveRupturePlane } from '../utils/faultModel';
+import { getMMIColor } from '../utils/mmiScale';
+import {
+  CHILE_BOUNDS,
+  clipToChile,
+  createGridSpec,
+  chooseCellSize,
+  extractMMIContours,
+} from '../utils/intensityGrid';
+import { computeGrid, computeHazardGrid } from '../utils/computeService';
+import { renderGridImage } from '../utils/gridImage';
+import { computeArrivalTimeGrid, extractIsochrones } from '../utils/tsunamiModel';
+import { FACILITY_STATUSES, getFacilityType } from '../utils/facilityModel';
+import { ROAD_STATUSES } from '../utils/networkModel';
+import ShakeMapControls from './ShakeMapControls';
 
 // Fix for default marker icons in Leaflet with Vite
 delete L.Icon.Default.prototype._getIconUrl;
@@ -11,11 +28,109 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
 });
 
-function MapView({ epicenter, cities, selectedCity, onEpicenterChange, onCityClick, magnitude, depth }) {
+// Minimum delay between overlay previews while dragging (ms)
+const DRAG_PREVIEW_INTERVAL = 150;
+
+// Ocean area covered by tsunami isochrones (degrees)
+const ISOCHRONE_BOUNDS = { latMin: -56, latMax: -17, lonMin: -82, lonMax: -66 };
+const ISOCHRONE_CELL_SIZE = 0.2;
+
+// Hazard maps cover all of Chile at a fixed resolution (degrees)
+const HAZARD_CELL_SIZE = 0.25;
+
+// Aftershocks younger than this (days) are highlighted
+const RECENT_AFTERSHOCK_DAYS = 1;
+
+// Marker radius (px) for an aftershock magnitude
+function aftershockRadius(magnitude) {
+  return Math.max(2, (magnitude - 3) * 2.5);
+}
+
+// Marker color for a facility status
+const FACILITY_STATUS_COLORS = Object.fromEntries(FACILITY_STATUSES.map(({ id, color }) => [id, color]));
+
+// Line color for a road segment status
+const ROAD_STATUS_COLORS = Object.fromEntries(ROAD_STATUSES.map(({ id, color }) => [id, color]));
+
+// Build MMI contour polylines for an intensity grid
+function createContourLayer(grid, formatLabel = (level) => `MMI ${level}`) {
+  const layer = L.layerGroup();
+
+  extractMMIContours(grid).forEach(contour => {
+    const color = getMMIColor(contour.threshold);
+    L.polyline(contour.lines, {
+      color,
+      weight: 2,
+      opacity: 0.9,
+      interactive: true,
+      bubblingMouseEvents: false,
+    })
+      .bindTooltip(formatLabel(contour.level), { sticky: true })
+      .addTo(layer);
+  });
+
+  return layer;
+}
+
+function MapView({
+  epicenter,
+  cities,
+  selectedCity,
+  onEpicenterChange,
+  onCityClick,
+  magnitude,
+  depth,
+  rupture,
+  onStrikeChange,
+  gridScenario,
+  cityResults = [],
+  facilityResults = [],
+  roadSegments = [],
+  focusLocation,
+  aftershocks = null,
+  aftershockTime = 0,
+  hazardZones = [],
+  hazardReturnPeriod = null,
+}) {
+  const { t, formatNumber } = useTranslation();
   const mapRef = useRef(null);
   const mapInstanceRef = useRef(null);
   const epicenterMarkerRef = useRef(null);
   const cityMarkersRef = useRef([]);
+  const ruptureLayerRef = useRef(null);
+  const overlayImageRef = useRef(null);
+  const contourLayerRef = useRef(null);
+  const isochroneLayerRef = useRef(null);
+  const aftershockLayerRef = useRef(null);
+  const facilityLayerRef = useRef(null);
+  const roadLayerRef = useRef(null);
+  const aftershockMarkersRef = useRef([]);
+  const aftershockRendererRef = useRef(null);
+  const hazardImageRef = useRef(null);
+  const hazardContourRef = useRef(null);
+  const hazardGridsRef = useRef({ zones: null, grids: new Map() });
+  const lastPreviewRef = useRef(0);
+
+  // ShakeMap overlay state
+  const [overlayEnabled, setOverlayEnabled] = useState(true);
+  const [overlayOpacity, setOverlayOpacity] = useState(0.6);
+  const [overlayProgress, setOverlayProgress] = useState(1);
+  const [viewBounds, setViewBounds] = useState(null);
+  const [dragEpicenter, setDragEpicenter] = useState(null);
+  const [isochronesEnabled, setIsochronesEnabled] = useState(true);
+  const [facilitiesEnabled, setFacilitiesEnabled] = useState(true);
+  const [roadsEnabled, setRoadsEnabled] = useState(true);
+
+  const tsunamiSource = gridScenario?.tsunami || null;
+  const tsunamiAvailable = Boolean(tsunamiSource?.tsunamigenic);
+
+  // Throttled epicenter preview while a marker or the rupture is dragged
+  const previewEpicenter = (position) => {
+    const now = Date.now();
+    if (now - lastPreviewRef.current < DRAG_PREVIEW_INTERVAL) return;
+    lastPreviewRef.current = now;
+    setDragEpicenter(position);
+  };
 
   // Initialize map
   useEffect(() => {
@@ -34,8 +149,28 @@ function MapView({ epicenter, cities, selectedCity, onEpicenterChange, onCityCli
       maxZoom: 18,
     }).addTo(map);
 
+    // Intensity raster sits below vector overlays (rupture, contours)
+    map.createPane('intensityPane');
+    map.getPane('intensityPane').style.zIndex = 350;
+
+    // Canvas renderer keeps thousands of aftershock markers fast
+    aftershockRendererRef.current = L.canvas({ padding: 0.5 });
+
     mapInstanceRef.current = map;
 
+    // Track the visible area for the intensity overlay
+    const updateBounds = () => {
+      const bounds = map.getBounds();
+      setViewBounds({
+        latMin: bounds.getSouth(),
+        latMax: bounds.getNorth(),
+        lonMin: bounds.getWest(),
+        lonMax: bounds.getEast(),
+      });
+    };
+    map.on('moveend', updateBounds);
+    updateBounds();
+
     return () => {
       if (mapInstanceRef.current) {
         mapInstanceRef.current.remove();
@@ -72,27 +207,471 @@ function MapView({ epicenter, cities, selectedCity, onEpicenterChange, onCityCli
     const marker = L.marker([epicenter.lat, epicenter.lon], {
       icon: epicenterIcon,
       draggable: true,
-      title: 'Epicenter (drag to move)',
+      title: t('map.epicenterTitle'),
     }).addTo(map);
 
     // Add popup with magnitude and depth
     marker.bindPopup(`
       <div class="epicenter-popup">
-        <strong>Epicenter</strong><br>
-        Magnitude: ${magnitude.toFixed(1)}<br>
-        Depth: ${depth} km<br>
-        <small>Drag to relocate</small>
+        <strong>${t('map.epicenter')}</strong><br>
+        ${t('map.magnitude', { value: magnitude.toFixed(1) })}<br>
+        ${t('map.depth', { value: depth })}<br>
+        <small>${t('map.dragToRelocate')}</small>
       </div>
     `);
 
-    // Handle drag end
+    // Preview the overlay while dragging, commit on drag end
+    marker.on('drag', () => {
+      const pos = marker.getLatLng();
+      previewEpicenter({ lat: pos.lat, lon: pos.lng });
+    });
+
     marker.on('dragend', () => {
       const pos = marker.getLatLng();
+      setDragEpicenter(null);
       onEpicenterChange({ lat: pos.lat, lon: pos.lng });
     });
 
     epicenterMarkerRef.current = marker;
-  }, [epicenter, magnitude, depth, onEpicenterChange]);
+  }, [epicenter, magnitude, depth, onEpicenterChange, t]);
+
+  // Update rupture plane outline
+  useEffect(() => {
+    if (!mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+
+    // Remove existing rupture layers
+    if (ruptureLayerRef.current) {
+      map.removeLayer(ruptureLayerRef.current);
+      ruptureLayerRef.current = null;
+    }
+
+    if (!rupture) return;
+
+    const layer = L.layerGroup().addTo(map);
+    const outline = rupture.corners.map(corner => [corner.lat, corner.lon]);
+
+    // Surface projection of the rupture plane
+    const polygon = L.polygon(outline, {
+      color: '#7c3aed',
+      weight: 2,
+      fillColor: '#a78bfa',
+      fillOpacity: 0.2,
+      bubblingMouseEvents: false,
+    }).addTo(layer);
+
+    polygon.bindTooltip(t('map.rupture', {
+      length: rupture.length.toFixed(0),
+      width: rupture.width.toFixed(0),
+      strike: rupture.strike,
+      dip: rupture.dip,
+    }));
+
+    // Top edge drawn thicker, as is conventional for fault traces
+    L.polyline([outline[0], outline[1]], {
+      color: '#5b21b6',
+      weight: 4,
+      interactive: false,
+    }).addTo(layer);
+
+    // Drag the rectangle to move the hypocenter
+    polygon.on('mousedown', (e) => {
+      const start = e.latlng;
+      map.dragging.disable();
+
+      const handleMove = (moveEvent) => {
+        const dLat = moveEvent.latlng.lat - start.lat;
+        const dLon = moveEvent.latlng.lng - start.lng;
+        polygon.setLatLngs(outline.map(([lat, lon]) => [lat + dLat, lon + dLon]));
+        previewEpicenter({ lat: epicenter.lat + dLat, lon: epicenter.lon + dLon });
+      };
+
+      const handleUp = (upEvent) => {
+        map.off('mousemove', handleMove);
+        map.dragging.enable();
+        setDragEpicenter(null);
+        onEpicenterChange({
+          lat: epicenter.lat + (upEvent.latlng.lat - start.lat),
+          lon: epicenter.lon + (upEvent.latlng.lng - start.lng),
+        });
+      };
+
+      map.on('mousemove', handleMove);
+      map.once('mouseup', handleUp);
+    });
+
+    // Rotation handle beyond the end of the top edge
+    const handlePosition = getStrikeHandle(rupture);
+    const handle = L.marker([handlePosition.lat, handlePosition.lon], {
+      icon: L.divIcon({
+        className: 'rupture-handle-marker',
+        html: '<div class="rupture-handle">⟳</div>',
+        iconSize: [22, 22],
+        iconAnchor: [11, 11],
+      }),
+      draggable: true,
+      title: t('map.rotateRupture'),
+    }).addTo(layer);
+
+    handle.on('dragend', () => {
+      const pos = handle.getLatLng();
+      const bearing = calculateBearing(epicenter.lat, epicenter.lon, pos.lat, pos.lng);
+      if (onStrikeChange) {
+        onStrikeChange(Math.round(bearing) % 360);
+      }
+    });
+
+    ruptureLayerRef.current = layer;
+  }, [rupture, epicenter, onEpicenterChange, onStrikeChange, t]);
+
+  // Compute and draw the ShakeMap-style intensity overlay
+  useEffect(() => {
+    if (!mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+
+    const clearOverlay = () => {
+      if (overlayImageRef.current) {
+        map.removeLayer(overlayImageRef.current);
+        overlayImageRef.current = null;
+      }
+      if (contourLayerRef.current) {
+        map.removeLayer(contourLayerRef.current);
+        contourLayerRef.current = null;
+      }
+    };
+
+    // Hazard mode replaces the scenario overlay
+    if (!overlayEnabled || !gridScenario || !viewBounds || hazardReturnPeriod) {
+      clearOverlay();
+      setOverlayProgress(1);
+      return;
+    }
+
+    const bounds = clipToChile(viewBounds);
+    if (!bounds) {
+      clearOverlay();
+      setOverlayProgress(1);
+      return;
+    }
+
+    // Coarser grid while dragging so previews stay quick
+    const spec = createGridSpec(bounds, chooseCellSize(bounds, dragEpicenter ? 50 : 100));
+    const scenario = dragEpicenter
+      ? {
+          ...gridScenario,
+          epicenter: dragEpicenter,
+          rupture: gridScenario.rupture && moveRupturePlane(gridScenario.rupture, dragEpicenter),
+        }
+      : gridScenario;
+
+    const imageBounds = [[spec.latMin, spec.lonMin], [spec.latMax, spec.lonMax]];
+
+    const drawImage = (grid, completedRows) => {
+      const url = renderGridImage(grid, completedRows);
+      if (overlayImageRef.current) {
+        overlayImageRef.current.setUrl(url);
+        overlayImageRef.current.setBounds(L.latLngBounds(imageBounds));
+      } else {
+        overlayImageRef.current = L.imageOverlay(url, imageBounds, {
+          opacity: overlayOpacity,
+          pane: 'intensityPane',
+          interactive: false,
+        }).addTo(map);
+      }
+    };
+
+    const drawContours = (grid) => {
+      if (contourLayerRef.current) {
+        map.removeLayer(contourLayerRef.current);
+      }
+      contourLayerRef.current = createContourLayer(grid).addTo(map);
+    };
+
+    // Tiles stream back from the compute worker; a newer scenario cancels this one
+    setOverlayProgress(0);
+    const cancel = computeGrid(scenario, spec, {
+      onProgress: (grid, completedRows) => {
+        drawImage(grid, completedRows);
+        setOverlayProgress(completedRows / spec.rows);
+      },
+      onComplete: drawContours,
+      onError: (error) => {
+        console.error('Error computing intensity grid:', error);
+        setOverlayProgress(1);
+      },
+    });
+
+    return cancel;
+  }, [gridScenario, dragEpicenter, viewBounds, overlayEnabled, hazardReturnPeriod]);
+
+  // Draw the return-period intensity map in hazard (PSHA) mode; it does not
+  // depend on the scenario, so finished grids are cached per return period
+  useEffect(() => {
+    if (!mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+
+    const clearHazard = () => {
+      if (hazardImageRef.current) {
+        map.removeLayer(hazardImageRef.current);
+        hazardImageRef.current = null;
+      }
+      if (hazardContourRef.current) {
+        map.removeLayer(hazardContourRef.current);
+        hazardContourRef.current = null;
+      }
+    };
+
+    if (!overlayEnabled || !hazardReturnPeriod || hazardZones.length === 0) return;
+
+    if (hazardGridsRef.current.zones !== hazardZones) {
+      hazardGridsRef.current = { zones: hazardZones, grids: new Map() };
+    }
+    const cache = hazardGridsRef.current.grids;
+
+    const spec = createGridSpec(CHILE_BOUNDS, HAZARD_CELL_SIZE);
+    const imageBounds = [[spec.latMin, spec.lonMin], [spec.latMax, spec.lonMax]];
+
+    const drawImage = (grid, completedRows) => {
+      const url = renderGridImage(grid, completedRows);
+      if (hazardImageRef.current) {
+        hazardImageRef.current.setUrl(url);
+      } else {
+        hazardImageRef.current = L.imageOverlay(url, imageBounds, {
+          opacity: overlayOpacity,
+          pane: 'intensityPane',
+          interactive: false,
+        }).addTo(map);
+      }
+    };
+
+    const drawContours = (grid) => {
+      hazardContourRef.current = createContourLayer(
+        grid,
+        (level) => t('map.hazardContour', { level, period: hazardReturnPeriod })
+      ).addTo(map);
+    };
+
+    const cached = cache.get(hazardReturnPeriod);
+    if (cached) {
+      drawImage(cached, spec.rows);
+      drawContours(cached);
+      setOverlayProgress(1);
+      return clearHazard;
+    }
+
+    setOverlayProgress(0);
+    const cancel = computeHazardGrid(hazardZones, hazardReturnPeriod, spec, {
+      onProgress: (grid, completedRows) => {
+        drawImage(grid, completedRows);
+        setOverlayProgress(completedRows / spec.rows);
+      },
+      onComplete: (grid) => {
+        cache.set(hazardReturnPeriod, grid);
+        drawContours(grid);
+      },
+      onError: (error) => {
+        console.error('Error computing hazard map:', error);
+        setOverlayProgress(1);
+      },
+    });
+
+    return () => {
+      cancel();
+      clearHazard();
+    };
+  }, [hazardZones, hazardReturnPeriod, overlayEnabled, t]);
+
+  // Draw tsunami arrival-time isochrones for tsunamigenic scenarios
+  // (the tsunami source changes with every input used here, but not with model or site settings)
+  useEffect(() => {
+    if (!mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+
+    if (isochroneLayerRef.current) {
+      map.removeLayer(isochroneLayerRef.current);
+      isochroneLayerRef.current = null;
+    }
+
+    if (!isochronesEnabled || !tsunamiAvailable) return;
+
+    const spec = createGridSpec(ISOCHRONE_BOUNDS, ISOCHRONE_CELL_SIZE);
+    const grid = computeArrivalTimeGrid(tsunamiSource, gridScenario, spec);
+
+    const layer = L.layerGroup();
+    extractIsochrones(grid, gridScenario.vs30Grid).forEach(isochrone => {
+      L.polyline(isochrone.lines, {
+        color: '#0369a1',
+        weight: 2,
+        dashArray: '6 4',
+        opacity: 0.9,
+        bubblingMouseEvents: false,
+      })
+        .bindTooltip(t('map.tsunamiArrival', { minutes: isochrone.minutes }), { sticky: true })
+        .addTo(layer);
+    });
+
+    isochroneLayerRef.current = layer.addTo(map);
+  }, [tsunamiSource, isochronesEnabled, tsunamiAvailable, t]);
+
+  // Animate aftershocks up to the current time (markers are only added
+  // while the timeline moves forward, and rebuilt when it moves back)
+  useEffect(() => {
+    if (!mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+
+    if (!aftershocks) {
+      if (aftershockLayerRef.current) {
+        map.removeLayer(aftershockLayerRef.current);
+        aftershockLayerRef.current = null;
+      }
+      aftershockMarkersRef.current = [];
+      return;
+    }
+
+    if (!aftershockLayerRef.current || aftershockLayerRef.current.events !== aftershocks) {
+      if (aftershockLayerRef.current) map.removeLayer(aftershockLayerRef.current);
+      aftershockLayerRef.current = L.layerGroup().addTo(map);
+      aftershockLayerRef.current.events = aftershocks;
+      aftershockMarkersRef.current = [];
+    }
+
+    const layer = aftershockLayerRef.current;
+    const markers = aftershockMarkersRef.current;
+
+    // Remove events after the current time (timeline moved back)
+    while (markers.length > 0 && aftershocks[markers.length - 1].time > aftershockTime) {
+      layer.removeLayer(markers.pop());
+    }
+
+    // Add events up to the current time
+    for (let i = markers.length; i < aftershocks.length && aftershocks[i].time <= aftershockTime; i++) {
+      const event = aftershocks[i];
+      const marker = L.circleMarker([event.lat, event.lon], {
+        renderer: aftershockRendererRef.current,
+        radius: aftershockRadius(event.magnitude),
+        weight: 1,
+        color: '#7c2d12',
+        fillOpacity: 0.6,
+        bubblingMouseEvents: false,
+      }).bindTooltip(`M${event.magnitude.toFixed(1)}, ${event.depth.toFixed(0)} km`);
+
+      markers.push(marker.addTo(layer));
+    }
+
+    // Highlight the most recent events; walking back from the newest, stop
+    // at the first marker that was already drawn as old
+    for (let i = markers.length - 1; i >= 0; i--) {
+      const recent = aftershockTime - aftershocks[i].time < RECENT_AFTERSHOCK_DAYS;
+      if (!recent && markers[i].recent === false) break;
+      if (markers[i].recent !== recent) {
+        markers[i].recent = recent;
+        markers[i].setStyle({ fillColor: recent ? '#f97316' : '#fdba74' });
+      }
+    }
+  }, [aftershocks, aftershockTime]);
+
+  // Draw road segments colored by their status
+  useEffect(() => {
+    if (!mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+
+    if (roadLayerRef.current) {
+      map.removeLayer(roadLayerRef.current);
+      roadLayerRef.current = null;
+    }
+
+    if (!roadsEnabled || roadSegments.length === 0) return;
+
+    const nodes = new Map(cities.map(city => [city.city, [city.lat, city.lon]]));
+    const layer = L.layerGroup();
+    roadSegments.forEach(segment => {
+      L.polyline([nodes.get(segment.from), nodes.get(segment.to)], {
+        color: ROAD_STATUS_COLORS[segment.status],
+        weight: segment.status === 'open' ? 3 : 5,
+        opacity: 0.85,
+        bubblingMouseEvents: false,
+      })
+        .bindTooltip(
+          t('map.road', {
+            from: segment.from,
+            to: segment.to,
+            route: segment.route,
+            status: t(`roads.statuses.${segment.status}`),
+            probability: Math.round(segment.probability * 100),
+            bridges: t('roads.bridges', { count: segment.bridges }),
+          }),
+          { sticky: true }
+        )
+        .addTo(layer);
+    });
+
+    roadLayerRef.current = layer.addTo(map);
+  }, [roadSegments, roadsEnabled, cities, t]);
+
+  // Draw critical facilities colored by their status
+  useEffect(() => {
+    if (!mapInstanceRef.current) return;
+
+    const map = mapInstanceRef.current;
+
+    if (facilityLayerRef.current) {
+      map.removeLayer(facilityLayerRef.current);
+      facilityLayerRef.current = null;
+    }
+
+    if (!facilitiesEnabled || facilityResults.length === 0) return;
+
+    const layer = L.layerGroup();
+    facilityResults.forEach(facility => {
+      const type = getFacilityType(facility.type);
+      const status = FACILITY_STATUSES.find(({ id }) => id === facility.status);
+
+      const icon = L.divIcon({
+        className: 'facility-marker',
+        html: `<div class="facility-icon" style="background-color: ${FACILITY_STATUS_COLORS[facility.status]}">${type.icon}</div>`,
+        iconSize: [16, 16],
+        iconAnchor: [8, 8],
+      });
+
+      L.marker([facility.lat, facility.lon], { icon, title: facility.name, bubblingMouseEvents: false })
+        .bindPopup(`
+          <div class="facility-popup">
+            <strong>${facility.name}</strong>
+            ${t(`facilities.types.${facility.type}`)} · ${facility.city}<br>
+            ${t('map.facilityStatus')} <b style="color: ${status.color}">${t(`facilities.statuses.${status.id}`)}</b><br>
+            PGA: ${facility.pga.toFixed(2)} g<br>
+            ${t('map.facilityImpaired', { value: Math.round((facility.probabilities.impaired + facility.probabilities.failed) * 100) })}<br>
+            ${t('map.facilityFailed', { value: Math.round(facility.probabilities.failed * 100) })}<br>
+            ${t('map.facilityServed', { value: formatNumber(facility.service_population) })}
+          </div>
+        `)
+        .addTo(layer);
+    });
+
+    facilityLayerRef.current = layer.addTo(map);
+  }, [facilityResults, facilitiesEnabled, t, formatNumber]);
+
+  // Apply overlay opacity without recomputing
+  useEffect(() => {
+    if (overlayImageRef.current) {
+      overlayImageRef.current.setOpacity(overlayOpacity);
+    }
+    if (hazardImageRef.current) {
+      hazardImageRef.current.setOpacity(overlayOpacity);
+    }
+  }, [overlayOpacity]);
+
+  // Pan to a requested location (e.g. a row clicked in the impact table)
+  useEffect(() => {
+    if (!mapInstanceRef.current || !focusLocation) return;
+    mapInstanceRef.current.panTo([focusLocation.lat, focusLocation.lon]);
+  }, [focusLocation]);
 
   // Update city markers
   useEffect(() => {
@@ -104,8 +683,11 @@ function MapView({ epicenter, cities, selectedCity, onEpicenterChange, onCityCli
     cityMarkersRef.current.forEach(marker => map.removeLayer(marker));
     cityMarkersRef.current = [];
 
+    const resultsByCity = new Map(cityResults.map(result => [result.city, result]));
+
     // Add city markers
     cities.forEach(city => {
+      const result = resultsByCity.get(city.city);
       const isSelected = city.city === selectedCity;
 
       // Create custom icon for cities
@@ -129,8 +711,15 @@ function MapView({ epicenter, cities, selectedCity, onEpicenterChange, onCityCli
       marker.bindPopup(`
         <div class="city-popup">
           <strong>${city.city}</strong><br>
-          Population: ${city.population.toLocaleString()}<br>
-          ${isSelected ? '<em>Analysis Location</em>' : ''}
+          ${t('map.population', { value: formatNumber(city.population) })}<br>
+          ${result ? `${t('map.cityMmi', { level: result.mmi.level, name: t(`mmi.${result.mmi.level}.name`) })}<br>` : ''}
+          ${result ? `${t('map.cityDamage', { value: result.damagePercent.toFixed(1) })}<br>` : ''}
+          ${result?.tsunami ? `${t('map.cityTsunami', {
+            minutes: Math.round(result.tsunami.arrivalMinutes),
+            runUp: result.tsunami.runUp.toFixed(1),
+            category: t(`damage.tsunamiCategories.${result.tsunami.category.severity}.name`),
+          })}<br>` : ''}
+          ${isSelected ? `<em>${t('map.analysisLocation')}</em>` : ''}
         </div>
       `);
 
@@ -143,7 +732,7 @@ function MapView({ epicenter, cities, selectedCity, onEpicenterChange, onCityCli
 
       cityMarkersRef.current.push(marker);
     });
-  }, [cities, selectedCity]);
+  }, [cities, selectedCity, cityResults, t, formatNumber]);
 
   // Add click handler to set epicenter
   useEffect(() => {
@@ -165,9 +754,26 @@ function MapView({ epicenter, cities, selectedCity, onEpicenterChange, onCityCli
   return (
     <div className="map-view">
       <div ref={mapRef} className="map-container"></div>
+      <ShakeMapControls
+        enabled={overlayEnabled}
+        opacity={overlayOpacity}
+        progress={overlayProgress}
+        onEnabledChange={setOverlayEnabled}
+        onOpacityChange={setOverlayOpacity}
+        tsunamiAvailable={tsunamiAvailable}
+        isochronesEnabled={isochronesEnabled}
+        onIsochronesChange={setIsochronesEnabled}
+        facilitiesAvailable={facilityResults.length > 0}
+        facilitiesEnabled={facilitiesEnabled}
+        onFacilitiesChange={setFacilitiesEnabled}
+        roadsAvailable={roadSegments.length > 0}
+        roadsEnabled={roadsEnabled}
+        onRoadsChange={setRoadsEnabled}
+        hazardReturnPeriod={hazardReturnPeriod}
+      />
       <div className="map-instructions">
         <span className="instruction-icon">💡</span>
-        <span>Click on map or drag the red marker to set epicenter location</span>
+        <span>{t('map.instructions')}</span>
       </div>
     </div>
   );
@@ -0,0 +1,190 @@
+import { useMemo } from 'react';
+import {
+  CartesianGrid,
+  ReferenceLine,
+  ResponsiveContainer,
+  Scatter,
+  ScatterChart,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import './ModelDiagnostics.css';
+import { useTranslation } from '../LanguageContext';
+import { compareModels, validateAgainstObservations } from '../utils/modelValidation';
+
+// One color per observed event in the residual plot
+const EVENT_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2'];
+
+function ModelDiagnostics({ events, modelId, siteEffects, finiteFault, vs30Grid }) {
+  const { t } = useTranslation();
+  const options = useMemo(
+    () => ({ modelId, siteEffects, finiteFault, vs30Grid }),
+    [modelId, siteEffects, finiteFault, vs30Grid]
+  );
+
+  const validation = useMemo(
+    () => validateAgainstObservations(events, options),
+    [events, options]
+  );
+
+  // Overall fit of every model with the same site/fault settings
+  const modelComparison = useMemo(
+    () => compareModels(events, options),
+    [events, options]
+  );
+
+  const formatStat = (value, signed = false) => {
+    if (value === null) return '—';
+    return `${signed && value > 0 ? '+' : ''}${value.toFixed(2)}`;
+  };
+
+  if (events.length === 0) return null;
+
+  const { overall, byEvent, byDistance, residuals } = validation;
+
+  return (
+    <div className="model-diagnostics card">
+      <h2>{t('diagnostics.title')}</h2>
+      <p className="diagnostics-intro">
+        {t('diagnostics.intro', {
+          count: overall.count,
+          events: events.length,
+          source: t(finiteFault ? 'diagnostics.finiteFault' : 'diagnostics.pointSource'),
+        })}
+      </p>
+
+      <div className="diagnostics-summary">
+        <div className="summary-item">
+          <span className="summary-label">{t('diagnostics.bias')}</span>
+          <span className="summary-value">{formatStat(overall.bias, true)}</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-label">{t('diagnostics.rmse')}</span>
+          <span className="summary-value">{formatStat(overall.rmse)}</span>
+        </div>
+        <div className="summary-item">
+          <span className="summary-label">{t('diagnostics.stdDev')}</span>
+          <span className="summary-value">{formatStat(overall.stdDev)}</span>
+        </div>
+      </div>
+
+      <div className="residual-plot">
+        <ResponsiveContainer width="100%" height={200}>
+          <ScatterChart margin={{ top: 10, right: 10, bottom: 20, left: -10 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              type="number"
+              dataKey="distance"
+              name={t('diagnostics.distance')}
+              unit=" km"
+              scale="log"
+              domain={[10, 'auto']}
+              allowDataOverflow
+              tick={{ fontSize: 11 }}
+              label={{ value: t('diagnostics.ruptureDistance'), position: 'bottom', offset: 0, fontSize: 11 }}
+            />
+            <YAxis
+              type="number"
+              dataKey="residual"
+              name={t('diagnostics.residual')}
+              domain={[-4, 4]}
+              allowDataOverflow
+              tick={{ fontSize: 11 }}
+            />
+            <ReferenceLine y={0} stroke="#64748b" />
+            <Tooltip
+              cursor={{ strokeDasharray: '3 3' }}
+              formatter={(value, name, entry) => (typeof value === 'number' ? value.toFixed(entry.dataKey === 'residual' ? 2 : 0) : value)}
+              labelFormatter={() => ''}
+            />
+            {byEvent.map((event, index) => (
+              <Scatter
+                key={event.id}
+                name={event.name}
+                data={residuals.filter(r => r.eventId === event.id)}
+                fill={EVENT_COLORS[index % EVENT_COLORS.length]}
+              />
+            ))}
+          </ScatterChart>
+        </ResponsiveContainer>
+        <div className="plot-legend">
+          {byEvent.map((event, index) => (
+            <span key={event.id}>
+              <span
+                className="legend-dot"
+                style={{ backgroundColor: EVENT_COLORS[index % EVENT_COLORS.length] }}
+              />
+              {event.name.replace(' Earthquake', '')}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <table className="diagnostics-table">
+        <thead>
+          <tr>
+            <th>{t('diagnostics.event')}</th>
+            <th>{t('diagnostics.count')}</th>
+            <th>{t('diagnostics.bias')}</th>
+            <th>{t('diagnostics.rmse')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {byEvent.map(event => (
+            <tr key={event.id}>
+              <td>{event.name.replace(' Earthquake', '')}</td>
+              <td>{event.count}</td>
+              <td>{formatStat(event.bias, true)}</td>
+              <td>{formatStat(event.rmse)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <table className="diagnostics-table">
+        <thead>
+          <tr>
+            <th>{t('diagnostics.distance')}</th>
+            <th>{t('diagnostics.count')}</th>
+            <th>{t('diagnostics.bias')}</th>
+            <th>{t('diagnostics.rmse')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {byDistance.map(bin => (
+            <tr key={bin.label}>
+              <td>{bin.label}</td>
+              <td>{bin.count}</td>
+              <td>{formatStat(bin.bias, true)}</td>
+              <td>{formatStat(bin.rmse)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <table className="diagnostics-table">
+        <thead>
+          <tr>
+            <th>{t('diagnostics.model')}</th>
+            <th>{t('diagnostics.bias')}</th>
+            <th>{t('diagnostics.rmse')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {modelComparison.map(model => (
+            <tr key={model.id} className={model.id === modelId ? 'active-model' : ''}>
+              <td>{model.name}</td>
+              <td>{formatStat(model.bias, true)}</td>
+              <td>{formatStat(model.rmse)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <p className="diagnostics-note">{t('diagnostics.note')}</p>
+    </div>
+  );
+}
+
+export default ModelDiagnostics;
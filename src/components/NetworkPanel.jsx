@@ -0,0 +1,102 @@
+import './NetworkPanel.css';
+import { useTranslation } from '../LanguageContext';
+import { ROAD_STATUSES } from '../utils/networkModel';
+
+function NetworkPanel({ segments, connectivity, hub, onCitySelect }) {
+  const { t, formatNumber } = useTranslation();
+
+  const counts = Object.fromEntries(ROAD_STATUSES.map(({ id }) => [id, 0]));
+  segments.forEach(segment => {
+    counts[segment.status] += 1;
+  });
+
+  const closed = segments
+    .filter(segment => segment.status === 'closed')
+    .sort((a, b) => b.probability - a.probability);
+
+  const isolatedPopulation = connectivity.isolated.reduce((sum, city) => sum + city.population, 0);
+
+  return (
+    <div className="network-panel card">
+      <h2>{t('roads.title')}</h2>
+
+      {/* Segment count by status */}
+      <div className="network-counts">
+        {ROAD_STATUSES.map(status => (
+          <div key={status.id} className="network-count" style={{ borderTopColor: status.color }}>
+            <span className="network-count-value">{counts[status.id]}</span>
+            <span className="network-count-label">{t(`roads.statuses.${status.id}`)}</span>
+          </div>
+        ))}
+      </div>
+
+      {closed.length > 0 && (
+        <>
+          <h3>{t('roads.closedSegments', { count: closed.length })}</h3>
+          <ul className="network-list">
+            {closed.map(segment => (
+              <li key={segment.id}>
+                <span className="network-name">
+                  {segment.from} – {segment.to}
+                  <small>
+                    {t('roads.segmentDetail', {
+                      route: segment.route,
+                      pga: segment.pga.toFixed(2),
+                      bridges: t('roads.bridges', { count: segment.bridges }),
+                    })}
+                  </small>
+                </span>
+                <span className="network-value">{Math.round(segment.probability * 100)}%</span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {/* Towns cut off from the hub */}
+      <h3>{t('roads.isolated', { hub, count: connectivity.isolated.length })}</h3>
+      {connectivity.isolated.length === 0 ? (
+        <p className="network-none">{t('roads.noneIsolated', { hub })}</p>
+      ) : (
+        <>
+          <ul className="network-list">
+            {connectivity.isolated.map(city => (
+              <li key={city.city} className="clickable" onClick={() => onCitySelect(city.city)}>
+                <span className="network-name">{city.city}</span>
+                <span className="network-value">{formatNumber(city.population)}</span>
+              </li>
+            ))}
+          </ul>
+          <p className="network-total">{t('roads.cutOff', { count: formatNumber(isolatedPopulation) })}</p>
+        </>
+      )}
+
+      {/* Towns without a reachable hospital */}
+      <h3>{t('roads.hospitalAccess', { count: connectivity.hospitalAccessLost.length })}</h3>
+      {connectivity.hospitalAccessLost.length === 0 ? (
+        <p className="network-none">{t('roads.noneHospital')}</p>
+      ) : (
+        <ul className="network-list">
+          {connectivity.hospitalAccessLost.map(city => (
+            <li key={city.city} className="clickable" onClick={() => onCitySelect(city.city)}>
+              <span className="network-name">
+                {city.city}
+                <small>
+                  {t('roads.nearestBefore', {
+                    city: city.hospitalIntact.city,
+                    distance: city.hospitalIntact.distance.toFixed(0),
+                  })}
+                </small>
+              </span>
+              <span className="network-value">{formatNumber(city.population)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="network-note">{t('roads.note')}</p>
+    </div>
+  );
+}
+
+export default NetworkPanel;
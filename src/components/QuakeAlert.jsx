@@ -0,0 +1,57 @@
+import './QuakeAlert.css';
+import { useTranslation } from '../LanguageContext';
+import { getLocale } from '../utils/i18n';
+
+function QuakeAlert({ event, impact, onCitySelect, onDismiss }) {
+  const { language, t, formatNumber } = useTranslation();
+
+  const time = event.time
+    ? new Date(event.time).toLocaleString(getLocale(language), { dateStyle: 'short', timeStyle: 'short' })
+    : '—';
+  const magnitude = Number.isFinite(event.mw) ? event.mw.toFixed(1) : '?';
+
+  return (
+    <div className={`quake-alert ${impact ? '' : 'invalid'}`} role="alert">
+      <div className="quake-alert-body">
+        <strong>{t('alert.title')}</strong>
+        <span>
+          {t('alert.summary', { magnitude, place: event.name, time })}
+          {' · '}
+          {event.depthIsDefault
+            ? t('alert.defaultDepth', { depth: event.depthKm })
+            : t('alert.depth', { depth: event.depthKm })}
+        </span>
+
+        {impact ? (
+          <div className="quake-alert-impact">
+            <span>{t('alert.estimated')}</span>
+            {impact.cities.map(city => (
+              <button
+                key={city.city}
+                type="button"
+                style={{ borderColor: city.mmi.color }}
+                onClick={() => onCitySelect(city.city)}
+              >
+                {t('alert.city', { city: city.city, distance: city.distance.toFixed(0), mmi: city.mmi.level })}
+                {city.affectedPop.affected > 0 && (
+                  <small>{t('alert.affected', { count: formatNumber(city.affectedPop.affected) })}</small>
+                )}
+              </button>
+            ))}
+            {impact.tsunamigenic && <span className="quake-alert-tsunami">🌊 {t('alert.tsunami')}</span>}
+            {impact.source.adjusted.length > 0 && (
+              <span className="quake-alert-adjusted">
+                {t('alert.adjusted', { magnitude: impact.source.magnitude.toFixed(1), depth: impact.source.depth })}
+              </span>
+            )}
+          </div>
+        ) : (
+          <span>{t('alert.invalid', { issues: event.issues.join('; ') })}</span>
+        )}
+      </div>
+      <button className="quake-alert-dismiss" onClick={onDismiss} aria-label={t('app.dismiss')}>×</button>
+    </div>
+  );
+}
+
+export default QuakeAlert;
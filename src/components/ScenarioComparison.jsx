@@ -0,0 +1,221 @@
+import { Fragment, useCallback, useMemo, useState } from 'react';
+import './ScenarioComparison.css';
+import ComparisonMap from './ComparisonMap';
+import { getMMILevel } from '../utils/mmiScale';
+import { summarizeCityResults } from '../utils/scenarioResults';
+import { formatMoney } from '../utils/lossModel';
+import {
+  INTENSITY_DIFFERENCE_LEGEND,
+  compareCityResults,
+  computeIntensityDifference,
+  getIntensityDifferenceColor,
+} from '../utils/scenarioComparison';
+import { getIntensityOverlayColor } from '../utils/gridImage';
+import { useTranslation } from '../LanguageContext';
+
+// Initial zoom of the twin maps
+const INITIAL_ZOOM = 5;
+
+function ScenarioComparison({ pinned, onCitySelect, onClose }) {
+  const { language, t, formatNumber } = useTranslation();
+  const [baseline] = pinned;
+  const [targetId, setTargetId] = useState(pinned[1].id);
+  const [view, setView] = useState({
+    center: [baseline.settings.epicenter.lat, baseline.settings.epicenter.lon],
+    zoom: INITIAL_ZOOM,
+  });
+
+  // Fall back to the second scenario when the selected one is unpinned
+  const target = pinned.find(pin => pin.id === targetId && pin !== baseline) || pinned[1];
+
+  const scenarioName = (index) => (
+    index === 0 ? t('compare.baseline') : t('compare.scenario', { number: index + 1 })
+  );
+
+  const formatDelta = (value, digits) => {
+    const rounded = value.toFixed(digits);
+    if (Number(rounded) === 0) return '±0';
+    return value > 0 ? `+${rounded}` : rounded;
+  };
+
+  // Highlight cities that shake harder (or less) than in the baseline
+  const deltaClass = (delta) => {
+    if (delta > 0) return 'worse';
+    if (delta < 0) return 'better';
+    return '';
+  };
+
+  const rows = useMemo(() => compareCityResults(pinned.map(pin => pin.cityResults)), [pinned]);
+  const totals = useMemo(() => pinned.map(pin => summarizeCityResults(pin.cityResults).national), [pinned]);
+
+  const difference = useMemo(
+    () => (baseline.grid && target.grid ? computeIntensityDifference(baseline.grid, target.grid) : null),
+    [baseline, target]
+  );
+
+  // Stable source arrays so the maps only redraw when pins change
+  const sources = useMemo(() => pinned.map(pin => ({
+    epicenters: [pin.settings.epicenter],
+    ruptures: [pin.scenario.rupture],
+  })), [pinned]);
+  const differenceSources = useMemo(() => ({
+    epicenters: [baseline.settings.epicenter, target.settings.epicenter],
+    ruptures: [baseline.scenario.rupture, target.scenario.rupture],
+  }), [baseline, target]);
+
+  // Ignore echoes of the view a map was just moved to
+  const handleViewChange = useCallback((next) => {
+    setView(current => (
+      current.zoom === next.zoom && current.center[0] === next.center[0] && current.center[1] === next.center[1]
+        ? current
+        : next
+    ));
+  }, []);
+
+  return (
+    <div className="scenario-comparison card">
+      <div className="comparison-header">
+        <h2>{t('compare.comparisonTitle')}</h2>
+        <button className="comparison-close" onClick={onClose}>{t('compare.back')}</button>
+      </div>
+
+      {/* Twin maps and difference overlay */}
+      <div className="comparison-maps">
+        {pinned.map((pin, index) => (
+          <ComparisonMap
+            key={pin.id}
+            title={`${scenarioName(index)}: ${pin.label}`}
+            subtitle={pin.details}
+            epicenters={sources[index].epicenters}
+            ruptures={sources[index].ruptures}
+            grid={pin.grid}
+            error={pin.gridError}
+            getColor={getIntensityOverlayColor}
+            view={view}
+            onViewChange={handleViewChange}
+          />
+        ))}
+        <ComparisonMap
+          key={`difference-${target.id}`}
+          title={t('compare.difference', { label: target.label })}
+          subtitle={t('compare.differenceSubtitle', { label: baseline.label })}
+          epicenters={differenceSources.epicenters}
+          ruptures={differenceSources.ruptures}
+          grid={difference}
+          error={baseline.gridError || target.gridError}
+          getColor={getIntensityDifferenceColor}
+          view={view}
+          onViewChange={handleViewChange}
+        />
+      </div>
+
+      <div className="comparison-options">
+        {pinned.length > 2 && (
+          <label htmlFor="comparison-target">
+            {t('compare.differenceMap')}
+            <select
+              id="comparison-target"
+              value={target.id}
+              onChange={(e) => setTargetId(Number(e.target.value))}
+            >
+              {pinned.slice(1).map(pin => (
+                <option key={pin.id} value={pin.id}>{pin.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <div className="difference-legend">
+          {INTENSITY_DIFFERENCE_LEGEND.map(step => (
+            <div key={step.label} className="legend-item">
+              <span
+                className="legend-swatch"
+                style={{ backgroundColor: step.color || 'transparent' }}
+              ></span>
+              <span className="legend-label">{step.label}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* National totals */}
+      <h3>{t('compare.nationalTotals')}</h3>
+      <div className="comparison-table-wrapper">
+        <table className="comparison-table">
+          <thead>
+            <tr>
+              <th>{t('compare.columns.scenario')}</th>
+              <th>{t('compare.columns.affected')}</th>
+              <th>{t('compare.columns.displaced')}</th>
+              <th>{t('compare.columns.deaths')}</th>
+              <th>{t('compare.columns.losses')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pinned.map((pin, index) => (
+              <tr key={pin.id}>
+                <td>{pin.label}</td>
+                <td>{formatNumber(totals[index].affected)}</td>
+                <td>{formatNumber(totals[index].displaced)}</td>
+                <td>{formatNumber(totals[index].casualties.deaths.medium)}</td>
+                <td>{pin.cityResults[0]?.losses ? formatMoney(totals[index].losses.total, 'USD', language) : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Per-city deltas */}
+      <h3>{t('compare.changeByCity')}</h3>
+      <div className="comparison-table-wrapper tall">
+        <table className="comparison-table">
+          <thead>
+            <tr>
+              <th rowSpan={2}>{t('compare.columns.city')}</th>
+              {pinned.map((pin, index) => (
+                <th key={pin.id} colSpan={2} className="scenario-column">
+                  {scenarioName(index)}
+                </th>
+              ))}
+            </tr>
+            <tr>
+              {pinned.map(pin => (
+                <Fragment key={pin.id}>
+                  <th>{t('compare.columns.mmi')}</th>
+                  <th>{t('compare.columns.damage')}</th>
+                </Fragment>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.city} onClick={() => onCitySelect(row.city)}>
+                <td className="city-cell">{row.city}</td>
+                {row.scenarios.map((entry, index) => (
+                  <Fragment key={entry.scenarioId}>
+                    {index === 0 ? (
+                      <>
+                        <td>{getMMILevel(entry.intensity)} <small>{entry.intensity.toFixed(1)}</small></td>
+                        <td>{entry.damage.toFixed(1)}%</td>
+                      </>
+                    ) : (
+                      <>
+                        <td className={deltaClass(entry.intensityDelta)}>
+                          {getMMILevel(entry.intensity)} <small>{formatDelta(entry.intensityDelta, 1)}</small>
+                        </td>
+                        <td className={deltaClass(entry.damageDelta)}>
+                          {formatDelta(entry.damageDelta, 1)}
+                        </td>
+                      </>
+                    )}
+                  </Fragment>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default ScenarioComparison;
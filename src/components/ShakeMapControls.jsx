@@ -0,0 +1,143 @@
+import './ShakeMapControls.css';
+import { useTranslation } from '../LanguageContext';
+import { getMMIScale } from '../utils/mmiScale';
+import { FACILITY_STATUSES } from '../utils/facilityModel';
+import { ROAD_STATUSES } from '../utils/networkModel';
+
+function ShakeMapControls({
+  enabled,
+  opacity,
+  progress,
+  onEnabledChange,
+  onOpacityChange,
+  tsunamiAvailable,
+  isochronesEnabled,
+  onIsochronesChange,
+  facilitiesAvailable,
+  facilitiesEnabled,
+  onFacilitiesChange,
+  roadsAvailable,
+  roadsEnabled,
+  onRoadsChange,
+  hazardReturnPeriod,
+}) {
+  const { t } = useTranslation();
+
+  // Legend from MMI II upwards (MMI I is left transparent on the map)
+  const legendLevels = getMMIScale().filter(level => level.numericLevel >= 2 && level.numericLevel <= 10);
+
+  return (
+    <div className="shakemap-controls">
+      <label className="shakemap-toggle" htmlFor="shakemap-toggle">
+        <input
+          id="shakemap-toggle"
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onEnabledChange(e.target.checked)}
+        />
+        {t('shakeMap.overlay')}
+      </label>
+
+      {enabled && (
+        <>
+          {hazardReturnPeriod && (
+            <div className="hazard-caption">
+              {t('shakeMap.hazardCaption', { period: hazardReturnPeriod })}
+            </div>
+          )}
+
+          <div className="shakemap-opacity">
+            <label htmlFor="shakemap-opacity">
+              {t('shakeMap.opacity')}
+              <span>{Math.round(opacity * 100)}%</span>
+            </label>
+            <input
+              id="shakemap-opacity"
+              type="range"
+              min="0.1"
+              max="1"
+              step="0.05"
+              value={opacity}
+              onChange={(e) => onOpacityChange(parseFloat(e.target.value))}
+            />
+          </div>
+
+          <div className="shakemap-legend">
+            {legendLevels.map(level => (
+              <div key={level.level} className="legend-item" title={t(`mmi.${level.level}.name`)}>
+                <span className="legend-swatch" style={{ backgroundColor: level.color }}></span>
+                <span className="legend-label">{level.level}</span>
+              </div>
+            ))}
+          </div>
+
+          {progress < 1 && (
+            <div className="shakemap-progress">
+              <div className="shakemap-progress-fill" style={{ width: `${progress * 100}%` }}></div>
+            </div>
+          )}
+        </>
+      )}
+
+      {tsunamiAvailable && (
+        <label className="shakemap-toggle tsunami-toggle" htmlFor="isochrones-toggle">
+          <input
+            id="isochrones-toggle"
+            type="checkbox"
+            checked={isochronesEnabled}
+            onChange={(e) => onIsochronesChange(e.target.checked)}
+          />
+          {t('shakeMap.isochrones')}
+        </label>
+      )}
+
+      {facilitiesAvailable && (
+        <label className="shakemap-toggle layer-toggle" htmlFor="facilities-toggle">
+          <input
+            id="facilities-toggle"
+            type="checkbox"
+            checked={facilitiesEnabled}
+            onChange={(e) => onFacilitiesChange(e.target.checked)}
+          />
+          {t('shakeMap.facilities')}
+        </label>
+      )}
+
+      {facilitiesAvailable && facilitiesEnabled && (
+        <div className="shakemap-legend">
+          {FACILITY_STATUSES.map(status => (
+            <div key={status.id} className="legend-item">
+              <span className="legend-swatch" style={{ backgroundColor: status.color }}></span>
+              <span className="legend-label">{t(`facilities.statuses.${status.id}`)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {roadsAvailable && (
+        <label className="shakemap-toggle layer-toggle" htmlFor="roads-toggle">
+          <input
+            id="roads-toggle"
+            type="checkbox"
+            checked={roadsEnabled}
+            onChange={(e) => onRoadsChange(e.target.checked)}
+          />
+          {t('shakeMap.roads')}
+        </label>
+      )}
+
+      {roadsAvailable && roadsEnabled && (
+        <div className="shakemap-legend">
+          {ROAD_STATUSES.map(status => (
+            <div key={status.id} className="legend-item">
+              <span className="legend-line" style={{ backgroundColor: status.color }}></span>
+              <span className="legend-label">{t(`roads.statuses.${status.id}`)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ShakeMapControls;
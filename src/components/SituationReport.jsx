@@ -0,0 +1,182 @@
+import { createPortal } from 'react-dom';
+import './SituationReport.css';
+import { useTranslation } from '../LanguageContext';
+import { getLocale } from '../utils/i18n';
+import { formatMoney, toCLP } from '../utils/lossModel';
+import { getMMIScale } from '../utils/mmiScale';
+
+// MMI levels shown in the map legend
+const LEGEND_LEVELS = ['II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+
+// Print-only report, rendered outside the app so it can be printed on its own
+function SituationReport({ report, mapImage, usdToClp, onReady, onFailed }) {
+  const { language, t, formatNumber } = useTranslation();
+  const { settings, peak, national, cities } = report;
+
+  const money = (usd) => {
+    const clp = usdToClp ? ` (${formatMoney(toCLP(usd, usdToClp), 'CLP', language)})` : '';
+    return `${formatMoney(usd, 'USD', language)}${clp}`;
+  };
+
+  // Format a low/medium/high estimate
+  const formatRange = (range) => t('report.range', {
+    low: formatNumber(range.low),
+    high: formatNumber(range.high),
+    medium: formatNumber(range.medium),
+  });
+
+  const degrees = (value) => formatNumber(Math.abs(value), { maximumFractionDigits: 2 });
+
+  const parameters = [
+    [t('controls.magnitude'), `M${settings.magnitude.toFixed(1)}`],
+    [t('controls.depth'), `${settings.depth} km`],
+    [t('report.epicenter'), t('report.coordinates', { lat: degrees(settings.epicenter.lat), lon: degrees(settings.epicenter.lon) })],
+    [
+      t('report.source'),
+      settings.faultEnabled
+        ? t('report.finiteFault', { strike: settings.strike, dip: settings.dip })
+        : t('compare.pointSource'),
+    ],
+    [t('controls.model'), `${report.model.name} (${report.model.reference})`],
+    [t('report.site'), t(settings.siteEffects ? 'report.siteEffects' : 'report.rock')],
+    [t('controls.timeOfDay'), t(`timesOfDay.${settings.timeOfDay}.name`)],
+  ];
+
+  const legend = getMMIScale().filter(level => LEGEND_LEVELS.includes(level.level));
+
+  return createPortal(
+    <div className="situation-report">
+      <header className="report-header">
+        <div className="report-drill">{t('report.drill')}</div>
+        <h1>{t('report.title')}</h1>
+        <p className="report-generated">
+          {t('report.generated', {
+            time: new Date(report.generatedAt).toLocaleString(getLocale(language), { dateStyle: 'long', timeStyle: 'short' }),
+          })}
+        </p>
+      </header>
+
+      <section className="report-section">
+        <h2>{t('report.scenario')}</h2>
+        <dl className="report-parameters">
+          {parameters.map(([label, value]) => (
+            <div key={label}>
+              <dt>{label}</dt>
+              <dd>{value}</dd>
+            </div>
+          ))}
+        </dl>
+      </section>
+
+      <section className="report-section">
+        <h2>{t('report.map')}</h2>
+        <img className="report-map" src={mapImage} alt={t('report.map')} onLoad={onReady} onError={onFailed} />
+        <div className="report-legend">
+          {legend.map(level => (
+            <span key={level.level} className="report-legend-entry">
+              <span className="report-swatch" style={{ backgroundColor: level.color }}></span>
+              {level.level}
+            </span>
+          ))}
+          <span className="report-legend-entry">
+            <span className="report-epicenter">✕</span>
+            {t('report.epicenter')}
+          </span>
+          {settings.faultEnabled && (
+            <span className="report-legend-entry">
+              <span className="report-rupture"></span>
+              {t('report.rupture')}
+            </span>
+          )}
+        </div>
+      </section>
+
+      {peak && (
+        <section className="report-section">
+          <h2>{t('report.shaking')}</h2>
+          <p className="report-peak">
+            {t('report.peak', {
+              level: peak.mmi.level,
+              name: t(`mmi.${peak.mmi.level}.name`),
+              city: peak.city,
+              distance: formatNumber(Math.round(peak.distance)),
+            })}
+          </p>
+          <p>{t(`mmi.${peak.mmi.level}.description`)}</p>
+          <div className="report-category" style={{ borderLeftColor: peak.damageCategory.color }}>
+            <strong>
+              {t('report.damageCategory', {
+                category: t(`damage.categories.${peak.damageCategory.severity}.name`),
+                percent: peak.damagePercent.toFixed(0),
+              })}
+            </strong>
+            <span>{t(`damage.categories.${peak.damageCategory.severity}.description`)}</span>
+          </div>
+        </section>
+      )}
+
+      <section className="report-section">
+        <h2>{t('report.impact')}</h2>
+        <table className="report-table report-totals">
+          <tbody>
+            <tr><th>{t('cityTable.totals.affected')}</th><td>{formatNumber(national.affected)}</td></tr>
+            <tr><th>{t('cityTable.totals.displaced')}</th><td>{formatNumber(national.displaced)}</td></tr>
+            <tr><th>{t('cityTable.totals.deaths')}</th><td>{formatRange(national.casualties.deaths)}</td></tr>
+            <tr><th>{t('cityTable.totals.seriousInjuries')}</th><td>{formatRange(national.casualties.seriousInjuries)}</td></tr>
+            <tr><th>{t('cityTable.totals.minorInjuries')}</th><td>{formatRange(national.casualties.minorInjuries)}</td></tr>
+            {report.hasLosses && (
+              <tr><th>{t('cityTable.totals.losses')}</th><td>{money(national.losses.total)}</td></tr>
+            )}
+          </tbody>
+        </table>
+        <p className="report-note">{t('report.impactNote', { count: national.cities })}</p>
+      </section>
+
+      <section className="report-section">
+        <h2>{t('report.cities', { count: cities.length })}</h2>
+        <table className="report-table">
+          <thead>
+            <tr>
+              <th>{t('cityTable.columns.city')}</th>
+              <th>{t('cityTable.columns.intensity')}</th>
+              <th>{t('cityTable.columns.damage')}</th>
+              <th>{t('cityTable.columns.affected')}</th>
+              <th>{t('cityTable.columns.displaced')}</th>
+              <th>{t('cityTable.columns.deaths')}</th>
+              {report.hasLosses && <th>{t('cityTable.columns.losses')}</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {cities.map(city => (
+              <tr key={city.city}>
+                <td>
+                  {city.city}
+                  {city.region && <small>{city.region}</small>}
+                </td>
+                <td>{city.mmi.level}</td>
+                <td>
+                  {city.damagePercent.toFixed(0)}%
+                  <small>{t(`damage.categories.${city.damageCategory.severity}.name`)}</small>
+                </td>
+                <td>{formatNumber(city.affected)}</td>
+                <td>{formatNumber(city.displaced)}</td>
+                <td>{formatNumber(city.deaths.low)}–{formatNumber(city.deaths.high)}</td>
+                {report.hasLosses && <td>{city.loss === null ? '—' : formatMoney(city.loss, 'USD', language)}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="report-section">
+        <h2>{t('report.limitations')}</h2>
+        <p>{t('report.limitationsText')}</p>
+      </section>
+
+      <footer className="report-footer">{t('report.footer')}</footer>
+    </div>,
+    document.body
+  );
+}
+
+export default SituationReport;
@@ -1,88 +1,1217 @@
-export const translations = {
+/**
+ * Interface strings by language
+ * 
+ * Both bundles must define the same keys (i18n.test.js checks this with
+ * findMissingKeys). Placeholders in braces are filled in by translate();
+ * entries with "one"/"other" forms are plurals selected by {count}.
+ */
+
+const es = {
+  // App header
+  app: {
+    title: "Simulador de Terremotos en Chile",
+    subtitle: "Simulación interactiva del impacto de terremotos en Chile",
+    loading: "Cargando Simulador de Terremotos en Chile...",
+    language: "Idioma",
+    urlWarning: "Algunos parámetros del enlace no eran válidos y se ignoraron: {errors}",
+    unknownCity: "ciudad desconocida: {city}",
+    loadWarning: "No se pudieron cargar algunos datos; las funciones que los usan no estarán disponibles: {errors}",
+    datasets: {
+      cities: "Ciudades",
+      historicalQuakes: "Sismos históricos",
+      vs30Grid: "Grilla de Vs30",
+      observedIntensities: "Intensidades observadas",
+      seismicSources: "Zonas fuente sísmicas",
+      buildingInventory: "Inventario de edificaciones",
+      economicExposure: "Exposición económica",
+      criticalFacilities: "Infraestructura crítica",
+      roadNetwork: "Red vial",
+    },
+    dismiss: "Cerrar",
+    analysisCity: "Ciudad de Análisis:",
+  },
+
+  // Control Panel
+  controls: {
+    title: "Parámetros de Simulación",
+    magnitude: "Magnitud (Mw)",
+    depth: "Profundidad",
+    model: "Modelo de Atenuación",
+    samples: "Muestras de Incertidumbre",
+    samplesHint: "Muestras Monte Carlo de la dispersión del modelo y de la curva de daño (bandas de percentil 16–84)",
+    timeOfDay: "Hora del Día",
+    timeOfDayHint: "{description} (define dónde están las personas para estimar víctimas)",
+    siteEffects: "Amplificación de sitio (Vs30)",
+    finiteFault: "Ruptura de falla finita",
+    strike: "Rumbo",
+    dip: "Manteo",
+    ruptureHint: "Tamaño de la ruptura según la magnitud (Strasser et al. 2010). Arrastra el rectángulo o su manilla en el mapa.",
+    quickScenarios: "Escenarios Rápidos",
+    presets: {
+      maule: "Maule 2010",
+      valdivia: "Valdivia 1960",
+      moderate: "Moderado",
+    },
+
+    // Magnitude descriptions
+    magnitudeDescriptions: {
+      minor: "Terremoto menor",
+      light: "Terremoto ligero",
+      moderate: "Terremoto moderado",
+      strong: "Terremoto fuerte",
+      major: "Terremoto mayor",
+      great: "Gran terremoto",
+      massive: "Terremoto masivo",
+    },
+
+    // Depth descriptions
+    depthDescriptions: {
+      shallow: "Superficial (mayor intensidad en superficie)",
+      intermediate: "Profundidad intermedia",
+      deep: "Profundo (menor intensidad superficial)",
+      veryDeep: "Muy profundo",
+    },
+  },
+
+  // Occupancy scenarios of the casualty model
+  timesOfDay: {
+    night: { name: "Noche (2:00)", description: "Casi todos en casa" },
+    day: { name: "Día (14:00)", description: "Horario laboral y escolar" },
+    commute: { name: "Hora punta (17:00)", description: "Mucha gente en calles y transporte" },
+  },
+
+  // Modified Mercalli scale
+  mmi: {
+    I: {
+      name: "No sentido",
+      shaking: "No sentido",
+      damage: "Ninguno",
+      description: "No sentido salvo por muy pocas personas en condiciones especialmente favorables.",
+    },
+    II: {
+      name: "Débil",
+      shaking: "Débil",
+      damage: "Ninguno",
+      description: "Sentido solo por algunas personas en reposo, especialmente en pisos altos.",
+    },
+    III: {
+      name: "Débil",
+      shaking: "Débil",
+      damage: "Ninguno",
+      description: "Sentido claramente en interiores. Muchas personas no lo reconocen como sismo. Los autos detenidos pueden balancearse levemente.",
+    },
+    IV: {
+      name: "Ligero",
+      shaking: "Ligero",
+      damage: "Ninguno",
+      description: "Sentido en interiores por muchos, en exteriores por pocos. Sensación como de un camión pesado golpeando el edificio. Vajilla, ventanas y puertas se agitan.",
+    },
+    V: {
+      name: "Moderado",
+      shaking: "Moderado",
+      damage: "Muy ligero",
+      description: "Sentido por casi todos; muchos despiertan. Se rompe algo de vajilla y ventanas. Objetos inestables se vuelcan.",
+    },
+    VI: {
+      name: "Fuerte",
+      shaking: "Fuerte",
+      damage: "Ligero",
+      description: "Sentido por todos, muchos se asustan. Algunos muebles pesados se desplazan; caída ocasional de estuco. Daño leve.",
+    },
+    VII: {
+      name: "Muy fuerte",
+      shaking: "Muy fuerte",
+      damage: "Moderado",
+      description: "Daño despreciable en edificios de buen diseño y construcción; leve a moderado en estructuras comunes bien construidas; considerable en estructuras mal construidas o mal diseñadas.",
+    },
+    VIII: {
+      name: "Severo",
+      shaking: "Severo",
+      damage: "Moderado a fuerte",
+      description: "Daño leve en estructuras especialmente diseñadas; considerable en edificios comunes sólidos, con colapso parcial. Daño grande en estructuras mal construidas. Muebles pesados volcados.",
+    },
+    IX: {
+      name: "Violento",
+      shaking: "Violento",
+      damage: "Fuerte",
+      description: "Daño considerable en estructuras especialmente diseñadas; marcos bien diseñados se desaploman. Edificios desplazados de sus cimientos. Grietas notorias en el suelo.",
+    },
+    X: {
+      name: "Extremo",
+      shaking: "Extremo",
+      damage: "Muy fuerte",
+      description: "Algunas estructuras de madera bien construidas se destruyen; la mayoría de las estructuras de albañilería y marcos se destruyen junto con sus cimientos. Rieles doblados.",
+    },
+    XI: {
+      name: "Extremo",
+      shaking: "Extremo",
+      damage: "Muy fuerte",
+      description: "Pocas estructuras, si alguna, quedan en pie. Puentes destruidos. Rieles muy doblados.",
+    },
+    XII: {
+      name: "Extremo",
+      shaking: "Extremo",
+      damage: "Muy fuerte",
+      description: "Daño total. Se ven ondas en la superficie del suelo. Objetos lanzados al aire.",
+    },
+  },
+
+  // Intensity Display
+  intensity: {
+    title: "Intensidad del Movimiento Sísmico",
+    distanceFromEpicenter: "Distancia desde el epicentro:",
+    distanceToRupture: "Distancia a la ruptura:",
+    likelyRange: "Rango probable (percentil 16–84):",
+    rangeDetail: "{p16} – {p84} (mediana {median})",
+    rock: "Roca (Vs30 {vs30})",
+    siteClass: "Suelo clase {siteClass} (Vs30 {vs30})",
+    shaking: "Sacudida:",
+    potentialDamage: "Daño Potencial:",
+    intensityValue: "Valor de intensidad: {value}",
+    model: "Modelo: {name}",
+  },
+
+  // Damage Estimate
+  damage: {
+    title: "Evaluación de Daños",
+    estimatedDamage: "Daño Estimado",
+    moderateOrWorse: "Daño Moderado o Mayor",
+    percentileBand: "Percentil 16–84",
+
+    // Damage categories by severity
+    categories: {
+      0: { name: "Ninguno", description: "No se espera daño significativo" },
+      1: { name: "Muy Ligero", description: "Daño cosmético menor, sin problemas estructurales" },
+      2: { name: "Ligero", description: "Algunas grietas en paredes, daño menor a chimeneas" },
+      3: { name: "Moderado", description: "Daño a chimeneas, caída de estuco, algún daño estructural" },
+      4: { name: "Fuerte", description: "Daño estructural significativo, posible colapso parcial" },
+      5: { name: "Muy Fuerte", description: "Daño estructural severo, colapso generalizado" },
+    },
+
+    buildingDamage: "Daño en Edificaciones",
+    states: {
+      none: "Ninguno",
+      slight: "Leve",
+      moderate: "Moderado",
+      extensive: "Extenso",
+      complete: "Completo",
+    },
+    typology: "Tipología",
+    share: "Proporción",
+    atLeastModerate: "≥ Moderado",
+    complete: "Completo",
+    typologies: {
+      rc: "Hormigón armado",
+      confined_masonry: "Albañilería confinada",
+      adobe: "Adobe",
+      timber: "Madera",
+      informal: "Informal",
+    },
+    inventorySources: {
+      city: "Inventario de la ciudad",
+      region: "Promedio regional",
+      default: "Promedio nacional",
+    },
+    meanDamageRatio: "razón de daño media {value}",
+
+    populationImpact: "Impacto en la Población",
+    totalPopulation: "Población Total",
+    peopleAffected: "Personas Afectadas",
+    potentiallyDisplaced: "Potencialmente Desplazadas",
+    likelyRange: "Rango probable: {range}",
+    uncertaintyNote: "Mediana y percentil 16–84 de {count} muestras Monte Carlo",
+
+    casualties: "Víctimas",
+    severity: {
+      deaths: "Fallecidos",
+      seriousInjuries: "Heridos graves",
+      minorInjuries: "Heridos leves",
+    },
+    monteCarloRange: "Rango Monte Carlo: {range}",
+
+    tsunami: "Tsunami",
+    firstWave: "Llegada de la Primera Ola",
+    runUp: "Altura de Inundación Esperada",
+    noTsunami: "No se espera tsunami.",
+    noTsunamiReason: "No se espera tsunami ({reason}).",
+    tsunamiReasons: {
+      magnitude: "magnitud bajo M{limit}",
+      depth: "fuente a más de {limit} km de profundidad",
+      land: "el epicentro está en tierra",
+    },
+
+    // Tsunami run-up categories by severity
+    tsunamiCategories: {
+      0: { name: "Ninguno", description: "No se espera una ola significativa", action: "No se requiere acción" },
+      1: { name: "Menor", description: "Corrientes fuertes en puertos y playas", action: "Aléjate de la costa" },
+      2: { name: "Moderado", description: "Inundación de playas y costa baja", action: "Evacúa las playas y el borde costero" },
+      3: { name: "Mayor", description: "Inundación costera extensa y daños", action: "Evacúa a zonas altas (30 m o más)" },
+      4: { name: "Extremo", description: "Inundación destructiva tierra adentro", action: "Evacúa a zonas altas de inmediato" },
+    },
+
+    warning: "Se espera daño significativo. Se requeriría respuesta de emergencia.",
+    disclaimer: "Estas son estimaciones simplificadas con fines educativos. El daño real depende de las normas de construcción, la calidad constructiva y las condiciones locales.",
+  },
+
+  // Loss Estimate
+  losses: {
+    title: "Pérdidas Económicas",
+    total: "Pérdidas Totales · {city}",
+    percentOfGdp: "{percent}% del PIB anual local ({gdp})",
+    directLosses: "Pérdidas Directas",
+    sectors: {
+      residential: "Residencial",
+      commercial: "Comercial",
+      infrastructure: "Infraestructura",
+    },
+    direct: "Directas (reparación y reposición)",
+    indirect: "Indirectas (producción perdida)",
+    noteRegion: "PIB per cápita y exposición a costo de reposición regionales; US$ 1 = CLP {rate}. Estimación de orden de magnitud.",
+    noteNational: "PIB per cápita y exposición a costo de reposición nacionales; US$ 1 = CLP {rate}. Estimación de orden de magnitud.",
+  },
+
+  // Historical Comparison
+  historical: {
+    title: "Referencia Histórica",
+    intro: "Terremotos similares en Chile (por magnitud y distancia). Haz clic en uno para reproducirlo:",
+    replay: "Reproducir este terremoto",
+    depth: "Profundidad: {depth} km",
+    defaultDepth: "(por defecto)",
+    distance: "a {distance} km",
+    converted: "Convertida desde {type} {magnitude}",
+    cannotReplay: "No se puede reproducir: {issues}",
+    catalogNote: "Las magnitudes se convierten a Mw (Scordilis 2006). Los eventos sin profundidad registrada usan {depth} km.",
+    currentSimulation: "Simulación Actual:",
+    currentValue: "M{magnitude} a {depth} km de profundidad",
+  },
+
+  // Map
+  map: {
+    instructions: "Haz clic en el mapa o arrastra el marcador rojo para establecer la ubicación del epicentro",
+    epicenter: "Epicentro",
+    epicenterTitle: "Epicentro (arrastra para mover)",
+    magnitude: "Magnitud: {value}",
+    depth: "Profundidad: {value} km",
+    dragToRelocate: "Arrastra para reubicar",
+    rupture: "Ruptura {length} × {width} km (rumbo {strike}°, manteo {dip}°)",
+    rotateRupture: "Arrastra para rotar la ruptura",
+    contour: "MMI {level}",
+    hazardContour: "MMI {level} ({period} años)",
+    tsunamiArrival: "Llegada del tsunami ~{minutes} min",
+    population: "Población: {value}",
+    cityMmi: "MMI: {level} ({name})",
+    cityDamage: "Daño: {value}%",
+    cityTsunami: "Tsunami: ~{minutes} min, {runUp} m ({category})",
+    analysisLocation: "Ubicación de Análisis",
+    facilityStatus: "Estado:",
+    facilityImpaired: "P(con daño o peor): {value}%",
+    facilityFailed: "P(fuera de servicio): {value}%",
+    facilityServed: "Población atendida: {value}",
+    road: "{from} – {to} ({route}): {status}, P(cerrado) {probability}%, {bridges}",
+  },
+
+  // Map layer controls
+  shakeMap: {
+    overlay: "Capa de intensidad",
+    hazardCaption: "Mapa de peligro: MMI con período de retorno de {period} años (roca)",
+    opacity: "Opacidad",
+    isochrones: "Tiempos de llegada del tsunami",
+    facilities: "Infraestructura crítica",
+    roads: "Red vial",
+  },
+
+  // City Impact Table
+  cityTable: {
+    title: "Impacto por Ciudad",
+    computed: "{done} / {total} calculadas",
+    columns: {
+      city: "Ciudad",
+      region: "Región",
+      distance: "Dist. (km)",
+      intensity: "MMI",
+      damage: "Daño",
+      affected: "Afectados",
+      displaced: "Desplazados",
+      deaths: "Fallecidos",
+      injuries: "Heridos gr.",
+      losses: "Pérdidas",
+    },
+    totals: {
+      population: "Población",
+      affected: "Afectados",
+      displaced: "Desplazados",
+      deaths: "Fallecidos",
+      seriousInjuries: "Heridos Graves",
+      minorInjuries: "Heridos Leves",
+      losses: "Pérdidas Económicas",
+    },
+    lossDetail: "{clp} · directas {direct}, indirectas {indirect}",
+    regionalTotals: "Totales regionales ({count})",
+    minorInjuries: "Heridos lev.",
+    filterPlaceholder: "Filtrar ciudades...",
+    allRegions: "Todas las regiones",
+  },
+
+  // Seismic Hazard panel
+  hazard: {
+    title: "Peligro Sísmico",
+    toggle: "Modo de peligro probabilístico (PSHA)",
+    returnPeriod: "Período de retorno",
+    period: "{period} años ({probability}% en {exposure} años)",
+    intro: "Sacudida esperada de las {count} zonas fuente del margen chileno (interplaca, intraplaca de profundidad intermedia y cortical), en lugar de un único escenario. El mapa muestra la intensidad con el período de retorno seleccionado.",
+    curve: "Curva de peligro: {city}",
+    periodLabel: "{period} años",
+    intensityAxis: "Intensidad",
+    exceedanceRate: "Tasa de excedencia",
+    perYear: "{rate} / año",
+    intensityLabel: "Intensidad {level}",
+    uniform: "Peligro uniforme por ciudad",
+    city: "Ciudad",
+    periodColumn: "{period} años",
+    note: "Sitios en la roca de referencia de cada modelo (Vs30 760 m/s; 1000 m/s en BCHydro). Zonas fuente y tasas de recurrencia simplificadas; no apto para diseño.",
+    computing: "Calculando curvas de peligro…",
+    failed: "No se pudieron calcular las curvas de peligro: {error}",
+  },
+
+  // Critical facilities panel
+  facilities: {
+    title: "Infraestructura Crítica",
+    types: {
+      hospital: "Hospital",
+      port: "Puerto",
+      bridge: "Puente",
+      substation: "Subestación",
+    },
+    statuses: {
+      functional: "Operativa",
+      impaired: "Con daño",
+      failed: "Fuera de servicio",
+    },
+    populationFailed: "Población atendida por instalaciones fuera de servicio",
+    populationImpaired: "Población atendida por instalaciones con daño",
+    type: "Tipo",
+    total: "Total",
+    impaired: "Con daño",
+    failed: "Fuera de servicio",
+    population: "Población",
+    outOfService: "Probablemente fuera de servicio ({count})",
+    none: "Se espera que todas las instalaciones sigan operativas.",
+    detail: "{city} · PGA {pga} g · P(falla) {probability}%",
+    note: "La población atendida se suma por instalación; las áreas de cobertura de hospitales, puertos y la red eléctrica se superponen. Curvas de fragilidad simplificadas, solo para ejercicios de planificación.",
+  },
+
+  // Road network panel
+  roads: {
+    title: "Red Vial",
+    statuses: {
+      open: "Abierto",
+      damaged: "Dañado",
+      closed: "Cerrado",
+    },
+    bridges: { one: "{count} puente", other: "{count} puentes" },
+    closedSegments: "Tramos cerrados ({count})",
+    segmentDetail: "{route} · PGA {pga} g · {bridges}",
+    isolated: "Aisladas de {hub} ({count})",
+    noneIsolated: "Todas las localidades conectadas siguen llegando a {hub} por carretera.",
+    cutOff: "{count} personas aisladas",
+    hospitalAccess: "Sin acceso a hospital ({count})",
+    noneHospital: "Todas las localidades conectadas siguen llegando a un hospital operativo.",
+    nearestBefore: "Más cercano antes: {city} ({distance} km)",
+    note: "Grafo simplificado entre ciudades; un tramo se cierra cuando falla su calzada o algún puente mayor con la sacudida de su punto medio. Largos de tramo en línea recta.",
+  },
+
+  // Aftershock panel
+  aftershocks: {
+    title: "Réplicas",
+    sequenceLength: "Duración de la secuencia",
+    firstDay: "Primer día",
+    days: "{count} días",
+    dayUnit: "días",
+    resample: "Volver a muestrear",
+    generate: "Generar",
+    intro: "Secuencia sintética: ley de Båth para la réplica mayor, magnitudes de Gutenberg–Richter y decaimiento de Omori–Utsu, distribuidas sobre la zona de ruptura.",
+    summary: "{count} réplicas M≥{min}, la mayor M{max}",
+    seed: "Semilla {seed}",
+    play: "Reproducir",
+    pause: "Pausa",
+    timeSinceMainshock: "Tiempo desde el sismo principal",
+    events: "{count} eventos",
+    citiesAbove: "Ciudades con MMI ≥ {level}",
+    city: "Ciudad",
+    count: "Cantidad",
+    maxMmi: "MMI máx.",
+    none: "Ninguna ciudad ha sentido todavía MMI {level} o más.",
+  },
+
+  // Model Diagnostics panel
+  diagnostics: {
+    title: "Diagnóstico del Modelo",
+    intro: "MMI observada menos predicha para {count} observaciones de {events} terremotos ({source}).",
+    finiteFault: "falla finita",
+    pointSource: "fuente puntual",
+    bias: "Sesgo",
+    rmse: "RMSE",
+    stdDev: "Desv. est.",
+    distance: "Distancia",
+    ruptureDistance: "Distancia a la ruptura (km)",
+    residual: "Residuo",
+    event: "Evento",
+    count: "N",
+    model: "Modelo",
+    note: "Un sesgo positivo significa que el modelo subestima la sacudida observada. Las intensidades observadas son aproximadas (ShakeMap/DYFI del USGS e informes macrosísmicos).",
+  },
+
+  // Scenario comparison
+  compare: {
+    title: "Comparar Escenarios",
+    pin: "📌 Fijar escenario actual",
+    baseline: "Base",
+    scenario: "Escenario {number}",
+    load: "Cargar",
+    loadTitle: "Cargar en los controles",
+    unpin: "Quitar {label}",
+    sideBySide: "Comparar lado a lado",
+    back: "Volver a un escenario",
+    hint: "Fija al menos dos escenarios (por ejemplo, una reproducción histórica y un evento hipotético) para comparar su sacudida y sus daños.",
+    comparisonTitle: "Comparación de Escenarios",
+    difference: "Diferencia: {label}",
+    differenceSubtitle: "Cambio de MMI respecto de {label}",
+    differenceMap: "Mapa de diferencias:",
+    computing: "Calculando…",
+    gridFailed: "No se pudo calcular el mapa: {error}",
+    nationalTotals: "Totales nacionales",
+    changeByCity: "Cambio por ciudad (respecto de la base)",
+    columns: {
+      scenario: "Escenario",
+      city: "Ciudad",
+      affected: "Afectados",
+      displaced: "Desplazados",
+      deaths: "Fallecidos",
+      losses: "Pérdidas",
+      mmi: "MMI",
+      damage: "Daño",
+    },
+    near: "cerca de",
+    finiteFault: "falla finita",
+    pointSource: "fuente puntual",
+    siteEffects: "efectos de sitio",
+    rock: "roca",
+  },
+
+  // Live earthquake feed
+  liveFeed: {
+    title: "Sismos en Tiempo Real",
+    follow: "Seguir el feed",
+    source: "Fuente:",
+    sources: {
+      usgs: "USGS (FDSN)",
+      sample: "Muestra sin conexión",
+      local: "Servidor local de prueba",
+      custom: "URL personalizada",
+    },
+    customUrl: "URL de un feed GeoJSON (FDSN/USGS)",
+    interval: "Revisar cada:",
+    seconds: "{count} s",
+    minutes: "{count} min",
+    checking: "Consultando…",
+    lastChecked: "Última consulta: {time}",
+    error: "Feed no disponible: {message}",
+    empty: "No hay sismos recientes en Chile.",
+    load: "Cargar como escenario",
+    cannotLoad: "No se puede cargar: {issues}",
+    note: "Los sismos nuevos se cargan automáticamente como fuente puntual. Las magnitudes se convierten a Mw y los eventos sin profundidad usan {depth} km, igual que en el catálogo histórico.",
+  },
+
+  // New-event alert banner
+  alert: {
+    title: "Nuevo sismo",
+    summary: "M{magnitude} · {place} · {time}",
+    depth: "{depth} km de profundidad",
+    defaultDepth: "profundidad por defecto de {depth} km",
+    estimated: "Intensidad estimada:",
+    city: "{city} ({distance} km): MMI {mmi}",
+    affected: "{count} afectados",
+    tsunami: "Fuente somera en el mar: posible tsunami",
+    invalid: "No se pudo cargar como escenario: {issues}",
+    adjusted: "Fuera del rango de los controles; simulado como M{magnitude} a {depth} km de profundidad",
+  },
+
+  // Catalog import
+  importer: {
+    title: "Importar Catálogos",
+    drop: "Arrastra aquí archivos QuakeML, CSV (formato USGS) o GeoJSON",
+    choose: "Elegir archivos…",
+    formats: {
+      quakeml: "QuakeML",
+      csv: "CSV",
+      geojson: "GeoJSON",
+    },
+    imported: { one: "{formatted} sismo importado", other: "{formatted} sismos importados" },
+    skipped: { one: "{formatted} registro omitido", other: "{formatted} registros omitidos" },
+    duplicates: { one: "{formatted} ya en el catálogo", other: "{formatted} ya en el catálogo" },
+    details: "Ver problemas",
+    rows: {
+      quakeml: "Evento {row}",
+      csv: "Línea {row}",
+      geojson: "Elemento {row}",
+    },
+    remove: "Quitar {file}",
+    note: "Los sismos importados se agregan a la referencia histórica. Se validan coordenadas, profundidad, magnitud y fecha de cada registro; las magnitudes se convierten a Mw. Los sismos ya listados (mismo id, o misma fecha, magnitud similar y epicentro a menos de 100 km) se omiten.",
+  },
+  export: {
+    title: "Exportar",
+    cities: "Ciudades (CSV)",
+    grid: "Grilla (GeoJSON)",
+    contours: "Contornos (GeoJSON)",
+    kml: "Google Earth (KML)",
+    scenario: "Escenario (JSON)",
+    report: "🖨 Informe de situación (PDF)",
+    preparing: "Preparando informe…",
+    import: "Importar escenario (JSON)…",
+    computing: "Calculando…",
+    imported: "Escenario cargado desde {file}",
+    importFailed: "No se pudo cargar {file}: {error}",
+    importProblems: "Valores reemplazados por los predeterminados: {problems}",
+    parametersChanged: "Los parámetros del modelo cambiaron desde que se exportó el archivo; los resultados pueden diferir.",
+    note: "Cada archivo incluye los parámetros del modelo de atenuación y de daño. El escenario en JSON se puede volver a importar para reproducir la simulación.",
+  },
+
+  // Printed situation report
+  report: {
+    drill: "Ejercicio · Escenario simulado",
+    title: "Informe de Situación Sísmica",
+    generated: "Generado el {time}",
+    scenario: "Parámetros del escenario",
+    epicenter: "Epicentro",
+    coordinates: "{lat}°S, {lon}°O",
+    source: "Fuente",
+    finiteFault: "Falla finita (rumbo {strike}°, manteo {dip}°)",
+    site: "Suelo",
+    siteEffects: "Amplificación de sitio (Vs30)",
+    rock: "Roca",
+    map: "Mapa de intensidad",
+    rupture: "Ruptura",
+    shaking: "Sacudida y daño",
+    peak: "Intensidad máxima: MMI {level} ({name}) en {city}, a {distance} km del hipocentro",
+    damageCategory: "Daño: {category} ({percent}%)",
+    impact: "Impacto estimado",
+    range: "{low}–{high} (más probable: {medium})",
+    impactNote: {
+      one: "Suma de {count} ciudad. Los rangos van del escenario bajo al alto del modelo de víctimas.",
+      other: "Suma de {count} ciudades. Los rangos van del escenario bajo al alto del modelo de víctimas.",
+    },
+    cities: {
+      one: "Ciudad más afectada",
+      other: "Las {count} ciudades más afectadas",
+    },
+    limitations: "Limitaciones del modelo",
+    limitationsText: "Modelo educativo simplificado. No considera efectos de directividad, de cuenca ni topográficos; la amplificación de sitio es aproximada. La falla finita es un rectángulo plano en proyección local, no una geometría 3D realista del slab. No apto para planificación de emergencias reales.",
+    footer: "Simulador de Terremotos en Chile · Estimaciones educativas para ejercicios y simulacros, no para la respuesta a emergencias reales.",
+  },
+};
+
+const en = {
   // App header
-  appTitle: "Simulador de Terremotos en Chile",
-  appSubtitle: "Por Felipe Carvajal Brown - 2026",
-  loading: "Cargando Simulador de Terremotos en Chile...",
+  app: {
+    title: "Chile Earthquake Simulator",
+    subtitle: "Interactive simulation of earthquake impacts in Chile",
+    loading: "Loading Chile Earthquake Simulator...",
+    language: "Language",
+    urlWarning: "Some link parameters were invalid and were ignored: {errors}",
+    unknownCity: "unknown city: {city}",
+    loadWarning: "Some data could not be loaded; the features that use it are unavailable: {errors}",
+    datasets: {
+      cities: "Cities",
+      historicalQuakes: "Historical earthquakes",
+      vs30Grid: "Vs30 grid",
+      observedIntensities: "Observed intensities",
+      seismicSources: "Seismic source zones",
+      buildingInventory: "Building inventory",
+      economicExposure: "Economic exposure",
+      criticalFacilities: "Critical facilities",
+      roadNetwork: "Road network",
+    },
+    dismiss: "Dismiss",
+    analysisCity: "Analysis City:",
+  },
 
   // Control Panel
-  simulationParameters: "Parámetros de Simulación",
-  magnitude: "Magnitud",
-  depth: "Profundidad",
-  quickScenarios: "Escenarios Rápidos",
-  
-  // Magnitude descriptions
-  minorEarthquake: "Terremoto menor",
-  lightEarthquake: "Terremoto ligero",
-  moderateEarthquake: "Terremoto moderado",
-  strongEarthquake: "Terremoto fuerte",
-  majorEarthquake: "Terremoto mayor",
-  greatEarthquake: "Gran terremoto",
-  massiveEarthquake: "Terremoto masivo",
-
-  // Depth descriptions
-  shallow: "Superficial (mayor intensidad en superficie)",
-  intermediateDepth: "Profundidad intermedia",
-  deep: "Profundo (menor intensidad superficial)",
-  veryDeep: "Muy profundo",
-
-  // City selector
-  analysisCity: "Ciudad de Análisis:",
+  controls: {
+    title: "Simulation Parameters",
+    magnitude: "Magnitude (Mw)",
+    depth: "Depth",
+    model: "Attenuation Model",
+    samples: "Uncertainty Samples",
+    samplesHint: "Monte Carlo samples of the model scatter and the damage curve (16th–84th percentile bands)",
+    timeOfDay: "Time of Day",
+    timeOfDayHint: "{description} (sets where people are for casualty estimates)",
+    siteEffects: "Site amplification (Vs30)",
+    finiteFault: "Finite-fault rupture",
+    strike: "Strike",
+    dip: "Dip",
+    ruptureHint: "Rupture size from magnitude (Strasser et al. 2010). Drag the rectangle or its handle on the map.",
+    quickScenarios: "Quick Scenarios",
+    presets: {
+      maule: "2010 Maule",
+      valdivia: "1960 Valdivia",
+      moderate: "Moderate",
+    },
+
+    // Magnitude descriptions
+    magnitudeDescriptions: {
+      minor: "Minor earthquake",
+      light: "Light earthquake",
+      moderate: "Moderate earthquake",
+      strong: "Strong earthquake",
+      major: "Major earthquake",
+      great: "Great earthquake",
+      massive: "Massive earthquake",
+    },
+
+    // Depth descriptions
+    depthDescriptions: {
+      shallow: "Shallow (higher intensity at surface)",
+      intermediate: "Intermediate depth",
+      deep: "Deep (lower surface intensity)",
+      veryDeep: "Very deep",
+    },
+  },
+
+  // Occupancy scenarios of the casualty model
+  timesOfDay: {
+    night: { name: "Night (2 AM)", description: "Almost everyone at home" },
+    day: { name: "Day (2 PM)", description: "Work and school hours" },
+    commute: { name: "Commute (5 PM)", description: "Rush hour, many people in streets and transit" },
+  },
+
+  // Modified Mercalli scale
+  mmi: {
+    I: {
+      name: "Not felt",
+      shaking: "Not felt",
+      damage: "None",
+      description: "Not felt except by a very few under especially favorable conditions.",
+    },
+    II: {
+      name: "Weak",
+      shaking: "Weak",
+      damage: "None",
+      description: "Felt only by a few persons at rest, especially on upper floors of buildings.",
+    },
+    III: {
+      name: "Weak",
+      shaking: "Weak",
+      damage: "None",
+      description: "Felt quite noticeably by persons indoors. Many people do not recognize it as an earthquake. Standing motor cars may rock slightly.",
+    },
+    IV: {
+      name: "Light",
+      shaking: "Light",
+      damage: "None",
+      description: "Felt indoors by many, outdoors by few. Sensation like heavy truck striking building. Dishes, windows, doors disturbed.",
+    },
+    V: {
+      name: "Moderate",
+      shaking: "Moderate",
+      damage: "Very light",
+      description: "Felt by nearly everyone; many awakened. Some dishes, windows broken. Unstable objects overturned.",
+    },
+    VI: {
+      name: "Strong",
+      shaking: "Strong",
+      damage: "Light",
+      description: "Felt by all, many frightened. Some heavy furniture moved; a few instances of fallen plaster. Damage slight.",
+    },
+    VII: {
+      name: "Very strong",
+      shaking: "Very strong",
+      damage: "Moderate",
+      description: "Damage negligible in buildings of good design and construction; slight to moderate in well-built ordinary structures; considerable damage in poorly built or badly designed structures.",
+    },
+    VIII: {
+      name: "Severe",
+      shaking: "Severe",
+      damage: "Moderate to heavy",
+      description: "Damage slight in specially designed structures; considerable damage in ordinary substantial buildings with partial collapse. Damage great in poorly built structures. Heavy furniture overturned.",
+    },
+    IX: {
+      name: "Violent",
+      shaking: "Violent",
+      damage: "Heavy",
+      description: "Damage considerable in specially designed structures; well-designed frame structures thrown out of plumb. Buildings shifted off foundations. Ground cracked conspicuously.",
+    },
+    X: {
+      name: "Extreme",
+      shaking: "Extreme",
+      damage: "Very heavy",
+      description: "Some well-built wooden structures destroyed; most masonry and frame structures destroyed with foundations. Rails bent.",
+    },
+    XI: {
+      name: "Extreme",
+      shaking: "Extreme",
+      damage: "Very heavy",
+      description: "Few, if any structures remain standing. Bridges destroyed. Rails bent greatly.",
+    },
+    XII: {
+      name: "Extreme",
+      shaking: "Extreme",
+      damage: "Very heavy",
+      description: "Total damage. Waves seen on ground surfaces. Objects thrown into the air.",
+    },
+  },
 
   // Intensity Display
-  groundMotionIntensity: "Intensidad del Movimiento Sísmico",
-  distanceFromEpicenter: "Distancia desde el epicentro:",
-  shaking: "Sacudida:",
-  potentialDamage: "Daño Potencial:",
-  intensityValue: "Valor de intensidad:",
-
-  // MMI descriptions (keeping originals as they're standard)
-  notFelt: "No sentido",
-  weak: "Débil",
-  light: "Ligero",
-  moderate: "Moderado",
-  strong: "Fuerte",
-  veryStrong: "Muy fuerte",
-  severe: "Severo",
-  violent: "Violento",
-  extreme: "Extremo",
+  intensity: {
+    title: "Ground Motion Intensity",
+    distanceFromEpicenter: "Distance from epicenter:",
+    distanceToRupture: "Distance to rupture:",
+    likelyRange: "Likely range (16th–84th percentile):",
+    rangeDetail: "{p16} – {p84} (median {median})",
+    rock: "Rock (Vs30 {vs30})",
+    siteClass: "Site class {siteClass} (Vs30 {vs30})",
+    shaking: "Shaking:",
+    potentialDamage: "Potential Damage:",
+    intensityValue: "Intensity value: {value}",
+    model: "Model: {name}",
+  },
 
   // Damage Estimate
-  damageAssessment: "Evaluación de Daños",
-  estimatedDamage: "Daño Estimado",
-  populationImpact: "Impacto en la Población",
-  totalPopulation: "Población Total",
-  peopleAffected: "Personas Afectadas",
-  potentiallyDisplaced: "Potencialmente Desplazadas",
-  warningMessage: "Daño significativo esperado. Se requeriría respuesta de emergencia.",
-  disclaimer: "Estas son estimaciones simplificadas con fines educativos. El daño real depende de códigos de construcción, calidad constructiva y condiciones locales.",
-
-  // Damage categories
-  noDamage: "Ninguno",
-  veryLightDamage: "Muy Ligero",
-  lightDamage: "Ligero",
-  moderateDamage: "Moderado",
-  heavyDamage: "Pesado",
-  veryHeavyDamage: "Muy Pesado",
-
-  // Damage descriptions
-  noSignificantDamage: "No se espera daño significativo",
-  minorCosmeticDamage: "Daño cosmético menor, sin problemas estructurales",
-  someCracksInWalls: "Algunas grietas en paredes, daño menor a chimeneas",
-  damageToChimneys: "Daño a chimeneas, caída de yeso, algún daño estructural",
-  significantStructuralDamage: "Daño estructural significativo, posible colapso parcial",
-  severeStructuralDamage: "Daño estructural severo, colapso generalizado",
+  damage: {
+    title: "Damage Assessment",
+    estimatedDamage: "Estimated Damage",
+    moderateOrWorse: "Moderate Damage or Worse",
+    percentileBand: "16th–84th percentile",
+
+    // Damage categories by severity
+    categories: {
+      0: { name: "None", description: "No significant damage expected" },
+      1: { name: "Very Light", description: "Minor cosmetic damage, no structural issues" },
+      2: { name: "Light", description: "Some cracks in walls, minor damage to chimneys" },
+      3: { name: "Moderate", description: "Damage to chimneys, plaster falls, some structural damage" },
+      4: { name: "Heavy", description: "Significant structural damage, partial collapse possible" },
+      5: { name: "Very Heavy", description: "Severe structural damage, widespread collapse" },
+    },
+
+    buildingDamage: "Building Damage",
+    states: {
+      none: "None",
+      slight: "Slight",
+      moderate: "Moderate",
+      extensive: "Extensive",
+      complete: "Complete",
+    },
+    typology: "Typology",
+    share: "Share",
+    atLeastModerate: "≥ Moderate",
+    complete: "Complete",
+    typologies: {
+      rc: "Reinforced concrete",
+      confined_masonry: "Confined masonry",
+      adobe: "Adobe",
+      timber: "Timber frame",
+      informal: "Informal",
+    },
+    inventorySources: {
+      city: "City inventory",
+      region: "Regional average",
+      default: "National average",
+    },
+    meanDamageRatio: "mean damage ratio {value}",
+
+    populationImpact: "Population Impact",
+    totalPopulation: "Total Population",
+    peopleAffected: "People Affected",
+    potentiallyDisplaced: "Potentially Displaced",
+    likelyRange: "Likely range: {range}",
+    uncertaintyNote: "Median and 16th–84th percentile from {count} Monte Carlo samples",
+
+    casualties: "Casualties",
+    severity: {
+      deaths: "Deaths",
+      seriousInjuries: "Serious injuries",
+      minorInjuries: "Minor injuries",
+    },
+    monteCarloRange: "Monte Carlo range: {range}",
+
+    tsunami: "Tsunami",
+    firstWave: "First Wave Arrival",
+    runUp: "Expected Run-up",
+    noTsunami: "No tsunami expected.",
+    noTsunamiReason: "No tsunami expected ({reason}).",
+    tsunamiReasons: {
+      magnitude: "magnitude below M{limit}",
+      depth: "source deeper than {limit} km",
+      land: "epicenter is on land",
+    },
+
+    // Tsunami run-up categories by severity
+    tsunamiCategories: {
+      0: { name: "None", description: "No significant wave expected", action: "No action needed" },
+      1: { name: "Minor", description: "Strong currents in harbors and on beaches", action: "Stay away from the shore" },
+      2: { name: "Moderate", description: "Flooding of beaches and low-lying coast", action: "Evacuate beaches and the coastal strip" },
+      3: { name: "Major", description: "Widespread coastal flooding and damage", action: "Evacuate to high ground (30 m or more)" },
+      4: { name: "Extreme", description: "Destructive inundation far inland", action: "Evacuate to high ground immediately" },
+    },
+
+    warning: "Significant damage expected. Emergency response would be required.",
+    disclaimer: "These are simplified estimates for educational purposes. Actual damage depends on building codes, construction quality, and local conditions.",
+  },
+
+  // Loss Estimate
+  losses: {
+    title: "Economic Losses",
+    total: "Total Losses · {city}",
+    percentOfGdp: "{percent}% of local annual GDP ({gdp})",
+    directLosses: "Direct Losses",
+    sectors: {
+      residential: "Residential",
+      commercial: "Commercial",
+      infrastructure: "Infrastructure",
+    },
+    direct: "Direct (repair and replacement)",
+    indirect: "Indirect (lost output)",
+    noteRegion: "Regional GDP per capita and replacement-cost exposure; US$ 1 = CLP {rate}. Order-of-magnitude estimate.",
+    noteNational: "National GDP per capita and replacement-cost exposure; US$ 1 = CLP {rate}. Order-of-magnitude estimate.",
+  },
 
   // Historical Comparison
-  historicalReference: "Referencia Histórica",
-  similarMagnitudeEarthquakes: "Terremotos de magnitud similar en Chile:",
-  currentSimulation: "Simulación Actual:",
-  at: "a",
-  kmDepth: "km de profundidad",
+  historical: {
+    title: "Historical Reference",
+    intro: "Similar earthquakes in Chile (by magnitude and distance). Click one to replay it:",
+    replay: "Replay this earthquake",
+    depth: "Depth: {depth} km",
+    defaultDepth: "(default)",
+    distance: "{distance} km away",
+    converted: "Converted from {type} {magnitude}",
+    cannotReplay: "Cannot replay: {issues}",
+    catalogNote: "Magnitudes are converted to Mw (Scordilis 2006). Events without a recorded depth use {depth} km.",
+    currentSimulation: "Current Simulation:",
+    currentValue: "M{magnitude} at {depth} km depth",
+  },
 
   // Map
-  mapInstructions: "Haz clic en el mapa o arrastra el marcador rojo para establecer la ubicación del epicentro",
-  epicenter: "Epicentro",
-  dragToRelocate: "Arrastra para reubicar",
-  population: "Población",
-  analysisLocation: "Ubicación de Análisis",
-};
\ No newline at end of file
+  map: {
+    instructions: "Click on map or drag the red marker to set epicenter location",
+    epicenter: "Epicenter",
+    epicenterTitle: "Epicenter (drag to move)",
+    magnitude: "Magnitude: {value}",
+    depth: "Depth: {value} km",
+    dragToRelocate: "Drag to relocate",
+    rupture: "Rupture {length} × {width} km (strike {strike}°, dip {dip}°)",
+    rotateRupture: "Drag to rotate rupture",
+    contour: "MMI {level}",
+    hazardContour: "MMI {level} ({period}-year)",
+    tsunamiArrival: "Tsunami arrival ~{minutes} min",
+    population: "Population: {value}",
+    cityMmi: "MMI: {level} ({name})",
+    cityDamage: "Damage: {value}%",
+    cityTsunami: "Tsunami: ~{minutes} min, {runUp} m ({category})",
+    analysisLocation: "Analysis Location",
+    facilityStatus: "Status:",
+    facilityImpaired: "P(impaired or worse): {value}%",
+    facilityFailed: "P(failed): {value}%",
+    facilityServed: "Population served: {value}",
+    road: "{from} – {to} ({route}): {status}, P(closed) {probability}%, {bridges}",
+  },
+
+  // Map layer controls
+  shakeMap: {
+    overlay: "Intensity overlay",
+    hazardCaption: "Hazard map: MMI with a {period}-year return period (rock)",
+    opacity: "Opacity",
+    isochrones: "Tsunami arrival times",
+    facilities: "Critical facilities",
+    roads: "Road network",
+  },
+
+  // City Impact Table
+  cityTable: {
+    title: "Impact by City",
+    computed: "{done} / {total} computed",
+    columns: {
+      city: "City",
+      region: "Region",
+      distance: "Dist. (km)",
+      intensity: "MMI",
+      damage: "Damage",
+      affected: "Affected",
+      displaced: "Displaced",
+      deaths: "Deaths",
+      injuries: "Serious inj.",
+      losses: "Losses",
+    },
+    totals: {
+      population: "Population",
+      affected: "Affected",
+      displaced: "Displaced",
+      deaths: "Deaths",
+      seriousInjuries: "Serious Injuries",
+      minorInjuries: "Minor Injuries",
+      losses: "Economic Losses",
+    },
+    lossDetail: "{clp} · direct {direct}, indirect {indirect}",
+    regionalTotals: "Regional totals ({count})",
+    minorInjuries: "Minor inj.",
+    filterPlaceholder: "Filter cities...",
+    allRegions: "All regions",
+  },
+
+  // Seismic Hazard panel
+  hazard: {
+    title: "Seismic Hazard",
+    toggle: "Probabilistic hazard (PSHA) mode",
+    returnPeriod: "Return period",
+    period: "{period} years ({probability}% in {exposure} years)",
+    intro: "Shaking expected from all {count} source zones of the Chilean margin (interface, intraslab and crustal), instead of a single scenario. The map shows the intensity with the selected return period.",
+    curve: "Hazard curve: {city}",
+    periodLabel: "{period}-year",
+    intensityAxis: "Intensity",
+    exceedanceRate: "Exceedance rate",
+    perYear: "{rate} / yr",
+    intensityLabel: "Intensity {level}",
+    uniform: "Uniform hazard by city",
+    city: "City",
+    periodColumn: "{period} yr",
+    note: "Sites on each model's reference rock (Vs30 760 m/s; 1000 m/s for BCHydro). Simplified source zones and recurrence rates; not for design use.",
+    computing: "Computing hazard curves…",
+    failed: "Could not compute hazard curves: {error}",
+  },
+
+  // Critical facilities panel
+  facilities: {
+    title: "Critical Facilities",
+    types: {
+      hospital: "Hospital",
+      port: "Port",
+      bridge: "Bridge",
+      substation: "Substation",
+    },
+    statuses: {
+      functional: "Functional",
+      impaired: "Impaired",
+      failed: "Failed",
+    },
+    populationFailed: "Population served by failed facilities",
+    populationImpaired: "Population served by impaired facilities",
+    type: "Type",
+    total: "Total",
+    impaired: "Impaired",
+    failed: "Failed",
+    population: "Population",
+    outOfService: "Likely out of service ({count})",
+    none: "All facilities are expected to remain functional.",
+    detail: "{city} · PGA {pga} g · P(failure) {probability}%",
+    note: "Population served is added per facility; catchments of hospitals, ports and the grid overlap. Simplified fragility curves, for planning exercises only.",
+  },
+
+  // Road network panel
+  roads: {
+    title: "Road Network",
+    statuses: {
+      open: "Open",
+      damaged: "Damaged",
+      closed: "Closed",
+    },
+    bridges: { one: "{count} bridge", other: "{count} bridges" },
+    closedSegments: "Closed segments ({count})",
+    segmentDetail: "{route} · PGA {pga} g · {bridges}",
+    isolated: "Isolated from {hub} ({count})",
+    noneIsolated: "Every connected town still reaches {hub} by road.",
+    cutOff: "{count} people cut off",
+    hospitalAccess: "Without hospital access ({count})",
+    noneHospital: "Every connected town still reaches a working hospital.",
+    nearestBefore: "Nearest before: {city} ({distance} km)",
+    note: "Simplified graph between cities; a segment closes when its roadway or any major bridge fails at the shaking of its midpoint. Straight-line segment lengths.",
+  },
+
+  // Aftershock panel
+  aftershocks: {
+    title: "Aftershocks",
+    sequenceLength: "Sequence length",
+    firstDay: "First day",
+    days: "{count} days",
+    dayUnit: "days",
+    resample: "Resample",
+    generate: "Generate",
+    intro: "Synthetic sequence: Båth's law for the largest aftershock, Gutenberg–Richter magnitudes and Omori–Utsu decay, scattered over the rupture zone.",
+    summary: "{count} aftershocks M≥{min}, largest M{max}",
+    seed: "Seed {seed}",
+    play: "Play",
+    pause: "Pause",
+    timeSinceMainshock: "Time since mainshock",
+    events: "{count} events",
+    citiesAbove: "Cities with MMI ≥ {level}",
+    city: "City",
+    count: "Count",
+    maxMmi: "Max MMI",
+    none: "No city has felt MMI {level} or stronger yet.",
+  },
+
+  // Model Diagnostics panel
+  diagnostics: {
+    title: "Model Diagnostics",
+    intro: "Observed minus predicted MMI for {count} observations of {events} earthquakes ({source}).",
+    finiteFault: "finite fault",
+    pointSource: "point source",
+    bias: "Bias",
+    rmse: "RMSE",
+    stdDev: "Std. dev.",
+    distance: "Distance",
+    ruptureDistance: "Rupture distance (km)",
+    residual: "Residual",
+    event: "Event",
+    count: "N",
+    model: "Model",
+    note: "Positive bias means the model under-predicts the observed shaking. Observed intensities are approximate (USGS ShakeMap/DYFI and macroseismic reports).",
+  },
+
+  // Scenario comparison
+  compare: {
+    title: "Compare Scenarios",
+    pin: "📌 Pin current scenario",
+    baseline: "Baseline",
+    scenario: "Scenario {number}",
+    load: "Load",
+    loadTitle: "Load into the controls",
+    unpin: "Unpin {label}",
+    sideBySide: "Compare side by side",
+    back: "Back to single scenario",
+    hint: "Pin at least two scenarios (e.g. a historical replay and a hypothetical event) to compare their shaking and damage.",
+    comparisonTitle: "Scenario Comparison",
+    difference: "Difference: {label}",
+    differenceSubtitle: "MMI change vs {label}",
+    differenceMap: "Difference map:",
+    computing: "Computing…",
+    gridFailed: "Could not compute the map: {error}",
+    nationalTotals: "National totals",
+    changeByCity: "Change by city (vs baseline)",
+    columns: {
+      scenario: "Scenario",
+      city: "City",
+      affected: "Affected",
+      displaced: "Displaced",
+      deaths: "Deaths",
+      losses: "Losses",
+      mmi: "MMI",
+      damage: "Damage",
+    },
+    near: "near",
+    finiteFault: "finite fault",
+    pointSource: "point source",
+    siteEffects: "site effects",
+    rock: "rock",
+  },
+
+  // Live earthquake feed
+  liveFeed: {
+    title: "Live Earthquakes",
+    follow: "Follow feed",
+    source: "Source:",
+    sources: {
+      usgs: "USGS (FDSN)",
+      sample: "Offline sample",
+      local: "Local mock server",
+      custom: "Custom URL",
+    },
+    customUrl: "GeoJSON feed URL (FDSN/USGS)",
+    interval: "Check every:",
+    seconds: "{count} s",
+    minutes: "{count} min",
+    checking: "Checking…",
+    lastChecked: "Last checked: {time}",
+    error: "Feed unavailable: {message}",
+    empty: "No recent earthquakes in Chile.",
+    load: "Load as scenario",
+    cannotLoad: "Cannot load: {issues}",
+    note: "New earthquakes are loaded automatically as point sources. Magnitudes are converted to Mw and events without a depth use {depth} km, as in the historical catalog.",
+  },
+
+  // New-event alert banner
+  alert: {
+    title: "New earthquake",
+    summary: "M{magnitude} · {place} · {time}",
+    depth: "{depth} km deep",
+    defaultDepth: "default depth of {depth} km",
+    estimated: "Estimated shaking:",
+    city: "{city} ({distance} km): MMI {mmi}",
+    affected: "{count} affected",
+    tsunami: "Shallow offshore source: tsunami possible",
+    invalid: "Could not be loaded as a scenario: {issues}",
+    adjusted: "Outside the control ranges; simulated as M{magnitude} at {depth} km depth",
+  },
+
+  // Catalog import
+  importer: {
+    title: "Import Catalogs",
+    drop: "Drop QuakeML, CSV (USGS format) or GeoJSON files here",
+    choose: "Choose files…",
+    formats: {
+      quakeml: "QuakeML",
+      csv: "CSV",
+      geojson: "GeoJSON",
+    },
+    imported: { one: "{formatted} earthquake imported", other: "{formatted} earthquakes imported" },
+    skipped: { one: "{formatted} record skipped", other: "{formatted} records skipped" },
+    duplicates: { one: "{formatted} already listed", other: "{formatted} already listed" },
+    details: "Show problems",
+    rows: {
+      quakeml: "Event {row}",
+      csv: "Line {row}",
+      geojson: "Feature {row}",
+    },
+    remove: "Remove {file}",
+    note: "Imported earthquakes are added to the historical reference. Coordinates, depth, magnitude and date are validated for each record; magnitudes are converted to Mw. Earthquakes already listed (same id, or same date, similar magnitude and epicenter within 100 km) are skipped.",
+  },
+  export: {
+    title: "Export",
+    cities: "Cities (CSV)",
+    grid: "Grid (GeoJSON)",
+    contours: "Contours (GeoJSON)",
+    kml: "Google Earth (KML)",
+    scenario: "Scenario (JSON)",
+    report: "🖨 Situation report (PDF)",
+    preparing: "Preparing report…",
+    import: "Import scenario (JSON)…",
+    computing: "Computing…",
+    imported: "Scenario loaded from {file}",
+    importFailed: "Could not load {file}: {error}",
+    importProblems: "Values replaced with defaults: {problems}",
+    parametersChanged: "Model parameters changed since the file was exported; results may differ.",
+    note: "Every file includes the attenuation and damage model parameters. The JSON scenario can be imported again to reproduce the run.",
+  },
+
+  // Printed situation report
+  report: {
+    drill: "Drill · Simulated scenario",
+    title: "Earthquake Situation Report",
+    generated: "Generated on {time}",
+    scenario: "Scenario parameters",
+    epicenter: "Epicenter",
+    coordinates: "{lat}°S, {lon}°W",
+    source: "Source",
+    finiteFault: "Finite fault (strike {strike}°, dip {dip}°)",
+    site: "Ground",
+    siteEffects: "Site amplification (Vs30)",
+    rock: "Rock",
+    map: "Intensity map",
+    rupture: "Rupture",
+    shaking: "Shaking and damage",
+    peak: "Peak intensity: MMI {level} ({name}) in {city}, {distance} km from the hypocenter",
+    damageCategory: "Damage: {category} ({percent}%)",
+    impact: "Estimated impact",
+    range: "{low}–{high} (most likely: {medium})",
+    impactNote: {
+      one: "Total of {count} city. Ranges span the low to high scenarios of the casualty model.",
+      other: "Total of {count} cities. Ranges span the low to high scenarios of the casualty model.",
+    },
+    cities: {
+      one: "Most affected city",
+      other: "The {count} most affected cities",
+    },
+    limitations: "Model limitations",
+    limitationsText: "Simplified educational model. It does not account for directivity, basin or topographic effects; site amplification is approximate. The finite fault is a flat rectangle in a local projection, not a realistic 3D slab geometry. Not suitable for real emergency planning.",
+    footer: "Chile Earthquake Simulator · Educational estimates for exercises and drills, not for real emergency response.",
+  },
+};
+
+export const translations = { es, en };
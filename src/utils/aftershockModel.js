@@ -0,0 +1,262 @@
+/**
+ * Synthetic aftershock sequences
+ * 
+ * Samples a plausible aftershock catalog for a mainshock:
+ * - Båth's law: the largest aftershock is ~1.2 units below the mainshock
+ * - Gutenberg-Richter: magnitudes above the completeness magnitude follow
+ *   log10 N(≥M) = a - b·M, truncated at the largest aftershock
+ * - Omori-Utsu: rate decays as (t + c)^-p after the mainshock
+ * 
+ * Locations are spread uniformly over the rupture plane (or a plane of
+ * typical size for the magnitude when the scenario uses a point source).
+ */
+
+import { calculateDistance } from './geoUtils';
+import { calculateIntensity, getAttenuationModel } from './attenuationModel';
+import { createRupturePlane, DEFAULT_FAULT } from './faultModel';
+import { getIntensityRangeForMMI } from './mmiScale';
+import { createRandom } from './random';
+
+/**
+ * Aftershock sequence parameters
+ */
+const AFTERSHOCK_PARAMETERS = {
+  bathDelta: 1.2,          // Båth's law: Mmax = Mmainshock - 1.2
+  bValue: 1.0,             // Gutenberg-Richter b-value
+  minMagnitude: 4.0,       // Completeness magnitude (raised to cap the catalog size)
+  maxEvents: 2000,         // Largest catalog generated
+  omoriP: 1.08,            // Omori-Utsu decay exponent (Reasenberg & Jones 1989)
+  omoriC: 0.05,            // Omori-Utsu time offset (days)
+  referenceDays: 365,      // Period over which the Båth/Gutenberg-Richter count applies
+};
+
+/**
+ * MMI from which aftershock shaking is counted per city
+ */
+export const AFTERSHOCK_COUNT_LEVEL = 'VI';
+
+/**
+ * Integral of the Omori-Utsu rate (t + c)^-p from 0 to t
+ */
+function omoriIntegral(t, p, c) {
+  return (Math.pow(c, 1 - p) - Math.pow(t + c, 1 - p)) / (p - 1);
+}
+
+/**
+ * Sample a time from the Omori-Utsu rate on [0, duration]
+ * 
+ * Inverse CDF of n(t) ∝ (t + c)^-p.
+ */
+function sampleOmoriTime(u, duration, p, c) {
+  const q = 1 - p;
+  const start = Math.pow(c, q);
+  const end = Math.pow(duration + c, q);
+  return Math.pow(start + u * (end - start), 1 / q) - c;
+}
+
+/**
+ * Sample a magnitude from a Gutenberg-Richter distribution truncated to [min, max]
+ */
+function sampleMagnitude(u, min, max, b) {
+  const span = 1 - Math.pow(10, -b * (max - min));
+  return min - Math.log10(1 - u * span) / b;
+}
+
+/**
+ * Sample a point on a rupture plane (surface position and depth)
+ * 
+ * Corners are top-start, top-end, bottom-end, bottom-start.
+ */
+function samplePlanePoint(plane, alongStrike, downDip) {
+  const [topStart, topEnd, bottomEnd, bottomStart] = plane.corners;
+  const lerp = (a, b, t) => a + (b - a) * t;
+
+  const top = { lat: lerp(topStart.lat, topEnd.lat, alongStrike), lon: lerp(topStart.lon, topEnd.lon, alongStrike) };
+  const bottom = { lat: lerp(bottomStart.lat, bottomEnd.lat, alongStrike), lon: lerp(bottomStart.lon, bottomEnd.lon, alongStrike) };
+
+  return {
+    lat: lerp(top.lat, bottom.lat, downDip),
+    lon: lerp(top.lon, bottom.lon, downDip),
+    depth: lerp(plane.topDepth, plane.bottomDepth, downDip),
+  };
+}
+
+/**
+ * Expected number of aftershocks above a magnitude
+ * 
+ * Combines Båth's law with Gutenberg-Richter: one event at the largest
+ * aftershock magnitude in the first year implies 10^(b·(Mmax - M)) events
+ * above M, distributed in time by Omori-Utsu.
+ * 
+ * @param {number} mainshockMagnitude - Mainshock magnitude (Mw)
+ * @param {number} magnitude - Minimum magnitude
+ * @param {number} durationDays - Days after the mainshock (default: one year)
+ * @returns {number} Expected count
+ */
+export function getExpectedAftershockCount(mainshockMagnitude, magnitude, durationDays = AFTERSHOCK_PARAMETERS.referenceDays) {
+  const { bathDelta, bValue, omoriP, omoriC, referenceDays } = AFTERSHOCK_PARAMETERS;
+  const largest = mainshockMagnitude - bathDelta;
+  if (magnitude > largest) return 0;
+
+  const timeFraction = omoriIntegral(durationDays, omoriP, omoriC) / omoriIntegral(referenceDays, omoriP, omoriC);
+  return Math.pow(10, bValue * (largest - magnitude)) * timeFraction;
+}
+
+/**
+ * Generate a synthetic aftershock catalog
+ * 
+ * @param {Object} mainshock
+ * @param {number} mainshock.magnitude - Mainshock magnitude (Mw)
+ * @param {number} mainshock.depth - Hypocenter depth in kilometers
+ * @param {{lat: number, lon: number}} mainshock.epicenter - Epicenter location
+ * @param {Object|null} mainshock.rupture - Rupture plane, or null for a point source
+ * @param {string} mainshock.modelId - Attenuation model id (sets the default rupture type)
+ * @param {Object} options
+ * @param {number} options.durationDays - Length of the sequence in days
+ * @param {number} options.seed - Random seed
+ * @returns {{events: Array<Object>, minMagnitude: number, largestMagnitude: number,
+ *   durationDays: number, seed: number}} Events sorted by time, each with id, time
+ *   (days), magnitude, lat, lon and depth
+ */
+export function generateAftershockSequence({ magnitude, depth, epicenter, rupture, modelId }, { durationDays, seed }) {
+  const { bathDelta, bValue, minMagnitude, maxEvents, omoriP, omoriC } = AFTERSHOCK_PARAMETERS;
+  const random = createRandom(seed);
+  const largestMagnitude = magnitude - bathDelta;
+
+  // Raise the completeness magnitude so the catalog stays below maxEvents
+  const completeness = Math.max(minMagnitude, largestMagnitude - Math.log10(maxEvents) / bValue);
+  const count = Math.round(getExpectedAftershockCount(magnitude, completeness, durationDays));
+
+  if (count < 1) {
+    return { events: [], minMagnitude: completeness, largestMagnitude, durationDays, seed };
+  }
+
+  const { tectonicType } = getAttenuationModel(modelId);
+  const plane = rupture || createRupturePlane({
+    magnitude,
+    strike: DEFAULT_FAULT.strike,
+    dip: DEFAULT_FAULT.dip,
+    hypocenter: epicenter,
+    depth,
+    tectonicType: tectonicType === 'any' ? 'interface' : tectonicType,
+  });
+
+  const events = [];
+  for (let i = 0; i < count; i++) {
+    // Båth's law fixes the largest event; the rest follow truncated Gutenberg-Richter
+    const eventMagnitude = i === 0
+      ? largestMagnitude
+      : sampleMagnitude(random(), completeness, largestMagnitude, bValue);
+    const location = samplePlanePoint(plane, random(), random());
+
+    events.push({
+      time: sampleOmoriTime(random(), durationDays, omoriP, omoriC),
+      magnitude: Math.round(eventMagnitude * 10) / 10,
+      ...location,
+    });
+  }
+
+  events.sort((a, b) => a.time - b.time);
+  events.forEach((event, index) => { event.id = index; });
+
+  return { events, minMagnitude: completeness, largestMagnitude, durationDays, seed };
+}
+
+/**
+ * Evaluate aftershock shaking at each city
+ * 
+ * Every aftershock is evaluated with calculateIntensity (rock, point
+ * source) using the active attenuation model.
+ * 
+ * @param {Array<Object>} events - Events from generateAftershockSequence
+ * @param {Array<{city: string, lat: number, lon: number}>} cities - City records
+ * @param {string} modelId - Attenuation model id
+ * @returns {Array<{city: string, times: Array<number>, maxIntensity: number}>} Per city,
+ *   the (sorted) times of aftershocks at or above AFTERSHOCK_COUNT_LEVEL and the
+ *   strongest aftershock intensity
+ */
+export function evaluateAftershockShaking(events, cities, modelId) {
+  const threshold = getIntensityRangeForMMI(AFTERSHOCK_COUNT_LEVEL).min;
+
+  return cities.map(city => {
+    const times = [];
+    let maxIntensity = 0;
+
+    events.forEach(event => {
+      const distance = calculateDistance(event.lat, event.lon, city.lat, city.lon);
+      const intensity = calculateIntensity(event.magnitude, event.depth, distance, modelId);
+
+      maxIntensity = Math.max(maxIntensity, intensity);
+      if (intensity >= threshold) {
+        times.push(event.time);
+      }
+    });
+
+    return { city: city.city, times, maxIntensity };
+  });
+}
+
+/**
+ * Count entries of a sorted time list up to a time
+ * 
+ * @param {Array<number>} times - Times in days, ascending
+ * @param {number} time - Time in days
+ * @returns {number} Number of times ≤ time
+ */
+export function countUpTo(times, time) {
+  let low = 0;
+  let high = times.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (times[mid] <= time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+}
+
+/**
+ * Map a timeline position to time since the mainshock
+ * 
+ * The timeline is logarithmic so the first hours, when most aftershocks
+ * occur, get as much room as the following months.
+ * 
+ * @param {number} fraction - Position on the timeline (0-1)
+ * @param {number} durationDays - Sequence duration in days
+ * @returns {number} Time in days
+ */
+export function timelineToDays(fraction, durationDays) {
+  const { omoriC } = AFTERSHOCK_PARAMETERS;
+  return omoriC * (Math.pow(durationDays / omoriC + 1, fraction) - 1);
+}
+
+/**
+ * Map a time since the mainshock to a timeline position
+ * (inverse of timelineToDays)
+ * 
+ * @param {number} days - Time in days
+ * @param {number} durationDays - Sequence duration in days
+ * @returns {number} Position on the timeline (0-1)
+ */
+export function daysToTimeline(days, durationDays) {
+  const { omoriC } = AFTERSHOCK_PARAMETERS;
+  return Math.log(days / omoriC + 1) / Math.log(durationDays / omoriC + 1);
+}
+
+/**
+ * Format a time since the mainshock
+ * 
+ * @param {number} days - Time in days
+ * @param {string} dayUnit - Unit word for whole days (default "days")
+ * @returns {string} e.g. "45 min", "6.5 h", "12 days"
+ */
+export function formatElapsedTime(days, dayUnit = 'days') {
+  const hours = days * 24;
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (days < 2) return `${hours.toFixed(1)} h`;
+  return `${Math.round(days)} ${dayUnit}`;
+}
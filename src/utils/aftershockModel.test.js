@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+  countUpTo,
+  daysToTimeline,
+  evaluateAftershockShaking,
+  generateAftershockSequence,
+  getExpectedAftershockCount,
+  timelineToDays,
+} from './aftershockModel';
+
+const MAINSHOCK = {
+  magnitude: 8.0,
+  depth: 30,
+  epicenter: { lat: -33.0, lon: -72.0 },
+  rupture: null,
+  modelId: 'bchydro-interface',
+};
+
+describe('getExpectedAftershockCount', () => {
+  it('expects one aftershock at the Båth magnitude over the first year', () => {
+    expect(getExpectedAftershockCount(8.0, 6.8)).toBeCloseTo(1, 6);
+  });
+
+  it('grows tenfold per magnitude unit (b = 1) and with duration', () => {
+    expect(getExpectedAftershockCount(8.0, 4.8)).toBeCloseTo(100, 6);
+    expect(getExpectedAftershockCount(8.0, 4.8, 30)).toBeLessThan(getExpectedAftershockCount(8.0, 4.8, 90));
+  });
+
+  it('is zero above the largest aftershock', () => {
+    expect(getExpectedAftershockCount(8.0, 7.0)).toBe(0);
+  });
+});
+
+describe('generateAftershockSequence', () => {
+  const sequence = generateAftershockSequence(MAINSHOCK, { durationDays: 30, seed: 7 });
+
+  it('is reproducible from its seed', () => {
+    expect(generateAftershockSequence(MAINSHOCK, { durationDays: 30, seed: 7 })).toEqual(sequence);
+  });
+
+  it('has the Båth largest aftershock and magnitudes within the Gutenberg-Richter range', () => {
+    const magnitudes = sequence.events.map(event => event.magnitude);
+    expect(Math.max(...magnitudes)).toBeCloseTo(6.8, 6);
+    magnitudes.forEach(magnitude => {
+      expect(magnitude).toBeGreaterThanOrEqual(Math.round(sequence.minMagnitude * 10) / 10);
+    });
+  });
+
+  it('sorts events by time within the sequence duration', () => {
+    sequence.events.forEach((event, index) => {
+      expect(event.time).toBeGreaterThanOrEqual(0);
+      expect(event.time).toBeLessThanOrEqual(30);
+      if (index > 0) expect(event.time).toBeGreaterThanOrEqual(sequence.events[index - 1].time);
+    });
+  });
+
+  it('decays in time (Omori-Utsu)', () => {
+    const firstDay = countUpTo(sequence.events.map(event => event.time), 1);
+    expect(firstDay).toBeGreaterThan(sequence.events.length / 3);
+  });
+
+  it('places events near the epicenter', () => {
+    sequence.events.forEach(event => {
+      expect(Math.abs(event.lat - MAINSHOCK.epicenter.lat)).toBeLessThan(2);
+      expect(Math.abs(event.lon - MAINSHOCK.epicenter.lon)).toBeLessThan(2);
+    });
+  });
+});
+
+describe('evaluateAftershockShaking', () => {
+  it('counts strong shaking above the largest aftershock and none far away', () => {
+    const { events } = generateAftershockSequence(MAINSHOCK, { durationDays: 30, seed: 7 });
+    const largest = events.reduce((a, b) => (b.magnitude > a.magnitude ? b : a));
+    const [near, far] = evaluateAftershockShaking(events, [
+      { city: 'Above', lat: largest.lat, lon: largest.lon },
+      { city: 'Punta Arenas', lat: -53.17, lon: -70.93 },
+    ], MAINSHOCK.modelId);
+
+    expect(near.times).toContain(largest.time);
+    expect(near.maxIntensity).toBeGreaterThan(far.maxIntensity);
+    expect(far.times).toEqual([]);
+  });
+});
+
+describe('timeline helpers', () => {
+  it('counts sorted times up to a time', () => {
+    expect(countUpTo([0.1, 0.5, 0.5, 2], 0.5)).toBe(3);
+    expect(countUpTo([], 1)).toBe(0);
+  });
+
+  it('maps the timeline to days and back', () => {
+    expect(timelineToDays(0, 90)).toBe(0);
+    expect(timelineToDays(1, 90)).toBeCloseTo(90, 6);
+    expect(daysToTimeline(timelineToDays(0.37, 90), 90)).toBeCloseTo(0.37, 6);
+  });
+});
@@ -5,9 +5,12 @@
  * Calibrated using the 2010 Maule earthquake (M8.8) as reference.
  * 
  * This is an educational approximation, NOT a full GMPE (Ground Motion Prediction Equation).
- * For actual seismic hazard analysis, use peer-reviewed models like:
- * - Montalva et al. (2017) for Chile
- * - Abrahamson et al. (2016) BCHydro model
+ * For comparison, a small registry of published GMPE forms is also provided:
+ * - Montalva et al. (2017) / Abrahamson et al. (2016) BCHydro for interface and intraslab events
+ * - Boore & Atkinson (2008) for shallow crustal events
+ * 
+ * Every model returns PGA/PGV plus an intensity value on the same scale
+ * used by mmiScale.js, so callers can switch models by id.
  */
 
 /**
@@ -36,56 +39,454 @@ const ATTENUATION_CONSTANTS = {
 };
 
 /**
- * Calculate ground motion intensity at a given distance from earthquake
+ * BCHydro subduction GMPE coefficients for PGA (Abrahamson et al. 2016)
  * 
- * @param {number} magnitude - Moment magnitude (Mw), typically 5.0-9.5
- * @param {number} depth - Hypocenter depth in kilometers
- * @param {number} distance - Horizontal distance from epicenter in kilometers
- * @returns {number} Intensity value (unitless metric to be converted to MMI)
+ * Montalva et al. (2017) refit this same functional form to Chilean
+ * interface and intraslab records. The global PGA coefficients are used
+ * here, evaluated on reference rock (Vs30 = 1000 m/s) in the forearc.
  * 
- * @example
- * // 2010 Maule earthquake at Santiago
- * calculateIntensity(8.8, 35, 335)
- * // Returns: ~7.2 (corresponds to MMI VII-VIII)
+ * ln(PGA) = θ1 + (θ2 + θ14*Fslab + θ3*(M - 7.8)) * ln(R + c4*e^(θ9*(M - 6)))
+ *           + θ6*R + θ10*Fslab + fmag(M) + fdepth(Z) + fsite
  */
-export function calculateIntensity(magnitude, depth, distance) {
-  // Input validation
-  if (magnitude < 0 || magnitude > 10) {
+const BCHYDRO_CONSTANTS = {
+  theta1: 4.2203,
+  theta2: -1.35,
+  theta3: 0.1,
+  theta4: 0.9,
+  theta5: 0.0,
+  theta6: -0.0012,
+  theta9: 0.4,
+  theta10: 3.12,
+  theta11: 0.013,
+  theta12: 0.98,
+  theta13: -0.0135,
+  theta14: -0.4,
+  c4: 10,
+  vlin: 865.1,  // Linear site response reference velocity (m/s)
+  b: -1.186,    // Nonlinear site response slope
+  n: 1.18,
+  c1: 7.8,      // Magnitude scaling break
+  deltaC1Interface: 0.2,
+  deltaC1Slab: -0.3,
+  vs30Rock: 1000,
+};
+
+/**
+ * Boore & Atkinson (2008) crustal GMPE coefficients (unspecified mechanism)
+ * 
+ * ln(Y) = FM(M) + [c1 + c2*(M - Mref)] * ln(R / Rref) + c3*(R - Rref)
+ * R = sqrt(Rjb² + h²), evaluated at Vs30 = 760 m/s (site term = 0)
+ * 
+ * PGA in g, PGV in cm/s.
+ */
+const BA08_CONSTANTS = {
+  pga: { e1: -0.53804, e5: 0.28805, e6: -0.10164, e7: 0, mh: 6.75, c1: -0.6605, c2: 0.1197, c3: -0.01151, h: 1.35 },
+  pgv: { e1: 5.00121, e5: 0.18322, e6: -0.12736, e7: 0, mh: 8.5, c1: -0.8737, c2: 0.1006, c3: -0.00334, h: 2.54 },
+  mref: 4.5,
+  rref: 1.0,
+};
+
+/**
+ * Ground motion to intensity conversion (Worden et al. 2012, California)
+ * 
+ * MMI = c1 + c2*log10(Y)   for log10(Y) <= t
+ * MMI = c3 + c4*log10(Y)   for log10(Y) >  t
+ * 
+ * With PGA in cm/s² and PGV in cm/s. The intensity reported by the
+ * GMPE-based models is the larger of the PGA- and PGV-derived values,
+ * since PGV controls at strong shaking and PGA at weak shaking.
+ */
+const GMICE_CONSTANTS = {
+  pga: { c1: 1.78, c2: 1.55, c3: -1.60, c4: 3.70, t: 1.57 },
+  pgv: { c1: 3.78, c2: 1.47, c3: 2.89, c4: 3.16, t: 0.53 },
+};
+
+const GRAVITY_CM_S2 = 980.665;
+
+/**
+ * Default model id (keeps the original educational formula)
+ */
+export const DEFAULT_MODEL_ID = 'educational';
+
+/**
+ * Convert PGA (g) to intensity using Worden et al. (2012)
+ * 
+ * @param {number} pga - Peak ground acceleration in g
+ * @returns {number} Intensity value
+ */
+export function pgaToIntensity(pga) {
+  const { c1, c2, c3, c4, t } = GMICE_CONSTANTS.pga;
+  const logY = Math.log10(Math.max(pga * GRAVITY_CM_S2, 1e-6));
+  return logY <= t ? c1 + c2 * logY : c3 + c4 * logY;
+}
+
+/**
+ * Convert PGV (cm/s) to intensity using Worden et al. (2012)
+ * 
+ * @param {number} pgv - Peak ground velocity in cm/s
+ * @returns {number} Intensity value
+ */
+export function pgvToIntensity(pgv) {
+  const { c1, c2, c3, c4, t } = GMICE_CONSTANTS.pgv;
+  const logY = Math.log10(Math.max(pgv, 1e-6));
+  return logY <= t ? c1 + c2 * logY : c3 + c4 * logY;
+}
+
+/**
+ * Convert intensity back to PGA (g), inverse of pgaToIntensity
+ * 
+ * @param {number} intensity - Intensity value
+ * @returns {number} Peak ground acceleration in g
+ */
+export function intensityToPGA(intensity) {
+  const { c1, c2, c3, c4, t } = GMICE_CONSTANTS.pga;
+  const breakIntensity = c1 + c2 * t;
+  const logY = intensity <= breakIntensity ? (intensity - c1) / c2 : (intensity - c3) / c4;
+  return Math.pow(10, logY) / GRAVITY_CM_S2;
+}
+
+/**
+ * Convert intensity back to PGV (cm/s), inverse of pgvToIntensity
+ * 
+ * @param {number} intensity - Intensity value
+ * @returns {number} Peak ground velocity in cm/s
+ */
+export function intensityToPGV(intensity) {
+  const { c1, c2, c3, c4, t } = GMICE_CONSTANTS.pgv;
+  const breakIntensity = c1 + c2 * t;
+  const logY = intensity <= breakIntensity ? (intensity - c1) / c2 : (intensity - c3) / c4;
+  return Math.pow(10, logY);
+}
+
+/**
+ * Estimate PGV from PGA for models that only predict acceleration
+ * 
+ * Rough PGV/PGA ratio of ~100 cm/s per g at M7 on rock, growing with
+ * magnitude as longer-period energy dominates large subduction events.
+ * 
+ * @param {number} pga - Peak ground acceleration in g
+ * @param {number} magnitude - Moment magnitude (Mw)
+ * @returns {number} Peak ground velocity in cm/s
+ */
+function estimatePGVFromPGA(pga, magnitude) {
+  return pga * 100 * Math.pow(10, 0.2 * (magnitude - 7.0));
+}
+
+/**
+ * Combine PGA and PGV into a single ground-motion result
+ * 
+ * @param {number} pga - Peak ground acceleration in g
+ * @param {number} pgv - Peak ground velocity in cm/s
+ * @returns {{intensity: number, pga: number, pgv: number}}
+ */
+function groundMotionResult(pga, pgv) {
+  const intensity = Math.max(pgaToIntensity(pga), pgvToIntensity(pgv));
+  return {
+    intensity: Math.max(intensity, 0),
+    pga,
+    pgv,
+  };
+}
+
+/**
+ * Original educational formula: I = a + b*M - c*log10(R) - d*R
+ * 
+ * PGA/PGV are back-calculated from the intensity with the inverse
+ * Worden et al. (2012) relations, so they are illustrative only.
+ */
+function predictEducational({ magnitude, rrup }) {
+  const R = Math.max(rrup, 1.0);
+  const { a, b, c, d } = ATTENUATION_CONSTANTS;
+
+  const intensity = Math.max(a + (b * magnitude) - (c * Math.log10(R)) - (d * R), 0);
+
+  return {
+    intensity,
+    pga: intensityToPGA(intensity),
+    pgv: intensityToPGV(intensity),
+  };
+}
+
+/**
+ * BCHydro-form subduction model (interface or intraslab)
+ * 
+ * Interface events use rupture distance; intraslab events use
+ * hypocentral distance and include the event-type and depth terms.
+ */
+function predictBCHydro({ magnitude, depth, rrup, rhypo }, isSlab) {
+  const k = BCHYDRO_CONSTANTS;
+  const slab = isSlab ? 1 : 0;
+  const R = Math.max(isSlab ? rhypo : rrup, 1.0);
+  const c1 = k.c1 + (isSlab ? k.deltaC1Slab : k.deltaC1Interface);
+
+  const fmag = (magnitude <= c1 ? k.theta4 : k.theta5) * (magnitude - c1)
+    + k.theta13 * Math.pow(10 - magnitude, 2);
+  const fdepth = k.theta11 * (Math.min(depth, 120) - 60) * slab;
+  const siteScale = Math.log(k.vs30Rock / k.vlin);
+  const fsite = k.theta12 * siteScale + k.b * k.n * siteScale;
+
+  const lnPGA = k.theta1
+    + (k.theta2 + k.theta14 * slab + k.theta3 * (magnitude - 7.8))
+      * Math.log(R + k.c4 * Math.exp(k.theta9 * (magnitude - 6)))
+    + k.theta6 * R
+    + k.theta10 * slab
+    + fmag
+    + fdepth
+    + fsite;
+
+  const pga = Math.exp(lnPGA);
+  return groundMotionResult(pga, estimatePGVFromPGA(pga, magnitude));
+}
+
+/**
+ * Evaluate one Boore & Atkinson (2008) ground-motion parameter
+ */
+function evaluateBA08(coefficients, magnitude, rjb) {
+  const { e1, e5, e6, e7, mh, c1, c2, c3, h } = coefficients;
+  const { mref, rref } = BA08_CONSTANTS;
+
+  const fm = magnitude <= mh
+    ? e1 + e5 * (magnitude - mh) + e6 * Math.pow(magnitude - mh, 2)
+    : e1 + e7 * (magnitude - mh);
+  const R = Math.sqrt(rjb * rjb + h * h);
+  const fd = (c1 + c2 * (magnitude - mref)) * Math.log(R / rref) + c3 * (R - rref);
+
+  return Math.exp(fm + fd);
+}
+
+/**
+ * Shallow crustal model (Boore & Atkinson 2008)
+ */
+function predictCrustal({ magnitude, rjb }) {
+  return groundMotionResult(
+    evaluateBA08(BA08_CONSTANTS.pga, magnitude, rjb),
+    evaluateBA08(BA08_CONSTANTS.pgv, magnitude, rjb)
+  );
+}
+
+/**
+ * Attenuation model registry
+ * 
+ * Every model exposes predict({ magnitude, depth, rrup, rjb, rhypo }),
+ * returning { intensity, pga (g), pgv (cm/s) }. sigmaLn is the total
+ * aleatory standard deviation in natural-log units of ground motion and
+ * sigmaIntensity the equivalent scatter in intensity units. referenceVs30 is
+ * the rock velocity (m/s) the model predicts for, which site amplification
+ * corrects from.
+ */
+const ATTENUATION_MODELS = {
+  educational: {
+    id: 'educational',
+    name: 'Educational (Maule-calibrated)',
+    reference: 'Simplified I = a + b*M - c*log10(R) - d*R',
+    tectonicType: 'any',
+    sigmaLn: null,
+    sigmaIntensity: 0.8,
+    referenceVs30: 760,
+    parameters: ATTENUATION_CONSTANTS,
+    predict: predictEducational,
+  },
+  'bchydro-interface': {
+    id: 'bchydro-interface',
+    name: 'Subduction interface (BCHydro / Montalva 2017 form)',
+    reference: 'Abrahamson et al. (2016); Montalva et al. (2017)',
+    tectonicType: 'interface',
+    sigmaLn: 0.74,
+    sigmaIntensity: 1.0,
+    referenceVs30: BCHYDRO_CONSTANTS.vs30Rock,
+    parameters: { ...BCHYDRO_CONSTANTS, deltaC1: BCHYDRO_CONSTANTS.deltaC1Interface },
+    predict: (input) => predictBCHydro(input, false),
+  },
+  'bchydro-intraslab': {
+    id: 'bchydro-intraslab',
+    name: 'Intraslab (BCHydro / Montalva 2017 form)',
+    reference: 'Abrahamson et al. (2016); Montalva et al. (2017)',
+    tectonicType: 'intraslab',
+    sigmaLn: 0.74,
+    sigmaIntensity: 1.0,
+    referenceVs30: BCHYDRO_CONSTANTS.vs30Rock,
+    parameters: { ...BCHYDRO_CONSTANTS, deltaC1: BCHYDRO_CONSTANTS.deltaC1Slab },
+    predict: (input) => predictBCHydro(input, true),
+  },
+  'ba08-crustal': {
+    id: 'ba08-crustal',
+    name: 'Shallow crustal (Boore & Atkinson 2008)',
+    reference: 'Boore & Atkinson (2008)',
+    tectonicType: 'crustal',
+    sigmaLn: 0.564,
+    sigmaIntensity: 0.9,
+    referenceVs30: 760,
+    parameters: BA08_CONSTANTS,
+    predict: predictCrustal,
+  },
+};
+
+/**
+ * Look up an attenuation model by id
+ * 
+ * @param {string} modelId - Model identifier
+ * @returns {Object} Model definition
+ */
+export function getAttenuationModel(modelId = DEFAULT_MODEL_ID) {
+  const model = ATTENUATION_MODELS[modelId];
+  if (!model) {
+    throw new Error(`Unknown attenuation model: ${modelId}.`);
+  }
+  return model;
+}
+
+/**
+ * List available attenuation models (for UI display)
+ * 
+ * @returns {Array<{id: string, name: string, reference: string, tectonicType: string,
+ *   referenceVs30: number}>}
+ */
+export function getAttenuationModels() {
+  return Object.values(ATTENUATION_MODELS).map(({ id, name, reference, tectonicType, referenceVs30 }) => ({
+    id,
+    name,
+    reference,
+    tectonicType,
+    referenceVs30,
+  }));
+}
+
+/**
+ * Get the rock Vs30 an attenuation model predicts for
+ * 
+ * @param {string} modelId - Model identifier
+ * @returns {number} Reference Vs30 in m/s
+ */
+export function getReferenceVs30(modelId = DEFAULT_MODEL_ID) {
+  return getAttenuationModel(modelId).referenceVs30;
+}
+
+/**
+ * Check whether a model id exists in the registry
+ * 
+ * @param {string} modelId - Model identifier
+ * @returns {boolean} True if the model is registered
+ */
+export function isValidModelId(modelId) {
+  return Object.prototype.hasOwnProperty.call(ATTENUATION_MODELS, modelId);
+}
+
+/**
+ * Validate magnitude value
+ * 
+ * @param {number} magnitude - Moment magnitude (Mw)
+ * @returns {boolean} True if magnitude is a number between 0 and 10
+ */
+export function isValidMagnitude(magnitude) {
+  return (
+    typeof magnitude === 'number' &&
+    magnitude >= 0 &&
+    magnitude <= 10 &&
+    !isNaN(magnitude)
+  );
+}
+
+/**
+ * Validate source parameters shared by all intensity calculations
+ * 
+ * @param {number} magnitude - Moment magnitude (Mw)
+ * @param {number} depth - Hypocenter depth in kilometers
+ */
+function validateSource(magnitude, depth) {
+  if (!isValidMagnitude(magnitude)) {
     throw new Error(`Invalid magnitude: ${magnitude}. Must be between 0 and 10.`);
   }
   
-  if (depth < 0 || depth > 700) {
+  if (!(depth >= 0 && depth <= 700)) {
     throw new Error(`Invalid depth: ${depth}. Must be between 0 and 700 km.`);
   }
-  
+}
+
+/**
+ * Calculate full ground motion from precomputed source-to-site distances
+ * 
+ * Use this with finite-fault distances (see faultModel.js); rrup and rjb
+ * are measured to the rupture plane rather than to the hypocenter.
+ * 
+ * @param {number} magnitude - Moment magnitude (Mw)
+ * @param {number} depth - Hypocenter depth in kilometers
+ * @param {{rrup: number, rjb: number, rhypo: number}} distances - Distances in kilometers
+ * @param {string} modelId - Attenuation model id (default: educational)
+ * @returns {{intensity: number, pga: number, pgv: number, modelId: string}}
+ */
+export function calculateGroundMotionFromDistances(magnitude, depth, distances, modelId = DEFAULT_MODEL_ID) {
+  validateSource(magnitude, depth);
+
+  const { rrup, rjb, rhypo } = distances;
+  if (!(rrup >= 0) || !(rjb >= 0) || !(rhypo >= 0)) {
+    throw new Error(`Invalid distances: Rrup ${rrup}, Rjb ${rjb}, Rhypo ${rhypo}. Must be non-negative.`);
+  }
+
+  const model = getAttenuationModel(modelId);
+  const result = model.predict({ magnitude, depth, rrup, rjb, rhypo });
+
+  return { ...result, modelId: model.id };
+}
+
+/**
+ * Calculate full ground motion (intensity, PGA, PGV) at a site
+ * 
+ * @param {number} magnitude - Moment magnitude (Mw), typically 5.0-9.5
+ * @param {number} depth - Hypocenter depth in kilometers
+ * @param {number} distance - Horizontal distance from epicenter in kilometers
+ * @param {string} modelId - Attenuation model id (default: educational)
+ * @returns {{intensity: number, pga: number, pgv: number, modelId: string}}
+ */
+export function calculateGroundMotion(magnitude, depth, distance, modelId = DEFAULT_MODEL_ID) {
+  validateSource(magnitude, depth);
+
   if (distance < 0) {
     throw new Error(`Invalid distance: ${distance}. Must be non-negative.`);
   }
 
   // Calculate hypocentral distance (3D distance)
+  // For a point source, rupture distance equals hypocentral distance
   const hypocentralDistance = Math.sqrt(distance * distance + depth * depth);
-  
-  // Avoid log(0) or log(negative) - use minimum distance of 1 km
-  const R = Math.max(hypocentralDistance, 1.0);
-  
-  const { a, b, c, d } = ATTENUATION_CONSTANTS;
-  
-  // Attenuation formula
-  const intensity = a + (b * magnitude) - (c * Math.log10(R)) - (d * R);
-  
-  // Intensity cannot be negative (earthquake not felt)
-  return Math.max(intensity, 0);
+
+  return calculateGroundMotionFromDistances(magnitude, depth, {
+    rrup: hypocentralDistance,
+    rjb: distance,
+    rhypo: hypocentralDistance,
+  }, modelId);
+}
+
+/**
+ * Calculate ground motion intensity at a given distance from earthquake
+ * 
+ * @param {number} magnitude - Moment magnitude (Mw), typically 5.0-9.5
+ * @param {number} depth - Hypocenter depth in kilometers
+ * @param {number} distance - Horizontal distance from epicenter in kilometers
+ * @param {string} modelId - Attenuation model id (default: educational)
+ * @returns {number} Intensity value (unitless metric to be converted to MMI)
+ * 
+ * @example
+ * // 2010 Maule earthquake at Santiago (point source)
+ * calculateIntensity(8.8, 35, 335)
+ * // Returns: ~2.8 with the educational model; the observed MMI VII is
+ * // reproduced by 'bchydro-interface' with a finite fault
+ */
+export function calculateIntensity(magnitude, depth, distance, modelId = DEFAULT_MODEL_ID) {
+  return calculateGroundMotion(magnitude, depth, distance, modelId).intensity;
 }
 
 /**
  * Calculate intensity given hypocentral distance directly
  * (when you already have 3D distance calculated)
  * 
+ * Models that need depth or Joyner-Boore distance treat the
+ * source as a point at the surface.
+ * 
  * @param {number} magnitude - Moment magnitude (Mw)
  * @param {number} hypocentralDistance - 3D distance from hypocenter in kilometers
+ * @param {string} modelId - Attenuation model id (default: educational)
  * @returns {number} Intensity value
  */
-export function calculateIntensityFromHypocentral(magnitude, hypocentralDistance) {
+export function calculateIntensityFromHypocentral(magnitude, hypocentralDistance, modelId = DEFAULT_MODEL_ID) {
   if (magnitude < 0 || magnitude > 10) {
     throw new Error(`Invalid magnitude: ${magnitude}. Must be between 0 and 10.`);
   }
@@ -94,12 +495,13 @@ export function calculateIntensityFromHypocentral(magnitude, hypocentralDistance
     throw new Error(`Invalid hypocentral distance: ${hypocentralDistance}. Must be non-negative.`);
   }
 
-  const R = Math.max(hypocentralDistance, 1.0);
-  const { a, b, c, d } = ATTENUATION_CONSTANTS;
-  
-  const intensity = a + (b * magnitude) - (c * Math.log10(R)) - (d * R);
-  
-  return Math.max(intensity, 0);
+  return getAttenuationModel(modelId).predict({
+    magnitude,
+    depth: 0,
+    rrup: hypocentralDistance,
+    rjb: hypocentralDistance,
+    rhypo: hypocentralDistance,
+  }).intensity;
 }
 
 /**
@@ -107,16 +509,20 @@ export function calculateIntensityFromHypocentral(magnitude, hypocentralDistance
  * 
  * @param {number} magnitude - Moment magnitude (Mw)
  * @param {number} depth - Hypocenter depth in kilometers
+ * @param {string} modelId - Attenuation model id (default: educational)
  * @returns {number} Maximum intensity at epicenter
  */
-export function getEpicentralIntensity(magnitude, depth) {
+export function getEpicentralIntensity(magnitude, depth, modelId = DEFAULT_MODEL_ID) {
   // At epicenter, horizontal distance = 0, so R = depth
   const R = Math.max(depth, 1.0); // Minimum 1 km to avoid extreme values
-  const { a, b, c, d } = ATTENUATION_CONSTANTS;
-  
-  const intensity = a + (b * magnitude) - (c * Math.log10(R)) - (d * R);
-  
-  return Math.max(intensity, 0);
+
+  return getAttenuationModel(modelId).predict({
+    magnitude,
+    depth,
+    rrup: R,
+    rjb: 0,
+    rhypo: R,
+  }).intensity;
 }
 
 /**
@@ -128,15 +534,16 @@ export function getEpicentralIntensity(magnitude, depth) {
  * @param {number} depth - Hypocenter depth in kilometers
  * @param {number} maxDistance - Maximum distance to calculate (km)
  * @param {number} steps - Number of data points to generate
+ * @param {string} modelId - Attenuation model id (default: educational)
  * @returns {Array<{distance: number, intensity: number}>} Array of distance-intensity pairs
  */
-export function getIntensityDecayCurve(magnitude, depth, maxDistance = 1000, steps = 100) {
+export function getIntensityDecayCurve(magnitude, depth, maxDistance = 1000, steps = 100, modelId = DEFAULT_MODEL_ID) {
   const curve = [];
   const stepSize = maxDistance / steps;
   
   for (let i = 0; i <= steps; i++) {
     const distance = i * stepSize;
-    const intensity = calculateIntensity(magnitude, depth, distance);
+    const intensity = calculateIntensity(magnitude, depth, distance, modelId);
     curve.push({ distance, intensity });
   }
   
@@ -151,9 +558,10 @@ export function getIntensityDecayCurve(magnitude, depth, maxDistance = 1000, ste
  * @param {number} magnitude - Moment magnitude (Mw)
  * @param {number} depth - Hypocenter depth in kilometers
  * @param {number} targetIntensity - Target intensity value (e.g., 3.0 for MMI III)
+ * @param {string} modelId - Attenuation model id (default: educational)
  * @returns {number} Approximate distance in kilometers where intensity reaches target
  */
-export function estimateFeltRadius(magnitude, depth, targetIntensity = 3.0) {
+export function estimateFeltRadius(magnitude, depth, targetIntensity = 3.0, modelId = DEFAULT_MODEL_ID) {
   // Binary search for distance where intensity equals target
   let minDist = 0;
   let maxDist = 5000; // Start with 5000 km max
@@ -164,7 +572,7 @@ export function estimateFeltRadius(magnitude, depth, targetIntensity = 3.0) {
   
   while (maxDist - minDist > tolerance && iterations < maxIterations) {
     const midDist = (minDist + maxDist) / 2;
-    const intensity = calculateIntensity(magnitude, depth, midDist);
+    const intensity = calculateIntensity(magnitude, depth, midDist, modelId);
     
     if (intensity > targetIntensity) {
       minDist = midDist;
@@ -181,15 +589,19 @@ export function estimateFeltRadius(magnitude, depth, targetIntensity = 3.0) {
 /**
  * Get attenuation model parameters (for debugging/display)
  * 
- * @returns {Object} Current attenuation constants
+ * @param {string} modelId - Attenuation model id (default: educational)
+ * @returns {Object} Constants of the requested model
  */
-export function getModelParameters() {
-  return { ...ATTENUATION_CONSTANTS };
+export function getModelParameters(modelId = DEFAULT_MODEL_ID) {
+  return { ...getAttenuationModel(modelId).parameters };
 }
 
 /**
  * Validate that model produces expected results for known earthquakes
  * 
+ * Quick sanity checks only; see modelValidation.js for residuals
+ * against observed intensities.
+ * 
  * @returns {Object} Validation results for reference events
  */
 export function validateModel() {
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  DEFAULT_MODEL_ID,
+  calculateIntensity,
+  calculateGroundMotion,
+  calculateGroundMotionFromDistances,
+  calculateIntensityFromHypocentral,
+  estimateFeltRadius,
+  getAttenuationModel,
+  getAttenuationModels,
+  getEpicentralIntensity,
+  intensityToPGA,
+  intensityToPGV,
+  isValidModelId,
+  pgaToIntensity,
+  pgvToIntensity,
+} from './attenuationModel';
+import { calculateDistance } from './geoUtils';
+import { createRupturePlane, calculateSiteDistances } from './faultModel';
+
+const MODEL_IDS = getAttenuationModels().map(model => model.id);
+
+const MAULE = { magnitude: 8.8, depth: 30, epicenter: { lat: -36.29, lon: -73.239 } };
+const SANTIAGO = { lat: -33.4489, lon: -70.6693 };
+
+const magnitude = fc.double({ min: 5, max: 9.5, noNaN: true });
+const depth = fc.double({ min: 0, max: 200, noNaN: true });
+const distance = fc.double({ min: 0, max: 1500, noNaN: true });
+
+// BCHydro oversaturates (intensity drops with magnitude) right above
+// very shallow slab sources, which intraslab events never are
+const depthFor = (modelId) => (
+  modelId === 'bchydro-intraslab' ? fc.double({ min: 40, max: 200, noNaN: true }) : depth
+);
+
+describe('model registry', () => {
+  it('exposes the default model and rejects unknown ids', () => {
+    expect(MODEL_IDS).toContain(DEFAULT_MODEL_ID);
+    expect(isValidModelId('bchydro-interface')).toBe(true);
+    expect(isValidModelId('nope')).toBe(false);
+    expect(() => getAttenuationModel('nope')).toThrow('Unknown attenuation model: nope.');
+  });
+});
+
+describe('2010 Maule at Santiago', () => {
+  it('educational point source (regression value)', () => {
+    // The educational model under-predicts the observed MMI VII here
+    const epicentral = calculateDistance(MAULE.epicenter.lat, MAULE.epicenter.lon, SANTIAGO.lat, SANTIAGO.lon);
+    expect(calculateIntensity(MAULE.magnitude, MAULE.depth, epicentral)).toBeCloseTo(2.46, 2);
+  });
+
+  it('BCHydro interface with a finite fault reproduces the observed MMI VII', () => {
+    const plane = createRupturePlane({
+      magnitude: MAULE.magnitude,
+      strike: 18,
+      dip: 18,
+      hypocenter: MAULE.epicenter,
+      depth: MAULE.depth,
+      tectonicType: 'interface',
+    });
+    const distances = calculateSiteDistances(MAULE.epicenter, MAULE.depth, plane, SANTIAGO.lat, SANTIAGO.lon);
+    const { intensity } = calculateGroundMotionFromDistances(MAULE.magnitude, MAULE.depth, distances, 'bchydro-interface');
+
+    expect(intensity).toBeGreaterThanOrEqual(6.5);
+    expect(intensity).toBeLessThan(7.5);
+  });
+});
+
+describe('monotonicity', () => {
+  it.each(MODEL_IDS)('%s: intensity does not increase with distance', (modelId) => {
+    fc.assert(fc.property(magnitude, depth, distance, distance, (m, d, r1, r2) => {
+      const [near, far] = r1 <= r2 ? [r1, r2] : [r2, r1];
+      expect(calculateIntensity(m, d, far, modelId)).toBeLessThanOrEqual(calculateIntensity(m, d, near, modelId) + 1e-9);
+    }));
+  });
+
+  it.each(MODEL_IDS)('%s: intensity does not decrease with magnitude', (modelId) => {
+    fc.assert(fc.property(magnitude, magnitude, depthFor(modelId), distance, (m1, m2, d, r) => {
+      const [small, large] = m1 <= m2 ? [m1, m2] : [m2, m1];
+      expect(calculateIntensity(large, d, r, modelId)).toBeGreaterThanOrEqual(calculateIntensity(small, d, r, modelId) - 1e-9);
+    }));
+  });
+
+  it.each(MODEL_IDS)('%s: ground motion is finite and non-negative', (modelId) => {
+    fc.assert(fc.property(magnitude, depth, distance, (m, d, r) => {
+      const { intensity, pga, pgv } = calculateGroundMotion(m, d, r, modelId);
+      for (const value of [intensity, pga, pgv]) {
+        expect(Number.isFinite(value)).toBe(true);
+        expect(value).toBeGreaterThanOrEqual(0);
+      }
+    }));
+  });
+});
+
+describe('error paths', () => {
+  it('rejects invalid magnitudes', () => {
+    expect(() => calculateIntensity(-1, 30, 100)).toThrow('Invalid magnitude: -1. Must be between 0 and 10.');
+    expect(() => calculateIntensity(10.5, 30, 100)).toThrow('Invalid magnitude');
+    expect(() => calculateIntensity(NaN, 30, 100)).toThrow('Invalid magnitude');
+  });
+
+  it('rejects invalid depths', () => {
+    expect(() => calculateIntensity(7, -5, 100)).toThrow('Invalid depth: -5. Must be between 0 and 700 km.');
+    expect(() => calculateIntensity(7, 701, 100)).toThrow('Invalid depth');
+    expect(() => calculateIntensity(7, NaN, 100)).toThrow('Invalid depth: NaN');
+  });
+
+  it('rejects negative distances', () => {
+    expect(() => calculateIntensity(7, 30, -1)).toThrow('Invalid distance: -1. Must be non-negative.');
+    expect(() => calculateIntensityFromHypocentral(7, -1)).toThrow('Invalid hypocentral distance');
+    expect(() => calculateGroundMotionFromDistances(7, 30, { rrup: -1, rjb: 0, rhypo: 30 })).toThrow('Invalid distances');
+  });
+
+  it('checks magnitude before depth and distance', () => {
+    expect(() => calculateIntensity(11, -5, -1)).toThrow('Invalid magnitude');
+    expect(() => calculateIntensity(7, -5, -1)).toThrow('Invalid depth');
+  });
+
+  it('accepts the boundaries of the valid ranges', () => {
+    expect(() => calculateIntensity(0, 0, 0)).not.toThrow();
+    expect(() => calculateIntensity(10, 700, 0)).not.toThrow();
+  });
+});
+
+describe('GMICE conversions', () => {
+  it('round-trips PGA and PGV through intensity', () => {
+    fc.assert(fc.property(fc.double({ min: 2, max: 9, noNaN: true }), (intensity) => {
+      expect(pgaToIntensity(intensityToPGA(intensity))).toBeCloseTo(intensity, 6);
+      // The published PGV segments meet with a 0.006 MMI step at log10(PGV) = 0.53
+      expect(Math.abs(pgvToIntensity(intensityToPGV(intensity)) - intensity)).toBeLessThan(0.01);
+    }));
+  });
+});
+
+describe('derived quantities', () => {
+  it('epicentral intensity equals intensity at zero distance', () => {
+    expect(getEpicentralIntensity(8, 30)).toBe(calculateIntensity(8, 30, 0));
+  });
+
+  it('felt radius grows with magnitude', () => {
+    expect(estimateFeltRadius(8, 30)).toBeGreaterThan(estimateFeltRadius(6, 30));
+  });
+});
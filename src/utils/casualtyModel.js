@@ -0,0 +1,206 @@
+/**
+ * Occupancy-aware casualty model
+ * 
+ * HAZUS-style casualty estimate (FEMA HAZUS-MH Technical Manual, ch. 13):
+ * - Occupancy: where the population is at the time of the earthquake
+ *   (homes, workplaces and schools, or outdoors and commuting)
+ * - Building damage: the fragility-model damage-state distribution of the
+ *   city's residential stock and of a more engineered commercial stock
+ * - Injury severity: casualty rates per damage state, with completely
+ *   damaged buildings split into standing and collapsed
+ * 
+ * Severity levels follow HAZUS: minor injuries (severity 1, basic first
+ * aid), serious injuries (severity 2-3, hospital care) and deaths
+ * (severity 4).
+ */
+
+import { getBuildingTypology, getCommercialShares, getInventoryShares } from './fragilityModel';
+import { estimateCasualtyRisk } from './damageModel';
+
+/**
+ * Occupancy profiles
+ * 
+ * Share of the population in residential buildings, in commercial and
+ * public buildings (work, schools, shops) and outdoors (streets, transit).
+ * Times follow the HAZUS 2 AM, 2 PM and 5 PM scenarios.
+ */
+const TIMES_OF_DAY = {
+  night: {
+    id: 'night',
+    name: 'Night (2 AM)',
+    description: 'Almost everyone at home',
+    occupancy: { residential: 0.97, commercial: 0.02, outdoors: 0.01 },
+  },
+  day: {
+    id: 'day',
+    name: 'Day (2 PM)',
+    description: 'Work and school hours',
+    occupancy: { residential: 0.30, commercial: 0.55, outdoors: 0.15 },
+  },
+  commute: {
+    id: 'commute',
+    name: 'Commute (5 PM)',
+    description: 'Rush hour, many people in streets and transit',
+    occupancy: { residential: 0.50, commercial: 0.20, outdoors: 0.30 },
+  },
+};
+
+/**
+ * Default time of day (the 2010 Maule earthquake struck at 3:34 AM)
+ */
+export const DEFAULT_TIME_OF_DAY = 'night';
+
+/**
+ * Indoor casualty rates per damage state (fraction of occupants)
+ * 
+ * Collapse applies to the collapsed share of completely damaged buildings
+ * (collapseFraction of each typology).
+ */
+const INJURY_RATES = {
+  none: { minor: 0, serious: 0, deaths: 0 },
+  slight: { minor: 0.0005, serious: 0, deaths: 0 },
+  moderate: { minor: 0.0025, serious: 0.0003, deaths: 0 },
+  extensive: { minor: 0.01, serious: 0.001, deaths: 0.00001 },
+  complete: { minor: 0.05, serious: 0.0101, deaths: 0.0001 },
+  collapse: { minor: 0.40, serious: 0.25, deaths: 0.10 },
+};
+
+/**
+ * Casualty model parameters
+ */
+const CASUALTY_PARAMETERS = {
+  outdoorFactor: 0.05,   // Outdoor rates relative to residential (falling debris)
+  rangeLow: 0.5,         // Low estimate multiplier
+  rangeHigh: 2.0,        // High estimate multiplier (HAZUS casualties are uncertain to a factor of ~2)
+};
+
+/**
+ * Severity levels reported per city
+ */
+export const SEVERITY_LEVELS = [
+  { id: 'deaths', name: 'Deaths' },
+  { id: 'seriousInjuries', name: 'Serious injuries' },
+  { id: 'minorInjuries', name: 'Minor injuries' },
+];
+
+/**
+ * List the time-of-day options
+ * 
+ * @returns {Array<Object>} Options with id, name, description and occupancy
+ */
+export function getTimesOfDay() {
+  return Object.values(TIMES_OF_DAY);
+}
+
+/**
+ * Validate a time-of-day id
+ * 
+ * @param {string} timeOfDay - Time-of-day id
+ * @returns {boolean} True if the id is registered
+ */
+export function isValidTimeOfDay(timeOfDay) {
+  return Object.prototype.hasOwnProperty.call(TIMES_OF_DAY, timeOfDay);
+}
+
+/**
+ * Expected casualty rates of one typology's occupants
+ */
+function getTypologyRates(typologyId, states) {
+  const { collapseFraction } = getBuildingTypology(typologyId);
+  const rates = { minor: 0, serious: 0, deaths: 0 };
+
+  Object.keys(rates).forEach(severity => {
+    rates[severity] =
+      states.slight * INJURY_RATES.slight[severity] +
+      states.moderate * INJURY_RATES.moderate[severity] +
+      states.extensive * INJURY_RATES.extensive[severity] +
+      states.complete * ((1 - collapseFraction) * INJURY_RATES.complete[severity] +
+        collapseFraction * INJURY_RATES.collapse[severity]);
+  });
+
+  return rates;
+}
+
+/**
+ * Share-weighted casualty rates of a building stock
+ */
+function getStockRates(byTypology, shares) {
+  const rates = { minor: 0, serious: 0, deaths: 0 };
+
+  byTypology.forEach(typology => {
+    const weight = shares[typology.id];
+    const typologyRates = getTypologyRates(typology.id, typology.states);
+
+    Object.keys(rates).forEach(severity => {
+      rates[severity] += weight * typologyRates[severity];
+    });
+  });
+
+  return rates;
+}
+
+/**
+ * Low, medium and high estimate of a count
+ */
+function toRange(expected) {
+  const { rangeLow, rangeHigh } = CASUALTY_PARAMETERS;
+
+  return {
+    low: Math.round(expected * rangeLow),
+    medium: Math.round(expected),
+    high: Math.round(expected * rangeHigh),
+  };
+}
+
+/**
+ * Estimate deaths and injuries in a city
+ * 
+ * Without a damage-state distribution (no building inventory), deaths
+ * fall back to estimateCasualtyRisk and injuries are not estimated.
+ * 
+ * @param {number} population - City population
+ * @param {Object} damage
+ * @param {Object|null} damage.buildingDamage - Result of estimateBuildingDamage (with byTypology)
+ * @param {number} damage.damagePercent - Damage percentage, used without building damage
+ * @param {string} timeOfDay - Time-of-day id (default: DEFAULT_TIME_OF_DAY)
+ * @returns {{timeOfDay: string, deaths: Object, seriousInjuries: Object,
+ *   minorInjuries: Object}} Low, medium and high estimate of each severity level
+ * 
+ * @example
+ * estimateCasualties(200000, { buildingDamage: estimateBuildingDamage(0.4, shares) }, 'night')
+ * // Returns: { timeOfDay: 'night', deaths: { low: 60, medium: 120, high: 240 }, ... }
+ */
+export function estimateCasualties(population, { buildingDamage, damagePercent }, timeOfDay = DEFAULT_TIME_OF_DAY) {
+  if (!isValidTimeOfDay(timeOfDay)) {
+    throw new Error(`Unknown time of day: ${timeOfDay}.`);
+  }
+
+  if (!buildingDamage) {
+    const { low, medium, high } = estimateCasualtyRisk(population, damagePercent);
+    return {
+      timeOfDay,
+      deaths: { low, medium, high },
+      seriousInjuries: { low: 0, medium: 0, high: 0 },
+      minorInjuries: { low: 0, medium: 0, high: 0 },
+    };
+  }
+
+  const { occupancy } = TIMES_OF_DAY[timeOfDay];
+  const shares = getInventoryShares(buildingDamage);
+  const residential = getStockRates(buildingDamage.byTypology, shares);
+  const commercial = getStockRates(buildingDamage.byTypology, getCommercialShares(shares));
+  const { outdoorFactor } = CASUALTY_PARAMETERS;
+
+  const expected = (severity) => population * (
+    occupancy.residential * residential[severity] +
+    occupancy.commercial * commercial[severity] +
+    occupancy.outdoors * outdoorFactor * residential[severity]
+  );
+
+  return {
+    timeOfDay,
+    deaths: toRange(expected('deaths')),
+    seriousInjuries: toRange(expected('serious')),
+    minorInjuries: toRange(expected('minor')),
+  };
+}
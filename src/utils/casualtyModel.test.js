@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import inventory from '../../public/building_inventory.json';
+import { estimateBuildingDamage } from './fragilityModel';
+import { estimateCasualtyRisk } from './damageModel';
+import { estimateCasualties, getTimesOfDay, isValidTimeOfDay, SEVERITY_LEVELS } from './casualtyModel';
+
+const POPULATION = 200000;
+
+const casualtiesAt = (pga, shares, timeOfDay) =>
+  estimateCasualties(POPULATION, { buildingDamage: estimateBuildingDamage(pga, shares) }, timeOfDay);
+
+describe('time of day', () => {
+  it('has occupancy profiles that add up to 1', () => {
+    getTimesOfDay().forEach(({ occupancy }) => {
+      expect(occupancy.residential + occupancy.commercial + occupancy.outdoors).toBeCloseTo(1, 10);
+    });
+  });
+
+  it('validates time-of-day ids', () => {
+    expect(isValidTimeOfDay('night')).toBe(true);
+    expect(isValidTimeOfDay('dawn')).toBe(false);
+    expect(isValidTimeOfDay('toString')).toBe(false);
+    expect(() => casualtiesAt(0.3, inventory.default, 'dawn')).toThrow(/Unknown time of day/);
+  });
+});
+
+describe('estimateCasualties', () => {
+  it('orders low <= medium <= high and deaths <= serious <= minor injuries', () => {
+    getTimesOfDay().forEach(({ id }) => {
+      const casualties = casualtiesAt(0.5, inventory.regions.Maule, id);
+
+      SEVERITY_LEVELS.forEach(level => {
+        const { low, medium, high } = casualties[level.id];
+        expect(low).toBeLessThanOrEqual(medium);
+        expect(medium).toBeLessThanOrEqual(high);
+      });
+      expect(casualties.deaths.medium).toBeLessThanOrEqual(casualties.seriousInjuries.medium);
+      expect(casualties.seriousInjuries.medium).toBeLessThanOrEqual(casualties.minorInjuries.medium);
+      expect(casualties.timeOfDay).toBe(id);
+    });
+  });
+
+  it('increases with shaking', () => {
+    const weak = casualtiesAt(0.1, inventory.default, 'night');
+    const strong = casualtiesAt(0.6, inventory.default, 'night');
+    expect(strong.deaths.medium).toBeGreaterThan(weak.deaths.medium);
+    expect(strong.minorInjuries.medium).toBeGreaterThan(weak.minorInjuries.medium);
+  });
+
+  it('kills more at night in an adobe town, when people are in their homes', () => {
+    const night = casualtiesAt(0.4, inventory.cities.Talca, 'night');
+    const day = casualtiesAt(0.4, inventory.cities.Talca, 'day');
+    expect(night.deaths.medium).toBeGreaterThan(day.deaths.medium);
+  });
+
+  it('falls back to estimateCasualtyRisk without building damage', () => {
+    const casualties = estimateCasualties(POPULATION, { buildingDamage: null, damagePercent: 90 });
+    const { low, medium, high } = estimateCasualtyRisk(POPULATION, 90);
+    expect(casualties.deaths).toEqual({ low, medium, high });
+    expect(casualties.seriousInjuries).toEqual({ low: 0, medium: 0, high: 0 });
+  });
+});
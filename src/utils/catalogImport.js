@@ -0,0 +1,456 @@
+/**
+ * Catalog import
+ * 
+ * Reads earthquake catalogs kept outside the app (QuakeML, USGS-style CSV
+ * and GeoJSON FeatureCollections) into the historical_quakes.json entry
+ * format, normalized with normalizeCatalogEntry. Every record is checked on
+ * its own: records that cannot be parsed or replayed (bad coordinates,
+ * depth, magnitude or time) are reported with their row number and skipped,
+ * while the rest of the file is still imported.
+ */
+
+import { calculateDistance } from './geoUtils';
+import { createCatalogEntry, normalizeCatalogEntry } from './earthquakeCatalog';
+import { featureToCatalogEntry } from './liveFeed';
+
+/**
+ * Supported formats and the file extensions that select them
+ */
+export const CATALOG_FORMATS = [
+  { id: 'quakeml', extensions: ['.xml', '.quakeml', '.qml'] },
+  { id: 'csv', extensions: ['.csv', '.txt'] },
+  { id: 'geojson', extensions: ['.geojson', '.json'] },
+];
+
+/**
+ * Accepted CSV header names for each field (case-insensitive): USGS
+ * earthquake search columns first, then the historical_quakes.json names
+ */
+const CSV_COLUMNS = {
+  id: ['id', 'eventid'],
+  name: ['place', 'name', 'description'],
+  time: ['time', 'date', 'origin_time'],
+  latitude: ['latitude', 'lat', 'epicenter_lat'],
+  longitude: ['longitude', 'lon', 'lng', 'epicenter_lon'],
+  depth: ['depth', 'depth_km'],
+  magnitude: ['mag', 'magnitude'],
+  magnitudeType: ['magtype', 'magnitude_type', 'mag_type'],
+};
+
+/**
+ * Columns a CSV catalog must have
+ */
+const REQUIRED_CSV_COLUMNS = ['time', 'latitude', 'longitude', 'magnitude'];
+
+/**
+ * Events on the same date with epicenters closer than this and similar
+ * magnitudes are taken to be the same earthquake reported by different
+ * catalogs (km)
+ */
+const DUPLICATE_DISTANCE_KM = 100;
+
+/**
+ * Largest Mw difference between two reports of the same earthquake
+ * (catalogs convert other magnitude types to Mw differently)
+ */
+const DUPLICATE_MAGNITUDE_DIFFERENCE = 0.5;
+
+/**
+ * Character entities decoded in XML text
+ */
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Detect the format of a catalog file
+ * 
+ * @param {string} fileName - File name
+ * @param {string} text - File contents
+ * @returns {string|null} 'quakeml', 'csv' or 'geojson' from the extension, or
+ *   from the contents when the extension is unknown; null if unrecognized
+ */
+export function detectCatalogFormat(fileName, text) {
+  const name = fileName.toLowerCase();
+  const byExtension = CATALOG_FORMATS.find(format => format.extensions.some(extension => name.endsWith(extension)));
+  if (byExtension) return byExtension.id;
+
+  const start = text.trimStart();
+  if (start.startsWith('<')) return 'quakeml';
+  if (start.startsWith('{')) return 'geojson';
+  if (start.includes(',')) return 'csv';
+  return null;
+}
+
+/**
+ * Normalize a parsed record and decide whether it can be imported
+ * 
+ * @param {Object} entry - Entry from createCatalogEntry
+ * @param {number} row - Row number for messages
+ * @param {Object} result - { entries, errors, warnings } being filled in
+ */
+function addRecord(entry, row, result) {
+  const normalized = normalizeCatalogEntry(entry);
+  const issues = [...normalized.issues];
+  if (!normalized.time) {
+    issues.push('Invalid or missing origin time');
+  }
+
+  if (issues.length > 0) {
+    result.errors.push({ row, message: issues.join('; ') });
+    return;
+  }
+
+  normalized.warnings.forEach(message => result.warnings.push({ row, message }));
+  result.entries.push({ ...normalized, row });
+}
+
+/**
+ * Parse a number field (empty means missing)
+ * 
+ * @param {string|undefined} value - Raw text
+ * @returns {number|null} Number, NaN for unparseable text, or null if empty
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || value.trim() === '') return null;
+  return Number(value);
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields ("a, b" and "" escapes)
+ * 
+ * @param {string} line - CSV line
+ * @returns {Array<string>|null} Fields, or null if a quote is left open
+ */
+function splitCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) return null;
+  fields.push(field);
+  return fields.map(value => value.trim());
+}
+
+/**
+ * Parse a USGS-style CSV catalog
+ * 
+ * @param {string} text - CSV with a header row
+ * @returns {{entries: Array<Object>, errors: Array<{row: number, message: string}>,
+ *   warnings: Array<{row: number, message: string}>}} Importable entries (each with its
+ *   row) and problems by line number (the header is line 1)
+ * @throws {Error} If the header lacks a required column
+ */
+export function parseCSVCatalog(text) {
+  const lines = text.split(/\r?\n/);
+  const header = (splitCSVLine(lines[0]) || []).map(name => name.toLowerCase());
+
+  const columns = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([field, names]) => (
+    [field, header.findIndex(name => names.includes(name))]
+  )));
+  const missing = REQUIRED_CSV_COLUMNS.filter(field => columns[field] < 0);
+  if (missing.length > 0) {
+    throw new Error(`Missing CSV columns: ${missing.join(', ')}`);
+  }
+
+  const result = { entries: [], errors: [], warnings: [] };
+
+  lines.slice(1).forEach((line, index) => {
+    const row = index + 2;
+    if (line.trim() === '') return;
+
+    const values = splitCSVLine(line);
+    if (!values) {
+      result.errors.push({ row, message: 'Unclosed quote' });
+      return;
+    }
+    if (values.length < header.length) {
+      result.errors.push({ row, message: `Expected ${header.length} fields, found ${values.length}` });
+      return;
+    }
+
+    const field = (name) => (columns[name] >= 0 ? values[columns[name]] : undefined);
+    addRecord(createCatalogEntry({
+      id: field('id'),
+      name: field('name'),
+      time: field('time'),
+      latitude: toNumber(field('latitude')),
+      longitude: toNumber(field('longitude')),
+      depth: toNumber(field('depth')),
+      magnitude: toNumber(field('magnitude')),
+      magnitudeType: field('magnitudeType'),
+    }), row, result);
+  });
+
+  return result;
+}
+
+/**
+ * Parse a GeoJSON FeatureCollection catalog
+ * 
+ * @param {string} text - GeoJSON text
+ * @returns {Object} { entries, errors, warnings } (see parseCSVCatalog), rows numbered
+ *   by feature from 1
+ * @throws {Error} If the text is not JSON or not a FeatureCollection
+ */
+export function parseGeoJSONCatalog(text) {
+  const data = JSON.parse(text);
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error('Not a GeoJSON FeatureCollection');
+  }
+
+  const result = { entries: [], errors: [], warnings: [] };
+
+  data.features.forEach((feature, index) => {
+    const row = index + 1;
+    if (feature?.geometry?.type !== 'Point') {
+      result.errors.push({ row, message: 'Feature is not a Point' });
+      return;
+    }
+    addRecord(featureToCatalogEntry(feature), row, result);
+  });
+
+  return result;
+}
+
+/**
+ * Decode character entities in XML text
+ */
+function decodeXML(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Read XML into a tree of { name, attributes, children, text }
+ * 
+ * A small reader for well-formed documents such as QuakeML: namespace
+ * prefixes are dropped, and declarations, comments and doctypes are skipped.
+ * 
+ * @param {string} text - XML document
+ * @returns {Object} Root element
+ * @throws {Error} If tags are not properly nested
+ */
+function parseXML(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokens = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>|<\/([^\s>]+)\s*>|<([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokens.exec(text)) !== null) {
+    const [, cdata, closing, opening, attributeText, selfClosing, textNode] = match;
+    const current = stack[stack.length - 1];
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (textNode !== undefined) {
+      current.text += decodeXML(textNode);
+    } else if (opening) {
+      const attributes = {};
+      for (const [, name, doubleQuoted, singleQuoted] of attributeText.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[name.split(':').pop()] = decodeXML(doubleQuoted ?? singleQuoted);
+      }
+      const element = { name: opening.split(':').pop(), attributes, children: [], text: '' };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (closing) {
+      if (stack.length === 1 || current.name !== closing.split(':').pop()) {
+        throw new Error(`Unexpected closing tag </${closing}>`);
+      }
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+}
+
+/**
+ * First child element with a name
+ */
+function child(element, name) {
+  return element?.children.find(node => node.name === name);
+}
+
+/**
+ * Trimmed text at a path of child names, e.g. ['latitude', 'value']
+ */
+function textAt(element, path) {
+  const node = path.reduce((current, name) => child(current, name), element);
+  return node ? node.text.trim() : undefined;
+}
+
+/**
+ * All descendant elements with a name
+ */
+function findAll(element, name) {
+  return element.children.flatMap(node => (node.name === name ? [node] : findAll(node, name)));
+}
+
+/**
+ * Preferred element of a list (by publicID), else the first
+ */
+function preferred(elements, preferredId) {
+  return elements.find(element => element.attributes.publicID === preferredId) || elements[0];
+}
+
+/**
+ * Parse a QuakeML catalog
+ * 
+ * Uses the preferred origin and magnitude of each event (the first ones when
+ * no preference is given). QuakeML depths are in meters.
+ * 
+ * @param {string} text - QuakeML 1.2 document
+ * @returns {Object} { entries, errors, warnings } (see parseCSVCatalog), rows numbered
+ *   by event from 1
+ * @throws {Error} If the XML is malformed or has no events
+ */
+export function parseQuakeML(text) {
+  const events = findAll(parseXML(text), 'event');
+  if (events.length === 0) {
+    throw new Error('No QuakeML events found');
+  }
+
+  const result = { entries: [], errors: [], warnings: [] };
+
+  events.forEach((event, index) => {
+    const row = index + 1;
+    const origin = preferred(event.children.filter(node => node.name === 'origin'), textAt(event, ['preferredOriginID']));
+    if (!origin) {
+      result.errors.push({ row, message: 'Event has no origin' });
+      return;
+    }
+
+    const magnitude = preferred(event.children.filter(node => node.name === 'magnitude'), textAt(event, ['preferredMagnitudeID']));
+    const depthMeters = toNumber(textAt(origin, ['depth', 'value']));
+
+    addRecord(createCatalogEntry({
+      id: event.attributes.publicID,
+      name: textAt(event, ['description', 'text']),
+      time: textAt(origin, ['time', 'value']),
+      latitude: toNumber(textAt(origin, ['latitude', 'value'])),
+      longitude: toNumber(textAt(origin, ['longitude', 'value'])),
+      depth: depthMeters === null ? null : depthMeters / 1000,
+      magnitude: magnitude ? toNumber(textAt(magnitude, ['mag', 'value'])) : null,
+      magnitudeType: magnitude ? textAt(magnitude, ['type']) : null,
+    }), row, result);
+  });
+
+  return result;
+}
+
+/**
+ * Parse a catalog file of any supported format
+ * 
+ * @param {string} fileName - File name (selects the format by extension)
+ * @param {string} text - File contents
+ * @returns {{format: string|null, entries: Array<Object>, errors: Array<Object>,
+ *   warnings: Array<Object>}} Parsed records; a file that cannot be read at all
+ *   yields a single error with row null
+ */
+export function parseCatalogFile(fileName, text) {
+  const format = detectCatalogFormat(fileName, text);
+  const parsers = { quakeml: parseQuakeML, csv: parseCSVCatalog, geojson: parseGeoJSONCatalog };
+
+  if (!format) {
+    return { format, entries: [], errors: [{ row: null, message: 'Unrecognized catalog format' }], warnings: [] };
+  }
+
+  try {
+    return { format, ...parsers[format](text) };
+  } catch (error) {
+    return { format, entries: [], errors: [{ row: null, message: error.message }], warnings: [] };
+  }
+}
+
+/**
+ * Moment magnitude of an entry (raw historical_quakes.json records are
+ * normalized first)
+ */
+function getEntryMw(entry) {
+  return Number.isFinite(entry.mw) ? entry.mw : normalizeCatalogEntry(entry).mw;
+}
+
+/**
+ * Merge imported catalogs into a catalog
+ * 
+ * Each file is checked against the catalog and the files imported before it,
+ * never against itself, so aftershocks listed in one file are all kept. An
+ * entry is a duplicate if it has the id of a listed event, or the same date,
+ * an epicenter within DUPLICATE_DISTANCE_KM and a magnitude within
+ * DUPLICATE_MAGNITUDE_DIFFERENCE of one.
+ * 
+ * @param {Array<Object>} catalog - Existing entries (e.g. historical_quakes.json)
+ * @param {Array<Object>} importedCatalogs - Parsed files ({ entries, warnings, ... }
+ *   from parseCatalogFile), in import order
+ * @returns {{entries: Array<Object>, catalogs: Array<Object>}} Catalog plus the new
+ *   imported entries, and the imported files with only their added entries, the
+ *   number of skipped duplicates and a warning for each of them
+ */
+export function mergeCatalogs(catalog, importedCatalogs) {
+  const byId = new Map();
+  const byDate = new Map();
+  const add = (entry) => {
+    if (entry.id) byId.set(entry.id, entry);
+    byDate.set(entry.date, [...(byDate.get(entry.date) || []), { entry, mw: getEntryMw(entry) }]);
+  };
+  catalog.forEach(add);
+
+  const findDuplicate = (entry) => {
+    if (entry.id && byId.has(entry.id)) return byId.get(entry.id);
+
+    const match = (byDate.get(entry.date) || []).find(listed => (
+      Math.abs(listed.mw - entry.mw) <= DUPLICATE_MAGNITUDE_DIFFERENCE
+        && calculateDistance(entry.epicenter_lat, entry.epicenter_lon, listed.entry.epicenter_lat, listed.entry.epicenter_lon)
+          <= DUPLICATE_DISTANCE_KM
+    ));
+    return match ? match.entry : null;
+  };
+
+  const entries = [...catalog];
+  const catalogs = importedCatalogs.map(file => {
+    const added = [];
+    const warnings = [...file.warnings];
+
+    file.entries.forEach(entry => {
+      const duplicate = findDuplicate(entry);
+      if (duplicate) {
+        warnings.push({ row: entry.row, message: `Skipped: already listed as ${duplicate.name} (${duplicate.date})` });
+      } else {
+        added.push(entry);
+      }
+    });
+
+    added.forEach(add);
+    entries.push(...added);
+    return { ...file, entries: added, warnings, duplicates: file.entries.length - added.length };
+  });
+
+  return { entries, catalogs };
+}
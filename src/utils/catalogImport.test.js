@@ -0,0 +1,206 @@
+import { describe, it, expect } from 'vitest';
+import historicalQuakes from '../../public/historical_quakes.json';
+import { DEFAULT_HISTORICAL_DEPTH_KM } from './earthquakeCatalog';
+import {
+  detectCatalogFormat,
+  mergeCatalogs,
+  parseCatalogFile,
+  parseCSVCatalog,
+  parseGeoJSONCatalog,
+  parseQuakeML,
+} from './catalogImport';
+
+const USGS_CSV = [
+  'time,latitude,longitude,depth,mag,magType,nst,gap,dmin,rms,net,id,updated,place,type',
+  '2015-09-16T22:54:32.860Z,-31.5729,-71.6744,22.44,8.3,mww,,19,0.8,0.83,us,us20003k7a,2023-01-01T00:00:00.000Z,"48 km W of Illapel, Chile",earthquake',
+  '2014-04-01T23:46:47.260Z,-19.6097,-70.7691,25,8.2,mww,,23,0.1,1.0,us,usc000nzvd,2023-01-01T00:00:00.000Z,"53 km SW of Iquique, Chile",earthquake',
+  '1906-08-17T00:40:00.000Z,-33,-72,,8.2,ms,,,,,iscgem,iscgem16957,2023-01-01T00:00:00.000Z,"offshore Valparaíso, Chile",earthquake',
+  '2020-01-01T00:00:00.000Z,-95.5,-71,30,6.1,mww,,,,,us,bad1,2023-01-01T00:00:00.000Z,"nowhere",earthquake',
+  'not a date,-30,-71,30,6.0,mww,,,,,us,bad2,2023-01-01T00:00:00.000Z,"somewhere, Chile",earthquake',
+  '2021-01-01T00:00:00.000Z,-30,-71',
+  '',
+].join('\n');
+
+const QUAKEML = `<?xml version="1.0" encoding="UTF-8"?>
+<q:quakeml xmlns="http://quakeml.org/xmlns/bed/1.2" xmlns:q="http://quakeml.org/xmlns/quakeml/1.2">
+  <eventParameters publicID="smi:local/catalog">
+    <event publicID="smi:local/event/maule">
+      <description><type>earthquake name</type><text>Maule &amp; Biobío</text></description>
+      <preferredOriginID>smi:local/origin/2</preferredOriginID>
+      <preferredMagnitudeID>smi:local/magnitude/mw</preferredMagnitudeID>
+      <origin publicID="smi:local/origin/1">
+        <time><value>2010-02-27T06:34:00Z</value></time>
+        <latitude><value>-36.0</value></latitude>
+        <longitude><value>-73.0</value></longitude>
+      </origin>
+      <origin publicID="smi:local/origin/2">
+        <time><value>2010-02-27T06:34:11.530Z</value></time>
+        <latitude><value>-36.122</value></latitude>
+        <longitude><value>-72.898</value></longitude>
+        <depth><value>22900</value></depth>
+      </origin>
+      <magnitude publicID="smi:local/magnitude/ms">
+        <mag><value>8.5</value></mag><type>Ms</type>
+      </magnitude>
+      <magnitude publicID="smi:local/magnitude/mw">
+        <mag><value>8.8</value></mag><type>Mww</type>
+      </magnitude>
+    </event>
+    <event publicID="smi:local/event/no-origin">
+      <magnitude publicID="smi:local/magnitude/x"><mag><value>5.0</value></mag></magnitude>
+    </event>
+    <!-- an event with an out-of-range depth -->
+    <event publicID='smi:local/event/deep'>
+      <origin publicID="smi:local/origin/3">
+        <time><value>2020-05-01T00:00:00Z</value></time>
+        <latitude><value>-25</value></latitude>
+        <longitude><value>-70</value></longitude>
+        <depth><value>900000</value></depth>
+      </origin>
+      <magnitude publicID="smi:local/magnitude/y"><mag><value>6.0</value></mag><type>mb</type></magnitude>
+    </event>
+  </eventParameters>
+</q:quakeml>`;
+
+describe('detectCatalogFormat', () => {
+  it('uses the extension, then the contents', () => {
+    expect(detectCatalogFormat('events.QML', '')).toBe('quakeml');
+    expect(detectCatalogFormat('query.csv', '')).toBe('csv');
+    expect(detectCatalogFormat('feed.geojson', '')).toBe('geojson');
+    expect(detectCatalogFormat('export', '  <?xml version="1.0"?>')).toBe('quakeml');
+    expect(detectCatalogFormat('export', '{"type":"FeatureCollection"}')).toBe('geojson');
+    expect(detectCatalogFormat('export', 'binary')).toBeNull();
+  });
+});
+
+describe('parseCSVCatalog', () => {
+  const { entries, errors } = parseCSVCatalog(USGS_CSV);
+
+  it('imports valid rows with quoted places and normalized magnitudes', () => {
+    expect(entries.map(entry => entry.name)).toEqual([
+      '48 km W of Illapel, Chile',
+      '53 km SW of Iquique, Chile',
+      'offshore Valparaíso, Chile',
+    ]);
+    expect(entries[0]).toMatchObject({ id: 'us20003k7a', date: '2015-09-16', year: 2015, mw: 8.3, depthKm: 22.44 });
+    expect(entries[2]).toMatchObject({ magnitudeConverted: true, mw: 8.2, depthKm: DEFAULT_HISTORICAL_DEPTH_KM, depthIsDefault: true });
+  });
+
+  it('reports each bad row by line number', () => {
+    expect(errors).toEqual([
+      { row: 5, message: 'Invalid epicenter: -95.5, -71' },
+      { row: 6, message: 'Invalid or missing origin time' },
+      { row: 7, message: 'Expected 15 fields, found 3' },
+    ]);
+  });
+
+  it('accepts the historical_quakes.json column names', () => {
+    const { entries: rows, errors: rowErrors } = parseCSVCatalog(
+      'name,date,magnitude,magnitude_type,depth,epicenter_lat,epicenter_lon\n1960 Valdivia,1960-05-22,9.5,Mw,,-39.5,-74.5\n'
+    );
+    expect(rowErrors).toEqual([]);
+    expect(rows[0]).toMatchObject({ name: '1960 Valdivia', mw: 9.5, depthIsDefault: true });
+  });
+
+  it('requires time, position and magnitude columns', () => {
+    expect(() => parseCSVCatalog('latitude,longitude\n-33,-71')).toThrow('Missing CSV columns: time, magnitude');
+  });
+});
+
+describe('parseGeoJSONCatalog', () => {
+  it('imports point features and reports the others', () => {
+    const text = JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        {
+          type: 'Feature',
+          id: 'a',
+          properties: { mag: 7.1, magType: 'mww', place: 'Off Chiloé', time: 1000 },
+          geometry: { type: 'Point', coordinates: [-74.0, -42.5, 20] },
+        },
+        { type: 'Feature', id: 'b', properties: { mag: 6.0 }, geometry: null },
+      ],
+    });
+
+    const { entries, errors } = parseGeoJSONCatalog(text);
+    expect(entries.map(entry => entry.id)).toEqual(['a']);
+    expect(errors).toEqual([{ row: 2, message: 'Feature is not a Point' }]);
+  });
+});
+
+describe('parseQuakeML', () => {
+  const { entries, errors, warnings } = parseQuakeML(QUAKEML);
+
+  it('uses the preferred origin and magnitude, with depth in km', () => {
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      id: 'smi:local/event/maule',
+      name: 'Maule & Biobío',
+      date: '2010-02-27',
+      epicenter_lat: -36.122,
+      epicenter_lon: -72.898,
+      depthKm: 22.9,
+      mw: 8.8,
+    });
+    expect(warnings).toEqual([]);
+  });
+
+  it('reports events without origins or with invalid values', () => {
+    expect(errors).toEqual([
+      { row: 2, message: 'Event has no origin' },
+      { row: 3, message: 'Invalid depth: 900' },
+    ]);
+  });
+});
+
+describe('parseCatalogFile', () => {
+  it('reports unreadable files as a single error', () => {
+    expect(parseCatalogFile('bad.json', '{').errors).toHaveLength(1);
+    expect(parseCatalogFile('bad.xml', '<quakeml><event></quakeml>').errors[0].row).toBeNull();
+    expect(parseCatalogFile('blob.bin', '\u0000').errors).toEqual([{ row: null, message: 'Unrecognized catalog format' }]);
+  });
+});
+
+describe('mergeCatalogs', () => {
+  const file = (id, text) => ({ id, fileName: `${id}.csv`, ...parseCSVCatalog(text) });
+
+  it('adds imported events that are not already listed', () => {
+    const imported = file('usgs', USGS_CSV);
+    const { entries, catalogs } = mergeCatalogs(historicalQuakes, [imported]);
+
+    expect(entries.slice(0, historicalQuakes.length)).toEqual(historicalQuakes);
+    // Illapel 2015 is already in the historical catalog (different location, same event)
+    expect(entries.slice(historicalQuakes.length).map(entry => entry.id)).toEqual(['usc000nzvd', 'iscgem16957']);
+    expect(catalogs[0].entries).toEqual(entries.slice(historicalQuakes.length));
+    expect(catalogs[0].warnings).toEqual([
+      ...imported.warnings,
+      { row: 2, message: 'Skipped: already listed as 2015 Illapel Earthquake (2015-09-16)' },
+    ]);
+  });
+
+  it('checks later files against earlier ones by id or date, distance and magnitude', () => {
+    const first = file('first', USGS_CSV);
+    const second = file('second', [
+      'time,latitude,longitude,depth,mag,magType,id,place',
+      '2014-04-01T23:46:47.260Z,-19.6,-70.8,20,8.2,mww,other-id,Same event',
+      '2014-04-01T23:50:00.000Z,-19.7,-70.9,25,5.1,mb,aftershock-1,Aftershock',
+      '2014-04-01T23:55:00.000Z,-19.7,-70.9,25,5.0,mb,aftershock-2,Aftershock',
+      '2020-01-01T00:00:00.000Z,-30,-71,30,6.0,mww,iscgem16957,Same id',
+      '',
+    ].join('\n'));
+
+    const { catalogs } = mergeCatalogs(historicalQuakes, [first, second]);
+
+    expect(catalogs[1].entries.map(entry => entry.id)).toEqual(['aftershock-1', 'aftershock-2']);
+    expect(catalogs[1].warnings.map(warning => warning.row)).toEqual([2, 5]);
+    expect(catalogs[1].duplicates).toBe(2);
+  });
+
+  it('keeps events repeated within one file', () => {
+    const imported = file('usgs', USGS_CSV);
+    const repeated = { ...imported, entries: [...imported.entries, imported.entries[1]] };
+    const { catalogs } = mergeCatalogs([], [repeated]);
+
+    expect(catalogs[0].entries).toHaveLength(imported.entries.length + 1);
+  });
+});
@@ -0,0 +1,397 @@
+/**
+ * Compute service
+ * 
+ * Callback-based wrapper around the compute worker (src/workers).
+ * Each request belongs to a channel ('grid', 'cities', 'hazard', 'uncertainty',
+ * 'cityHazard'); starting a new request on a channel cancels the previous one,
+ * so results for stale magnitude/depth/epicenter values are never delivered.
+ * 
+ * Falls back to chunked main-thread computation when Web Workers are
+ * unavailable (e.g. older browsers or test environments). If the worker
+ * fails to load or crashes, it is dropped and its pending requests are
+ * restarted on the main thread.
+ */
+
+import {
+  createIntensityEvaluator,
+  computeIntensityGridIncrementally,
+} from './intensityGrid';
+import { calculateCityResult } from './scenarioResults';
+import { calculateCityHazard, createHazardEvaluator, prepareHazardSources } from './hazardModel';
+import { simulateResultUncertainty } from './uncertaintyModel';
+
+let worker = null;
+let workerFailed = false;
+let workerVs30Grid = null;
+let nextRequestId = 1;
+const handlers = new Map();
+const activeByChannel = new Map();
+
+/**
+ * Lazily start the worker (null if unsupported)
+ */
+function getWorker() {
+  if (worker || workerFailed || typeof Worker === 'undefined') return worker;
+
+  try {
+    worker = new Worker(new URL('../workers/compute.worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.error('Compute worker unavailable, using main thread:', error);
+    worker = null;
+    return null;
+  }
+
+  worker.onmessage = (event) => {
+    const handler = handlers.get(event.data.id);
+    if (handler) handler.onMessage(event.data);
+  };
+
+  worker.onerror = (event) => {
+    event.preventDefault();
+    console.error('Compute worker failed, using main thread:', event.message);
+    abandonWorker();
+  };
+
+  return worker;
+}
+
+/**
+ * Stop using the worker and hand its pending requests to the main thread
+ */
+function abandonWorker() {
+  workerFailed = true;
+  worker.terminate();
+  worker = null;
+  workerVs30Grid = null;
+
+  const pending = [...handlers.values()];
+  handlers.clear();
+  pending.forEach(handler => handler.handOff());
+}
+
+/**
+ * Send the Vs30 grid once instead of with every request
+ */
+function syncVs30Grid(target, vs30Grid) {
+  if (vs30Grid === workerVs30Grid) return;
+  workerVs30Grid = vs30Grid;
+  target.postMessage({ type: 'setVs30Grid', payload: { vs30Grid } });
+}
+
+/**
+ * Remove the main-thread-only parts of a scenario before posting it
+ */
+function toMessageScenario(scenario) {
+  const { vs30Grid, ...rest } = scenario;
+  return rest;
+}
+
+/**
+ * Cancel the active request on a channel, if any
+ * 
+ * @param {string} channel - Request channel
+ */
+export function cancelChannel(channel) {
+  const active = activeByChannel.get(channel);
+  if (active) {
+    active();
+    activeByChannel.delete(channel);
+  }
+}
+
+/**
+ * Register a request on a channel, cancelling whatever was running there
+ */
+function startRequest(channel, cancel) {
+  cancelChannel(channel);
+  activeByChannel.set(channel, cancel);
+  return () => {
+    if (activeByChannel.get(channel) === cancel) {
+      activeByChannel.delete(channel);
+    }
+    cancel();
+  };
+}
+
+/**
+ * Run a worker request and route its messages to callbacks
+ * 
+ * runLocally starts the same work on the main thread (returning its cancel
+ * function); it is used if the worker fails before the request finishes.
+ */
+function runWorkerRequest(target, type, payload, onMessage, runLocally) {
+  const id = nextRequestId++;
+  let finished = false;
+  let cancelLocal = null;
+
+  handlers.set(id, {
+    onMessage: (message) => {
+      if (finished) return;
+      if (message.type === 'done' || message.type === 'error') {
+        finished = true;
+        handlers.delete(id);
+      }
+      onMessage(message);
+    },
+    handOff: () => {
+      if (!finished) cancelLocal = runLocally();
+    },
+  });
+
+  target.postMessage({ id, type, payload });
+
+  return () => {
+    if (finished) return;
+    finished = true;
+    if (cancelLocal) {
+      cancelLocal();
+      return;
+    }
+    handlers.delete(id);
+    target.postMessage({ id, type: 'cancel' });
+  };
+}
+
+/**
+ * Run a grid request on the worker, assembling streamed row bands
+ */
+function runGridRequest(target, type, payload, { onProgress, onComplete, onError }, runLocally) {
+  const { spec } = payload;
+  const grid = { spec, values: new Float32Array(spec.rows * spec.cols) };
+  let completedRows = 0;
+
+  return runWorkerRequest(target, type, payload, (message) => {
+    if (message.type === 'tile') {
+      grid.values.set(message.values, message.rowStart * spec.cols);
+      completedRows = Math.max(completedRows, message.rowEnd);
+      if (onProgress) onProgress(grid, completedRows);
+    } else if (message.type === 'done') {
+      if (onComplete) onComplete(grid);
+    } else if (message.type === 'error' && onError) {
+      onError(new Error(message.message));
+    }
+  }, runLocally);
+}
+
+/**
+ * Compute an intensity grid, streaming row bands as they finish
+ * 
+ * @param {Object} scenario - Scenario (see createIntensityEvaluator)
+ * @param {Object} spec - Grid spec from createGridSpec
+ * @param {Object} callbacks
+ * @param {function(Object, number)} callbacks.onProgress - Partial grid and completed row count
+ * @param {function(Object)} callbacks.onComplete - Finished grid
+ * @param {function(Error)} callbacks.onError - Failure
+ * @param {string} channel - Request channel (default: 'grid')
+ * @returns {function()} Cancel function
+ */
+export function computeGrid(scenario, spec, { onProgress, onComplete, onError }, channel = 'grid') {
+  const target = getWorker();
+  const runLocally = () => computeIntensityGridIncrementally(spec, createIntensityEvaluator(scenario), {
+    onProgress,
+    onComplete,
+  });
+
+  if (!target) {
+    return startRequest(channel, runLocally());
+  }
+
+  syncVs30Grid(target, scenario.vs30Grid);
+
+  const cancel = runGridRequest(
+    target,
+    'grid',
+    { scenario: toMessageScenario(scenario), spec, tileRows: 8 },
+    { onProgress, onComplete, onError },
+    runLocally
+  );
+
+  return startRequest(channel, cancel);
+}
+
+/**
+ * Compute a uniform-hazard intensity grid, streaming row bands as they finish
+ * 
+ * @param {Array<Object>} zones - Source zones from seismic_sources.json
+ * @param {number} returnPeriod - Return period in years
+ * @param {Object} spec - Grid spec from createGridSpec
+ * @param {Object} callbacks - onProgress, onComplete and onError (see computeGrid)
+ * @param {string} channel - Request channel (default: 'hazard')
+ * @returns {function()} Cancel function
+ */
+export function computeHazardGrid(zones, returnPeriod, spec, { onProgress, onComplete, onError }, channel = 'hazard') {
+  const target = getWorker();
+  const runLocally = () => computeIntensityGridIncrementally(spec, createHazardEvaluator(zones, returnPeriod), {
+    onProgress,
+    onComplete,
+    chunkRows: 2,
+  });
+
+  if (!target) {
+    return startRequest(channel, runLocally());
+  }
+
+  const cancel = runGridRequest(
+    target,
+    'hazardGrid',
+    { zones, returnPeriod, spec, tileRows: 4 },
+    { onProgress, onComplete, onError },
+    runLocally
+  );
+
+  return startRequest(channel, cancel);
+}
+
+/**
+ * Compute scenario results for many cities, streaming batches
+ * 
+ * @param {Object} scenario - Scenario (see calculateCityResult)
+ * @param {Array<Object>} cities - City records
+ * @param {Object} callbacks
+ * @param {function(Array<Object>)} callbacks.onProgress - All results received so far
+ * @param {function(Array<Object>)} callbacks.onComplete - Results for every city
+ * @param {function(Error)} callbacks.onError - Failure
+ * @param {string} channel - Request channel (default: 'cities')
+ * @returns {function()} Cancel function
+ */
+export function computeCities(scenario, cities, { onProgress, onComplete, onError }, channel = 'cities') {
+  const target = getWorker();
+  const results = [];
+
+  const runLocally = () => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      if (cancelled) return;
+      try {
+        const localResults = cities.map(city => calculateCityResult(city, scenario));
+        if (onProgress) onProgress(localResults);
+        if (onComplete) onComplete(localResults);
+      } catch (error) {
+        if (onError) onError(error);
+      }
+    }, 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  };
+
+  if (!target) {
+    return startRequest(channel, runLocally());
+  }
+
+  syncVs30Grid(target, scenario.vs30Grid);
+
+  const cancel = runWorkerRequest(
+    target,
+    'cities',
+    { scenario: toMessageScenario(scenario), cities, batchSize: 10 },
+    (message) => {
+      if (message.type === 'cityBatch') {
+        results.push(...message.results);
+        if (onProgress) onProgress([...results]);
+      } else if (message.type === 'done') {
+        if (onComplete) onComplete([...results]);
+      } else if (message.type === 'error' && onError) {
+        onError(new Error(message.message));
+      }
+    },
+    runLocally
+  );
+
+  return startRequest(channel, cancel);
+}
+
+/**
+ * Run a request that answers with a single value
+ * 
+ * computeLocally is the main-thread equivalent, run on a timer when the
+ * worker is unavailable or fails.
+ */
+function computeValue(type, payload, computeLocally, { onComplete, onError }, channel) {
+  const target = getWorker();
+
+  const runLocally = () => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      if (cancelled) return;
+      try {
+        const value = computeLocally();
+        if (onComplete) onComplete(value);
+      } catch (error) {
+        if (onError) onError(error);
+      }
+    }, 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  };
+
+  if (!target) {
+    return startRequest(channel, runLocally());
+  }
+
+  let value = null;
+  const cancel = runWorkerRequest(
+    target,
+    type,
+    payload,
+    (message) => {
+      if (message.type === 'result') {
+        value = message.value;
+      } else if (message.type === 'done') {
+        if (onComplete) onComplete(value);
+      } else if (message.type === 'error' && onError) {
+        onError(new Error(message.message));
+      }
+    },
+    runLocally
+  );
+
+  return startRequest(channel, cancel);
+}
+
+/**
+ * Sample the uncertainty bands of a site result
+ * 
+ * @param {Object} result - Result from calculateCityResult
+ * @param {Object} options - sampleCount and seed (see simulateResultUncertainty)
+ * @param {Object} callbacks
+ * @param {function(Object)} callbacks.onComplete - Uncertainty summary
+ * @param {function(Error)} callbacks.onError - Failure
+ * @param {string} channel - Request channel (default: 'uncertainty')
+ * @returns {function()} Cancel function
+ */
+export function computeUncertainty(result, options, callbacks, channel = 'uncertainty') {
+  return computeValue(
+    'uncertainty',
+    { result, options },
+    () => simulateResultUncertainty(result, options),
+    callbacks,
+    channel
+  );
+}
+
+/**
+ * Compute hazard curves and uniform-hazard values for many cities
+ * 
+ * @param {Array<Object>} zones - Source zones from seismic_sources.json
+ * @param {Array<Object>} cities - City records
+ * @param {Object} callbacks
+ * @param {function(Array<Object>)} callbacks.onComplete - Results of calculateCityHazard
+ * @param {function(Error)} callbacks.onError - Failure
+ * @param {string} channel - Request channel (default: 'cityHazard')
+ * @returns {function()} Cancel function
+ */
+export function computeCityHazard(zones, cities, callbacks, channel = 'cityHazard') {
+  return computeValue(
+    'cityHazard',
+    { zones, cities },
+    () => calculateCityHazard(prepareHazardSources(zones), cities),
+    callbacks,
+    channel
+  );
+}
@@ -0,0 +1,132 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { calculateCityResult } from './scenarioResults';
+import { computeIntensityGrid, createGridSpec, createIntensityEvaluator } from './intensityGrid';
+import { simulateResultUncertainty } from './uncertaintyModel';
+import { calculateCityHazard, prepareHazardSources } from './hazardModel';
+
+const SCENARIO = {
+  magnitude: 8,
+  depth: 30,
+  epicenter: { lat: -35, lon: -72.5 },
+  rupture: null,
+  modelId: 'educational',
+  siteEffects: false,
+  vs30Grid: null,
+};
+
+const spec = createGridSpec({ latMin: -36, latMax: -34, lonMin: -73, lonMax: -71 }, 0.25);
+
+const CITIES = [
+  { city: 'Talca', lat: -35.4264, lon: -71.6554, population: 220357, region: 'Maule' },
+  { city: 'Curicó', lat: -34.9828, lon: -71.2394, population: 149136, region: 'Maule' },
+];
+
+// Stand-in for a worker whose script fails to load after the first request
+class FailingWorker {
+  static instances = [];
+
+  constructor() {
+    this.terminated = false;
+    FailingWorker.instances.push(this);
+  }
+
+  postMessage(message) {
+    if (message.id && message.type !== 'cancel') {
+      setTimeout(() => this.onerror({ message: 'Failed to load', preventDefault() {} }), 0);
+    }
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+// Load a fresh copy of the service with the stand-in worker
+async function loadService() {
+  FailingWorker.instances = [];
+  vi.stubGlobal('Worker', FailingWorker);
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  vi.resetModules();
+  return import('./computeService');
+}
+
+const toPromise = (start) => new Promise((resolve, reject) => start({ onComplete: resolve, onError: reject }));
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('compute worker failures', () => {
+  it('finishes pending grid requests on the main thread', async () => {
+    const { computeGrid } = await loadService();
+    const grid = await toPromise(callbacks => computeGrid(SCENARIO, spec, callbacks));
+
+    expect(FailingWorker.instances).toHaveLength(1);
+    expect(FailingWorker.instances[0].terminated).toBe(true);
+    expect(grid.values).toEqual(computeIntensityGrid(spec, createIntensityEvaluator(SCENARIO)).values);
+  });
+
+  it('finishes pending city requests and stops using the worker', async () => {
+    const { computeCities } = await loadService();
+    const results = await toPromise(callbacks => computeCities(SCENARIO, CITIES, callbacks));
+    expect(results).toEqual(CITIES.map(city => calculateCityResult(city, SCENARIO)));
+
+    await toPromise(callbacks => computeCities(SCENARIO, CITIES, callbacks));
+    expect(FailingWorker.instances).toHaveLength(1);
+  });
+
+  it('finishes pending uncertainty requests on the main thread', async () => {
+    const { computeUncertainty } = await loadService();
+    const result = calculateCityResult(CITIES[0], SCENARIO);
+    const options = { sampleCount: 100, seed: 7 };
+
+    const uncertainty = await toPromise(callbacks => computeUncertainty(result, options, callbacks));
+    expect(uncertainty).toEqual(simulateResultUncertainty(result, options));
+  });
+
+  it('finishes pending city hazard requests on the main thread', async () => {
+    const { computeCityHazard } = await loadService();
+    const zones = [{
+      id: 'test',
+      name: 'Test zone',
+      tectonic_type: 'interface',
+      depth: 30,
+      rate: 1,
+      b_value: 1,
+      min_magnitude: 5,
+      max_magnitude: 8,
+      polygon: [[-36, -73], [-36, -72], [-34, -72], [-34, -73]],
+    }];
+
+    const hazard = await toPromise(callbacks => computeCityHazard(zones, CITIES, callbacks));
+    expect(hazard).toEqual(calculateCityHazard(prepareHazardSources(zones), CITIES));
+  });
+
+  it('cancels a handed-off request', async () => {
+    const { computeGrid } = await loadService();
+    const onComplete = vi.fn();
+    const cancel = computeGrid(SCENARIO, spec, { onComplete });
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    cancel();
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(onComplete).not.toHaveBeenCalled();
+  });
+});
+
+describe('computeUncertainty', () => {
+  it('keeps only the latest request on a channel', async () => {
+    vi.resetModules();
+    const { computeUncertainty } = await import('./computeService');
+    const result = calculateCityResult(CITIES[0], SCENARIO);
+    const stale = vi.fn();
+
+    computeUncertainty(result, { sampleCount: 100, seed: 1 }, { onComplete: stale });
+    const uncertainty = await toPromise(callbacks => computeUncertainty(result, { sampleCount: 100, seed: 2 }, callbacks));
+
+    expect(stale).not.toHaveBeenCalled();
+    expect(uncertainty.seed).toBe(2);
+  });
+});
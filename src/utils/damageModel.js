@@ -4,6 +4,9 @@
  * Converts ground motion intensity to estimated damage percentage
  * using a logistic (sigmoid) function.
  * 
+ * Used when no building inventory is available; with an inventory,
+ * fragilityModel.js gives damage per structural typology.
+ * 
  * This is a simplified model for educational purposes.
  * Real damage assessment requires:
  * - Building vulnerability classes
@@ -13,6 +16,9 @@
  * - Duration of shaking
  */
 
+import { intensityToPGA } from './attenuationModel';
+import { getBuildingTypologies, getExceedanceProbabilities } from './fragilityModel';
+
 /**
  * Damage model parameters
  * 
@@ -32,6 +38,8 @@ const DAMAGE_PARAMETERS = {
  * Calculate damage percentage using logistic function
  * 
  * @param {number} intensityValue - Intensity from attenuation model
+ * @param {{k: number, threshold: number}} parameters - Logistic parameters
+ *   (default: DAMAGE_PARAMETERS; varied by the uncertainty model)
  * @returns {number} Damage percentage (0-100)
  * 
  * @example
@@ -41,12 +49,12 @@ const DAMAGE_PARAMETERS = {
  * estimateDamage(5.0)  // MMI V
  * // Returns: ~18% (minor damage)
  */
-export function estimateDamage(intensityValue) {
+export function estimateDamage(intensityValue, parameters = DAMAGE_PARAMETERS) {
   if (intensityValue < 0 || isNaN(intensityValue)) {
     return 0;
   }
   
-  const { k, threshold } = DAMAGE_PARAMETERS;
+  const { k, threshold } = parameters;
   
   // Logistic (sigmoid) function
   const damagePercent = 100 / (1 + Math.exp(-k * (intensityValue - threshold)));
@@ -145,46 +153,32 @@ export function estimateAffectedPopulation(totalPopulation, damagePercent) {
 /**
  * Get building damage breakdown by construction type
  * 
+ * Evaluates the fragility curves of each typology at the PGA matching
+ * the intensity (Worden et al. 2012 GMICE).
+ * 
  * @param {number} intensityValue - Intensity from attenuation model
- * @returns {Object} Damage estimates for different building types
+ * @returns {Object} Percentage of buildings with moderate or worse damage, keyed by typology id
  */
 export function getBuildingDamageByType(intensityValue) {
-  const baseDamage = estimateDamage(intensityValue);
-  
-  return {
-    // Modern engineered buildings (better resistance)
-    modern: {
-      type: "Modern/Engineered",
-      damage: Math.max(0, baseDamage * 0.4), // 60% more resistant
-      description: "Reinforced concrete, seismic design",
-    },
-    
-    // Standard construction (average)
-    standard: {
-      type: "Standard Construction",
-      damage: baseDamage,
-      description: "Well-built ordinary structures",
-    },
-    
-    // Older/unreinforced buildings (more vulnerable)
-    unreinforced: {
-      type: "Unreinforced Masonry",
-      damage: Math.min(100, baseDamage * 1.6), // 60% more vulnerable
-      description: "Older buildings, no seismic design",
-    },
-    
-    // Informal/poor construction (most vulnerable)
-    informal: {
-      type: "Informal Construction",
-      damage: Math.min(100, baseDamage * 2.0), // 100% more vulnerable
-      description: "Poor quality, non-engineered",
-    },
-  };
+  const pga = intensityValue > 0 ? intensityToPGA(intensityValue) : 0;
+
+  return Object.fromEntries(getBuildingTypologies().map(typology => {
+    const [, moderate] = getExceedanceProbabilities(typology.id, pga);
+
+    return [typology.id, {
+      type: typology.name,
+      damage: moderate * 100,
+      description: typology.description,
+    }];
+  }));
 }
 
 /**
  * Calculate expected economic losses (very rough estimate)
  * 
+ * Single national GDP per capita; the app uses lossModel.js, with
+ * regional GDP and replacement-cost exposure.
+ * 
  * @param {number} damagePercent - Damage percentage (0-100)
  * @param {number} totalPopulation - Total population in area
  * @param {number} gdpPerCapita - GDP per capita in USD (optional)
@@ -238,18 +232,34 @@ export function getDamageCurve(minIntensity = 0, maxIntensity = 12, steps = 100)
 /**
  * Compare damage across multiple scenarios
  * 
- * @param {Array<{magnitude: number, depth: number, distance: number}>} scenarios
- * @param {Function} calculateIntensity - Intensity calculation function
- * @returns {Array<Object>} Damage comparison for each scenario
+ * Each scenario is either a bare { magnitude, depth, distance } triple,
+ * evaluated with calculateIntensity and the logistic damage curve, or a
+ * site result that already carries its intensity (and, from the fragility
+ * model, its damagePercent). Deltas are relative to the first scenario.
+ * 
+ * @param {Array<Object>} scenarios - Triples or site results ({ intensity, damagePercent? })
+ * @param {Function} calculateIntensity - Intensity calculation function (only needed for triples)
+ * @returns {Array<Object>} Damage comparison for each scenario, with intensityDelta and
+ *   damageDelta relative to the first
+ * @throws {Error} If a scenario has no intensity and no calculateIntensity is given
+ * 
+ * @example
+ * compareDamageScenarios([{ intensity: 8.1, damagePercent: 31 }, { intensity: 6.9, damagePercent: 12 }])
+ * // Returns: [{ scenarioId: 1, ..., intensityDelta: 0, damageDelta: 0 },
+ * //   { scenarioId: 2, ..., intensityDelta: -1.2, damageDelta: -19 }]
  */
 export function compareDamageScenarios(scenarios, calculateIntensity) {
-  return scenarios.map((scenario, index) => {
-    const intensity = calculateIntensity(
+  const compared = scenarios.map((scenario, index) => {
+    if (scenario.intensity === undefined && !calculateIntensity) {
+      throw new Error('calculateIntensity is required for scenarios without an intensity');
+    }
+
+    const intensity = scenario.intensity ?? calculateIntensity(
       scenario.magnitude,
       scenario.depth,
       scenario.distance
     );
-    const damage = estimateDamage(intensity);
+    const damage = scenario.damagePercent ?? estimateDamage(intensity);
     const category = getDamageCategory(damage);
     
     return {
@@ -258,9 +268,17 @@ export function compareDamageScenarios(scenarios, calculateIntensity) {
       intensity,
       damage,
       category: category.category,
+      color: category.color,
       severity: category.severity,
     };
   });
+
+  const [baseline] = compared;
+  return compared.map(result => ({
+    ...result,
+    intensityDelta: result.intensity - baseline.intensity,
+    damageDelta: result.damage - baseline.damage,
+  }));
 }
 
 /**
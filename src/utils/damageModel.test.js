@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  estimateDamage,
+  estimateAffectedPopulation,
+  estimateCasualtyRisk,
+  compareDamageScenarios,
+  getDamageCategory,
+  getDamageParameters,
+} from './damageModel';
+
+const intensity = fc.double({ min: 0, max: 12, noNaN: true });
+
+describe('estimateDamage', () => {
+  it('is 50% at the threshold intensity', () => {
+    expect(estimateDamage(getDamageParameters().threshold)).toBeCloseTo(50, 6);
+  });
+
+  it('uses the given logistic parameters', () => {
+    expect(estimateDamage(7, { k: 1.5, threshold: 7 })).toBeCloseTo(50, 6);
+    expect(estimateDamage(7, { k: 3, threshold: 6 })).toBeGreaterThan(estimateDamage(7));
+  });
+
+  it('returns 0 for negative or NaN intensity', () => {
+    expect(estimateDamage(-1)).toBe(0);
+    expect(estimateDamage(NaN)).toBe(0);
+  });
+
+  it('stays within 0-100%', () => {
+    fc.assert(fc.property(intensity, (value) => {
+      const damage = estimateDamage(value);
+      expect(damage).toBeGreaterThanOrEqual(0);
+      expect(damage).toBeLessThanOrEqual(100);
+    }));
+  });
+
+  it('does not decrease with intensity', () => {
+    fc.assert(fc.property(intensity, intensity, (a, b) => {
+      const [low, high] = a <= b ? [a, b] : [b, a];
+      expect(estimateDamage(high)).toBeGreaterThanOrEqual(estimateDamage(low));
+    }));
+  });
+});
+
+describe('getDamageCategory', () => {
+  it('severity does not decrease with damage', () => {
+    fc.assert(fc.property(fc.double({ min: 0, max: 100, noNaN: true }), fc.double({ min: 0, max: 100, noNaN: true }), (a, b) => {
+      const [low, high] = a <= b ? [a, b] : [b, a];
+      expect(getDamageCategory(high).severity).toBeGreaterThanOrEqual(getDamageCategory(low).severity);
+    }));
+  });
+
+  it('treats 5% as the first damage boundary', () => {
+    expect(getDamageCategory(4.99).category).toBe('None');
+    expect(getDamageCategory(5).category).not.toBe('None');
+  });
+});
+
+describe('population estimates', () => {
+  it('never affects more people than live in the city', () => {
+    fc.assert(fc.property(fc.integer({ min: 0, max: 10_000_000 }), fc.double({ min: 0, max: 100, noNaN: true }), (population, damage) => {
+      const { affected, displaced } = estimateAffectedPopulation(population, damage);
+      expect(affected).toBeLessThanOrEqual(population);
+      expect(displaced).toBeLessThanOrEqual(affected);
+    }));
+  });
+
+  it('estimates no casualties below 60% damage', () => {
+    expect(estimateCasualtyRisk(1_000_000, 59.9)).toMatchObject({ low: 0, medium: 0, high: 0 });
+  });
+
+  it('orders casualty bands low <= medium <= high', () => {
+    fc.assert(fc.property(fc.integer({ min: 0, max: 10_000_000 }), fc.double({ min: 60, max: 100, noNaN: true }), (population, damage) => {
+      const { low, medium, high } = estimateCasualtyRisk(population, damage);
+      expect(low).toBeLessThanOrEqual(medium);
+      expect(medium).toBeLessThanOrEqual(high);
+    }));
+  });
+});
+
+describe('compareDamageScenarios', () => {
+  it('evaluates bare magnitude/depth/distance triples with the given intensity function', () => {
+    const calculateIntensity = (magnitude, depth, distance) => magnitude - distance / 100;
+    const [first, second] = compareDamageScenarios(
+      [{ magnitude: 8, depth: 30, distance: 100 }, { magnitude: 7, depth: 30, distance: 100 }],
+      calculateIntensity
+    );
+
+    expect(first).toMatchObject({ scenarioId: 1, intensity: 7, damage: estimateDamage(7), intensityDelta: 0 });
+    expect(second.intensityDelta).toBeCloseTo(-1, 10);
+    expect(second.damageDelta).toBeLessThan(0);
+  });
+
+  it('uses the intensity and damage of site results', () => {
+    const [, second] = compareDamageScenarios([
+      { intensity: 8.1, damagePercent: 31 },
+      { intensity: 6.9, damagePercent: 12 },
+    ]);
+
+    expect(second.damage).toBe(12);
+    expect(second.category).toBe(getDamageCategory(12).category);
+    expect(second.intensityDelta).toBeCloseTo(-1.2, 10);
+    expect(second.damageDelta).toBe(-19);
+  });
+
+  it('requires an intensity function for bare triples', () => {
+    expect(() => compareDamageScenarios([{ magnitude: 8, depth: 30, distance: 100 }]))
+      .toThrow(/calculateIntensity is required/);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Earthquake catalog helpers
+ * 
+ * Normalizes catalog entries (historical_quakes.json and similar) into
+ * replayable scenarios: magnitude converted to Mw, a documented default
+ * depth when none is recorded, and coordinate/depth validation with the
+ * geoUtils validators.
+ */
+
+import { calculateDistance, isValidCoordinate, isValidDepth } from './geoUtils';
+import { isValidMagnitude } from './attenuationModel';
+
+/**
+ * Depth used when a catalog entry has no depth (km)
+ * 
+ * Most pre-instrumental Chilean great earthquakes are interface events;
+ * 30 km is a typical hypocentral depth on the Chilean megathrust
+ * (e.g. 2010 Maule ~30 km, 1985 Valparaíso ~33 km).
+ */
+export const DEFAULT_HISTORICAL_DEPTH_KM = 30;
+
+/**
+ * Weights for ranking catalog events against the current scenario:
+ * 200 km of epicentral distance counts the same as 0.5 magnitude units
+ */
+const RANKING_SCALES = {
+  distanceKm: 200,
+  magnitude: 0.5,
+};
+
+/**
+ * Convert a magnitude of a given type to moment magnitude (Mw)
+ * 
+ * Conversions from Scordilis (2006), global relations:
+ * - Ms: Mw = 0.67*Ms + 2.07 (3.0-6.1), Mw = 0.99*Ms + 0.08 (6.2-8.2, extrapolated above)
+ * - mb: Mw = 0.85*mb + 1.03 (3.5-6.2)
+ * - Mw, Mwp, Mww, Mwc, Mwr: unchanged
+ * - ML and unknown types are treated as Mw and flagged
+ * 
+ * @param {number} magnitude - Magnitude value
+ * @param {string} magnitudeType - Magnitude type (case-insensitive, e.g. "Ms", "Mw", "Mb")
+ * @returns {{mw: number, converted: boolean, assumed: boolean}} Mw, whether a conversion was
+ *   applied, and whether the type was unknown and assumed equivalent to Mw
+ * 
+ * @example
+ * toMomentMagnitude(8.5, 'Ms')
+ * // Returns: { mw: 8.5, converted: true, assumed: false }
+ */
+export function toMomentMagnitude(magnitude, magnitudeType) {
+  const type = (magnitudeType || 'Mw').trim().toLowerCase();
+  const round = (value) => Math.round(value * 10) / 10;
+
+  if (type.startsWith('mw')) {
+    return { mw: magnitude, converted: false, assumed: false };
+  }
+
+  if (type === 'ms') {
+    const mw = magnitude <= 6.1 ? 0.67 * magnitude + 2.07 : 0.99 * magnitude + 0.08;
+    return { mw: round(mw), converted: true, assumed: false };
+  }
+
+  if (type === 'mb') {
+    return { mw: round(0.85 * magnitude + 1.03), converted: true, assumed: false };
+  }
+
+  return { mw: magnitude, converted: false, assumed: true };
+}
+
+/**
+ * Build a catalog entry (historical_quakes.json format) from event fields
+ * 
+ * Used by the live feed and the catalog importer so every source ends up in
+ * the same shape before normalizeCatalogEntry.
+ * 
+ * @param {Object} fields
+ * @param {string} fields.id - Event id (optional)
+ * @param {string} fields.name - Place or event name (optional, defaults to the id)
+ * @param {number|string} fields.time - Origin time (epoch ms or ISO 8601)
+ * @param {number} fields.latitude - Epicenter latitude
+ * @param {number} fields.longitude - Epicenter longitude
+ * @param {number|null} fields.depth - Depth in km, null when unknown
+ * @param {number|null} fields.magnitude - Magnitude value
+ * @param {string|null} fields.magnitudeType - Magnitude type (e.g. "mww", "Ms")
+ * @returns {Object} Entry with id, name, date, time (ISO) and year (null when the time
+ *   is invalid), magnitude, magnitude_type, depth, epicenter_lat, epicenter_lon
+ */
+export function createCatalogEntry({ id, name, time, latitude, longitude, depth, magnitude, magnitudeType }) {
+  const origin = new Date(time);
+  const hasTime = time !== null && time !== undefined && time !== '' && !Number.isNaN(origin.getTime());
+  const date = hasTime ? origin.toISOString().slice(0, 10) : null;
+
+  return {
+    id: id ? String(id) : `${hasTime ? origin.toISOString() : time}:${latitude}:${longitude}`,
+    name: name || (id ? String(id) : date),
+    date,
+    time: hasTime ? origin.toISOString() : null,
+    year: hasTime ? origin.getUTCFullYear() : null,
+    magnitude: magnitude ?? null,
+    magnitude_type: magnitudeType || null,
+    depth: Number.isFinite(depth) ? depth : null,
+    epicenter_lat: latitude,
+    epicenter_lon: longitude,
+  };
+}
+
+/**
+ * Normalize a catalog entry into a replayable scenario
+ * 
+ * @param {Object} entry - Entry with name, date, magnitude, magnitude_type,
+ *   depth (or null), epicenter_lat, epicenter_lon
+ * @returns {Object} Entry plus mw, depthKm, depthIsDefault, valid, issues (errors
+ *   that prevent replay) and warnings
+ */
+export function normalizeCatalogEntry(entry) {
+  const issues = [];
+  const warnings = [];
+  const { mw, converted, assumed } = toMomentMagnitude(entry.magnitude, entry.magnitude_type);
+
+  if (!isValidMagnitude(mw)) {
+    issues.push(`Invalid magnitude: ${entry.magnitude}`);
+  }
+  if (assumed) {
+    warnings.push(`Unknown magnitude type "${entry.magnitude_type}" treated as Mw`);
+  }
+
+  const hasDepth = entry.depth !== null && entry.depth !== undefined;
+  const depthKm = hasDepth ? entry.depth : DEFAULT_HISTORICAL_DEPTH_KM;
+  if (hasDepth && !isValidDepth(depthKm)) {
+    issues.push(`Invalid depth: ${entry.depth}`);
+  }
+
+  if (!isValidCoordinate(entry.epicenter_lat, entry.epicenter_lon)) {
+    issues.push(`Invalid epicenter: ${entry.epicenter_lat}, ${entry.epicenter_lon}`);
+  }
+
+  return {
+    ...entry,
+    mw,
+    magnitudeConverted: converted,
+    depthKm,
+    depthIsDefault: !hasDepth,
+    valid: issues.length === 0,
+    issues,
+    warnings,
+  };
+}
+
+/**
+ * Rank catalog events by similarity to the current scenario
+ * 
+ * Score combines epicentral distance and magnitude difference (see
+ * RANKING_SCALES); lower is more similar. Events with invalid
+ * coordinates are ranked by magnitude only and placed after valid ones.
+ * 
+ * @param {Array<Object>} entries - Normalized entries (normalizeCatalogEntry)
+ * @param {{magnitude: number, epicenter: {lat: number, lon: number}}} current - Current scenario
+ * @param {number} limit - Maximum number of results (default: 5)
+ * @returns {Array<Object>} Entries with distanceKm and score, best first
+ */
+export function rankCatalogEntries(entries, { magnitude, epicenter }, limit = 5) {
+  return entries
+    .map(entry => {
+      const magnitudeTerm = (entry.mw - magnitude) / RANKING_SCALES.magnitude;
+
+      if (!entry.valid) {
+        return { ...entry, distanceKm: null, score: Infinity, magnitudeScore: Math.abs(magnitudeTerm) };
+      }
+
+      const distanceKm = calculateDistance(epicenter.lat, epicenter.lon, entry.epicenter_lat, entry.epicenter_lon);
+      const distanceTerm = distanceKm / RANKING_SCALES.distanceKm;
+
+      return {
+        ...entry,
+        distanceKm,
+        score: Math.sqrt(distanceTerm * distanceTerm + magnitudeTerm * magnitudeTerm),
+      };
+    })
+    .sort((a, b) => (a.score - b.score) || ((a.magnitudeScore || 0) - (b.magnitudeScore || 0)))
+    .slice(0, limit);
+}
+
+/**
+ * Build the scenario parameters for replaying a catalog entry
+ * 
+ * @param {Object} entry - Normalized entry (normalizeCatalogEntry)
+ * @returns {{magnitude: number, depth: number, epicenter: {lat: number, lon: number}}} Scenario values
+ */
+export function toReplayScenario(entry) {
+  if (!entry.valid) {
+    throw new Error(`Cannot replay ${entry.name}: ${entry.issues.join('; ')}`);
+  }
+
+  return {
+    magnitude: entry.mw,
+    depth: entry.depthKm,
+    epicenter: {
+      lat: entry.epicenter_lat,
+      lon: entry.epicenter_lon,
+    },
+  };
+}
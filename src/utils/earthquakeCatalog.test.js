@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import historicalQuakes from '../../public/historical_quakes.json';
+import {
+  DEFAULT_HISTORICAL_DEPTH_KM,
+  normalizeCatalogEntry,
+  toMomentMagnitude,
+  toReplayScenario,
+} from './earthquakeCatalog';
+
+const ENTRY = {
+  name: 'Test event',
+  date: '2010-02-27',
+  magnitude: 8.8,
+  magnitude_type: 'Mw',
+  depth: 30,
+  epicenter_lat: -36.29,
+  epicenter_lon: -73.24,
+};
+
+describe('toMomentMagnitude', () => {
+  it('keeps moment magnitudes of every flavour', () => {
+    ['Mw', 'mww', 'Mwp', 'mwc', 'MWR', ' mw ', undefined, null].forEach(type => {
+      expect(toMomentMagnitude(7.3, type)).toEqual({ mw: 7.3, converted: false, assumed: false });
+    });
+  });
+
+  it('converts Ms with the two Scordilis (2006) branches', () => {
+    expect(toMomentMagnitude(5.0, 'Ms')).toEqual({ mw: 5.4, converted: true, assumed: false });
+    expect(toMomentMagnitude(6.1, 'MS').mw).toBe(6.2);
+    expect(toMomentMagnitude(6.2, 'ms').mw).toBe(6.2);
+    expect(toMomentMagnitude(8.9, 'Ms').mw).toBe(8.9);
+  });
+
+  it('converts mb', () => {
+    expect(toMomentMagnitude(6.0, 'mb')).toEqual({ mw: 6.1, converted: true, assumed: false });
+    expect(toMomentMagnitude(4.5, 'Mb').mw).toBe(4.9);
+  });
+
+  it('treats ML and unknown types as Mw and flags them', () => {
+    expect(toMomentMagnitude(5.2, 'ml')).toEqual({ mw: 5.2, converted: false, assumed: true });
+    expect(toMomentMagnitude(5.2, 'Md')).toEqual({ mw: 5.2, converted: false, assumed: true });
+  });
+});
+
+describe('normalizeCatalogEntry', () => {
+  it('keeps a recorded depth', () => {
+    const entry = normalizeCatalogEntry(ENTRY);
+    expect(entry).toMatchObject({ mw: 8.8, depthKm: 30, depthIsDefault: false, valid: true, issues: [], warnings: [] });
+  });
+
+  it('uses the default depth when none is recorded', () => {
+    [null, undefined].forEach(depth => {
+      const entry = normalizeCatalogEntry({ ...ENTRY, depth });
+      expect(entry.depthKm).toBe(DEFAULT_HISTORICAL_DEPTH_KM);
+      expect(entry.depthIsDefault).toBe(true);
+      expect(entry.valid).toBe(true);
+    });
+  });
+
+  it('reports invalid depths, magnitudes and epicenters', () => {
+    expect(normalizeCatalogEntry({ ...ENTRY, depth: 900 }).issues).toEqual(['Invalid depth: 900']);
+    expect(normalizeCatalogEntry({ ...ENTRY, magnitude: null }).issues).toEqual(['Invalid magnitude: null']);
+    expect(normalizeCatalogEntry({ ...ENTRY, epicenter_lat: -95 }).issues).toEqual(['Invalid epicenter: -95, -73.24']);
+    expect(normalizeCatalogEntry({ ...ENTRY, depth: -5, epicenter_lon: 200 }).valid).toBe(false);
+  });
+
+  it('warns about magnitudes assumed to be Mw', () => {
+    const entry = normalizeCatalogEntry({ ...ENTRY, magnitude: 5.1, magnitude_type: 'ML' });
+    expect(entry.valid).toBe(true);
+    expect(entry.warnings).toEqual(['Unknown magnitude type "ML" treated as Mw']);
+  });
+
+  it('only flags the bundled entries with malformed coordinates', () => {
+    const invalid = historicalQuakes.map(normalizeCatalogEntry).filter(entry => !entry.valid);
+    expect(invalid.map(entry => entry.name).sort()).toEqual(['1878 Punta Arenas Earthquake', '1928 Punta Arenas Earthquake']);
+    invalid.forEach(entry => expect(entry.issues[0]).toMatch(/^Invalid epicenter/));
+  });
+});
+
+describe('toReplayScenario', () => {
+  it('uses Mw, the resolved depth and the epicenter', () => {
+    expect(toReplayScenario(normalizeCatalogEntry({ ...ENTRY, magnitude: 8.9, magnitude_type: 'Ms', depth: null }))).toEqual({
+      magnitude: 8.9,
+      depth: DEFAULT_HISTORICAL_DEPTH_KM,
+      epicenter: { lat: -36.29, lon: -73.24 },
+    });
+  });
+
+  it('refuses invalid entries', () => {
+    expect(() => toReplayScenario(normalizeCatalogEntry({ ...ENTRY, depth: 900 })))
+      .toThrow('Cannot replay Test event: Invalid depth: 900');
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Critical facility model
+ * 
+ * Hospitals, ports, bridges and power substations are evaluated with
+ * type-specific lognormal fragility curves on the scenario PGA (site
+ * corrected when site effects are on), with two limit states:
+ * - Impaired: partial loss of function (damaged wards, cranes out of
+ *   service, bridge open to light traffic, tripped transformers)
+ * - Failed: out of service until repaired
+ * 
+ * Medians are rough HAZUS-style values for Chilean facilities, for
+ * educational use. Facilities come from public/critical_facilities.json.
+ */
+
+import { normalCdf } from './statistics';
+import { calculateSiteMotion } from './scenarioResults';
+
+/**
+ * Facility types: median PGA (g) of each limit state and lognormal dispersion
+ */
+const FACILITY_TYPES = {
+  hospital: { name: 'Hospital', icon: 'H', medians: { impaired: 0.25, failed: 0.55 }, beta: 0.6 },
+  port: { name: 'Port', icon: 'P', medians: { impaired: 0.2, failed: 0.45 }, beta: 0.6 },
+  bridge: { name: 'Bridge', icon: 'B', medians: { impaired: 0.3, failed: 0.65 }, beta: 0.6 },
+  substation: { name: 'Substation', icon: 'S', medians: { impaired: 0.25, failed: 0.45 }, beta: 0.6 },
+};
+
+/**
+ * Facility status levels, from best to worst
+ */
+export const FACILITY_STATUSES = [
+  { id: 'functional', name: 'Functional', color: '#10B981' },
+  { id: 'impaired', name: 'Impaired', color: '#F59E0B' },
+  { id: 'failed', name: 'Failed', color: '#DC2626' },
+];
+
+/**
+ * Probability a status is reached before it is reported
+ */
+const STATUS_THRESHOLD = 0.5;
+
+/**
+ * Get all facility types
+ * 
+ * @returns {Array<{id: string, name: string, icon: string}>} Facility types
+ */
+export function getFacilityTypes() {
+  return Object.entries(FACILITY_TYPES).map(([id, { name, icon }]) => ({ id, name, icon }));
+}
+
+/**
+ * Get a facility type
+ * 
+ * @param {string} id - Facility type id
+ * @returns {Object} Type definition
+ * @throws {Error} If the type is unknown
+ */
+export function getFacilityType(id) {
+  if (!Object.prototype.hasOwnProperty.call(FACILITY_TYPES, id)) {
+    throw new Error(`Unknown facility type: ${id}`);
+  }
+  return { id, ...FACILITY_TYPES[id] };
+}
+
+/**
+ * Probability of each status for a facility type at a PGA
+ * 
+ * @param {string} type - Facility type id
+ * @param {number} pga - Peak ground acceleration in g
+ * @returns {{functional: number, impaired: number, failed: number}} Probabilities (sum to 1)
+ */
+export function getFacilityStatusProbabilities(type, pga) {
+  const { medians, beta } = getFacilityType(type);
+  const exceed = (median) => (pga > 0 ? normalCdf(Math.log(pga / median) / beta) : 0);
+
+  const failed = exceed(medians.failed);
+  const impairedOrWorse = Math.max(failed, exceed(medians.impaired));
+
+  return {
+    functional: 1 - impairedOrWorse,
+    impaired: impairedOrWorse - failed,
+    failed,
+  };
+}
+
+/**
+ * Most likely status from the status probabilities
+ * 
+ * @param {{impaired: number, failed: number}} probabilities - From getFacilityStatusProbabilities
+ * @returns {string} 'failed' when failure is more likely than not, 'impaired' when at
+ *   least impairment is, otherwise 'functional'
+ */
+export function getFacilityStatus({ impaired, failed }) {
+  if (failed >= STATUS_THRESHOLD) return 'failed';
+  if (impaired + failed >= STATUS_THRESHOLD) return 'impaired';
+  return 'functional';
+}
+
+/**
+ * Evaluate facilities against a scenario
+ * 
+ * @param {Array<Object>} facilities - Facilities from critical_facilities.json
+ * @param {Object} scenario - Scenario (see calculateCityResult)
+ * @returns {Array<Object>} Facilities with pga, intensity, probabilities and status
+ */
+export function evaluateFacilities(facilities, scenario) {
+  return facilities.map(facility => {
+    const { activeMotion, distances } = calculateSiteMotion(facility, scenario);
+    const probabilities = getFacilityStatusProbabilities(facility.type, activeMotion.pga);
+
+    return {
+      ...facility,
+      distance: distances.rrup,
+      pga: activeMotion.pga,
+      intensity: activeMotion.intensity,
+      probabilities,
+      status: getFacilityStatus(probabilities),
+    };
+  });
+}
+
+/**
+ * Summarize facilities likely out of service
+ * 
+ * Dependent population is added per facility, so overlapping catchments
+ * (e.g. a hospital and the substation feeding it) count more than once.
+ * 
+ * @param {Array<Object>} results - Results from evaluateFacilities
+ * @returns {{counts: Object, byType: Array<Object>, outOfService: Array<Object>,
+ *   population: {failed: number, impaired: number}}} Facility count by status, counts
+ *   and dependent population by type, non-functional facilities (failed first, then
+ *   by probability of failure) and the population depending on them
+ */
+export function summarizeFacilityStatus(results) {
+  const counts = Object.fromEntries(FACILITY_STATUSES.map(({ id }) => [id, 0]));
+  const population = { failed: 0, impaired: 0 };
+
+  const byType = getFacilityTypes().map(type => ({
+    ...type,
+    total: 0,
+    impaired: 0,
+    failed: 0,
+    population: 0,
+  }));
+
+  results.forEach(result => {
+    counts[result.status] += 1;
+
+    const type = byType.find(({ id }) => id === result.type);
+    type.total += 1;
+    if (result.status === 'functional') return;
+
+    type[result.status] += 1;
+    type.population += result.service_population;
+    population[result.status] += result.service_population;
+  });
+
+  const rank = { failed: 0, impaired: 1 };
+  const outOfService = results
+    .filter(result => result.status !== 'functional')
+    .sort((a, b) => rank[a.status] - rank[b.status] || b.probabilities.failed - a.probabilities.failed);
+
+  return { counts, byType, outOfService, population };
+}
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import data from '../../public/critical_facilities.json';
+import {
+  evaluateFacilities,
+  getFacilityStatus,
+  getFacilityStatusProbabilities,
+  getFacilityTypes,
+  summarizeFacilityStatus,
+} from './facilityModel';
+
+// 2010 Maule, point source
+const MAULE = {
+  magnitude: 8.8,
+  depth: 30,
+  epicenter: { lat: -36.29, lon: -73.239 },
+  rupture: null,
+  modelId: 'bchydro-interface',
+  siteEffects: true,
+  vs30Grid: null,
+};
+
+describe('getFacilityStatusProbabilities', () => {
+  it('returns probabilities that add up to 1 and grow with shaking', () => {
+    getFacilityTypes().forEach(({ id }) => {
+      const weak = getFacilityStatusProbabilities(id, 0.05);
+      const strong = getFacilityStatusProbabilities(id, 0.8);
+      expect(weak.functional + weak.impaired + weak.failed).toBeCloseTo(1, 10);
+      expect(strong.functional + strong.impaired + strong.failed).toBeCloseTo(1, 10);
+      expect(strong.failed).toBeGreaterThan(weak.failed);
+      expect(weak.functional).toBeGreaterThan(0.9);
+    });
+  });
+
+  it('is fully functional without shaking', () => {
+    expect(getFacilityStatusProbabilities('hospital', 0)).toEqual({ functional: 1, impaired: 0, failed: 0 });
+  });
+
+  it('makes ports and substations more fragile than bridges', () => {
+    const pga = 0.4;
+    const bridge = getFacilityStatusProbabilities('bridge', pga).failed;
+    expect(getFacilityStatusProbabilities('port', pga).failed).toBeGreaterThan(bridge);
+    expect(getFacilityStatusProbabilities('substation', pga).failed).toBeGreaterThan(bridge);
+  });
+
+  it('rejects unknown facility types', () => {
+    expect(() => getFacilityStatusProbabilities('airport', 0.3)).toThrow(/Unknown facility type/);
+  });
+});
+
+describe('getFacilityStatus', () => {
+  it('reports the worst status that is more likely than not', () => {
+    expect(getFacilityStatus({ functional: 0.7, impaired: 0.2, failed: 0.1 })).toBe('functional');
+    expect(getFacilityStatus({ functional: 0.4, impaired: 0.35, failed: 0.25 })).toBe('impaired');
+    expect(getFacilityStatus({ functional: 0.1, impaired: 0.3, failed: 0.6 })).toBe('failed');
+  });
+});
+
+describe('critical facilities data', () => {
+  it('has unique ids, known types and a service population', () => {
+    const types = new Set(getFacilityTypes().map(({ id }) => id));
+    expect(new Set(data.facilities.map(f => f.id)).size).toBe(data.facilities.length);
+    data.facilities.forEach(facility => {
+      expect(types.has(facility.type)).toBe(true);
+      expect(facility.service_population).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe('evaluateFacilities', () => {
+  const results = evaluateFacilities(data.facilities, MAULE);
+
+  it('puts facilities near the epicenter out of service and leaves distant ones functional', () => {
+    const byId = Object.fromEntries(results.map(r => [r.id, r]));
+    expect(byId['port-san-vicente'].status).not.toBe('functional');
+    expect(byId['hosp-antofagasta'].status).toBe('functional');
+    expect(byId['port-punta-arenas'].status).toBe('functional');
+  });
+
+  it('summarizes out-of-service facilities and the population depending on them', () => {
+    const summary = summarizeFacilityStatus(results);
+    const counted = summary.counts.functional + summary.counts.impaired + summary.counts.failed;
+
+    expect(counted).toBe(data.facilities.length);
+    expect(summary.outOfService).toHaveLength(summary.counts.impaired + summary.counts.failed);
+    expect(summary.population.failed + summary.population.impaired).toBe(
+      summary.outOfService.reduce((sum, f) => sum + f.service_population, 0)
+    );
+
+    // Failed facilities are listed first
+    const firstImpaired = summary.outOfService.findIndex(f => f.status === 'impaired');
+    if (firstImpaired >= 0) {
+      expect(summary.outOfService.slice(firstImpaired).every(f => f.status === 'impaired')).toBe(true);
+    }
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Finite-fault rupture geometry
+ * 
+ * Replaces the point-source assumption for large events by a rectangular
+ * rupture plane sized from magnitude-area scaling relations. Site distances
+ * (Rrup, Rjb) are measured to that plane and fed to the attenuation model.
+ * 
+ * Geometry is computed in a local flat-earth frame (km east/north of the
+ * hypocenter). This is adequate for educational use even for ~1000 km
+ * ruptures, but is not a substitute for a proper geodetic treatment.
+ */
+
+import { calculateDistance, calculateDestination } from './geoUtils';
+
+const KM_PER_DEGREE = 111.195;
+
+/**
+ * Magnitude-dimension scaling relations
+ * 
+ * log10(L) = aL + bL*M, log10(W) = aW + bW*M (L, W in km)
+ * 
+ * - interface / intraslab: Strasser et al. (2010)
+ * - crustal: Wells & Coppersmith (1994), all slip types
+ */
+const SCALING_RELATIONS = {
+  interface: { aL: -2.477, bL: 0.585, aW: -0.882, bW: 0.351 },
+  intraslab: { aL: -2.350, bL: 0.562, aW: -1.058, bW: 0.356 },
+  crustal: { aL: -2.44, bL: 0.59, aW: -1.01, bW: 0.32 },
+};
+
+/**
+ * Maximum down-dip width (km) before the plane would exceed the
+ * seismogenic zone; longer ruptures grow along strike instead.
+ */
+const MAX_WIDTH_KM = {
+  interface: 250,
+  intraslab: 80,
+  crustal: 30,
+};
+
+/**
+ * Default fault orientation for Chilean interface events
+ * (margin strikes roughly N10°E, slab dips ~18° near the coast)
+ */
+export const DEFAULT_FAULT = {
+  strike: 10,
+  dip: 18,
+};
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(degrees) {
+  return degrees * (Math.PI / 180);
+}
+
+/**
+ * Project a geographic point to local km coordinates around an origin
+ */
+function toLocal(origin, lat, lon) {
+  return {
+    x: (lon - origin.lon) * KM_PER_DEGREE * Math.cos(toRadians(origin.lat)),
+    y: (lat - origin.lat) * KM_PER_DEGREE,
+  };
+}
+
+/**
+ * Convert local km coordinates back to geographic coordinates
+ */
+function toGeographic(origin, x, y) {
+  return {
+    lat: origin.lat + y / KM_PER_DEGREE,
+    lon: origin.lon + x / (KM_PER_DEGREE * Math.cos(toRadians(origin.lat))),
+  };
+}
+
+/**
+ * Clamp a value to a range
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Estimate rupture length and width from magnitude
+ * 
+ * @param {number} magnitude - Moment magnitude (Mw)
+ * @param {string} tectonicType - 'interface', 'intraslab' or 'crustal'
+ * @returns {{length: number, width: number, area: number}} Dimensions in km / km²
+ * 
+ * @example
+ * // 2010 Maule (Strasser 2010 interface)
+ * getRuptureDimensions(8.8, 'interface')
+ * // Returns: ~{ length: 480, width: 160 }
+ */
+export function getRuptureDimensions(magnitude, tectonicType = 'interface') {
+  const relation = SCALING_RELATIONS[tectonicType] || SCALING_RELATIONS.interface;
+  const maxWidth = MAX_WIDTH_KM[tectonicType] || MAX_WIDTH_KM.interface;
+
+  let length = Math.pow(10, relation.aL + relation.bL * magnitude);
+  let width = Math.pow(10, relation.aW + relation.bW * magnitude);
+
+  // Preserve area when the width saturates
+  if (width > maxWidth) {
+    length = (length * width) / maxWidth;
+    width = maxWidth;
+  }
+
+  return {
+    length,
+    width,
+    area: length * width,
+  };
+}
+
+/**
+ * Build a rectangular rupture plane centered on the hypocenter
+ * 
+ * The hypocenter sits at the middle of the plane along strike and
+ * down-dip. If the plane would breach the surface it is shifted down-dip
+ * so its top edge lies at 0 km depth.
+ * 
+ * @param {Object} params
+ * @param {number} params.magnitude - Moment magnitude (Mw)
+ * @param {number} params.strike - Strike in degrees (0-360, right-hand rule)
+ * @param {number} params.dip - Dip in degrees (1-90)
+ * @param {{lat: number, lon: number}} params.hypocenter - Hypocenter location
+ * @param {number} params.depth - Hypocenter depth in kilometers
+ * @param {string} params.tectonicType - Scaling relation to use
+ * @returns {Object} Rupture plane with local geometry and geographic outline
+ */
+export function createRupturePlane({ magnitude, strike, dip, hypocenter, depth, tectonicType = 'interface' }) {
+  if (dip <= 0 || dip > 90) {
+    throw new Error(`Invalid dip: ${dip}. Must be between 0 and 90 degrees.`);
+  }
+
+  const { length, width, area } = getRuptureDimensions(magnitude, tectonicType);
+
+  const strikeRad = toRadians(strike);
+  const dipRad = toRadians(dip);
+
+  // Unit vectors in local (east, north, down) coordinates
+  const alongStrike = { x: Math.sin(strikeRad), y: Math.cos(strikeRad), z: 0 };
+  const downDip = {
+    x: Math.cos(strikeRad) * Math.cos(dipRad),
+    y: -Math.sin(strikeRad) * Math.cos(dipRad),
+    z: Math.sin(dipRad),
+  };
+
+  // Distance up-dip from the hypocenter to the top edge, limited by the surface
+  const upDip = Math.min(width / 2, depth / Math.sin(dipRad));
+  const topDepth = depth - upDip * Math.sin(dipRad);
+
+  // Plane origin: top edge, start of strike
+  const origin = {
+    x: -alongStrike.x * (length / 2) - downDip.x * upDip,
+    y: -alongStrike.y * (length / 2) - downDip.y * upDip,
+    z: topDepth,
+  };
+
+  const cornerAt = (s, t) => ({
+    x: origin.x + alongStrike.x * s + downDip.x * t,
+    y: origin.y + alongStrike.y * s + downDip.y * t,
+    z: origin.z + downDip.z * t,
+  });
+
+  const localCorners = [
+    cornerAt(0, 0),
+    cornerAt(length, 0),
+    cornerAt(length, width),
+    cornerAt(0, width),
+  ];
+
+  const corners = localCorners.map(corner => ({
+    ...toGeographic(hypocenter, corner.x, corner.y),
+    depth: corner.z,
+  }));
+
+  return {
+    magnitude,
+    strike,
+    dip,
+    length,
+    width,
+    area,
+    topDepth,
+    bottomDepth: topDepth + width * Math.sin(dipRad),
+    hypocenter: { ...hypocenter, depth },
+    tectonicType,
+    corners, // Surface projection: top-start, top-end, bottom-end, bottom-start
+    local: { origin, alongStrike, downDip },
+  };
+}
+
+/**
+ * Move an existing rupture plane to a new hypocenter, keeping its
+ * magnitude, orientation and depth
+ * 
+ * @param {Object} plane - Rupture plane from createRupturePlane
+ * @param {{lat: number, lon: number}} hypocenter - New hypocenter location
+ * @returns {Object} Rupture plane centered on the new hypocenter
+ */
+export function moveRupturePlane(plane, hypocenter) {
+  return createRupturePlane({
+    magnitude: plane.magnitude,
+    strike: plane.strike,
+    dip: plane.dip,
+    hypocenter,
+    depth: plane.hypocenter.depth,
+    tectonicType: plane.tectonicType,
+  });
+}
+
+/**
+ * Compute rupture (Rrup) and Joyner-Boore (Rjb) distances to a site
+ * 
+ * Because the along-strike and down-dip axes are orthogonal, the closest
+ * point of the rectangle is the clamped projection of the site onto it,
+ * both in 3D (Rrup) and on the surface projection (Rjb).
+ * 
+ * @param {Object} plane - Rupture plane from createRupturePlane
+ * @param {number} siteLat - Latitude of site (degrees)
+ * @param {number} siteLon - Longitude of site (degrees)
+ * @returns {{rrup: number, rjb: number}} Distances in kilometers
+ */
+export function calculateRuptureDistances(plane, siteLat, siteLon) {
+  const { origin, alongStrike, downDip } = plane.local;
+  const site = toLocal(plane.hypocenter, siteLat, siteLon);
+
+  // Site relative to plane origin (site is at the surface, z = 0)
+  const rel = { x: site.x - origin.x, y: site.y - origin.y, z: -origin.z };
+
+  // Rrup: closest point on the 3D rectangle
+  const s = clamp(rel.x * alongStrike.x + rel.y * alongStrike.y, 0, plane.length);
+  const t = clamp(
+    rel.x * downDip.x + rel.y * downDip.y + rel.z * downDip.z,
+    0,
+    plane.width
+  );
+  const closest = {
+    x: alongStrike.x * s + downDip.x * t,
+    y: alongStrike.y * s + downDip.y * t,
+    z: downDip.z * t,
+  };
+  const rrup = Math.sqrt(
+    Math.pow(rel.x - closest.x, 2) +
+    Math.pow(rel.y - closest.y, 2) +
+    Math.pow(rel.z - closest.z, 2)
+  );
+
+  // Rjb: closest point on the surface projection
+  const horizontalDip = Math.hypot(downDip.x, downDip.y);
+  const projectedWidth = plane.width * horizontalDip;
+  let tSurface = 0;
+  if (horizontalDip > 1e-9) {
+    tSurface = clamp(
+      (rel.x * downDip.x + rel.y * downDip.y) / horizontalDip,
+      0,
+      projectedWidth
+    );
+  }
+  const dipUnitX = horizontalDip > 1e-9 ? downDip.x / horizontalDip : 0;
+  const dipUnitY = horizontalDip > 1e-9 ? downDip.y / horizontalDip : 0;
+  const rjb = Math.hypot(
+    rel.x - (alongStrike.x * s + dipUnitX * tSurface),
+    rel.y - (alongStrike.y * s + dipUnitY * tSurface)
+  );
+
+  return { rrup, rjb };
+}
+
+/**
+ * Compute all source-to-site distances for a scenario
+ * 
+ * Falls back to point-source distances when no rupture plane is given.
+ * 
+ * @param {{lat: number, lon: number}} epicenter - Epicenter location
+ * @param {number} depth - Hypocenter depth in kilometers
+ * @param {Object|null} plane - Rupture plane from createRupturePlane, or null
+ * @param {number} siteLat - Latitude of site (degrees)
+ * @param {number} siteLon - Longitude of site (degrees)
+ * @returns {{epicentral: number, rhypo: number, rrup: number, rjb: number}} Distances in km
+ */
+export function calculateSiteDistances(epicenter, depth, plane, siteLat, siteLon) {
+  const epicentral = calculateDistance(epicenter.lat, epicenter.lon, siteLat, siteLon);
+  const rhypo = Math.sqrt(epicentral * epicentral + depth * depth);
+
+  if (!plane) {
+    return { epicentral, rhypo, rrup: rhypo, rjb: epicentral };
+  }
+
+  const { rrup, rjb } = calculateRuptureDistances(plane, siteLat, siteLon);
+  return { epicentral, rhypo, rrup, rjb };
+}
+
+/**
+ * Get the point used as a rotation handle for the rupture on the map
+ * (end of the top edge, slightly beyond it along strike)
+ * 
+ * @param {Object} plane - Rupture plane from createRupturePlane
+ * @returns {{lat: number, lon: number}} Handle location
+ */
+export function getStrikeHandle(plane) {
+  return calculateDestination(
+    plane.hypocenter.lat,
+    plane.hypocenter.lon,
+    plane.strike,
+    plane.length / 2 + 20
+  );
+}
@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import { calculateBearing, calculateDistance } from './geoUtils';
+import {
+  DEFAULT_FAULT,
+  calculateRuptureDistances,
+  calculateSiteDistances,
+  createRupturePlane,
+  getRuptureDimensions,
+  getStrikeHandle,
+  moveRupturePlane,
+} from './faultModel';
+
+const MAULE = {
+  magnitude: 8.8,
+  strike: DEFAULT_FAULT.strike,
+  dip: DEFAULT_FAULT.dip,
+  hypocenter: { lat: -36.29, lon: -73.239 },
+  depth: 30,
+  tectonicType: 'interface',
+};
+
+// Sites around the Maule rupture, from the trench to the Andes
+const SITES = [];
+for (let lat = -40; lat <= -32; lat += 1) {
+  for (let lon = -76; lon <= -70; lon += 1) {
+    SITES.push({ lat, lon });
+  }
+}
+
+describe('getRuptureDimensions', () => {
+  it('uses Strasser et al. (2010) for interface events', () => {
+    const { length, width, area } = getRuptureDimensions(8.8, 'interface');
+    expect(length).toBeCloseTo(468.81, 1);
+    expect(width).toBeCloseTo(160.99, 1);
+    expect(area).toBeCloseTo(length * width, 6);
+  });
+
+  it('uses Strasser et al. (2010) for intraslab events', () => {
+    const { length, width } = getRuptureDimensions(7.5, 'intraslab');
+    expect(length).toBeCloseTo(73.28, 1);
+    expect(width).toBeCloseTo(40.93, 1);
+  });
+
+  it('uses Wells & Coppersmith (1994) for crustal events', () => {
+    const { length, width } = getRuptureDimensions(7, 'crustal');
+    expect(length).toBeCloseTo(48.98, 1);
+    expect(width).toBeCloseTo(16.98, 1);
+  });
+
+  it('caps the width and keeps the area', () => {
+    const { length, width, area } = getRuptureDimensions(9.5, 'interface');
+    expect(width).toBe(250);
+    expect(area).toBeCloseTo(341192.9, 0);
+    expect(length).toBeCloseTo(1364.77, 1);
+  });
+
+  it('falls back to the interface relation for unknown types', () => {
+    expect(getRuptureDimensions(8, 'unknown')).toEqual(getRuptureDimensions(8, 'interface'));
+  });
+});
+
+describe('createRupturePlane', () => {
+  it('centers the plane on the hypocenter', () => {
+    const plane = createRupturePlane(MAULE);
+    const { width } = getRuptureDimensions(8.8, 'interface');
+    const sinDip = Math.sin(18 * Math.PI / 180);
+
+    expect(plane.topDepth).toBeCloseTo(30 - (width / 2) * sinDip, 6);
+    expect(plane.bottomDepth).toBeCloseTo(30 + (width / 2) * sinDip, 6);
+    expect(plane.corners.map(corner => corner.depth)).toEqual([
+      plane.topDepth, plane.topDepth, plane.bottomDepth, plane.bottomDepth,
+    ].map(depth => expect.closeTo(depth, 6)));
+  });
+
+  it('orders corners top-start, top-end, bottom-end, bottom-start and dips to the right of strike', () => {
+    const plane = createRupturePlane({ ...MAULE, strike: 0, hypocenter: { lat: -36, lon: -73 } });
+    const [topStart, topEnd, bottomEnd, bottomStart] = plane.corners;
+
+    // Strike north: the top edge runs south to north
+    expect(topStart.lat).toBeLessThan(-36);
+    expect(topEnd.lat).toBeGreaterThan(-36);
+    expect(topStart.lon).toBeCloseTo(topEnd.lon, 6);
+    expect(calculateDistance(topStart.lat, topStart.lon, topEnd.lat, topEnd.lon)).toBeCloseTo(plane.length, -1);
+
+    // Right-hand rule: the plane dips east
+    expect(bottomEnd.lon).toBeGreaterThan(topEnd.lon);
+    expect(bottomStart.lon).toBeGreaterThan(topStart.lon);
+    expect(bottomEnd.lat).toBeCloseTo(topEnd.lat, 6);
+  });
+
+  it('shifts planes that would reach above the surface down-dip', () => {
+    const plane = createRupturePlane({ ...MAULE, depth: 10 });
+    const sinDip = Math.sin(18 * Math.PI / 180);
+
+    expect(plane.topDepth).toBeCloseTo(0, 9);
+    expect(plane.bottomDepth).toBeCloseTo(plane.width * sinDip, 6);
+  });
+
+  it('rejects invalid dips', () => {
+    expect(() => createRupturePlane({ ...MAULE, dip: 0 })).toThrow('Invalid dip');
+    expect(() => createRupturePlane({ ...MAULE, dip: 91 })).toThrow('Invalid dip');
+  });
+
+  it('keeps size, orientation and depth when moved', () => {
+    const plane = createRupturePlane(MAULE);
+    const moved = moveRupturePlane(plane, { lat: -35, lon: -72.5 });
+
+    expect(moved).toMatchObject({ length: plane.length, width: plane.width, strike: 10, dip: 18, topDepth: plane.topDepth });
+    expect(moved.hypocenter).toEqual({ lat: -35, lon: -72.5, depth: 30 });
+  });
+});
+
+describe('calculateRuptureDistances', () => {
+  const plane = createRupturePlane(MAULE);
+
+  it('is zero Joyner-Boore distance over the surface projection', () => {
+    const { rrup, rjb } = calculateRuptureDistances(plane, MAULE.hypocenter.lat, MAULE.hypocenter.lon);
+    expect(rjb).toBeCloseTo(0, 6);
+    expect(rrup).toBeLessThanOrEqual(MAULE.depth);
+    expect(rrup).toBeGreaterThanOrEqual(plane.topDepth);
+  });
+
+  it('measures vertical dip-slip planes from their top edge', () => {
+    const vertical = createRupturePlane({ ...MAULE, magnitude: 7, dip: 90, depth: 20, tectonicType: 'crustal' });
+    const { rrup, rjb } = calculateRuptureDistances(vertical, MAULE.hypocenter.lat, MAULE.hypocenter.lon);
+
+    expect(rjb).toBeCloseTo(0, 6);
+    expect(rrup).toBeCloseTo(vertical.topDepth, 6);
+  });
+
+  it('keeps Rrup at least the top depth and Rjb at every site', () => {
+    SITES.forEach(({ lat, lon }) => {
+      const { rrup, rjb } = calculateRuptureDistances(plane, lat, lon);
+      expect(rjb).toBeGreaterThanOrEqual(0);
+      expect(rrup).toBeGreaterThanOrEqual(plane.topDepth - 1e-9);
+      expect(rrup).toBeGreaterThanOrEqual(rjb - 1e-9);
+    });
+  });
+
+  it('never exceeds the point-source distances', () => {
+    SITES.forEach(({ lat, lon }) => {
+      const { rrup, rjb, rhypo, epicentral } = calculateSiteDistances(MAULE.hypocenter, MAULE.depth, plane, lat, lon);
+      expect(rrup).toBeLessThanOrEqual(rhypo + 1);
+      expect(rjb).toBeLessThanOrEqual(epicentral + 1);
+    });
+  });
+});
+
+describe('calculateSiteDistances', () => {
+  it('uses point-source distances without a plane', () => {
+    const epicentral = calculateDistance(-36.29, -73.239, -33.45, -70.67);
+    expect(calculateSiteDistances(MAULE.hypocenter, 30, null, -33.45, -70.67)).toEqual({
+      epicentral,
+      rhypo: Math.hypot(epicentral, 30),
+      rrup: Math.hypot(epicentral, 30),
+      rjb: epicentral,
+    });
+  });
+
+  it('reports the hypocentral depth at the epicenter', () => {
+    const { epicentral, rhypo } = calculateSiteDistances(MAULE.hypocenter, 30, null, MAULE.hypocenter.lat, MAULE.hypocenter.lon);
+    expect(epicentral).toBe(0);
+    expect(rhypo).toBe(30);
+  });
+});
+
+describe('getStrikeHandle', () => {
+  it('lies beyond the end of the rupture along strike', () => {
+    const plane = createRupturePlane(MAULE);
+    const handle = getStrikeHandle(plane);
+
+    expect(calculateDistance(MAULE.hypocenter.lat, MAULE.hypocenter.lon, handle.lat, handle.lon))
+      .toBeCloseTo(plane.length / 2 + 20, 0);
+    expect(calculateBearing(MAULE.hypocenter.lat, MAULE.hypocenter.lon, handle.lat, handle.lon)).toBeCloseTo(10, 0);
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Building fragility model
+ * 
+ * Replaces the single logistic damage curve with typology-specific
+ * lognormal fragility curves (HAZUS-style, in PGA):
+ * 
+ *   P(DS ≥ ds | PGA) = Φ( ln(PGA / θds) / β )
+ * 
+ * Each city has a building inventory (shares of reinforced concrete,
+ * confined masonry, adobe, timber and informal construction) from
+ * public/building_inventory.json; the city's damage distribution is the
+ * share-weighted mix of the typology distributions.
+ */
+
+import { normalCdf } from './statistics';
+
+/**
+ * Damage states, from no damage to collapse
+ * 
+ * damageRatio is the mean repair cost as a fraction of replacement
+ * cost (HAZUS central values).
+ */
+export const DAMAGE_STATES = [
+  { id: 'none', name: 'None', damageRatio: 0, color: '#10B981' },
+  { id: 'slight', name: 'Slight', damageRatio: 0.02, color: '#FDE047' },
+  { id: 'moderate', name: 'Moderate', damageRatio: 0.10, color: '#FB923C' },
+  { id: 'extensive', name: 'Extensive', damageRatio: 0.50, color: '#F87171' },
+  { id: 'complete', name: 'Complete', damageRatio: 1.0, color: '#991B1B' },
+];
+
+/**
+ * Fragility parameters per structural typology
+ * 
+ * medians: PGA (g) at 50% probability of reaching slight, moderate,
+ * extensive and complete damage; beta: lognormal standard deviation;
+ * collapseFraction: share of completely damaged buildings that collapse.
+ * Values follow HAZUS moderate/high-code curves, with adobe and informal
+ * construction from South American adobe and self-built housing studies.
+ */
+const BUILDING_TYPOLOGIES = {
+  rc: {
+    id: 'rc',
+    name: 'Reinforced concrete',
+    description: 'Engineered frames and shear walls, seismic code',
+    medians: [0.26, 0.46, 0.90, 1.55],
+    beta: 0.65,
+    collapseFraction: 0.05,
+  },
+  confined_masonry: {
+    id: 'confined_masonry',
+    name: 'Confined masonry',
+    description: 'Brick or block walls with tie columns and bond beams',
+    medians: [0.18, 0.34, 0.68, 1.20],
+    beta: 0.65,
+    collapseFraction: 0.05,
+  },
+  adobe: {
+    id: 'adobe',
+    name: 'Adobe',
+    description: 'Unreinforced earthen walls, mostly pre-1950',
+    medians: [0.07, 0.13, 0.26, 0.46],
+    beta: 0.60,
+    collapseFraction: 0.15,
+  },
+  timber: {
+    id: 'timber',
+    name: 'Timber frame',
+    description: 'Light wood frame houses',
+    medians: [0.24, 0.45, 1.00, 1.65],
+    beta: 0.65,
+    collapseFraction: 0.02,
+  },
+  informal: {
+    id: 'informal',
+    name: 'Informal',
+    description: 'Self-built, mixed or precarious materials',
+    medians: [0.08, 0.15, 0.30, 0.55],
+    beta: 0.65,
+    collapseFraction: 0.10,
+  },
+};
+
+/**
+ * Relative weight of each typology in the commercial stock
+ * 
+ * Workplaces, schools and shops are more often engineered than homes, so
+ * the residential shares are reweighted towards reinforced concrete.
+ */
+const COMMERCIAL_WEIGHTS = {
+  rc: 3,
+  confined_masonry: 1.5,
+  adobe: 0.5,
+  timber: 0.5,
+  informal: 0.2,
+};
+
+// Tolerance when checking that inventory shares add up to 1
+const SHARE_TOLERANCE = 0.01;
+
+/**
+ * List the building typologies
+ * 
+ * @returns {Array<Object>} Typologies with id, name, description and fragility parameters
+ */
+export function getBuildingTypologies() {
+  return Object.values(BUILDING_TYPOLOGIES);
+}
+
+/**
+ * Look up a building typology by id
+ * 
+ * @param {string} typologyId - Typology identifier
+ * @returns {Object} Typology definition
+ */
+export function getBuildingTypology(typologyId) {
+  const typology = BUILDING_TYPOLOGIES[typologyId];
+  if (!typology) {
+    throw new Error(`Unknown building typology: ${typologyId}.`);
+  }
+  return typology;
+}
+
+/**
+ * Find the building inventory of a city
+ * 
+ * Uses the city's own entry, then its region's, then the national default.
+ * 
+ * @param {{city: string, region?: string}} city - City record
+ * @param {Object|null} inventory - Data from building_inventory.json
+ * @returns {{shares: Object, source: string}|null} Typology shares and where they came
+ *   from ('city', 'region' or 'default'); null without inventory data
+ */
+export function resolveBuildingInventory(city, inventory) {
+  if (!inventory) return null;
+
+  if (inventory.cities?.[city.city]) {
+    return { shares: inventory.cities[city.city], source: 'city' };
+  }
+  if (city.region && inventory.regions?.[city.region]) {
+    return { shares: inventory.regions[city.region], source: 'region' };
+  }
+  return { shares: inventory.default, source: 'default' };
+}
+
+/**
+ * Typology shares behind a building damage estimate
+ * 
+ * @param {{byTypology: Array<{id: string, share: number}>}} buildingDamage - Result of estimateBuildingDamage
+ * @returns {Object} Share of each typology
+ */
+export function getInventoryShares(buildingDamage) {
+  return Object.fromEntries(buildingDamage.byTypology.map(typology => [typology.id, typology.share]));
+}
+
+/**
+ * Typology shares of the commercial stock of a city
+ * 
+ * @param {Object} shares - Residential typology shares (adding up to 1)
+ * @returns {Object} Commercial typology shares (adding up to 1)
+ */
+export function getCommercialShares(shares) {
+  const weighted = Object.entries(shares).map(([typologyId, share]) => [typologyId, share * (COMMERCIAL_WEIGHTS[typologyId] ?? 1)]);
+  const total = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+
+  return Object.fromEntries(weighted.map(([typologyId, weight]) => [typologyId, weight / total]));
+}
+
+/**
+ * Probabilities of reaching or exceeding each damage state
+ * 
+ * @param {string} typologyId - Typology identifier
+ * @param {number} pga - Peak ground acceleration in g
+ * @param {number} capacityFactor - Multiplier on the median capacities (default: 1;
+ *   varied by the uncertainty model)
+ * @returns {Array<number>} P(≥ slight), P(≥ moderate), P(≥ extensive), P(≥ complete)
+ */
+export function getExceedanceProbabilities(typologyId, pga, capacityFactor = 1) {
+  const { medians, beta } = getBuildingTypology(typologyId);
+  if (!(pga > 0)) return medians.map(() => 0);
+
+  return medians.map(median => normalCdf(Math.log(pga / (median * capacityFactor)) / beta));
+}
+
+/**
+ * Probability of each discrete damage state
+ * 
+ * @param {string} typologyId - Typology identifier
+ * @param {number} pga - Peak ground acceleration in g
+ * @param {number} capacityFactor - Multiplier on the median capacities (default: 1)
+ * @returns {Object} Probabilities keyed by damage state id (sum to 1)
+ * 
+ * @example
+ * getDamageStateProbabilities('adobe', 0.3)
+ * // Returns: ~{ none: 0.01, slight: 0.07, moderate: 0.32, extensive: 0.41, complete: 0.19 }
+ */
+export function getDamageStateProbabilities(typologyId, pga, capacityFactor = 1) {
+  const exceedance = [1, ...getExceedanceProbabilities(typologyId, pga, capacityFactor), 0];
+  const probabilities = {};
+
+  DAMAGE_STATES.forEach((state, index) => {
+    probabilities[state.id] = exceedance[index] - exceedance[index + 1];
+  });
+
+  return probabilities;
+}
+
+/**
+ * Estimate building damage for an inventory
+ * 
+ * @param {number} pga - Peak ground acceleration in g
+ * @param {Object} shares - Share of each typology (adding up to 1)
+ * @param {Object} options
+ * @param {number} options.capacityFactor - Multiplier on the median capacities (default: 1)
+ * @returns {{byTypology: Array<Object>, distribution: Object, damagePercent: number,
+ *   meanDamageRatio: number}} Per-typology and aggregated damage-state probabilities,
+ *   the percentage of buildings with moderate or worse damage, and the mean damage
+ *   ratio (repair cost / replacement cost)
+ */
+export function estimateBuildingDamage(pga, shares, { capacityFactor = 1 } = {}) {
+  const total = Object.values(shares).reduce((sum, share) => sum + share, 0);
+  if (Math.abs(total - 1) > SHARE_TOLERANCE) {
+    throw new Error(`Invalid building inventory: shares add up to ${total.toFixed(2)}, not 1.`);
+  }
+
+  const distribution = Object.fromEntries(DAMAGE_STATES.map(state => [state.id, 0]));
+
+  const byTypology = Object.entries(shares)
+    .filter(([, share]) => share > 0)
+    .map(([typologyId, share]) => {
+      const typology = getBuildingTypology(typologyId);
+      const states = getDamageStateProbabilities(typologyId, pga, capacityFactor);
+
+      DAMAGE_STATES.forEach(state => {
+        distribution[state.id] += share * states[state.id];
+      });
+
+      return { id: typology.id, name: typology.name, share, states };
+    });
+
+  const moderateOrWorse = distribution.moderate + distribution.extensive + distribution.complete;
+  const meanDamageRatio = DAMAGE_STATES.reduce(
+    (sum, state) => sum + distribution[state.id] * state.damageRatio,
+    0
+  );
+
+  return {
+    byTypology,
+    distribution,
+    damagePercent: Math.min(100, moderateOrWorse * 100),
+    meanDamageRatio,
+  };
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import inventory from '../../public/building_inventory.json';
+import {
+  DAMAGE_STATES,
+  estimateBuildingDamage,
+  getBuildingTypologies,
+  getDamageStateProbabilities,
+  getExceedanceProbabilities,
+  resolveBuildingInventory,
+} from './fragilityModel';
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('fragility curves', () => {
+  it('gives damage-state probabilities that add up to 1', () => {
+    getBuildingTypologies().forEach(typology => {
+      [0, 0.05, 0.3, 1.2].forEach(pga => {
+        const probabilities = getDamageStateProbabilities(typology.id, pga);
+        expect(sum(Object.values(probabilities))).toBeCloseTo(1, 10);
+        Object.values(probabilities).forEach(p => expect(p).toBeGreaterThanOrEqual(0));
+      });
+    });
+  });
+
+  it('increases exceedance with PGA and decreases it with damage state', () => {
+    let previous = [0, 0, 0, 0];
+    [0.05, 0.1, 0.2, 0.4, 0.8].forEach(pga => {
+      const exceedance = getExceedanceProbabilities('confined_masonry', pga);
+      exceedance.forEach((p, index) => {
+        expect(p).toBeGreaterThan(previous[index]);
+        if (index > 0) expect(p).toBeLessThan(exceedance[index - 1]);
+      });
+      previous = exceedance;
+    });
+  });
+
+  it('reaches 50% at the median capacity', () => {
+    const [, moderate] = getExceedanceProbabilities('rc', 0.46);
+    expect(moderate).toBeCloseTo(0.5, 5);
+  });
+
+  it('makes adobe far more vulnerable than reinforced concrete', () => {
+    const adobe = getDamageStateProbabilities('adobe', 0.3);
+    const rc = getDamageStateProbabilities('rc', 0.3);
+    expect(adobe.complete).toBeGreaterThan(10 * rc.complete);
+  });
+
+  it('scales capacities with the capacity factor', () => {
+    const [, weaker] = getExceedanceProbabilities('rc', 0.3, 0.8);
+    const [, base] = getExceedanceProbabilities('rc', 0.3);
+    expect(weaker).toBeGreaterThan(base);
+  });
+
+  it('rejects unknown typologies', () => {
+    expect(() => getDamageStateProbabilities('steel', 0.3)).toThrow(/Unknown building typology/);
+  });
+});
+
+describe('building inventory', () => {
+  it('has shares adding up to 1 for every entry', () => {
+    const entries = [inventory.default, ...Object.values(inventory.regions), ...Object.values(inventory.cities)];
+    entries.forEach(shares => {
+      expect(Object.keys(shares).every(id => inventory.typologies.includes(id))).toBe(true);
+      expect(sum(Object.values(shares))).toBeCloseTo(1, 6);
+    });
+  });
+
+  it('prefers the city, then the region, then the national default', () => {
+    expect(resolveBuildingInventory({ city: 'Talca', region: 'Maule' }, inventory).source).toBe('city');
+    expect(resolveBuildingInventory({ city: 'Molina', region: 'Maule' }, inventory)).toEqual({
+      shares: inventory.regions.Maule,
+      source: 'region',
+    });
+    expect(resolveBuildingInventory({ city: 'Nowhere' }, inventory).source).toBe('default');
+    expect(resolveBuildingInventory({ city: 'Talca' }, null)).toBeNull();
+  });
+});
+
+describe('estimateBuildingDamage', () => {
+  it('aggregates a distribution that adds up to 1', () => {
+    const damage = estimateBuildingDamage(0.35, inventory.default);
+    expect(sum(DAMAGE_STATES.map(state => damage.distribution[state.id]))).toBeCloseTo(1, 10);
+    expect(damage.damagePercent).toBeCloseTo(
+      (damage.distribution.moderate + damage.distribution.extensive + damage.distribution.complete) * 100,
+      10
+    );
+    expect(damage.meanDamageRatio).toBeGreaterThan(0);
+    expect(damage.meanDamageRatio).toBeLessThan(1);
+  });
+
+  it('damages adobe-heavy Maule towns far more than modern Santiago', () => {
+    const santiago = estimateBuildingDamage(0.3, inventory.cities.Santiago);
+    const talca = estimateBuildingDamage(0.3, inventory.cities.Talca);
+    expect(talca.distribution.complete).toBeGreaterThan(3 * santiago.distribution.complete);
+    expect(talca.damagePercent).toBeGreaterThan(santiago.damagePercent + 15);
+  });
+
+  it('rejects shares that do not add up to 1', () => {
+    expect(() => estimateBuildingDamage(0.3, { rc: 0.5, adobe: 0.2 })).toThrow(/Invalid building inventory/);
+  });
+});
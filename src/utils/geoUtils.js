@@ -27,7 +27,7 @@ function toRadians(degrees) {
  * @example
  * // Distance from Santiago to Valparaíso
  * calculateDistance(-33.4489, -70.6693, -33.0472, -71.6127)
- * // Returns: ~119 km
+ * // Returns: ~98 km (straight line; the road distance is ~119 km)
  */
 export function calculateDistance(lat1, lon1, lat2, lon2) {
   const φ1 = toRadians(lat1);
@@ -113,6 +113,36 @@ export function calculateBearing(lat1, lon1, lat2, lon2) {
   return bearing;
 }
 
+/**
+ * Get destination point given start, bearing and distance (great circle)
+ * 
+ * @param {number} lat - Latitude of start point (degrees)
+ * @param {number} lon - Longitude of start point (degrees)
+ * @param {number} bearing - Bearing in degrees (0-360, where 0 is North)
+ * @param {number} distance - Distance to travel in kilometers
+ * @returns {{lat: number, lon: number}} Destination point
+ */
+export function calculateDestination(lat, lon, bearing, distance) {
+  const φ1 = toRadians(lat);
+  const λ1 = toRadians(lon);
+  const θ = toRadians(bearing);
+  const δ = distance / EARTH_RADIUS_KM;
+
+  const φ2 = Math.asin(
+    Math.sin(φ1) * Math.cos(δ) +
+    Math.cos(φ1) * Math.sin(δ) * Math.cos(θ)
+  );
+  const λ2 = λ1 + Math.atan2(
+    Math.sin(θ) * Math.sin(δ) * Math.cos(φ1),
+    Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2)
+  );
+
+  return {
+    lat: φ2 * 180 / Math.PI,
+    lon: ((λ2 * 180 / Math.PI) + 540) % 360 - 180,
+  };
+}
+
 /**
  * Validate geographic coordinates
  * 
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  calculateDistance,
+  calculateHypocentralDistance,
+  calculateBearing,
+  calculateDestination,
+  isValidCoordinate,
+  isValidDepth,
+} from './geoUtils';
+
+const SANTIAGO = { lat: -33.4489, lon: -70.6693 };
+const VALPARAISO = { lat: -33.0472, lon: -71.6127 };
+
+const latitude = fc.double({ min: -89, max: 89, noNaN: true });
+const longitude = fc.double({ min: -179, max: 179, noNaN: true });
+
+describe('calculateDistance', () => {
+  it('matches the great-circle distance Santiago–Valparaíso (~98 km)', () => {
+    const distance = calculateDistance(SANTIAGO.lat, SANTIAGO.lon, VALPARAISO.lat, VALPARAISO.lon);
+    expect(distance).toBeCloseTo(98.4, 0);
+  });
+
+  it('is zero for identical points', () => {
+    expect(calculateDistance(-33, -70, -33, -70)).toBe(0);
+  });
+
+  it('is one degree of latitude (~111.2 km) along a meridian', () => {
+    expect(calculateDistance(-33, -70, -34, -70)).toBeCloseTo(111.19, 1);
+  });
+
+  it('is symmetric and non-negative', () => {
+    fc.assert(fc.property(latitude, longitude, latitude, longitude, (lat1, lon1, lat2, lon2) => {
+      const forward = calculateDistance(lat1, lon1, lat2, lon2);
+      const backward = calculateDistance(lat2, lon2, lat1, lon1);
+      expect(forward).toBeGreaterThanOrEqual(0);
+      expect(forward).toBeCloseTo(backward, 6);
+    }));
+  });
+});
+
+describe('calculateHypocentralDistance', () => {
+  it('combines epicentral distance and depth', () => {
+    const epicentral = calculateDistance(SANTIAGO.lat, SANTIAGO.lon, VALPARAISO.lat, VALPARAISO.lon);
+    const hypocentral = calculateHypocentralDistance(SANTIAGO.lat, SANTIAGO.lon, VALPARAISO.lat, VALPARAISO.lon, 35);
+    expect(hypocentral).toBeCloseTo(Math.sqrt(epicentral ** 2 + 35 ** 2), 6);
+  });
+
+  it('equals the depth directly above the hypocenter', () => {
+    expect(calculateHypocentralDistance(-33, -70, -33, -70, 40)).toBe(40);
+  });
+});
+
+describe('calculateDestination', () => {
+  it('inverts calculateDistance and calculateBearing', () => {
+    fc.assert(fc.property(
+      fc.double({ min: -60, max: 60, noNaN: true }),
+      longitude,
+      fc.double({ min: 0, max: 359, noNaN: true }),
+      fc.double({ min: 1, max: 1000, noNaN: true }),
+      (lat, lon, bearing, distance) => {
+        const destination = calculateDestination(lat, lon, bearing, distance);
+        expect(calculateDistance(lat, lon, destination.lat, destination.lon)).toBeCloseTo(distance, 3);
+        const back = calculateBearing(lat, lon, destination.lat, destination.lon);
+        const difference = Math.abs(((back - bearing + 540) % 360) - 180);
+        expect(difference).toBeLessThan(1e-3);
+      }
+    ));
+  });
+});
+
+describe('validators', () => {
+  it('accepts valid coordinates and rejects out-of-range or non-numeric ones', () => {
+    expect(isValidCoordinate(-33.4, -70.6)).toBe(true);
+    expect(isValidCoordinate(-90, 180)).toBe(true);
+    expect(isValidCoordinate(-90.1, 0)).toBe(false);
+    expect(isValidCoordinate(0, 180.1)).toBe(false);
+    expect(isValidCoordinate(NaN, 0)).toBe(false);
+    expect(isValidCoordinate('-33', '-70')).toBe(false);
+  });
+
+  it('accepts depths from 0 to 700 km', () => {
+    expect(isValidDepth(0)).toBe(true);
+    expect(isValidDepth(700)).toBe(true);
+    expect(isValidDepth(-1)).toBe(false);
+    expect(isValidDepth(701)).toBe(false);
+    expect(isValidDepth(NaN)).toBe(false);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Grid images
+ * 
+ * Renders value grids (scenario intensity, hazard, intensity differences)
+ * to data URLs for Leaflet image overlays, one pixel per cell. Cells for
+ * which the color function returns null are left transparent.
+ */
+
+import { getMMIColor } from './mmiScale';
+
+/**
+ * Intensities below MMI II are left transparent
+ */
+const OVERLAY_MIN_INTENSITY = 1.5;
+
+/**
+ * Parse "#RRGGBB" into [r, g, b]
+ * 
+ * @param {string} hex - Color
+ * @returns {Array<number>} Red, green and blue (0-255)
+ */
+export function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Overlay color for an intensity
+ * 
+ * @param {number} intensity - Intensity (MMI scale)
+ * @returns {string|null} MMI color, or null below MMI II
+ */
+export function getIntensityOverlayColor(intensity) {
+  return intensity < OVERLAY_MIN_INTENSITY ? null : getMMIColor(intensity);
+}
+
+/**
+ * Render a grid to a data URL
+ * 
+ * @param {{spec: Object, values: Float32Array}} grid - Grid with its spec
+ * @param {number} completedRows - Rows computed so far (the rest stay transparent)
+ * @param {function(number): (string|null)} getColor - Color for a cell value
+ *   (default: getIntensityOverlayColor)
+ * @returns {string} PNG data URL
+ */
+export function renderGridImage(grid, completedRows, getColor = getIntensityOverlayColor) {
+  const { spec, values } = grid;
+  const canvas = document.createElement('canvas');
+  canvas.width = spec.cols;
+  canvas.height = spec.rows;
+
+  const context = canvas.getContext('2d');
+  const image = context.createImageData(spec.cols, spec.rows);
+
+  for (let row = 0; row < completedRows; row++) {
+    for (let col = 0; col < spec.cols; col++) {
+      const index = row * spec.cols + col;
+      const color = getColor(values[index]);
+      if (!color) continue;
+
+      const [r, g, b] = hexToRgb(color);
+      image.data[index * 4] = r;
+      image.data[index * 4 + 1] = g;
+      image.data[index * 4 + 2] = b;
+      image.data[index * 4 + 3] = 255;
+    }
+  }
+
+  context.putImageData(image, 0, 0);
+  return canvas.toDataURL();
+}
+
+/**
+ * Colors of the report map
+ */
+const REPORT_MAP_COLORS = {
+  ocean: '#dbeafe',
+  land: '#f1f5f9',
+  graticule: 'rgba(71, 85, 105, 0.35)',
+  label: '#334155',
+  rupture: '#7c3aed',
+  epicenter: '#dc2626',
+};
+
+/**
+ * Render a static map of a scenario for printed reports
+ * 
+ * Draws the Vs30 raster as a land mask, the intensity grid, a 1° graticule,
+ * the rupture outline, the epicenter and labelled places. Everything comes
+ * from local data, so it works without map tiles or network access.
+ * 
+ * @param {{spec: Object, values: Float32Array}} grid - Complete intensity grid
+ * @param {Object} layers
+ * @param {Object|null} layers.landGrid - Vs30 grid (public/vs30_grid.json) used as land mask
+ * @param {{lat: number, lon: number}} layers.epicenter - Epicenter
+ * @param {Object|null} layers.rupture - Rupture plane with corners (optional)
+ * @param {Array<{name: string, lat: number, lon: number}>} layers.places - Labelled places
+ * @param {number} width - Image width in pixels (default: 600)
+ * @returns {string} PNG data URL
+ */
+export function renderReportMap(grid, { landGrid, epicenter, rupture = null, places = [] }, width = 600) {
+  const { spec, values } = grid;
+  const scale = width / (spec.lonMax - spec.lonMin);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width);
+  canvas.height = Math.round((spec.latMax - spec.latMin) * scale);
+
+  const context = canvas.getContext('2d');
+  const toX = lon => (lon - spec.lonMin) * scale;
+  const toY = lat => (spec.latMax - lat) * scale;
+
+  context.fillStyle = REPORT_MAP_COLORS.ocean;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  // Land mask (cells of the Vs30 raster with a value)
+  if (landGrid) {
+    const size = landGrid.cellSize * scale;
+    context.fillStyle = REPORT_MAP_COLORS.land;
+    for (let row = 0; row < landGrid.rows; row++) {
+      for (let col = 0; col < landGrid.cols; col++) {
+        if (typeof landGrid.values[row * landGrid.cols + col] !== 'number') continue;
+        context.fillRect(
+          toX(landGrid.lonMin + col * landGrid.cellSize),
+          toY(landGrid.latMax - row * landGrid.cellSize),
+          size + 0.5,
+          size + 0.5
+        );
+      }
+    }
+  }
+
+  // Intensity cells, translucent so the coastline stays visible
+  const cellSize = spec.cellSize * scale;
+  context.globalAlpha = 0.65;
+  for (let row = 0; row < spec.rows; row++) {
+    for (let col = 0; col < spec.cols; col++) {
+      const color = getIntensityOverlayColor(values[row * spec.cols + col]);
+      if (!color) continue;
+
+      context.fillStyle = color;
+      context.fillRect(col * cellSize, row * cellSize, cellSize + 0.5, cellSize + 0.5);
+    }
+  }
+  context.globalAlpha = 1;
+
+  // Graticule with labels every degree
+  context.strokeStyle = REPORT_MAP_COLORS.graticule;
+  context.fillStyle = REPORT_MAP_COLORS.label;
+  context.lineWidth = 1;
+  context.font = '10px sans-serif';
+  for (let lat = Math.ceil(spec.latMin); lat <= spec.latMax; lat++) {
+    context.beginPath();
+    context.moveTo(0, toY(lat));
+    context.lineTo(canvas.width, toY(lat));
+    context.stroke();
+    context.fillText(`${Math.abs(lat)}°S`, 3, toY(lat) - 3);
+  }
+  for (let lon = Math.ceil(spec.lonMin); lon <= spec.lonMax; lon++) {
+    context.beginPath();
+    context.moveTo(toX(lon), 0);
+    context.lineTo(toX(lon), canvas.height);
+    context.stroke();
+    context.fillText(`${Math.abs(lon)}°W`, toX(lon) + 3, canvas.height - 4);
+  }
+
+  // Rupture plane
+  if (rupture) {
+    context.strokeStyle = REPORT_MAP_COLORS.rupture;
+    context.lineWidth = 2;
+    context.beginPath();
+    rupture.corners.forEach((corner, index) => {
+      const method = index === 0 ? 'moveTo' : 'lineTo';
+      context[method](toX(corner.lon), toY(corner.lat));
+    });
+    context.closePath();
+    context.stroke();
+  }
+
+  // Places
+  context.font = '11px sans-serif';
+  places.forEach(place => {
+    const x = toX(place.lon);
+    const y = toY(place.lat);
+    context.fillStyle = '#1e293b';
+    context.beginPath();
+    context.arc(x, y, 3, 0, Math.PI * 2);
+    context.fill();
+    context.fillText(place.name, x + 5, y + 4);
+  });
+
+  // Epicenter
+  const x = toX(epicenter.lon);
+  const y = toY(epicenter.lat);
+  context.strokeStyle = REPORT_MAP_COLORS.epicenter;
+  context.lineWidth = 3;
+  context.beginPath();
+  context.moveTo(x - 7, y - 7);
+  context.lineTo(x + 7, y + 7);
+  context.moveTo(x + 7, y - 7);
+  context.lineTo(x - 7, y + 7);
+  context.stroke();
+
+  return canvas.toDataURL();
+}
@@ -0,0 +1,358 @@
+/**
+ * Probabilistic seismic hazard (PSHA)
+ * 
+ * Classical Cornell-McGuire integration over area source zones
+ * (public/seismic_sources.json):
+ * - Each zone is discretized into point sources at its representative depth
+ * - Magnitudes follow a truncated Gutenberg-Richter relation between the
+ *   zone's minimum and maximum magnitude
+ * - Ground motion uses the registry model matching the zone's tectonic
+ *   type, with a lognormal (PGA) or normal (intensity) scatter truncated
+ *   at HAZARD_PARAMETERS.truncation standard deviations
+ * 
+ * The annual rate of exceeding a level x at a site is
+ *   λ(x) = Σ zones Σ points Σ magnitudes  rate(m) · P(X > x | m, r)
+ * and the uniform-hazard value for a return period T is the level with
+ * λ(x) = 1/T. Hazard is computed on the reference rock of each model
+ * (Vs30 760 m/s, 1000 m/s for BCHydro), without site amplification.
+ */
+
+import { getAttenuationModel, getAttenuationModels } from './attenuationModel';
+import { calculateDistance } from './geoUtils';
+import { normalCdf } from './statistics';
+
+/**
+ * Integration parameters
+ */
+const HAZARD_PARAMETERS = {
+  sourceSpacing: 0.25,   // Point-source spacing inside a zone (degrees)
+  magnitudeStep: 0.25,   // Magnitude bin width
+  maxDistance: 300,      // km; farther sources are ignored
+  truncation: 3,         // Ground-motion scatter truncated at ±3σ
+  kmPerDegree: 111.2,    // Used to skip distant sources before the haversine
+};
+
+/**
+ * Return periods shown in the UI (years): 10% and 2% in 50 years
+ */
+export const RETURN_PERIODS = [475, 2475];
+
+/**
+ * Intensity levels of the hazard curves
+ */
+export const HAZARD_INTENSITY_LEVELS = Array.from({ length: 41 }, (_, i) => 1 + i * 0.25);
+
+/**
+ * PGA levels of the hazard curves (g, log-spaced from 0.005 to 2 g)
+ */
+export const HAZARD_PGA_LEVELS = Array.from({ length: 27 }, (_, i) => 0.005 * Math.pow(400, i / 26));
+
+/**
+ * Probability that a standard normal variable exceeds z
+ */
+function normalExceedance(z) {
+  return 1 - normalCdf(z);
+}
+
+/**
+ * Exceedance probabilities of the truncated normal, tabulated every
+ * 0.01σ (the integration evaluates it millions of times per map)
+ */
+const EXCEEDANCE_STEP = 0.01;
+const EXCEEDANCE_TABLE = (() => {
+  const { truncation } = HAZARD_PARAMETERS;
+  const tail = normalExceedance(truncation);
+  const size = Math.round((2 * truncation) / EXCEEDANCE_STEP) + 1;
+
+  return Float64Array.from({ length: size }, (_, i) => {
+    const z = -truncation + i * EXCEEDANCE_STEP;
+    return Math.min(1, Math.max(0, (normalExceedance(z) - tail) / (1 - 2 * tail)));
+  });
+})();
+
+/**
+ * Probability of exceedance for a truncated normal residual
+ */
+function truncatedExceedance(z) {
+  const { truncation } = HAZARD_PARAMETERS;
+  if (z >= truncation) return 0;
+  if (z <= -truncation) return 1;
+
+  const position = (z + truncation) / EXCEEDANCE_STEP;
+  const index = Math.floor(position);
+  const fraction = position - index;
+  return EXCEEDANCE_TABLE[index] + fraction * (EXCEEDANCE_TABLE[index + 1] - EXCEEDANCE_TABLE[index]);
+}
+
+/**
+ * Probability of at least one exceedance in a time window (Poisson)
+ * 
+ * @param {number} annualRate - Annual exceedance rate
+ * @param {number} years - Exposure time in years
+ * @returns {number} Probability (0-1)
+ * 
+ * @example
+ * getProbabilityOfExceedance(1 / 475, 50)
+ * // Returns: ~0.10
+ */
+export function getProbabilityOfExceedance(annualRate, years) {
+  return 1 - Math.exp(-annualRate * years);
+}
+
+/**
+ * Return period for a probability of exceedance in a time window (Poisson)
+ * 
+ * @param {number} probability - Probability of exceedance (0-1, exclusive)
+ * @param {number} years - Exposure time in years
+ * @returns {number} Return period in years
+ * 
+ * @example
+ * getReturnPeriod(0.10, 50)
+ * // Returns: ~475
+ */
+export function getReturnPeriod(probability, years) {
+  if (!(probability > 0 && probability < 1)) {
+    throw new Error(`Invalid probability: ${probability}. Must be between 0 and 1.`);
+  }
+  return -years / Math.log(1 - probability);
+}
+
+/**
+ * Attenuation model used for a tectonic type
+ * 
+ * @param {string} tectonicType - 'interface', 'intraslab' or 'crustal'
+ * @returns {string} Id of the first registry model for that type
+ */
+export function getZoneModelId(tectonicType) {
+  const model = getAttenuationModels().find(m => m.tectonicType === tectonicType);
+  if (!model) {
+    throw new Error(`No attenuation model for tectonic type: ${tectonicType}.`);
+  }
+  return model.id;
+}
+
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ */
+function isInsidePolygon(lat, lon, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    if ((latI > lat) !== (latJ > lat) && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Discretize a source zone into point sources
+ * 
+ * @param {{polygon: Array<[number, number]>}} zone - Zone with [lat, lon] vertices
+ * @param {number} spacing - Point spacing in degrees (default: HAZARD_PARAMETERS.sourceSpacing)
+ * @returns {Array<{lat: number, lon: number}>} Cell centers inside the polygon
+ */
+export function discretizeZone(zone, spacing = HAZARD_PARAMETERS.sourceSpacing) {
+  const lats = zone.polygon.map(([lat]) => lat);
+  const lons = zone.polygon.map(([, lon]) => lon);
+  const points = [];
+
+  for (let lat = Math.min(...lats) + spacing / 2; lat < Math.max(...lats); lat += spacing) {
+    for (let lon = Math.min(...lons) + spacing / 2; lon < Math.max(...lons); lon += spacing) {
+      if (isInsidePolygon(lat, lon, zone.polygon)) {
+        points.push({ lat, lon });
+      }
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Annual rates per magnitude bin (truncated Gutenberg-Richter)
+ * 
+ * @param {{rate: number, b_value: number, min_magnitude: number, max_magnitude: number}} zone - Recurrence parameters
+ * @param {number} step - Bin width (default: HAZARD_PARAMETERS.magnitudeStep)
+ * @returns {Array<{magnitude: number, rate: number}>} Bin centers and rates; the
+ *   rates add up to the zone rate
+ */
+export function getMagnitudeBins(zone, step = HAZARD_PARAMETERS.magnitudeStep) {
+  const { rate, b_value: b, min_magnitude: min, max_magnitude: max } = zone;
+  const normalization = 1 - Math.pow(10, -b * (max - min));
+  const rateAbove = (m) => rate * (Math.pow(10, -b * (m - min)) - Math.pow(10, -b * (max - min))) / normalization;
+
+  const bins = [];
+  for (let lower = min; lower < max - 1e-9; lower += step) {
+    const upper = Math.min(lower + step, max);
+    bins.push({
+      magnitude: (lower + upper) / 2,
+      rate: rateAbove(lower) - rateAbove(upper),
+    });
+  }
+
+  return bins;
+}
+
+/**
+ * Prepare source zones for hazard integration
+ * 
+ * @param {Array<Object>} zones - Zones from seismic_sources.json
+ * @returns {Array<Object>} Sources with id, modelId, depth, point locations and
+ *   magnitude bins whose rates are already divided among the points
+ */
+export function prepareHazardSources(zones) {
+  return zones.map(zone => {
+    const points = discretizeZone(zone);
+    const share = points.length > 0 ? 1 / points.length : 0;
+
+    return {
+      id: zone.id,
+      name: zone.name,
+      modelId: getZoneModelId(zone.tectonic_type),
+      depth: zone.depth,
+      points,
+      magnitudes: getMagnitudeBins(zone).map(bin => ({ ...bin, rate: bin.rate * share })),
+    };
+  });
+}
+
+/**
+ * Calculate hazard curves at a site
+ * 
+ * @param {Array<Object>} sources - Sources from prepareHazardSources
+ * @param {number} lat - Site latitude
+ * @param {number} lon - Site longitude
+ * @param {Object} options
+ * @param {Array<number>} options.intensityLevels - Intensity levels (default: HAZARD_INTENSITY_LEVELS)
+ * @param {Array<number>|null} options.pgaLevels - PGA levels in g (default: HAZARD_PGA_LEVELS;
+ *   null skips the PGA curve)
+ * @returns {{intensity: Array<{level: number, rate: number}>, pga: Array<{level: number, rate: number}>|null}}
+ *   Annual exceedance rate per level
+ */
+export function calculateHazardCurves(sources, lat, lon, {
+  intensityLevels = HAZARD_INTENSITY_LEVELS,
+  pgaLevels = HAZARD_PGA_LEVELS,
+} = {}) {
+  const { maxDistance, kmPerDegree } = HAZARD_PARAMETERS;
+  const intensityRates = new Float64Array(intensityLevels.length);
+  const pgaRates = pgaLevels ? new Float64Array(pgaLevels.length) : null;
+  const lnPgaLevels = pgaLevels ? pgaLevels.map(Math.log) : null;
+
+  sources.forEach(source => {
+    // Call the model directly: sources are valid and this runs millions of times
+    const { predict, sigmaIntensity, sigmaLn } = getAttenuationModel(source.modelId);
+
+    source.points.forEach(point => {
+      if (Math.abs(point.lat - lat) * kmPerDegree > maxDistance) return;
+
+      const epicentral = calculateDistance(point.lat, point.lon, lat, lon);
+      if (epicentral > maxDistance) return;
+
+      const rhypo = Math.sqrt(epicentral * epicentral + source.depth * source.depth);
+
+      source.magnitudes.forEach(({ magnitude, rate }) => {
+        const motion = predict({ magnitude, depth: source.depth, rrup: rhypo, rjb: epicentral, rhypo });
+
+        for (let i = 0; i < intensityLevels.length; i++) {
+          const exceedance = truncatedExceedance((intensityLevels[i] - motion.intensity) / sigmaIntensity);
+          if (exceedance === 0) break; // Higher levels are not reached either
+          intensityRates[i] += rate * exceedance;
+        }
+
+        if (pgaRates) {
+          const lnPga = Math.log(motion.pga);
+          for (let i = 0; i < lnPgaLevels.length; i++) {
+            const exceedance = truncatedExceedance((lnPgaLevels[i] - lnPga) / sigmaLn);
+            if (exceedance === 0) break;
+            pgaRates[i] += rate * exceedance;
+          }
+        }
+      });
+    });
+  });
+
+  return {
+    intensity: intensityLevels.map((level, i) => ({ level, rate: intensityRates[i] })),
+    pga: pgaLevels ? pgaLevels.map((level, i) => ({ level, rate: pgaRates[i] })) : null,
+  };
+}
+
+/**
+ * Uniform-hazard value for a return period
+ * 
+ * Interpolates the hazard curve linearly in log(rate); PGA levels are
+ * interpolated in log(level) as well.
+ * 
+ * @param {Array<{level: number, rate: number}>} curve - Hazard curve (increasing levels)
+ * @param {number} returnPeriod - Return period in years
+ * @param {boolean} logLevels - Interpolate levels logarithmically (default: false)
+ * @returns {number|null} Level exceeded once per return period on average; null when
+ *   even the lowest level is rarer, the highest level when even that is more frequent
+ */
+export function getUniformHazardValue(curve, returnPeriod, logLevels = false) {
+  const target = 1 / returnPeriod;
+  if (curve.length === 0 || curve[0].rate < target) return null;
+
+  const toAxis = logLevels ? Math.log : (x) => x;
+  const fromAxis = logLevels ? Math.exp : (x) => x;
+
+  for (let i = 0; i < curve.length - 1; i++) {
+    const lower = curve[i];
+    const upper = curve[i + 1];
+    if (upper.rate >= target) continue;
+
+    // The upper rate may be 0 past the truncation; fall back to linear rate
+    const fraction = upper.rate > 0
+      ? Math.log(lower.rate / target) / Math.log(lower.rate / upper.rate)
+      : (lower.rate - target) / lower.rate;
+    return fromAxis(toAxis(lower.level) + fraction * (toAxis(upper.level) - toAxis(lower.level)));
+  }
+
+  return curve[curve.length - 1].level;
+}
+
+/**
+ * Hazard curves and uniform-hazard values for a list of cities
+ * 
+ * @param {Array<Object>} sources - Sources from prepareHazardSources
+ * @param {Array<{city: string, lat: number, lon: number}>} cities - City records
+ * @param {Array<number>} returnPeriods - Return periods in years (default: RETURN_PERIODS)
+ * @returns {Array<{city: string, curves: Object, uniformHazard: Object}>} uniformHazard maps
+ *   each return period to { intensity, pga } (either may be null)
+ */
+export function calculateCityHazard(sources, cities, returnPeriods = RETURN_PERIODS) {
+  return cities.map(city => {
+    const curves = calculateHazardCurves(sources, city.lat, city.lon);
+    const uniformHazard = {};
+
+    returnPeriods.forEach(period => {
+      uniformHazard[period] = {
+        intensity: getUniformHazardValue(curves.intensity, period),
+        pga: getUniformHazardValue(curves.pga, period, true),
+      };
+    });
+
+    return { city: city.city, region: city.region || null, curves, uniformHazard };
+  });
+}
+
+/**
+ * Build a function returning the uniform-hazard intensity at any site
+ * (same shape as createIntensityEvaluator, for computeGridRows)
+ * 
+ * @param {Array<Object>} zones - Zones from seismic_sources.json
+ * @param {number} returnPeriod - Return period in years
+ * @returns {function(number, number): number} (lat, lon) => intensity (0 where the
+ *   return-period intensity is below the lowest curve level)
+ */
+export function createHazardEvaluator(zones, returnPeriod) {
+  const sources = prepareHazardSources(zones);
+
+  return (lat, lon) => {
+    const { intensity } = calculateHazardCurves(sources, lat, lon, { pgaLevels: null });
+    return getUniformHazardValue(intensity, returnPeriod) ?? 0;
+  };
+}
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import sourceData from '../../public/seismic_sources.json';
+import {
+  calculateHazardCurves,
+  createHazardEvaluator,
+  discretizeZone,
+  getMagnitudeBins,
+  getProbabilityOfExceedance,
+  getReturnPeriod,
+  getUniformHazardValue,
+  getZoneModelId,
+  prepareHazardSources,
+} from './hazardModel';
+
+const { zones } = sourceData;
+const sources = prepareHazardSources(zones);
+
+describe('return periods', () => {
+  it('converts 10% and 2% in 50 years to 475 and 2475 years', () => {
+    expect(getReturnPeriod(0.10, 50)).toBeCloseTo(474.6, 1);
+    expect(getReturnPeriod(0.02, 50)).toBeCloseTo(2474.9, 1);
+    expect(getProbabilityOfExceedance(1 / 475, 50)).toBeCloseTo(0.10, 3);
+  });
+
+  it('rejects probabilities outside (0, 1)', () => {
+    expect(() => getReturnPeriod(0, 50)).toThrow(/probability/);
+    expect(() => getReturnPeriod(1, 50)).toThrow(/probability/);
+  });
+});
+
+describe('source zones', () => {
+  it('maps each tectonic type to a registry model', () => {
+    expect(getZoneModelId('interface')).toBe('bchydro-interface');
+    expect(getZoneModelId('intraslab')).toBe('bchydro-intraslab');
+    expect(getZoneModelId('crustal')).toBe('ba08-crustal');
+    expect(() => getZoneModelId('volcanic')).toThrow(/tectonic type/);
+  });
+
+  it('splits the zone rate over truncated Gutenberg-Richter bins', () => {
+    const zone = { rate: 10, b_value: 1, min_magnitude: 5, max_magnitude: 8 };
+    const bins = getMagnitudeBins(zone, 0.5);
+
+    expect(bins.map(bin => bin.magnitude)).toEqual([5.25, 5.75, 6.25, 6.75, 7.25, 7.75]);
+    expect(bins.reduce((sum, bin) => sum + bin.rate, 0)).toBeCloseTo(10, 10);
+    bins.slice(1).forEach((bin, i) => expect(bin.rate).toBeLessThan(bins[i].rate));
+  });
+
+  it('discretizes a polygon into interior points', () => {
+    const square = { polygon: [[-30, -72], [-30, -71], [-31, -71], [-31, -72]] };
+    const points = discretizeZone(square, 0.25);
+
+    expect(points).toHaveLength(16);
+    points.forEach(point => {
+      expect(point.lat).toBeGreaterThan(-31);
+      expect(point.lat).toBeLessThan(-30);
+    });
+  });
+});
+
+describe('getUniformHazardValue', () => {
+  const curve = [
+    { level: 5, rate: 1e-1 },
+    { level: 6, rate: 1e-2 },
+    { level: 7, rate: 1e-3 },
+    { level: 8, rate: 1e-4 },
+  ];
+
+  it('interpolates in log rate', () => {
+    expect(getUniformHazardValue(curve, 100)).toBeCloseTo(6, 10);
+    expect(getUniformHazardValue(curve, 1000 / Math.sqrt(10))).toBeCloseTo(6.5, 10);
+  });
+
+  it('returns null below the curve and the top level above it', () => {
+    expect(getUniformHazardValue(curve, 5)).toBeNull();
+    expect(getUniformHazardValue(curve, 1e6)).toBe(8);
+  });
+});
+
+describe('calculateHazardCurves', () => {
+  const santiago = calculateHazardCurves(sources, -33.45, -70.67);
+
+  it('gives non-increasing exceedance rates', () => {
+    [santiago.intensity, santiago.pga].forEach(curve => {
+      curve.slice(1).forEach((point, i) => expect(point.rate).toBeLessThanOrEqual(curve[i].rate));
+    });
+  });
+
+  it('gives a 475-year PGA in Santiago close to the Chilean code (zone 3, 0.4 g)', () => {
+    const pga = getUniformHazardValue(santiago.pga, 475, true);
+    expect(pga).toBeGreaterThan(0.25);
+    expect(pga).toBeLessThan(0.6);
+    expect(getUniformHazardValue(santiago.pga, 2475, true)).toBeGreaterThan(pga);
+  });
+
+  it('finds no hazard far from every source zone', () => {
+    const puntaArenas = calculateHazardCurves(sources, -53.16, -70.91);
+    expect(puntaArenas.intensity.every(point => point.rate === 0)).toBe(true);
+    expect(createHazardEvaluator(zones, 475)(-53.16, -70.91)).toBe(0);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Internationalization
+ * 
+ * Looks up interface strings in the language bundles of translations.js.
+ * Keys are dotted paths into a bundle ("controls.magnitude"); values may
+ * contain {placeholders}, and entries with "one"/"other" forms are chosen
+ * by the count parameter with the plural rules of the language. Strings
+ * missing from a bundle fall back to English and then to the key itself,
+ * so a gap shows up in the interface instead of breaking it.
+ */
+
+/**
+ * Supported languages
+ */
+export const LANGUAGES = [
+  { id: 'es', name: 'Español', locale: 'es-CL' },
+  { id: 'en', name: 'English', locale: 'en-US' },
+];
+
+/**
+ * Language used when neither the saved choice nor the browser matches
+ */
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Bundle used for strings missing from the selected language
+ */
+const FALLBACK_LANGUAGE = 'en';
+
+/**
+ * localStorage key of the selected language
+ */
+export const LANGUAGE_STORAGE_KEY = 'chile-quake-sim:language';
+
+/**
+ * Check whether a language is supported
+ * 
+ * @param {string} language - Language id
+ * @returns {boolean} True for a language in LANGUAGES
+ */
+export function isSupportedLanguage(language) {
+  return LANGUAGES.some(({ id }) => id === language);
+}
+
+/**
+ * Number-formatting locale of a language
+ * 
+ * @param {string} language - Language id
+ * @returns {string} BCP 47 locale, e.g. "es-CL"
+ */
+export function getLocale(language) {
+  return (LANGUAGES.find(({ id }) => id === language) || LANGUAGES.find(({ id }) => id === DEFAULT_LANGUAGE)).locale;
+}
+
+/**
+ * Pick the initial language
+ * 
+ * @param {string|null} saved - Language saved in a previous session
+ * @param {Array<string>} browserLanguages - navigator.languages (e.g. ["es-CL", "en"])
+ * @returns {string} Saved language if supported, else the first supported
+ *   browser language, else DEFAULT_LANGUAGE
+ */
+export function detectLanguage(saved, browserLanguages = []) {
+  if (isSupportedLanguage(saved)) return saved;
+
+  const match = browserLanguages
+    .map(tag => tag.toLowerCase().split('-')[0])
+    .find(isSupportedLanguage);
+
+  return match || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Read the saved language
+ * 
+ * @param {Storage} storage - e.g. window.localStorage
+ * @returns {string|null} Saved language id, or null if none or storage is unavailable
+ */
+export function loadLanguage(storage) {
+  try {
+    return storage.getItem(LANGUAGE_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save the selected language (ignored when storage is unavailable, e.g. in
+ * private browsing)
+ * 
+ * @param {Storage} storage - e.g. window.localStorage
+ * @param {string} language - Language id
+ */
+export function saveLanguage(storage, language) {
+  try {
+    storage.setItem(LANGUAGE_STORAGE_KEY, language);
+  } catch {
+    // The choice just won't persist
+  }
+}
+
+/**
+ * Resolve a dotted key in a bundle
+ * 
+ * @param {Object} bundle - Language bundle
+ * @param {string} key - Dotted path, e.g. "mmi.VII.name"
+ * @returns {*} Value at the path, or undefined
+ */
+function lookup(bundle, key) {
+  return key.split('.').reduce(
+    (node, part) => (node !== null && typeof node === 'object' ? node[part] : undefined),
+    bundle
+  );
+}
+
+/**
+ * Replace {placeholders} with parameters (unknown placeholders are kept)
+ * 
+ * @param {string} text - Text with placeholders
+ * @param {Object} params - Placeholder values
+ * @returns {string} Interpolated text
+ */
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+  ));
+}
+
+/**
+ * Check whether a bundle entry has plural forms
+ * 
+ * @param {*} value - Bundle entry
+ * @returns {boolean} True for { one, other } objects
+ */
+function isPluralEntry(value) {
+  return value !== null && typeof value === 'object' && typeof value.other === 'string';
+}
+
+/**
+ * Translate a key
+ * 
+ * @param {Object<string, Object>} bundles - Bundles by language id
+ * @param {string} language - Language id
+ * @param {string} key - Dotted key
+ * @param {Object} params - Placeholder values; a numeric count selects the
+ *   "one"/"other" form of plural entries
+ * @returns {string} Translated text, the English text if the key is missing
+ *   in the language, or the key itself if it is missing everywhere
+ * 
+ * @example
+ * translate(translations, 'es', 'roads.bridges', { count: 2 })
+ * // Returns: "2 puentes"
+ */
+export function translate(bundles, language, key, params = {}) {
+  let value = lookup(bundles[language], key);
+  if (typeof value !== 'string' && !isPluralEntry(value)) {
+    value = lookup(bundles[FALLBACK_LANGUAGE], key);
+  }
+
+  if (isPluralEntry(value) && typeof params.count === 'number') {
+    const form = new Intl.PluralRules(getLocale(language)).select(params.count);
+    value = value[form] ?? value.other;
+  }
+
+  if (typeof value !== 'string') return key;
+
+  return interpolate(value, params);
+}
+
+/**
+ * List the leaf keys of a bundle
+ * 
+ * @param {Object} bundle - Language bundle
+ * @param {string} prefix - Key prefix (used in recursion)
+ * @returns {Array<string>} Dotted keys of every string entry
+ */
+export function flattenKeys(bundle, prefix = '') {
+  return Object.entries(bundle).flatMap(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    return value !== null && typeof value === 'object' ? flattenKeys(value, key) : [key];
+  });
+}
+
+/**
+ * Find keys present in some bundles but missing from others
+ * 
+ * @param {Object<string, Object>} bundles - Bundles by language id
+ * @returns {Array<{language: string, key: string}>} One entry per key missing
+ *   from a language, sorted by language and key (empty when bundles match)
+ */
+export function findMissingKeys(bundles) {
+  const keysByLanguage = Object.fromEntries(
+    Object.entries(bundles).map(([language, bundle]) => [language, new Set(flattenKeys(bundle))])
+  );
+  const allKeys = [...new Set(Object.values(keysByLanguage).flatMap(keys => [...keys]))].sort();
+
+  return Object.entries(keysByLanguage)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .flatMap(([language, keys]) => allKeys
+      .filter(key => !keys.has(key))
+      .map(key => ({ language, key })));
+}
+
+/**
+ * Format a number for a language
+ * 
+ * @param {number} value - Number
+ * @param {string} language - Language id
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {string} e.g. "1,234,567" (en) or "1.234.567" (es)
+ */
+export function formatNumber(value, language, options = {}) {
+  return value.toLocaleString(getLocale(language), options);
+}
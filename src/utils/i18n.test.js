@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { translations } from '../translations';
+import {
+  DEFAULT_LANGUAGE,
+  LANGUAGE_STORAGE_KEY,
+  detectLanguage,
+  findMissingKeys,
+  formatNumber,
+  loadLanguage,
+  saveLanguage,
+  translate,
+} from './i18n';
+
+const bundles = {
+  en: {
+    greeting: 'Hello {name}',
+    items: { one: '{count} item', other: '{count} items' },
+    only: { english: 'English only' },
+  },
+  es: {
+    greeting: 'Hola {name}',
+    items: { one: '{count} elemento', other: '{count} elementos' },
+  },
+};
+
+const fakeStorage = () => {
+  const values = new Map();
+  return {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, value),
+  };
+};
+
+const brokenStorage = {
+  getItem: () => { throw new Error('SecurityError'); },
+  setItem: () => { throw new Error('QuotaExceededError'); },
+};
+
+describe('translate', () => {
+  it('interpolates placeholders and keeps unknown ones', () => {
+    expect(translate(bundles, 'es', 'greeting', { name: 'Ana' })).toBe('Hola Ana');
+    expect(translate(bundles, 'en', 'greeting')).toBe('Hello {name}');
+  });
+
+  it('picks the plural form from the count', () => {
+    expect(translate(bundles, 'en', 'items', { count: 1 })).toBe('1 item');
+    expect(translate(bundles, 'en', 'items', { count: 3 })).toBe('3 items');
+    expect(translate(bundles, 'es', 'items', { count: 1 })).toBe('1 elemento');
+    expect(translate(bundles, 'es', 'items', { count: 0 })).toBe('0 elementos');
+  });
+
+  it('falls back to English, then to the key', () => {
+    expect(translate(bundles, 'es', 'only.english')).toBe('English only');
+    expect(translate(bundles, 'es', 'missing.key')).toBe('missing.key');
+    expect(translate(bundles, 'es', 'only')).toBe('only');
+  });
+
+  it('translates the application bundles', () => {
+    expect(translate(translations, 'es', 'roads.bridges', { count: 2 })).toBe('2 puentes');
+    expect(translate(translations, 'en', 'mmi.VIII.name')).toBe(translations.en.mmi.VIII.name);
+  });
+});
+
+describe('findMissingKeys', () => {
+  it('lists keys missing from each bundle', () => {
+    expect(findMissingKeys(bundles)).toEqual([{ language: 'es', key: 'only.english' }]);
+  });
+
+  it('finds no gaps between the Spanish and English bundles', () => {
+    expect(findMissingKeys(translations)).toEqual([]);
+  });
+});
+
+describe('language selection', () => {
+  it('prefers the saved language, then the browser, then the default', () => {
+    expect(detectLanguage('es', ['en-US'])).toBe('es');
+    expect(detectLanguage(null, ['fr-FR', 'es-CL'])).toBe('es');
+    expect(detectLanguage('de', ['fr'])).toBe(DEFAULT_LANGUAGE);
+  });
+
+  it('persists the choice', () => {
+    const storage = fakeStorage();
+    expect(loadLanguage(storage)).toBeNull();
+    saveLanguage(storage, 'es');
+    expect(storage.getItem(LANGUAGE_STORAGE_KEY)).toBe('es');
+    expect(loadLanguage(storage)).toBe('es');
+  });
+
+  it('tolerates unavailable storage', () => {
+    expect(() => saveLanguage(brokenStorage, 'es')).not.toThrow();
+    expect(loadLanguage(brokenStorage)).toBeNull();
+  });
+});
+
+describe('formatNumber', () => {
+  it('uses the separators of the language', () => {
+    expect(formatNumber(1234567.5, 'en', { maximumFractionDigits: 1 })).toBe('1,234,567.5');
+    expect(formatNumber(1234567.5, 'es', { maximumFractionDigits: 1 })).toBe('1.234.567,5');
+  });
+});
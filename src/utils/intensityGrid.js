@@ -0,0 +1,358 @@
+/**
+ * Gridded intensity field (ShakeMap-style)
+ * 
+ * Evaluates the active attenuation model, rupture geometry and site
+ * amplification on a regular lat/lon grid, and extracts MMI contour lines
+ * with marching squares.
+ * 
+ * Grids are stored row-major from north to south in a Float32Array,
+ * matching the layout of public/vs30_grid.json.
+ */
+
+import { calculateGroundMotionFromDistances } from './attenuationModel';
+import { calculateSiteDistances } from './faultModel';
+import { applySiteAmplification, resolveSiteVs30 } from './siteAmplification';
+import { getIntensityRangeForMMI } from './mmiScale';
+
+/**
+ * Bounds of continental Chile (degrees)
+ */
+export const CHILE_BOUNDS = {
+  latMin: -56,
+  latMax: -17,
+  lonMin: -76,
+  lonMax: -66,
+};
+
+/**
+ * MMI levels drawn as contour lines by default
+ */
+export const DEFAULT_CONTOUR_LEVELS = ['VI', 'VII', 'VIII', 'IX', 'X'];
+
+/**
+ * Clip bounds to continental Chile
+ * 
+ * @param {{latMin: number, latMax: number, lonMin: number, lonMax: number}} bounds - Bounds to clip
+ * @returns {Object|null} Intersection with CHILE_BOUNDS, or null if they do not overlap
+ */
+export function clipToChile(bounds) {
+  const clipped = {
+    latMin: Math.max(bounds.latMin, CHILE_BOUNDS.latMin),
+    latMax: Math.min(bounds.latMax, CHILE_BOUNDS.latMax),
+    lonMin: Math.max(bounds.lonMin, CHILE_BOUNDS.lonMin),
+    lonMax: Math.min(bounds.lonMax, CHILE_BOUNDS.lonMax),
+  };
+
+  if (clipped.latMin >= clipped.latMax || clipped.lonMin >= clipped.lonMax) {
+    return null;
+  }
+  return clipped;
+}
+
+/**
+ * Create a grid specification covering the given bounds
+ * 
+ * @param {{latMin: number, latMax: number, lonMin: number, lonMax: number}} bounds - Grid bounds
+ * @param {number} cellSize - Cell size in degrees
+ * @returns {Object} Grid spec with bounds snapped to the cell size, rows and cols
+ */
+export function createGridSpec(bounds, cellSize) {
+  // Snap to the cell size so neighbouring recomputations line up
+  const latMin = Math.floor(bounds.latMin / cellSize) * cellSize;
+  const latMax = Math.ceil(bounds.latMax / cellSize) * cellSize;
+  const lonMin = Math.floor(bounds.lonMin / cellSize) * cellSize;
+  const lonMax = Math.ceil(bounds.lonMax / cellSize) * cellSize;
+
+  return {
+    latMin,
+    latMax,
+    lonMin,
+    lonMax,
+    cellSize,
+    rows: Math.max(1, Math.round((latMax - latMin) / cellSize)),
+    cols: Math.max(1, Math.round((lonMax - lonMin) / cellSize)),
+  };
+}
+
+/**
+ * Get the center coordinates of a grid cell
+ * 
+ * @param {Object} spec - Grid spec
+ * @param {number} row - Row index (0 = north)
+ * @param {number} col - Column index (0 = west)
+ * @returns {{lat: number, lon: number}} Cell center
+ */
+export function getCellCenter(spec, row, col) {
+  return {
+    lat: spec.latMax - (row + 0.5) * spec.cellSize,
+    lon: spec.lonMin + (col + 0.5) * spec.cellSize,
+  };
+}
+
+/**
+ * Build a function returning intensity at any site for a scenario
+ * 
+ * @param {Object} scenario
+ * @param {number} scenario.magnitude - Moment magnitude (Mw)
+ * @param {number} scenario.depth - Hypocenter depth in kilometers
+ * @param {{lat: number, lon: number}} scenario.epicenter - Epicenter location
+ * @param {Object|null} scenario.rupture - Rupture plane, or null for a point source
+ * @param {string} scenario.modelId - Attenuation model id
+ * @param {boolean} scenario.siteEffects - Apply Vs30 amplification
+ * @param {Object|null} scenario.vs30Grid - Vs30 raster
+ * @returns {function(number, number): number} (lat, lon) => intensity
+ */
+export function createIntensityEvaluator({ magnitude, depth, epicenter, rupture, modelId, siteEffects, vs30Grid }) {
+  return (lat, lon) => {
+    const distances = calculateSiteDistances(epicenter, depth, rupture, lat, lon);
+    const rock = calculateGroundMotionFromDistances(magnitude, depth, distances, modelId);
+
+    if (!siteEffects) return rock.intensity;
+
+    const { vs30 } = resolveSiteVs30({ lat, lon }, vs30Grid);
+    return applySiteAmplification(rock, vs30).intensity;
+  };
+}
+
+/**
+ * Evaluate a range of grid rows into an existing values array
+ * 
+ * @param {Object} spec - Grid spec
+ * @param {Float32Array} values - Output array (rows * cols, or just the band's rows
+ *   when firstRow is given)
+ * @param {number} rowStart - First row (inclusive)
+ * @param {number} rowEnd - Last row (exclusive)
+ * @param {function(number, number): number} evaluate - (lat, lon) => intensity
+ * @param {number} firstRow - Grid row stored at the start of values (default: 0)
+ */
+export function computeGridRows(spec, values, rowStart, rowEnd, evaluate, firstRow = 0) {
+  for (let row = rowStart; row < Math.min(rowEnd, spec.rows); row++) {
+    for (let col = 0; col < spec.cols; col++) {
+      const { lat, lon } = getCellCenter(spec, row, col);
+      values[(row - firstRow) * spec.cols + col] = evaluate(lat, lon);
+    }
+  }
+}
+
+/**
+ * Compute a full intensity grid synchronously
+ * 
+ * @param {Object} spec - Grid spec
+ * @param {function(number, number): number} evaluate - (lat, lon) => intensity
+ * @returns {{spec: Object, values: Float32Array}} Intensity grid
+ */
+export function computeIntensityGrid(spec, evaluate) {
+  const values = new Float32Array(spec.rows * spec.cols);
+  computeGridRows(spec, values, 0, spec.rows, evaluate);
+  return { spec, values };
+}
+
+/**
+ * Compute an intensity grid in small chunks, yielding to the browser
+ * between chunks so dragging and sliders stay responsive
+ * 
+ * @param {Object} spec - Grid spec
+ * @param {function(number, number): number} evaluate - (lat, lon) => intensity
+ * @param {Object} callbacks
+ * @param {function(Object, number)} callbacks.onProgress - Called with the partial grid and completed row count
+ * @param {function(Object)} callbacks.onComplete - Called with the finished grid
+ * @param {number} callbacks.chunkRows - Rows per chunk (default: 8)
+ * @returns {function()} Cancel function; stops further chunks
+ */
+export function computeIntensityGridIncrementally(spec, evaluate, { onProgress, onComplete, chunkRows = 8 }) {
+  const values = new Float32Array(spec.rows * spec.cols);
+  const grid = { spec, values };
+  let cancelled = false;
+  let nextRow = 0;
+  let timer = null;
+
+  const step = () => {
+    if (cancelled) return;
+
+    const rowEnd = Math.min(nextRow + chunkRows, spec.rows);
+    computeGridRows(spec, values, nextRow, rowEnd, evaluate);
+    nextRow = rowEnd;
+
+    if (onProgress) onProgress(grid, nextRow);
+
+    if (nextRow < spec.rows) {
+      timer = setTimeout(step, 0);
+    } else if (onComplete) {
+      onComplete(grid);
+    }
+  };
+
+  timer = setTimeout(step, 0);
+
+  return () => {
+    cancelled = true;
+    clearTimeout(timer);
+  };
+}
+
+/**
+ * Linear interpolation of the crossing point between two grid nodes
+ */
+function interpolateCrossing(v1, v2, threshold) {
+  if (v1 === v2) return 0.5;
+  return (threshold - v1) / (v2 - v1);
+}
+
+/**
+ * Join contour segments sharing endpoints into polylines
+ */
+function joinSegments(segments) {
+  const key = (point) => `${point[0].toFixed(6)},${point[1].toFixed(6)}`;
+  const byEndpoint = new Map();
+
+  segments.forEach((segment, index) => {
+    segment.forEach(point => {
+      const k = key(point);
+      if (!byEndpoint.has(k)) byEndpoint.set(k, []);
+      byEndpoint.get(k).push(index);
+    });
+  });
+
+  const used = new Array(segments.length).fill(false);
+  const lines = [];
+
+  const extend = (line) => {
+    let extended = true;
+    while (extended) {
+      extended = false;
+      const candidates = byEndpoint.get(key(line[line.length - 1])) || [];
+      for (const index of candidates) {
+        if (used[index]) continue;
+        used[index] = true;
+        const [a, b] = segments[index];
+        line.push(key(a) === key(line[line.length - 1]) ? b : a);
+        extended = true;
+        break;
+      }
+    }
+  };
+
+  segments.forEach((segment, index) => {
+    if (used[index]) return;
+    used[index] = true;
+
+    const line = [segment[0], segment[1]];
+    extend(line);
+    line.reverse();
+    extend(line);
+    lines.push(line);
+  });
+
+  return lines;
+}
+
+/**
+ * Extract contour polylines at an intensity threshold (marching squares)
+ * 
+ * Contours connect cell centers; saddle cells are resolved by the
+ * average of the four corners.
+ * 
+ * @param {{spec: Object, values: Float32Array}} grid - Intensity grid
+ * @param {number} threshold - Intensity value to contour
+ * @returns {Array<Array<[number, number]>>} Polylines as [lat, lon] arrays
+ */
+export function extractContours(grid, threshold) {
+  const { spec, values } = grid;
+  const segments = [];
+
+  const at = (row, col) => values[row * spec.cols + col];
+  const point = (row, col) => {
+    const { lat, lon } = getCellCenter(spec, row, col);
+    return [lat, lon];
+  };
+
+  for (let row = 0; row < spec.rows - 1; row++) {
+    for (let col = 0; col < spec.cols - 1; col++) {
+      // Corners: top-left, top-right, bottom-right, bottom-left
+      const tl = at(row, col);
+      const tr = at(row, col + 1);
+      const br = at(row + 1, col + 1);
+      const bl = at(row + 1, col);
+
+      const caseIndex =
+        (tl >= threshold ? 8 : 0) |
+        (tr >= threshold ? 4 : 0) |
+        (br >= threshold ? 2 : 0) |
+        (bl >= threshold ? 1 : 0);
+
+      if (caseIndex === 0 || caseIndex === 15) continue;
+
+      const [topLat, leftLon] = point(row, col);
+      const [bottomLat, rightLon] = point(row + 1, col + 1);
+      const edge = {
+        top: [topLat, leftLon + (rightLon - leftLon) * interpolateCrossing(tl, tr, threshold)],
+        right: [topLat + (bottomLat - topLat) * interpolateCrossing(tr, br, threshold), rightLon],
+        bottom: [bottomLat, leftLon + (rightLon - leftLon) * interpolateCrossing(bl, br, threshold)],
+        left: [topLat + (bottomLat - topLat) * interpolateCrossing(tl, bl, threshold), leftLon],
+      };
+
+      const centerAbove = (tl + tr + br + bl) / 4 >= threshold;
+
+      switch (caseIndex) {
+        case 1: case 14: segments.push([edge.left, edge.bottom]); break;
+        case 2: case 13: segments.push([edge.bottom, edge.right]); break;
+        case 3: case 12: segments.push([edge.left, edge.right]); break;
+        case 4: case 11: segments.push([edge.top, edge.right]); break;
+        case 6: case 9: segments.push([edge.top, edge.bottom]); break;
+        case 7: case 8: segments.push([edge.left, edge.top]); break;
+        case 5:
+          if (centerAbove) {
+            segments.push([edge.left, edge.top], [edge.bottom, edge.right]);
+          } else {
+            segments.push([edge.left, edge.bottom], [edge.top, edge.right]);
+          }
+          break;
+        case 10:
+          if (centerAbove) {
+            segments.push([edge.left, edge.bottom], [edge.top, edge.right]);
+          } else {
+            segments.push([edge.left, edge.top], [edge.bottom, edge.right]);
+          }
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  return joinSegments(segments);
+}
+
+/**
+ * Extract contour lines at MMI level boundaries
+ * 
+ * @param {{spec: Object, values: Float32Array}} grid - Intensity grid
+ * @param {Array<string>} levels - MMI levels (default: VI-X)
+ * @returns {Array<{level: string, threshold: number, lines: Array}>} Contours per level
+ */
+export function extractMMIContours(grid, levels = DEFAULT_CONTOUR_LEVELS) {
+  return levels
+    .map(level => {
+      const range = getIntensityRangeForMMI(level);
+      return {
+        level,
+        threshold: range.min,
+        lines: extractContours(grid, range.min),
+      };
+    })
+    .filter(contour => contour.lines.length > 0);
+}
+
+/**
+ * Choose a cell size giving roughly the target number of columns
+ * across the given bounds
+ * 
+ * @param {{lonMin: number, lonMax: number}} bounds - Bounds
+ * @param {number} targetColumns - Desired number of columns (default: 100)
+ * @returns {number} Cell size in degrees (0.02-0.5)
+ */
+export function chooseCellSize(bounds, targetColumns = 100) {
+  const raw = (bounds.lonMax - bounds.lonMin) / targetColumns;
+  const steps = [0.02, 0.05, 0.1, 0.2, 0.25, 0.5];
+  return steps.find(step => step >= raw) || steps[steps.length - 1];
+}
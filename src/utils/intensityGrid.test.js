@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { getIntensityRangeForMMI } from './mmiScale';
+import {
+  CHILE_BOUNDS,
+  chooseCellSize,
+  clipToChile,
+  computeGridRows,
+  computeIntensityGrid,
+  createGridSpec,
+  extractContours,
+  extractMMIContours,
+  getCellCenter,
+} from './intensityGrid';
+
+const CENTER = { lat: -35, lon: -72 };
+
+// Synthetic radial field: 10 at the center, falling 2 units per degree
+const radialField = (lat, lon) => 10 - 2 * Math.hypot(lat - CENTER.lat, lon - CENTER.lon);
+
+const spec = createGridSpec({ latMin: -37, latMax: -33, lonMin: -74, lonMax: -70 }, 0.05);
+const grid = computeIntensityGrid(spec, radialField);
+
+describe('grid specs', () => {
+  it('snaps bounds outward to the cell size', () => {
+    expect(createGridSpec({ latMin: -36.27, latMax: -33.41, lonMin: -72.9, lonMax: -70.02 }, 0.5)).toEqual({
+      latMin: -36.5,
+      latMax: -33,
+      lonMin: -73,
+      lonMax: -70,
+      cellSize: 0.5,
+      rows: 7,
+      cols: 6,
+    });
+  });
+
+  it('numbers rows from the north and columns from the west', () => {
+    expect(spec.rows).toBe(80);
+    expect(spec.cols).toBe(80);
+    expect(getCellCenter(spec, 0, 0).lat).toBeCloseTo(-33.025, 10);
+    expect(getCellCenter(spec, 0, 0).lon).toBeCloseTo(-73.975, 10);
+    expect(getCellCenter(spec, 79, 79).lat).toBeCloseTo(-36.975, 10);
+    expect(getCellCenter(spec, 79, 79).lon).toBeCloseTo(-70.025, 10);
+
+    const { lat, lon } = getCellCenter(spec, 10, 20);
+    expect(grid.values[10 * spec.cols + 20]).toBeCloseTo(radialField(lat, lon), 5);
+  });
+
+  it('computes row bands into their own arrays', () => {
+    const band = new Float32Array(5 * spec.cols);
+    computeGridRows(spec, band, 30, 35, radialField, 30);
+    expect(band).toEqual(grid.values.slice(30 * spec.cols, 35 * spec.cols));
+  });
+
+  it('clips bounds to Chile', () => {
+    expect(clipToChile({ latMin: -60, latMax: -50, lonMin: -80, lonMax: -70 })).toEqual({
+      latMin: CHILE_BOUNDS.latMin,
+      latMax: -50,
+      lonMin: CHILE_BOUNDS.lonMin,
+      lonMax: -70,
+    });
+    expect(clipToChile({ latMin: 0, latMax: 10, lonMin: -80, lonMax: -70 })).toBeNull();
+  });
+
+  it('chooses the smallest cell size reaching the target columns', () => {
+    expect(chooseCellSize({ lonMin: -74, lonMax: -70 }, 100)).toBe(0.05);
+    expect(chooseCellSize({ lonMin: -76, lonMax: -66 }, 100)).toBe(0.1);
+    expect(chooseCellSize({ lonMin: -180, lonMax: 180 }, 10)).toBe(0.5);
+  });
+});
+
+describe('extractContours', () => {
+  it('traces a radial field as one closed circle', () => {
+    const lines = extractContours(grid, 8);
+    expect(lines).toHaveLength(1);
+
+    const [line] = lines;
+    expect(line.length).toBeGreaterThan(100);
+    expect(line[0]).toEqual(line[line.length - 1]);
+    line.forEach(([lat, lon]) => {
+      expect(Math.hypot(lat - CENTER.lat, lon - CENTER.lon)).toBeCloseTo(1, 2);
+    });
+  });
+
+  it('returns nothing for thresholds outside the field', () => {
+    expect(extractContours(grid, 11)).toEqual([]);
+    expect(extractContours(grid, -100)).toEqual([]);
+  });
+});
+
+describe('extractMMIContours', () => {
+  it('contours each MMI level reached, at the lower bound of its range', () => {
+    const contours = extractMMIContours(grid);
+    expect(contours.map(contour => contour.level)).toEqual(['VI', 'VII', 'VIII', 'IX', 'X']);
+    contours.forEach(contour => {
+      expect(contour.threshold).toBe(getIntensityRangeForMMI(contour.level).min);
+      expect(contour.lines.length).toBeGreaterThan(0);
+    });
+  });
+
+  it('skips levels the field never reaches', () => {
+    const weak = computeIntensityGrid(spec, (lat, lon) => radialField(lat, lon) - 3);
+    expect(extractMMIContours(weak).map(contour => contour.level)).toEqual(['VI', 'VII']);
+  });
+});
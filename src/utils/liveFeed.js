@@ -0,0 +1,234 @@
+/**
+ * Live earthquake feed
+ * 
+ * Polls an FDSN/USGS-style GeoJSON endpoint for recent earthquakes and
+ * turns each feature into a catalog entry in the historical_quakes.json
+ * format, normalized with normalizeCatalogEntry (so missing depths and
+ * magnitude types are handled exactly like historical events). Events
+ * outside Chile are dropped. The poller reports events it has not seen
+ * before; the first poll only reports the most recent one, so connecting
+ * to a feed doesn't replay its whole history.
+ */
+
+import { calculateDistance } from './geoUtils';
+import { createCatalogEntry, normalizeCatalogEntry, toReplayScenario } from './earthquakeCatalog';
+import { CHILE_BOUNDS } from './intensityGrid';
+import { calculateCityResult } from './scenarioResults';
+import { SLIDER_RANGES } from './scenarioUrl';
+import { createTsunamiSource } from './tsunamiModel';
+
+/**
+ * Built-in feeds
+ * 
+ * - usgs: USGS FDSN event service, M4.5+ in the Chile bounding box
+ * - sample: bundled fixture with fictitious events, for offline use
+ * - local: stand-in server started with `npm run mock-feed`, which
+ *   releases the fixture events one at a time
+ */
+export const FEED_SOURCES = [
+  {
+    id: 'usgs',
+    url: 'https://earthquake.usgs.gov/fdsnws/event/1/query?format=geojson&orderby=time&limit=20'
+      + '&minmagnitude=4.5&minlatitude=-56&maxlatitude=-17&minlongitude=-76&maxlongitude=-66',
+  },
+  { id: 'sample', url: '/Chile-Terremotea-Sim/live_feed_sample.json' },
+  { id: 'local', url: 'http://localhost:8787/fdsnws/event/1/query' },
+];
+
+/**
+ * Polling intervals offered in the interface (seconds)
+ */
+export const POLL_INTERVALS = [30, 60, 300];
+
+/**
+ * Default polling interval (seconds)
+ */
+export const DEFAULT_POLL_INTERVAL = 60;
+
+/**
+ * Convert a GeoJSON feature into a catalog entry
+ * 
+ * @param {Object} feature - Feature with USGS-style properties (mag, magType,
+ *   place, time) and Point coordinates [lon, lat, depth in km]
+ * @returns {Object} Entry (see createCatalogEntry)
+ */
+export function featureToCatalogEntry(feature) {
+  const properties = feature.properties || {};
+  const [longitude, latitude, depth] = feature.geometry?.coordinates || [];
+
+  return createCatalogEntry({
+    id: feature.id,
+    name: properties.place || properties.title,
+    time: properties.time,
+    latitude,
+    longitude,
+    depth,
+    magnitude: properties.mag,
+    magnitudeType: properties.magType,
+  });
+}
+
+/**
+ * Check whether an entry lies in the Chile bounding box
+ * 
+ * Entries with invalid coordinates are kept so their issues can be shown.
+ */
+function isInChile(entry) {
+  if (!entry.valid) return true;
+  return entry.epicenter_lat >= CHILE_BOUNDS.latMin && entry.epicenter_lat <= CHILE_BOUNDS.latMax
+    && entry.epicenter_lon >= CHILE_BOUNDS.lonMin && entry.epicenter_lon <= CHILE_BOUNDS.lonMax;
+}
+
+/**
+ * Parse a GeoJSON feed
+ * 
+ * @param {Object} data - GeoJSON FeatureCollection
+ * @returns {Array<Object>} Normalized entries (normalizeCatalogEntry) in Chile,
+ *   newest first
+ * @throws {Error} If data is not a FeatureCollection
+ */
+export function parseFeed(data) {
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error('Feed is not a GeoJSON FeatureCollection');
+  }
+
+  return data.features
+    .map(feature => normalizeCatalogEntry(featureToCatalogEntry(feature)))
+    .filter(isInChile)
+    .sort((a, b) => (b.time || '').localeCompare(a.time || ''));
+}
+
+/**
+ * Fetch and parse a feed
+ * 
+ * @param {string} url - Feed URL
+ * @param {Object} options - { signal } to abort the request
+ * @returns {Promise<Array<Object>>} Entries (see parseFeed)
+ * @throws {Error} On network errors, HTTP errors or malformed feeds
+ */
+export async function fetchFeed(url, { signal } = {}) {
+  const response = await fetch(url, { signal, cache: 'no-store' });
+  if (!response.ok) {
+    throw new Error(`Feed request failed: HTTP ${response.status}`);
+  }
+  return parseFeed(await response.json());
+}
+
+/**
+ * Pick the events of a poll that have not been seen before
+ * 
+ * @param {Array<Object>} entries - Entries of the poll, newest first
+ * @param {Set<string>} seenIds - Ids reported by earlier polls (null on the first poll)
+ * @returns {Array<Object>} New entries, oldest first; on the first poll only the
+ *   newest entry
+ */
+export function findNewEvents(entries, seenIds) {
+  if (!seenIds) return entries.slice(0, 1);
+  return entries.filter(entry => !seenIds.has(entry.id)).reverse();
+}
+
+/**
+ * Poll a feed until stopped
+ * 
+ * Polls immediately, then every interval after the previous poll finishes.
+ * 
+ * @param {string} url - Feed URL
+ * @param {Object} options
+ * @param {number} options.interval - Seconds between polls (default: DEFAULT_POLL_INTERVAL)
+ * @param {Function} options.onUpdate - Called with { events, newEvents, checkedAt } after
+ *   each successful poll
+ * @param {Function} options.onError - Called with the error of a failed poll
+ * @param {Function} options.load - Feed loader (default: fetchFeed)
+ * @returns {Function} Stops polling and aborts the request in flight
+ */
+export function startFeedPolling(url, { interval = DEFAULT_POLL_INTERVAL, onUpdate, onError, load = fetchFeed }) {
+  let seenIds = null;
+  let timer = null;
+  let stopped = false;
+  const controller = typeof AbortController === 'undefined' ? null : new AbortController();
+
+  const poll = async () => {
+    try {
+      const events = await load(url, { signal: controller?.signal });
+      if (stopped) return;
+
+      const newEvents = findNewEvents(events, seenIds);
+      seenIds = new Set([...(seenIds || []), ...events.map(event => event.id)]);
+      onUpdate({ events, newEvents, checkedAt: new Date() });
+    } catch (error) {
+      if (!stopped) onError(error);
+    }
+
+    if (!stopped) {
+      timer = setTimeout(poll, interval * 1000);
+    }
+  };
+
+  poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    controller?.abort();
+  };
+}
+
+/**
+ * Replay scenario of a feed event, fitted to the control ranges
+ * 
+ * Feeds report events smaller (M4.5+) or deeper (intraslab) than the
+ * magnitude and depth sliders allow; those values are clamped to the slider
+ * range so the loaded scenario is one the controls can show.
+ * 
+ * @param {Object} entry - Valid normalized entry
+ * @returns {{magnitude: number, depth: number, epicenter: Object, adjusted: Array<string>}}
+ *   Scenario (see toReplayScenario) and the names of the clamped values
+ */
+export function toFeedScenario(entry) {
+  const scenario = toReplayScenario(entry);
+  const adjusted = [];
+
+  ['magnitude', 'depth'].forEach(key => {
+    const { min, max } = SLIDER_RANGES[key];
+    const value = Math.min(max, Math.max(min, scenario[key]));
+    if (value !== scenario[key]) {
+      scenario[key] = value;
+      adjusted.push(key);
+    }
+  });
+
+  return { ...scenario, adjusted };
+}
+
+/**
+ * Quick impact estimate of a feed event for the nearest cities
+ * 
+ * Treats the event as a point source (fitted with toFeedScenario) with the
+ * given model settings.
+ * 
+ * @param {Object} entry - Valid normalized entry
+ * @param {Array<Object>} cities - City records
+ * @param {Object} settings - { modelId, siteEffects, vs30Grid, buildingInventory,
+ *   timeOfDay, economicExposure } (see calculateCityResult)
+ * @param {number} count - Number of cities (default: 3)
+ * @returns {{source: Object, cities: Array<Object>, tsunamigenic: boolean}} Source used
+ *   (toFeedScenario), city results, nearest first, and whether the source may
+ *   generate a tsunami
+ */
+export function estimateEventImpact(entry, cities, settings, count = 3) {
+  const { adjusted, ...replay } = toFeedScenario(entry);
+  const source = { ...replay, rupture: null };
+  const tsunami = createTsunamiSource(source, settings.vs30Grid);
+  const scenario = { ...settings, ...source, tsunami };
+
+  const nearest = cities
+    .map(city => ({ city, distance: calculateDistance(source.epicenter.lat, source.epicenter.lon, city.lat, city.lon) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, count);
+
+  return {
+    source: { ...replay, adjusted },
+    cities: nearest.map(({ city }) => calculateCityResult(city, scenario)),
+    tsunamigenic: tsunami.tsunamigenic,
+  };
+}
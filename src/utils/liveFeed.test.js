@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import sampleFeed from '../../public/live_feed_sample.json';
+import vs30Grid from '../../public/vs30_grid.json';
+import { DEFAULT_HISTORICAL_DEPTH_KM } from './earthquakeCatalog';
+import { estimateEventImpact, findNewEvents, parseFeed, startFeedPolling, toFeedScenario } from './liveFeed';
+
+const CITIES = [
+  { city: 'Concepción', lat: -36.827, lon: -73.05, population: 223574, region: 'Biobío', coastal: true },
+  { city: 'Talca', lat: -35.4264, lon: -71.6554, population: 220357, region: 'Maule' },
+  { city: 'Santiago', lat: -33.4489, lon: -70.6693, population: 6257516, region: 'Metropolitana' },
+  { city: 'Arica', lat: -18.4783, lon: -70.3126, population: 221364, region: 'Arica y Parinacota', coastal: true },
+];
+
+const feature = (id, time, properties = {}, coordinates = [-71.6, -33.0, 30]) => ({
+  type: 'Feature',
+  id,
+  properties: { mag: 5.0, magType: 'mww', place: `Event ${id}`, time, ...properties },
+  geometry: { type: 'Point', coordinates },
+});
+
+const collection = (...features) => ({ type: 'FeatureCollection', features });
+
+describe('parseFeed', () => {
+  const events = parseFeed(sampleFeed);
+  const byId = Object.fromEntries(events.map(event => [event.id, event]));
+
+  it('keeps Chilean events, newest first', () => {
+    expect(events.map(event => event.id)).not.toContain('sample0005');
+    expect(events[0].id).toBe('sample0007');
+    expect(events.map(event => event.time)).toEqual([...events.map(event => event.time)].sort().reverse());
+  });
+
+  it('handles depth and magnitude types like historical entries', () => {
+    expect(byId.sample0004).toMatchObject({ depth: null, depthKm: DEFAULT_HISTORICAL_DEPTH_KM, depthIsDefault: true, valid: true });
+    expect(byId.sample0002).toMatchObject({ magnitudeConverted: true, mw: 5.0 });
+    expect(byId.sample0003.warnings).toEqual(['Unknown magnitude type "ml" treated as Mw']);
+    expect(byId.sample0006).toMatchObject({ valid: false, issues: ['Invalid magnitude: null'] });
+  });
+
+  it('rejects anything but a FeatureCollection', () => {
+    expect(() => parseFeed({ type: 'Feature' })).toThrow('Feed is not a GeoJSON FeatureCollection');
+    expect(() => parseFeed(null)).toThrow();
+  });
+});
+
+describe('findNewEvents', () => {
+  const entries = parseFeed(collection(feature('b', 2000), feature('a', 1000), feature('c', 3000)));
+
+  it('reports only the newest event on the first poll', () => {
+    expect(findNewEvents(entries, null).map(entry => entry.id)).toEqual(['c']);
+  });
+
+  it('reports unseen events oldest first', () => {
+    expect(findNewEvents(entries, new Set(['a'])).map(entry => entry.id)).toEqual(['b', 'c']);
+    expect(findNewEvents(entries, new Set(['a', 'b', 'c']))).toEqual([]);
+  });
+});
+
+describe('startFeedPolling', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('reports new events on each poll until stopped', async () => {
+    vi.useFakeTimers();
+    const responses = [
+      [feature('a', 1000)],
+      [feature('b', 2000), feature('a', 1000)],
+    ];
+    const load = vi.fn(async () => parseFeed(collection(...(responses.shift() || []))));
+    const onUpdate = vi.fn();
+    const onError = vi.fn();
+
+    const stop = startFeedPolling('feed', { interval: 30, onUpdate, onError, load });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(onUpdate.mock.calls[0][0].newEvents.map(event => event.id)).toEqual(['a']);
+
+    await vi.advanceTimersByTimeAsync(30000);
+    expect(onUpdate.mock.calls[1][0].newEvents.map(event => event.id)).toEqual(['b']);
+
+    stop();
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(load).toHaveBeenCalledTimes(2);
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('reports failed polls and keeps polling', async () => {
+    vi.useFakeTimers();
+    const load = vi.fn()
+      .mockRejectedValueOnce(new Error('Feed request failed: HTTP 503'))
+      .mockResolvedValueOnce([]);
+    const onUpdate = vi.fn();
+    const onError = vi.fn();
+
+    const stop = startFeedPolling('feed', { interval: 30, onUpdate, onError, load });
+    await vi.advanceTimersByTimeAsync(30000);
+    stop();
+
+    expect(onError).toHaveBeenCalledWith(new Error('Feed request failed: HTTP 503'));
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('toFeedScenario', () => {
+  it('keeps events inside the control ranges', () => {
+    const [event] = parseFeed(collection(feature('a', 1, { mag: 6.2 }, [-71.6, -33.0, 30])));
+    expect(toFeedScenario(event)).toEqual({ magnitude: 6.2, depth: 30, epicenter: { lat: -33.0, lon: -71.6 }, adjusted: [] });
+  });
+
+  it('clamps small and deep events to the slider ranges', () => {
+    const [event] = parseFeed(collection(feature('a', 1, { mag: 4.6 }, [-69.0, -22.0, 180])));
+    const scenario = toFeedScenario(event);
+
+    expect(scenario.magnitude).toBe(5);
+    expect(scenario.depth).toBe(100);
+    expect(scenario.adjusted).toEqual(['magnitude', 'depth']);
+  });
+});
+
+describe('estimateEventImpact', () => {
+  it('estimates shaking for the nearest cities', () => {
+    const [event] = parseFeed(sampleFeed);
+    const impact = estimateEventImpact(event, CITIES, { modelId: 'bchydro-interface', siteEffects: false, vs30Grid });
+
+    expect(impact.cities.map(city => city.city)).toEqual(['Concepción', 'Talca', 'Santiago']);
+    expect(impact.cities[0].mmi.numericLevel).toBeGreaterThanOrEqual(impact.cities[2].mmi.numericLevel);
+    expect(impact.tsunamigenic).toBe(true);
+    expect(impact.source.adjusted).toEqual([]);
+  });
+
+  it('estimates the clamped source of out-of-range events', () => {
+    const [event] = parseFeed(collection(feature('a', 1, { mag: 4.6 }, [-69.0, -22.0, 180])));
+    const impact = estimateEventImpact(event, CITIES, { modelId: 'educational', siteEffects: false, vs30Grid });
+
+    expect(impact.source).toMatchObject({ magnitude: 5, depth: 100, adjusted: ['magnitude', 'depth'] });
+    expect(impact.cities[0].city).toBe('Arica');
+  });
+});
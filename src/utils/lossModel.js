@@ -0,0 +1,173 @@
+/**
+ * Economic loss model
+ * 
+ * Direct losses are replacement-cost exposure times the mean damage ratio
+ * (repair cost / replacement cost) of each sector:
+ * - Residential: the city's building inventory
+ * - Commercial: the inventory reweighted towards engineered buildings
+ * - Infrastructure: roads, bridges and utilities, treated as engineered
+ *   reinforced concrete
+ * 
+ * Indirect losses are the regional output (GDP) lost while damaged
+ * businesses and infrastructure recover.
+ * 
+ * Exposure and GDP per capita come per region from
+ * public/economic_exposure.json. All amounts are in USD; toCLP converts
+ * with the exchange rate of the same file.
+ */
+
+import { estimateBuildingDamage, getCommercialShares, getInventoryShares } from './fragilityModel';
+import { formatNumber } from './i18n';
+
+/**
+ * Loss model parameters
+ */
+const LOSS_PARAMETERS = {
+  recoveryYears: 1.5,         // Mean time to restore damaged productive capacity
+  infrastructureWeight: 0.5,  // Share of output disruption driven by infrastructure damage
+  legacyExponent: 1.3,        // Damage ratio = (damage% / 100)^1.3 without a building inventory
+};
+
+/**
+ * Infrastructure stock for the fragility model
+ */
+const INFRASTRUCTURE_SHARES = { rc: 1 };
+
+/**
+ * Loss sectors
+ */
+export const LOSS_SECTORS = [
+  { id: 'residential', name: 'Residential', color: '#3B82F6' },
+  { id: 'commercial', name: 'Commercial', color: '#F59E0B' },
+  { id: 'infrastructure', name: 'Infrastructure', color: '#8B5CF6' },
+];
+
+/**
+ * Find the economic exposure of a region
+ * 
+ * @param {string|null} region - Region name
+ * @param {Object|null} exposure - Data from economic_exposure.json
+ * @returns {{gdpPerCapita: number, exposurePerCapita: Object, source: string}|null}
+ *   GDP per capita and replacement cost per capita by sector (USD), and whether they
+ *   are the region's ('region') or national ('default'); null without exposure data
+ */
+export function resolveEconomicExposure(region, exposure) {
+  if (!exposure) return null;
+
+  const regional = region ? exposure.regions?.[region] : null;
+  const entry = regional || exposure.default;
+
+  return {
+    gdpPerCapita: entry.gdp_per_capita_usd,
+    exposurePerCapita: entry.exposure_per_capita_usd,
+    source: regional ? 'region' : 'default',
+  };
+}
+
+/**
+ * Mean damage ratio of each sector
+ * 
+ * @param {Object} damage
+ * @param {number} damage.pga - Peak ground acceleration in g
+ * @param {Object|null} damage.buildingDamage - Result of estimateBuildingDamage
+ * @param {number} damage.damagePercent - Damage percentage, used without building damage
+ * @returns {{residential: number, commercial: number, infrastructure: number}} Damage ratios (0-1)
+ */
+export function getSectorDamageRatios({ pga, buildingDamage, damagePercent }) {
+  if (!buildingDamage) {
+    const ratio = Math.pow(Math.max(0, damagePercent) / 100, LOSS_PARAMETERS.legacyExponent);
+    return { residential: ratio, commercial: ratio, infrastructure: ratio };
+  }
+
+  const commercialShares = getCommercialShares(getInventoryShares(buildingDamage));
+
+  return {
+    residential: buildingDamage.meanDamageRatio,
+    commercial: estimateBuildingDamage(pga, commercialShares).meanDamageRatio,
+    infrastructure: estimateBuildingDamage(pga, INFRASTRUCTURE_SHARES).meanDamageRatio,
+  };
+}
+
+/**
+ * Estimate the economic losses of a city
+ * 
+ * @param {number} population - City population
+ * @param {Object} damage - { pga, buildingDamage, damagePercent } (see getSectorDamageRatios)
+ * @param {Object|null} exposure - Regional exposure from resolveEconomicExposure
+ * @returns {{direct: Object, indirect: number, total: number, gdp: number,
+ *   percentOfGDP: number, exposureSource: string}|null} Direct losses by sector (with
+ *   their total), indirect losses, total losses and the city's annual GDP, in USD;
+ *   null without exposure data
+ * 
+ * @example
+ * // Concepción in the 2010 Maule scenario (point source)
+ * estimateLosses(223574, { pga: 0.24, buildingDamage, damagePercent }, exposure)
+ * // Returns: ~{ direct: { residential: 1.2e9, commercial: 3.6e8, infrastructure: 2.1e8, total: 1.7e9 },
+ * //   indirect: 4.8e8, total: 2.2e9, gdp: 8.4e9, percentOfGDP: 27, exposureSource: 'region' }
+ */
+export function estimateLosses(population, damage, exposure) {
+  if (!exposure) return null;
+
+  const { recoveryYears, infrastructureWeight } = LOSS_PARAMETERS;
+  const ratios = getSectorDamageRatios(damage);
+
+  const direct = Object.fromEntries(LOSS_SECTORS.map(({ id }) => [
+    id,
+    population * exposure.exposurePerCapita[id] * ratios[id],
+  ]));
+  direct.total = LOSS_SECTORS.reduce((sum, { id }) => sum + direct[id], 0);
+
+  // Output lost while businesses and infrastructure are repaired
+  const gdp = population * exposure.gdpPerCapita;
+  const disruption = (1 - infrastructureWeight) * ratios.commercial + infrastructureWeight * ratios.infrastructure;
+  const indirect = gdp * Math.min(1, disruption * recoveryYears);
+
+  const total = direct.total + indirect;
+
+  return {
+    direct,
+    indirect,
+    total,
+    gdp,
+    percentOfGDP: gdp > 0 ? (total / gdp) * 100 : 0,
+    exposureSource: exposure.source,
+  };
+}
+
+/**
+ * Convert USD to Chilean pesos
+ * 
+ * @param {number} usd - Amount in USD
+ * @param {number} usdToClp - Exchange rate (CLP per USD)
+ * @returns {number} Amount in CLP
+ */
+export function toCLP(usd, usdToClp) {
+  return usd * usdToClp;
+}
+
+/**
+ * Magnitude suffixes of formatMoney by language (Spanish spells out the
+ * long-scale units, where a "billón" is 10^12)
+ */
+const MONEY_UNITS = {
+  en: [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'k']],
+  es: [[1e12, 'billones'], [1e9, 'mil millones'], [1e6, 'millones'], [1e3, 'mil']],
+};
+
+/**
+ * Format a money amount compactly
+ * 
+ * @param {number} amount - Amount
+ * @param {string} currency - 'USD' or 'CLP'
+ * @param {string} language - 'en' (default) or 'es'
+ * @returns {string} e.g. "US$ 1.2 B", "CLP 1,130 B", "US$ 1,2 mil millones" (es)
+ */
+export function formatMoney(amount, currency, language = 'en') {
+  const units = MONEY_UNITS[language] || MONEY_UNITS.en;
+  const prefix = currency === 'USD' ? 'US$' : currency;
+  const [divisor, suffix] = units.find(([value]) => Math.abs(amount) >= value) || [1, ''];
+  const value = amount / divisor;
+  const digits = Math.abs(value) >= 100 ? 0 : 1;
+
+  return `${prefix} ${formatNumber(value, language, { maximumFractionDigits: digits })}${suffix ? ` ${suffix}` : ''}`;
+}
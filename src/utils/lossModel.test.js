@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import exposureData from '../../public/economic_exposure.json';
+import inventory from '../../public/building_inventory.json';
+import { estimateBuildingDamage, getCommercialShares } from './fragilityModel';
+import {
+  estimateLosses,
+  formatMoney,
+  getSectorDamageRatios,
+  LOSS_SECTORS,
+  resolveEconomicExposure,
+  toCLP,
+} from './lossModel';
+
+const damageAt = (pga, shares) => {
+  const buildingDamage = estimateBuildingDamage(pga, shares);
+  return { pga, buildingDamage, damagePercent: buildingDamage.damagePercent };
+};
+
+describe('economic exposure', () => {
+  it('has GDP and exposure for every region', () => {
+    Object.values(exposureData.regions).forEach(entry => {
+      expect(entry.gdp_per_capita_usd).toBeGreaterThan(0);
+      LOSS_SECTORS.forEach(({ id }) => expect(entry.exposure_per_capita_usd[id]).toBeGreaterThan(0));
+    });
+  });
+
+  it('uses the region, then the national default', () => {
+    expect(resolveEconomicExposure('Antofagasta', exposureData)).toMatchObject({
+      gdpPerCapita: exposureData.regions.Antofagasta.gdp_per_capita_usd,
+      source: 'region',
+    });
+    expect(resolveEconomicExposure('Atlantis', exposureData).source).toBe('default');
+    expect(resolveEconomicExposure(null, exposureData).source).toBe('default');
+    expect(resolveEconomicExposure('Maule', null)).toBeNull();
+  });
+});
+
+describe('getSectorDamageRatios', () => {
+  it('damages commercial and infrastructure less than homes in an adobe town', () => {
+    const ratios = getSectorDamageRatios(damageAt(0.3, inventory.cities.Talca));
+    expect(ratios.commercial).toBeLessThan(ratios.residential);
+    expect(ratios.infrastructure).toBeLessThan(ratios.commercial);
+  });
+
+  it('reweights the commercial stock towards reinforced concrete', () => {
+    const commercial = getCommercialShares(inventory.cities.Talca);
+    expect(Object.values(commercial).reduce((sum, share) => sum + share, 0)).toBeCloseTo(1, 10);
+    expect(commercial.rc).toBeGreaterThan(inventory.cities.Talca.rc);
+    expect(commercial.adobe).toBeLessThan(inventory.cities.Talca.adobe);
+  });
+
+  it('falls back to the logistic damage without building damage', () => {
+    const ratios = getSectorDamageRatios({ pga: 0.3, buildingDamage: null, damagePercent: 50 });
+    expect(ratios.residential).toBeCloseTo(Math.pow(0.5, 1.3), 10);
+    expect(ratios.infrastructure).toBe(ratios.residential);
+  });
+});
+
+describe('estimateLosses', () => {
+  const exposure = resolveEconomicExposure('Maule', exposureData);
+
+  it('adds sector losses into direct, and direct plus indirect into total', () => {
+    const losses = estimateLosses(200000, damageAt(0.3, inventory.regions.Maule), exposure);
+    const sectorSum = LOSS_SECTORS.reduce((sum, { id }) => sum + losses.direct[id], 0);
+
+    expect(losses.direct.total).toBeCloseTo(sectorSum, 6);
+    expect(losses.total).toBeCloseTo(losses.direct.total + losses.indirect, 6);
+    expect(losses.gdp).toBe(200000 * exposure.gdpPerCapita);
+    expect(losses.percentOfGDP).toBeCloseTo((losses.total / losses.gdp) * 100, 10);
+  });
+
+  it('grows with shaking and never exceeds exposure plus a year of GDP', () => {
+    const weak = estimateLosses(200000, damageAt(0.1, inventory.regions.Maule), exposure);
+    const strong = estimateLosses(200000, damageAt(1.5, inventory.regions.Maule), exposure);
+    const totalExposure = LOSS_SECTORS.reduce((sum, { id }) => sum + 200000 * exposure.exposurePerCapita[id], 0);
+
+    expect(strong.total).toBeGreaterThan(weak.total);
+    expect(strong.direct.total).toBeLessThanOrEqual(totalExposure);
+    expect(strong.indirect).toBeLessThanOrEqual(strong.gdp);
+  });
+
+  it('returns null without exposure data', () => {
+    expect(estimateLosses(200000, damageAt(0.3, inventory.default), null)).toBeNull();
+  });
+});
+
+describe('currency', () => {
+  it('converts to CLP and formats compactly', () => {
+    expect(toCLP(1000, exposureData.usd_to_clp)).toBe(1000 * exposureData.usd_to_clp);
+    expect(formatMoney(1.234e9, 'USD')).toBe('US$ 1.2 B');
+    expect(formatMoney(1.13e12, 'CLP')).toBe('CLP 1.1 T');
+    expect(formatMoney(250, 'USD')).toBe('US$ 250');
+    expect(formatMoney(1.234e9, 'USD', 'es')).toBe('US$ 1,2 mil millones');
+    expect(formatMoney(1.13e12, 'CLP', 'es')).toBe('CLP 1,1 billones');
+  });
+});
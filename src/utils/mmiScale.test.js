@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { getMMI, getMMILevel, getMMINumeric, getMMIScale, getIntensityRangeForMMI } from './mmiScale';
+
+describe('getMMI', () => {
+  it('maps threshold edges to the upper level', () => {
+    expect(getMMILevel(1.4999)).toBe('I');
+    expect(getMMILevel(1.5)).toBe('II');
+    expect(getMMILevel(6.4999)).toBe('VI');
+    expect(getMMILevel(6.5)).toBe('VII');
+    expect(getMMILevel(11.4999)).toBe('XI');
+    expect(getMMILevel(11.5)).toBe('XII');
+  });
+
+  it('uses every scale threshold as a level boundary', () => {
+    for (const level of getMMIScale().slice(1)) {
+      expect(getMMINumeric(level.minIntensity)).toBe(level.numericLevel);
+      expect(getMMINumeric(level.minIntensity - 1e-9)).toBe(level.numericLevel - 1);
+    }
+  });
+
+  it('returns MMI I for negative or NaN intensity', () => {
+    expect(getMMILevel(-0.1)).toBe('I');
+    expect(getMMILevel(NaN)).toBe('I');
+  });
+
+  it('caps extreme intensities at MMI XII', () => {
+    expect(getMMILevel(15)).toBe('XII');
+  });
+
+  it('keeps the input intensity on the result', () => {
+    expect(getMMI(7.2)).toMatchObject({ level: 'VII', numericLevel: 7, intensityValue: 7.2 });
+  });
+
+  it('level does not decrease with intensity', () => {
+    fc.assert(fc.property(fc.double({ min: 0, max: 14, noNaN: true }), fc.double({ min: 0, max: 14, noNaN: true }), (a, b) => {
+      const [low, high] = a <= b ? [a, b] : [b, a];
+      expect(getMMINumeric(high)).toBeGreaterThanOrEqual(getMMINumeric(low));
+    }));
+  });
+});
+
+describe('getIntensityRangeForMMI', () => {
+  it('returns the thresholds of a level', () => {
+    expect(getIntensityRangeForMMI('VII')).toMatchObject({ min: 6.5, max: 7.5 });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Model validation against observed intensities
+ * 
+ * Compares predicted intensities with observed macroseismic intensities
+ * (observed_intensities.json) and summarizes the residuals. Residuals are
+ * observed minus predicted: positive bias means the model under-predicts.
+ */
+
+import { getAttenuationModel, getAttenuationModels } from './attenuationModel';
+import { createRupturePlane, DEFAULT_FAULT } from './faultModel';
+import { calculateCityResult } from './scenarioResults';
+
+/**
+ * Rupture-distance bins for residual summaries (km)
+ */
+export const DISTANCE_BINS = [0, 50, 100, 200, 400, Infinity];
+
+/**
+ * Build the scenario for an observed event
+ * 
+ * @param {Object} event - Event from observed_intensities.json
+ * @param {Object} options
+ * @param {string} options.modelId - Attenuation model id
+ * @param {boolean} options.siteEffects - Use site-corrected intensity
+ * @param {boolean} options.finiteFault - Use a rupture plane with the event's strike and dip
+ * @param {Object|null} options.vs30Grid - Vs30 raster
+ * @returns {Object} Scenario for calculateCityResult
+ */
+export function createEventScenario(event, { modelId, siteEffects, finiteFault, vs30Grid }) {
+  const epicenter = { lat: event.epicenter_lat, lon: event.epicenter_lon };
+  const { tectonicType } = getAttenuationModel(modelId);
+
+  const rupture = finiteFault
+    ? createRupturePlane({
+      magnitude: event.magnitude,
+      strike: event.strike ?? DEFAULT_FAULT.strike,
+      dip: event.dip ?? DEFAULT_FAULT.dip,
+      hypocenter: epicenter,
+      depth: event.depth,
+      tectonicType: event.tectonic_type || (tectonicType === 'any' ? 'interface' : tectonicType),
+    })
+    : null;
+
+  return {
+    magnitude: event.magnitude,
+    depth: event.depth,
+    epicenter,
+    rupture,
+    modelId,
+    siteEffects,
+    vs30Grid: vs30Grid || null,
+  };
+}
+
+/**
+ * Calculate residuals for every observation of every event
+ * 
+ * @param {Array<Object>} events - Events from observed_intensities.json
+ * @param {Object} options - See createEventScenario
+ * @returns {Array<{eventId: string, eventName: string, city: string, distance: number,
+ *   observed: number, predicted: number, residual: number}>} One record per observation;
+ *   distance is the rupture distance (hypocentral for a point source)
+ */
+export function calculateResiduals(events, options) {
+  return events.flatMap(event => {
+    const scenario = createEventScenario(event, options);
+
+    return event.observations.map(observation => {
+      const result = calculateCityResult({ ...observation, population: 0 }, scenario);
+
+      return {
+        eventId: event.id,
+        eventName: event.name,
+        city: observation.city,
+        distance: result.distances.rrup,
+        observed: observation.mmi,
+        predicted: result.intensityValue,
+        residual: observation.mmi - result.intensityValue,
+      };
+    });
+  });
+}
+
+/**
+ * Summarize a set of residuals
+ * 
+ * @param {Array<{residual: number}>} residuals - Residual records
+ * @returns {{count: number, bias: number|null, rmse: number|null, stdDev: number|null}}
+ *   Mean residual, root-mean-square residual and standard deviation (null when empty)
+ */
+export function summarizeResiduals(residuals) {
+  const count = residuals.length;
+  if (count === 0) {
+    return { count, bias: null, rmse: null, stdDev: null };
+  }
+
+  const bias = residuals.reduce((sum, r) => sum + r.residual, 0) / count;
+  const meanSquare = residuals.reduce((sum, r) => sum + r.residual * r.residual, 0) / count;
+
+  return {
+    count,
+    bias,
+    rmse: Math.sqrt(meanSquare),
+    stdDev: Math.sqrt(Math.max(0, meanSquare - bias * bias)),
+  };
+}
+
+/**
+ * Summarize residuals by distance bin
+ * 
+ * @param {Array<{distance: number, residual: number}>} residuals - Residual records
+ * @param {Array<number>} bins - Bin edges in km (default: DISTANCE_BINS)
+ * @returns {Array<Object>} One summary per bin with min, max and label
+ */
+export function summarizeByDistance(residuals, bins = DISTANCE_BINS) {
+  return bins.slice(0, -1).map((min, index) => {
+    const max = bins[index + 1];
+    const inBin = residuals.filter(r => r.distance >= min && r.distance < max);
+
+    return {
+      min,
+      max,
+      label: Number.isFinite(max) ? `${min}–${max} km` : `≥ ${min} km`,
+      ...summarizeResiduals(inBin),
+    };
+  });
+}
+
+/**
+ * Validate one attenuation model against the observed dataset
+ * 
+ * @param {Array<Object>} events - Events from observed_intensities.json
+ * @param {Object} options - See createEventScenario
+ * @returns {{modelId: string, residuals: Array<Object>, overall: Object,
+ *   byEvent: Array<Object>, byDistance: Array<Object>}} Residuals and summaries
+ */
+export function validateAgainstObservations(events, options) {
+  const residuals = calculateResiduals(events, options);
+
+  return {
+    modelId: options.modelId,
+    residuals,
+    overall: summarizeResiduals(residuals),
+    byEvent: events.map(event => ({
+      id: event.id,
+      name: event.name,
+      ...summarizeResiduals(residuals.filter(r => r.eventId === event.id)),
+    })),
+    byDistance: summarizeByDistance(residuals),
+  };
+}
+
+/**
+ * Overall residual summary for every registered attenuation model
+ * 
+ * @param {Array<Object>} events - Events from observed_intensities.json
+ * @param {Object} options - See createEventScenario (modelId is ignored)
+ * @returns {Array<Object>} One summary per model with id and name, in registry order
+ */
+export function compareModels(events, options) {
+  return getAttenuationModels().map(model => ({
+    id: model.id,
+    name: model.name,
+    ...summarizeResiduals(calculateResiduals(events, { ...options, modelId: model.id })),
+  }));
+}
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { calculateCityResult } from './scenarioResults';
+import {
+  calculateResiduals,
+  compareModels,
+  createEventScenario,
+  summarizeByDistance,
+  summarizeResiduals,
+  validateAgainstObservations,
+} from './modelValidation';
+
+const OPTIONS = { modelId: 'educational', siteEffects: false, finiteFault: false, vs30Grid: null };
+
+const SITES = [
+  { city: 'Near', lat: -36.5, lon: -73.0 },
+  { city: 'Mid', lat: -35.4, lon: -71.7 },
+  { city: 'Far', lat: -33.45, lon: -70.67 },
+];
+
+// Residuals the fixture observations are built with (observed - predicted)
+const OFFSETS = [1, -0.5, 0.5];
+
+const BASE_EVENT = {
+  id: 'test-2010',
+  name: 'Test earthquake',
+  magnitude: 8.8,
+  depth: 30,
+  epicenter_lat: -36.29,
+  epicenter_lon: -73.239,
+  tectonic_type: 'interface',
+  strike: 18,
+  dip: 18,
+};
+
+// Observed intensities are the model prediction plus a known offset
+const predicted = SITES.map(site => (
+  calculateCityResult({ ...site, population: 0 }, createEventScenario(BASE_EVENT, OPTIONS)).intensityValue
+));
+const EVENT = {
+  ...BASE_EVENT,
+  observations: SITES.map((site, index) => ({ ...site, mmi: predicted[index] + OFFSETS[index] })),
+};
+
+describe('calculateResiduals', () => {
+  it('returns observed minus predicted for every observation', () => {
+    const residuals = calculateResiduals([EVENT], OPTIONS);
+
+    expect(residuals.map(r => r.city)).toEqual(['Near', 'Mid', 'Far']);
+    residuals.forEach((r, index) => {
+      expect(r.eventId).toBe('test-2010');
+      expect(r.predicted).toBeCloseTo(predicted[index], 10);
+      expect(r.residual).toBeCloseTo(OFFSETS[index], 10);
+    });
+    expect(residuals[0].distance).toBeLessThan(residuals[1].distance);
+    expect(residuals[1].distance).toBeLessThan(residuals[2].distance);
+  });
+
+  it('uses a rupture plane for finite-fault validation', () => {
+    const scenario = createEventScenario(EVENT, { ...OPTIONS, finiteFault: true });
+    expect(scenario.rupture.strike).toBe(18);
+    expect(scenario.rupture.dip).toBe(18);
+
+    const pointSource = calculateResiduals([EVENT], OPTIONS);
+    const finiteFault = calculateResiduals([EVENT], { ...OPTIONS, finiteFault: true });
+    expect(finiteFault[2].distance).toBeLessThan(pointSource[2].distance);
+  });
+});
+
+describe('summarizeResiduals', () => {
+  it('computes bias, RMSE and standard deviation', () => {
+    const summary = summarizeResiduals(OFFSETS.map(residual => ({ residual })));
+    expect(summary.count).toBe(3);
+    expect(summary.bias).toBeCloseTo(1 / 3, 10);
+    expect(summary.rmse).toBeCloseTo(Math.sqrt(0.5), 10);
+    expect(summary.stdDev).toBeCloseTo(Math.sqrt(0.5 - 1 / 9), 10);
+  });
+
+  it('returns nulls without residuals', () => {
+    expect(summarizeResiduals([])).toEqual({ count: 0, bias: null, rmse: null, stdDev: null });
+  });
+});
+
+describe('summarizeByDistance', () => {
+  it('groups residuals into distance bins', () => {
+    const bins = summarizeByDistance([
+      { distance: 10, residual: 1 },
+      { distance: 49.9, residual: 0 },
+      { distance: 50, residual: -1 },
+      { distance: 500, residual: 2 },
+    ], [0, 50, 100, Infinity]);
+
+    expect(bins.map(bin => bin.label)).toEqual(['0–50 km', '50–100 km', '≥ 100 km']);
+    expect(bins.map(bin => bin.count)).toEqual([2, 1, 1]);
+    expect(bins[0].bias).toBe(0.5);
+    expect(bins[2].bias).toBe(2);
+  });
+});
+
+describe('validateAgainstObservations', () => {
+  it('summarizes overall, by event and by distance', () => {
+    const other = { ...EVENT, id: 'other', observations: EVENT.observations.slice(0, 1) };
+    const validation = validateAgainstObservations([EVENT, other], OPTIONS);
+
+    expect(validation.modelId).toBe('educational');
+    expect(validation.overall.count).toBe(4);
+    expect(validation.overall.bias).toBeCloseTo((1 - 0.5 + 0.5 + 1) / 4, 10);
+    expect(validation.byEvent.map(event => [event.id, event.count])).toEqual([['test-2010', 3], ['other', 1]]);
+    expect(validation.byEvent[0].bias).toBeCloseTo(1 / 3, 10);
+    expect(validation.byDistance.reduce((sum, bin) => sum + bin.count, 0)).toBe(4);
+  });
+
+  it('compares every registered model on the same observations', () => {
+    const models = compareModels([EVENT], OPTIONS);
+    const educational = models.find(model => model.id === 'educational');
+
+    expect(models.length).toBeGreaterThan(1);
+    expect(educational.bias).toBeCloseTo(1 / 3, 10);
+    models.forEach(model => expect(model.count).toBe(3));
+  });
+});
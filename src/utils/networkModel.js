@@ -0,0 +1,250 @@
+/**
+ * Road network disruption model
+ * 
+ * Simplified road graph with nodes at cities and edges for road segments
+ * (public/road_network.json). Each segment fails when its roadway
+ * (embankment slumps, landslides, pavement ruptures) or any of its major
+ * bridges fails, both evaluated with lognormal fragility curves on the
+ * PGA at the segment midpoint:
+ * 
+ *   P(closed) = 1 - (1 - P_road) × (1 - P_bridge)^bridges
+ * 
+ * Segments that are more likely closed than not are removed from the
+ * graph, and the remaining network is searched for cities cut off from
+ * the hub (Santiago) or from every working hospital.
+ */
+
+import { normalCdf } from './statistics';
+import { calculateDistance } from './geoUtils';
+import { calculateSiteMotion } from './scenarioResults';
+import { getFacilityStatusProbabilities } from './facilityModel';
+
+/**
+ * Roadway fragility (closure), median PGA in g and lognormal dispersion
+ */
+const ROADWAY_FRAGILITY = { median: 0.5, beta: 0.7 };
+
+/**
+ * Closure probability thresholds for the segment status
+ */
+const STATUS_THRESHOLDS = {
+  damaged: 0.2,   // Passable with delays and lane closures
+  closed: 0.5,    // Impassable until repaired
+};
+
+/**
+ * Road segment status levels, from best to worst
+ */
+export const ROAD_STATUSES = [
+  { id: 'open', name: 'Open', color: '#10B981' },
+  { id: 'damaged', name: 'Damaged', color: '#F59E0B' },
+  { id: 'closed', name: 'Closed', color: '#DC2626' },
+];
+
+/**
+ * Build the road graph from the network data and the city list
+ * 
+ * @param {Object} network - Data from road_network.json
+ * @param {Array<Object>} cities - City records (name, coordinates and population)
+ * @returns {{hub: string, nodes: Map<string, Object>, edges: Array<Object>}} Nodes keyed
+ *   by city name and edges with their endpoints, length (km) and midpoint
+ * @throws {Error} If an edge references a city that is not in the list
+ */
+export function buildRoadGraph(network, cities) {
+  const nodes = new Map(cities.map(city => [
+    city.city,
+    { city: city.city, lat: city.lat, lon: city.lon, population: city.population },
+  ]));
+
+  const edges = network.edges.map((edge, index) => {
+    const from = nodes.get(edge.from);
+    const to = nodes.get(edge.to);
+    if (!from || !to) {
+      throw new Error(`Unknown network node: ${from ? edge.to : edge.from}`);
+    }
+
+    return {
+      id: index,
+      from: edge.from,
+      to: edge.to,
+      route: edge.route,
+      bridges: edge.bridges,
+      length: calculateDistance(from.lat, from.lon, to.lat, to.lon),
+      midpoint: { lat: (from.lat + to.lat) / 2, lon: (from.lon + to.lon) / 2 },
+    };
+  });
+
+  return { hub: network.hub, nodes, edges };
+}
+
+/**
+ * Probability that a road segment is closed
+ * 
+ * @param {number} pga - Peak ground acceleration at the segment midpoint, in g
+ * @param {number} bridges - Number of major bridges along the segment
+ * @returns {number} Closure probability (0-1)
+ */
+export function getSegmentClosureProbability(pga, bridges) {
+  if (pga <= 0) return 0;
+
+  const { median, beta } = ROADWAY_FRAGILITY;
+  const roadway = normalCdf(Math.log(pga / median) / beta);
+  const bridge = getFacilityStatusProbabilities('bridge', pga).failed;
+
+  return 1 - (1 - roadway) * Math.pow(1 - bridge, bridges);
+}
+
+/**
+ * Status of a road segment from its closure probability
+ * 
+ * @param {number} probability - Closure probability
+ * @returns {string} 'open', 'damaged' or 'closed'
+ */
+export function getSegmentStatus(probability) {
+  if (probability >= STATUS_THRESHOLDS.closed) return 'closed';
+  if (probability >= STATUS_THRESHOLDS.damaged) return 'damaged';
+  return 'open';
+}
+
+/**
+ * Evaluate every road segment against a scenario
+ * 
+ * @param {Object} graph - Result of buildRoadGraph
+ * @param {Object} scenario - Scenario (see calculateCityResult)
+ * @returns {Array<Object>} Edges with midpoint pga, closure probability and status
+ */
+export function evaluateRoadSegments(graph, scenario) {
+  return graph.edges.map(edge => {
+    const { activeMotion } = calculateSiteMotion(edge.midpoint, scenario);
+    const probability = getSegmentClosureProbability(activeMotion.pga, edge.bridges);
+
+    return {
+      ...edge,
+      pga: activeMotion.pga,
+      probability,
+      status: getSegmentStatus(probability),
+    };
+  });
+}
+
+/**
+ * Shortest road distance from any of the source nodes (Dijkstra)
+ * 
+ * @param {Map<string, Object>} nodes - Graph nodes
+ * @param {Array<Object>} edges - Usable edges
+ * @param {Array<string>} sources - Source node names
+ * @returns {Map<string, {distance: number, source: string}>} Reachable nodes with the
+ *   distance (km) to, and name of, their nearest source
+ */
+export function findNearestSources(nodes, edges, sources) {
+  const neighbours = new Map([...nodes.keys()].map(name => [name, []]));
+  edges.forEach(edge => {
+    neighbours.get(edge.from).push({ node: edge.to, length: edge.length });
+    neighbours.get(edge.to).push({ node: edge.from, length: edge.length });
+  });
+
+  const reached = new Map();
+  const queue = sources
+    .filter(source => nodes.has(source))
+    .map(source => ({ node: source, distance: 0, source }));
+
+  // The graph is small, so a sorted array is enough as a priority queue
+  while (queue.length > 0) {
+    queue.sort((a, b) => a.distance - b.distance);
+    const current = queue.shift();
+    if (reached.has(current.node)) continue;
+
+    reached.set(current.node, { distance: current.distance, source: current.source });
+    neighbours.get(current.node).forEach(({ node, length }) => {
+      if (!reached.has(node)) {
+        queue.push({ node, distance: current.distance + length, source: current.source });
+      }
+    });
+  }
+
+  return reached;
+}
+
+/**
+ * Find the city nearest to each hospital
+ * 
+ * @param {Object} graph - Result of buildRoadGraph
+ * @param {Array<Object>} hospitals - Hospitals with name, lat and lon
+ * @returns {Map<string, Array<Object>>} Hospitals by city name
+ */
+function assignHospitalsToNodes(graph, hospitals) {
+  const assigned = new Map();
+  const nodes = [...graph.nodes.values()];
+
+  hospitals.forEach(hospital => {
+    const nearest = nodes.reduce((best, node) => {
+      const distance = calculateDistance(hospital.lat, hospital.lon, node.lat, node.lon);
+      return distance < best.distance ? { node, distance } : best;
+    }, { node: null, distance: Infinity });
+
+    if (!assigned.has(nearest.node.city)) assigned.set(nearest.node.city, []);
+    assigned.get(nearest.node.city).push(hospital);
+  });
+
+  return assigned;
+}
+
+/**
+ * Analyze connectivity of the damaged network
+ * 
+ * Compares the intact and damaged networks (without closed segments) for
+ * every city in the graph: whether it still reaches the hub, and its
+ * nearest hospital by road. Hospitals that failed in the scenario
+ * (status 'failed') do not count as reachable care.
+ * 
+ * @param {Object} graph - Result of buildRoadGraph
+ * @param {Array<Object>} segments - Result of evaluateRoadSegments
+ * @param {Array<Object>} hospitals - Hospitals with name, lat, lon and optional status
+ * @returns {{cities: Array<Object>, isolated: Array<Object>, hospitalAccessLost: Array<Object>}}
+ *   Per-city connectivity ({city, population, connectedToHub, isolated, hospital,
+ *   hospitalIntact, hospitalAccessLost}) and the cities newly cut off from the hub or
+ *   from any hospital, largest population first
+ */
+export function analyzeConnectivity(graph, segments, hospitals) {
+  const openSegments = segments.filter(segment => segment.status !== 'closed');
+
+  const hospitalsByNode = assignHospitalsToNodes(graph, hospitals);
+  const workingHospitalNodes = [...hospitalsByNode.entries()]
+    .filter(([, list]) => list.some(hospital => hospital.status !== 'failed'))
+    .map(([node]) => node);
+
+  const hubIntact = findNearestSources(graph.nodes, graph.edges, [graph.hub]);
+  const hubDamaged = findNearestSources(graph.nodes, openSegments, [graph.hub]);
+  const careIntact = findNearestSources(graph.nodes, graph.edges, [...hospitalsByNode.keys()]);
+  const careDamaged = findNearestSources(graph.nodes, openSegments, workingHospitalNodes);
+
+  // Only cities that are part of the road network
+  const networkCities = new Set(graph.edges.flatMap(edge => [edge.from, edge.to]));
+
+  const describeCare = (entry) => (entry
+    ? { city: entry.source, distance: entry.distance, hospitals: hospitalsByNode.get(entry.source).map(h => h.name) }
+    : null);
+
+  const cities = [...networkCities].map(city => {
+    const { population } = graph.nodes.get(city);
+    const isolated = hubIntact.has(city) && !hubDamaged.has(city);
+    const hospitalIntact = describeCare(careIntact.get(city));
+    const hospital = describeCare(careDamaged.get(city));
+
+    return {
+      city,
+      population,
+      connectedToHub: hubDamaged.has(city),
+      isolated,
+      hospitalIntact,
+      hospital,
+      hospitalAccessLost: Boolean(hospitalIntact) && !hospital,
+    };
+  }).sort((a, b) => b.population - a.population);
+
+  return {
+    cities,
+    isolated: cities.filter(city => city.isolated),
+    hospitalAccessLost: cities.filter(city => city.hospitalAccessLost),
+  };
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import citiesCsv from '../../public/cities.csv?raw';
+import network from '../../public/road_network.json';
+import facilities from '../../public/critical_facilities.json';
+import { createRupturePlane } from './faultModel';
+import {
+  analyzeConnectivity,
+  buildRoadGraph,
+  evaluateRoadSegments,
+  findNearestSources,
+  getSegmentClosureProbability,
+  getSegmentStatus,
+} from './networkModel';
+
+const cities = citiesCsv.trim().split('\n').slice(1).map(line => {
+  const [city, lat, lon, population] = line.split(',');
+  return { city, lat: Number(lat), lon: Number(lon), population: Number(population) };
+});
+
+const hospitals = facilities.facilities.filter(f => f.type === 'hospital');
+
+// 2010 Maule on its rupture plane
+const MAULE = {
+  magnitude: 8.8,
+  depth: 30,
+  epicenter: { lat: -36.29, lon: -73.239 },
+  rupture: createRupturePlane({ magnitude: 8.8, strike: 10, dip: 18, hypocenter: { lat: -36.29, lon: -73.239 }, depth: 30 }),
+  modelId: 'bchydro-interface',
+  siteEffects: true,
+  vs30Grid: null,
+};
+
+describe('buildRoadGraph', () => {
+  it('links every edge to a city with a positive length', () => {
+    const graph = buildRoadGraph(network, cities);
+    expect(graph.edges).toHaveLength(network.edges.length);
+    graph.edges.forEach(edge => expect(edge.length).toBeGreaterThan(0));
+    expect(graph.nodes.has(graph.hub)).toBe(true);
+  });
+
+  it('rejects edges to unknown cities', () => {
+    const broken = { ...network, edges: [{ from: 'Santiago', to: 'Atlantis', route: 'X', bridges: 0 }] };
+    expect(() => buildRoadGraph(broken, cities)).toThrow(/Unknown network node: Atlantis/);
+  });
+});
+
+describe('getSegmentClosureProbability', () => {
+  it('grows with shaking and with the number of bridges', () => {
+    expect(getSegmentClosureProbability(0, 3)).toBe(0);
+    expect(getSegmentClosureProbability(0.6, 0)).toBeGreaterThan(getSegmentClosureProbability(0.2, 0));
+    expect(getSegmentClosureProbability(0.4, 3)).toBeGreaterThan(getSegmentClosureProbability(0.4, 0));
+    expect(getSegmentClosureProbability(2, 2)).toBeLessThanOrEqual(1);
+  });
+
+  it('classifies segments by closure probability', () => {
+    expect(getSegmentStatus(0.1)).toBe('open');
+    expect(getSegmentStatus(0.3)).toBe('damaged');
+    expect(getSegmentStatus(0.5)).toBe('closed');
+  });
+});
+
+describe('findNearestSources', () => {
+  it('finds shortest road distances from several sources', () => {
+    const nodes = new Map(['A', 'B', 'C', 'D'].map(name => [name, {}]));
+    const edges = [
+      { from: 'A', to: 'B', length: 10 },
+      { from: 'B', to: 'C', length: 10 },
+      { from: 'A', to: 'C', length: 25 },
+    ];
+    const reached = findNearestSources(nodes, edges, ['A']);
+    expect(reached.get('C')).toEqual({ distance: 20, source: 'A' });
+    expect(reached.has('D')).toBe(false);
+
+    expect(findNearestSources(nodes, edges, ['A', 'C']).get('B').distance).toBe(10);
+  });
+});
+
+describe('analyzeConnectivity', () => {
+  const graph = buildRoadGraph(network, cities);
+
+  it('finds no isolated towns on the intact network', () => {
+    const segments = graph.edges.map(edge => ({ ...edge, probability: 0, status: 'open' }));
+    const connectivity = analyzeConnectivity(graph, segments, hospitals);
+
+    expect(connectivity.isolated).toEqual([]);
+    expect(connectivity.hospitalAccessLost).toEqual([]);
+
+    // Magallanes is not linked to Santiago by Chilean roads
+    const puntaArenas = connectivity.cities.find(c => c.city === 'Punta Arenas');
+    expect(puntaArenas.connectedToHub).toBe(false);
+    expect(puntaArenas.isolated).toBe(false);
+    expect(puntaArenas.hospital.city).toBe('Punta Arenas');
+  });
+
+  it('cuts off Lebu from Santiago and from hospitals in the Maule scenario', () => {
+    const segments = evaluateRoadSegments(graph, MAULE);
+    const connectivity = analyzeConnectivity(graph, segments, hospitals);
+
+    expect(segments.find(s => s.from === 'Concepción' && s.to === 'Lebu').status).toBe('closed');
+    expect(connectivity.isolated.map(c => c.city)).toContain('Lebu');
+    expect(connectivity.hospitalAccessLost.map(c => c.city)).toContain('Lebu');
+    expect(connectivity.isolated.map(c => c.city)).not.toContain('Antofagasta');
+  });
+
+  it('does not count failed hospitals as reachable care', () => {
+    const segments = graph.edges.map(edge => ({ ...edge, probability: 0, status: 'open' }));
+    const failed = hospitals.map(h => ({ ...h, status: h.city === 'Punta Arenas' ? 'failed' : 'functional' }));
+    const connectivity = analyzeConnectivity(graph, segments, failed);
+
+    expect(connectivity.hospitalAccessLost.map(c => c.city)).toEqual(
+      expect.arrayContaining(['Punta Arenas', 'Puerto Natales'])
+    );
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Seeded random numbers
+ * 
+ * Synthetic catalogs and Monte Carlo runs use a seeded generator so a
+ * result can be reproduced from its seed.
+ */
+
+/**
+ * Create a seeded uniform generator (mulberry32)
+ * 
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} Generator returning values in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw a standard normal value (Box-Muller)
+ * 
+ * @param {function(): number} random - Uniform generator
+ * @returns {number} Normally distributed value with mean 0 and standard deviation 1
+ */
+export function randomNormal(random) {
+  const u = 1 - random(); // (0, 1], avoids log(0)
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Create a new random seed
+ * 
+ * @returns {number} Integer seed
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 2 ** 31);
+}
@@ -0,0 +1,157 @@
+/**
+ * Scenario comparison
+ * 
+ * Pinned scenarios are snapshots of the full simulation setup (source,
+ * attenuation model, site effects, time of day) with their results for
+ * every city. This module lines them up city by city with
+ * compareDamageScenarios, and subtracts their intensity grids for the
+ * difference overlay. The first pinned scenario is the baseline.
+ */
+
+import { calculateDistance } from './geoUtils';
+import { compareDamageScenarios } from './damageModel';
+import { getAttenuationModel } from './attenuationModel';
+import { getTimesOfDay } from './casualtyModel';
+
+/**
+ * Maximum number of pinned scenarios
+ */
+export const MAX_PINNED_SCENARIOS = 4;
+
+/**
+ * Intensity differences below this are left transparent on the map
+ */
+const DIFFERENCE_MIN = 0.25;
+
+/**
+ * Diverging color scale for intensity differences (MMI units), from the
+ * largest decrease to the largest increase
+ */
+export const INTENSITY_DIFFERENCE_LEGEND = [
+  { max: -2, label: '< −2', color: '#1D4ED8' },
+  { max: -1, label: '−2…−1', color: '#60A5FA' },
+  { max: -DIFFERENCE_MIN, label: '−1…−¼', color: '#BFDBFE' },
+  { max: DIFFERENCE_MIN, label: '≈ 0', color: null },
+  { max: 1, label: '+¼…1', color: '#FECACA' },
+  { max: 2, label: '+1…2', color: '#F87171' },
+  { max: Infinity, label: '> +2', color: '#B91C1C' },
+];
+
+/**
+ * English wording of scenario descriptions (the interface passes its own
+ * translations)
+ */
+const DEFAULT_LABELS = {
+  near: 'near',
+  finiteFault: 'finite fault',
+  pointSource: 'point source',
+  siteEffects: 'site effects',
+  rock: 'rock',
+};
+
+/**
+ * Short label for a scenario, naming the city nearest to the epicenter
+ * 
+ * @param {Object} scenario - { magnitude, depth, epicenter }
+ * @param {Array<Object>} cities - City records
+ * @param {Object} labels - Wording overrides ({ near })
+ * @returns {string} e.g. "M8.8 near Concepción, 30 km"
+ */
+export function describeScenario({ magnitude, depth, epicenter }, cities, labels = {}) {
+  const { near } = { ...DEFAULT_LABELS, ...labels };
+
+  const nearest = cities.reduce((best, city) => {
+    const distance = calculateDistance(epicenter.lat, epicenter.lon, city.lat, city.lon);
+    return distance < best.distance ? { city: city.city, distance } : best;
+  }, { city: null, distance: Infinity });
+
+  const place = nearest.city ? ` ${near} ${nearest.city}` : '';
+  return `M${magnitude.toFixed(1)}${place}, ${depth} km`;
+}
+
+/**
+ * Short description of the model settings of a scenario
+ * 
+ * @param {Object} settings - { modelId, faultEnabled, siteEffects, timeOfDay }
+ * @param {Object} labels - Wording overrides ({ finiteFault, pointSource, siteEffects,
+ *   rock } and timesOfDay, names by time-of-day id)
+ * @returns {string} e.g. "Subduction interface (BCHydro / Montalva 2017 form) · finite fault · site effects · Night (2 AM)"
+ */
+export function describeScenarioSettings({ modelId, faultEnabled, siteEffects, timeOfDay }, labels = {}) {
+  const words = { ...DEFAULT_LABELS, ...labels };
+  const timeOfDayName = labels.timesOfDay?.[timeOfDay] ?? getTimesOfDay().find(time => time.id === timeOfDay)?.name;
+
+  return [
+    getAttenuationModel(modelId).name,
+    faultEnabled ? words.finiteFault : words.pointSource,
+    siteEffects ? words.siteEffects : words.rock,
+    timeOfDayName,
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Compare city results across scenarios
+ * 
+ * @param {Array<Array<Object>>} resultSets - City results (calculateAllCityResults) of
+ *   each scenario, baseline first
+ * @returns {Array<{city: string, region: string|null, scenarios: Array<Object>,
+ *   maxIntensityChange: number}>} One row per city present in every scenario, with the
+ *   compareDamageScenarios output (intensity, damage and deltas vs the baseline), sorted
+ *   by the largest absolute intensity change
+ */
+export function compareCityResults(resultSets) {
+  if (resultSets.length === 0) return [];
+
+  const byCity = resultSets.map(results => new Map(results.map(result => [result.city, result])));
+  const [baseline] = resultSets;
+
+  return baseline
+    .filter(result => byCity.every(results => results.has(result.city)))
+    .map(result => {
+      const scenarios = compareDamageScenarios(byCity.map(results => {
+        const { intensityValue, damagePercent } = results.get(result.city);
+        return { intensity: intensityValue, damagePercent };
+      }));
+
+      return {
+        city: result.city,
+        region: result.region,
+        scenarios,
+        maxIntensityChange: Math.max(...scenarios.map(s => Math.abs(s.intensityDelta))),
+      };
+    })
+    .sort((a, b) => b.maxIntensityChange - a.maxIntensityChange);
+}
+
+/**
+ * Subtract two intensity grids computed on the same spec
+ * 
+ * @param {{spec: Object, values: Float32Array}} baseGrid - Baseline grid
+ * @param {{spec: Object, values: Float32Array}} grid - Compared grid
+ * @returns {{spec: Object, values: Float32Array}} grid - baseGrid, cell by cell
+ * @throws {Error} If the grids do not share the same rows and columns
+ */
+export function computeIntensityDifference(baseGrid, grid) {
+  const a = baseGrid.spec;
+  const b = grid.spec;
+  if (a.rows !== b.rows || a.cols !== b.cols || a.latMin !== b.latMin || a.lonMin !== b.lonMin) {
+    throw new Error('Grid specs do not match');
+  }
+
+  const values = new Float32Array(grid.values.length);
+  for (let i = 0; i < values.length; i++) {
+    values[i] = grid.values[i] - baseGrid.values[i];
+  }
+
+  return { spec: grid.spec, values };
+}
+
+/**
+ * Overlay color for an intensity difference
+ * 
+ * @param {number} delta - Intensity difference (MMI units)
+ * @returns {string|null} Color, or null when the difference is negligible
+ */
+export function getIntensityDifferenceColor(delta) {
+  return INTENSITY_DIFFERENCE_LEGEND.find(step => delta < step.max)?.color ?? null;
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { calculateAllCityResults } from './scenarioResults';
+import {
+  compareCityResults,
+  computeIntensityDifference,
+  describeScenario,
+  describeScenarioSettings,
+  getIntensityDifferenceColor,
+} from './scenarioComparison';
+
+const CITIES = [
+  { city: 'Santiago', lat: -33.4372, lon: -70.6506, population: 7171000, vs30: 500, region: 'Metropolitana' },
+  { city: 'Valparaíso', lat: -33.0461, lon: -71.6197, population: 296655, vs30: 880, region: 'Valparaíso', coastal: true },
+  { city: 'Concepción', lat: -36.8282, lon: -73.0514, population: 719944, vs30: 260, region: 'Biobío' },
+];
+
+const scenario = (magnitude, epicenter) => ({
+  magnitude,
+  depth: 30,
+  epicenter,
+  rupture: null,
+  modelId: 'bchydro-interface',
+  siteEffects: true,
+  vs30Grid: null,
+});
+
+const MAULE = scenario(8.8, { lat: -36.29, lon: -73.239 });
+const VALPARAISO = scenario(8.5, { lat: -33.0, lon: -72.0 });
+
+describe('describeScenario', () => {
+  it('names the city nearest to the epicenter', () => {
+    expect(describeScenario(MAULE, CITIES)).toBe('M8.8 near Concepción, 30 km');
+    expect(describeScenario(MAULE, [])).toBe('M8.8, 30 km');
+  });
+
+  it('lists the model settings', () => {
+    const details = describeScenarioSettings({ modelId: 'bchydro-interface', faultEnabled: true, siteEffects: false, timeOfDay: 'night' });
+    expect(details).toContain('finite fault');
+    expect(details).toContain('rock');
+    expect(details).toContain('Night');
+  });
+
+  it('uses translated wording when given', () => {
+    expect(describeScenario(MAULE, CITIES, { near: 'cerca de' })).toBe('M8.8 cerca de Concepción, 30 km');
+
+    const details = describeScenarioSettings(
+      { modelId: 'bchydro-interface', faultEnabled: false, siteEffects: true, timeOfDay: 'day' },
+      { pointSource: 'fuente puntual', siteEffects: 'efectos de sitio', timesOfDay: { day: 'Día (14:00)' } }
+    );
+    expect(details).toContain('fuente puntual · efectos de sitio · Día (14:00)');
+  });
+});
+
+describe('compareCityResults', () => {
+  const rows = compareCityResults([
+    calculateAllCityResults(CITIES, MAULE),
+    calculateAllCityResults(CITIES, VALPARAISO),
+  ]);
+
+  it('has one row per city with deltas against the baseline', () => {
+    expect(rows).toHaveLength(CITIES.length);
+    rows.forEach(row => {
+      expect(row.scenarios).toHaveLength(2);
+      expect(row.scenarios[0].intensityDelta).toBe(0);
+    });
+  });
+
+  it('shows Valparaíso shaking harder and Concepción less in a Valparaíso event', () => {
+    const byCity = Object.fromEntries(rows.map(row => [row.city, row.scenarios[1]]));
+    expect(byCity['Valparaíso'].intensityDelta).toBeGreaterThan(0);
+    expect(byCity['Concepción'].intensityDelta).toBeLessThan(0);
+    expect(byCity['Concepción'].damageDelta).toBeLessThan(0);
+  });
+
+  it('sorts cities by the largest intensity change', () => {
+    for (let i = 1; i < rows.length; i++) {
+      expect(rows[i - 1].maxIntensityChange).toBeGreaterThanOrEqual(rows[i].maxIntensityChange);
+    }
+  });
+
+  it('skips cities missing from a scenario', () => {
+    const partial = compareCityResults([
+      calculateAllCityResults(CITIES, MAULE),
+      calculateAllCityResults(CITIES.slice(0, 2), VALPARAISO),
+    ]);
+    expect(partial.map(row => row.city)).not.toContain('Concepción');
+  });
+});
+
+describe('intensity difference', () => {
+  const spec = { latMin: -34, latMax: -33, lonMin: -72, lonMax: -71, cellSize: 0.5, rows: 2, cols: 2 };
+
+  it('subtracts the baseline cell by cell', () => {
+    const base = { spec, values: Float32Array.from([5, 6, 7, 8]) };
+    const grid = { spec, values: Float32Array.from([6, 6, 5, 8.5]) };
+    expect(Array.from(computeIntensityDifference(base, grid).values)).toEqual([1, 0, -2, 0.5]);
+  });
+
+  it('rejects grids on different specs', () => {
+    const base = { spec, values: new Float32Array(4) };
+    const grid = { spec: { ...spec, rows: 1 }, values: new Float32Array(2) };
+    expect(() => computeIntensityDifference(base, grid)).toThrow(/Grid specs do not match/);
+  });
+
+  it('colors increases red, decreases blue and leaves small changes transparent', () => {
+    expect(getIntensityDifferenceColor(0.1)).toBeNull();
+    expect(getIntensityDifferenceColor(-0.1)).toBeNull();
+    expect(getIntensityDifferenceColor(2.5)).toBe('#B91C1C');
+    expect(getIntensityDifferenceColor(-2.5)).toBe('#1D4ED8');
+    expect(getIntensityDifferenceColor(NaN)).toBeNull();
+  });
+});
@@ -0,0 +1,376 @@
+/**
+ * Scenario export
+ * 
+ * Turns the current scenario into files for other tools: per-city results
+ * as CSV, the intensity grid and MMI contours as GeoJSON (QGIS) or KML
+ * (Google Earth), and the scenario definition as JSON that can be loaded
+ * back to reproduce the run. Every file carries the attenuation model
+ * parameters (getModelParameters) and damage parameters
+ * (getDamageParameters) so results stay traceable to the model version
+ * that produced them.
+ */
+
+import { getAttenuationModel, getModelParameters } from './attenuationModel';
+import { getDamageParameters } from './damageModel';
+import { SEVERITY_LEVELS } from './casualtyModel';
+import { LOSS_SECTORS } from './lossModel';
+import { getMMI, getIntensityRangeForMMI } from './mmiScale';
+import { getCellCenter } from './intensityGrid';
+import { parseScenario, DEFAULT_SCENARIO } from './scenarioUrl';
+
+/**
+ * Type tag and version of scenario files
+ */
+export const SCENARIO_FILE_TYPE = 'chile-earthquake-simulator/scenario';
+export const SCENARIO_FILE_VERSION = 1;
+
+/**
+ * Grid cells below this MMI level are left out of grid exports
+ */
+const GRID_EXPORT_MIN_MMI = 'III';
+
+/**
+ * Decimals kept for exported coordinates (~10 m)
+ */
+const COORDINATE_DECIMALS = 4;
+
+/**
+ * Describe the models behind a scenario
+ * 
+ * @param {Object} settings - Scenario settings (see DEFAULT_SCENARIO)
+ * @param {Date} generatedAt - Export time (default: now)
+ * @returns {Object} { generatedAt, settings, attenuationModel: { id, name, reference,
+ *   parameters }, damageParameters }
+ */
+export function getExportMetadata(settings, generatedAt = new Date()) {
+  const model = getAttenuationModel(settings.modelId);
+
+  return {
+    generatedAt: generatedAt.toISOString(),
+    settings,
+    attenuationModel: {
+      id: model.id,
+      name: model.name,
+      reference: model.reference,
+      parameters: getModelParameters(model.id),
+    },
+    damageParameters: getDamageParameters(),
+  };
+}
+
+/**
+ * Round a coordinate for export
+ */
+function roundCoordinate(value) {
+  return Number(value.toFixed(COORDINATE_DECIMALS));
+}
+
+/**
+ * Quote a CSV field when needed
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Per-city results as CSV
+ * 
+ * Model metadata goes in leading "#" comment lines (read with e.g.
+ * pandas.read_csv(..., comment='#')).
+ * 
+ * @param {Array<Object>} results - City results (calculateAllCityResults)
+ * @param {Object} metadata - From getExportMetadata
+ * @returns {string} CSV text, one row per city
+ */
+export function cityResultsToCSV(results, metadata) {
+  const columns = [
+    ['city', r => r.city],
+    ['region', r => r.region],
+    ['lat', r => r.lat],
+    ['lon', r => r.lon],
+    ['population', r => r.population],
+    ['hypocentral_distance_km', r => r.distance.toFixed(1)],
+    ['intensity', r => r.intensityValue.toFixed(2)],
+    ['mmi', r => r.mmi.level],
+    ['pga_g', r => r.pga.toFixed(3)],
+    ['pgv_cm_s', r => r.pgv.toFixed(1)],
+    ['damage_percent', r => r.damagePercent.toFixed(1)],
+    ['affected', r => r.affectedPop.affected],
+    ['displaced', r => r.affectedPop.displaced],
+    ...SEVERITY_LEVELS.flatMap(({ id }) => ['low', 'medium', 'high'].map(bound => (
+      [`${id}_${bound}`, r => r.casualties[id][bound]]
+    ))),
+    ...LOSS_SECTORS.map(({ id }) => [`loss_${id}_usd`, r => r.losses && Math.round(r.losses.direct[id])]),
+    ['loss_indirect_usd', r => r.losses && Math.round(r.losses.indirect)],
+    ['loss_total_usd', r => r.losses && Math.round(r.losses.total)],
+    ['tsunami_run_up_m', r => r.tsunami && r.tsunami.runUp.toFixed(1)],
+    ['tsunami_arrival_min', r => r.tsunami && Math.round(r.tsunami.arrivalMinutes)],
+  ];
+
+  const comments = [
+    `# Chile Earthquake Simulator export, ${metadata.generatedAt}`,
+    `# Scenario: ${JSON.stringify(metadata.settings)}`,
+    `# Attenuation model: ${metadata.attenuationModel.name} (${metadata.attenuationModel.id})`,
+    `# Model parameters: ${JSON.stringify(metadata.attenuationModel.parameters)}`,
+    `# Damage parameters: ${JSON.stringify(metadata.damageParameters)}`,
+  ];
+  const header = columns.map(([name]) => name).join(',');
+  const rows = results.map(result => columns.map(([, value]) => csvField(value(result))).join(','));
+
+  return [...comments, header, ...rows].join('\n') + '\n';
+}
+
+/**
+ * Grid cells worth exporting, as rings of [lon, lat] corners
+ * 
+ * @param {{spec: Object, values: Float32Array}} grid - Intensity grid
+ * @returns {Array<{ring: Array<[number, number]>, intensity: number}>} Cells at or above
+ *   GRID_EXPORT_MIN_MMI
+ */
+function exportableCells(grid) {
+  const { spec, values } = grid;
+  const minIntensity = getIntensityRangeForMMI(GRID_EXPORT_MIN_MMI).min;
+  const half = spec.cellSize / 2;
+  const cells = [];
+
+  for (let row = 0; row < spec.rows; row++) {
+    for (let col = 0; col < spec.cols; col++) {
+      const intensity = values[row * spec.cols + col];
+      if (!(intensity >= minIntensity)) continue;
+
+      const { lat, lon } = getCellCenter(spec, row, col);
+      const [west, east] = [roundCoordinate(lon - half), roundCoordinate(lon + half)];
+      const [south, north] = [roundCoordinate(lat - half), roundCoordinate(lat + half)];
+      cells.push({
+        ring: [[west, south], [east, south], [east, north], [west, north], [west, south]],
+        intensity,
+      });
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Intensity grid as a GeoJSON FeatureCollection of cell polygons
+ * 
+ * @param {{spec: Object, values: Float32Array}} grid - Intensity grid
+ * @param {Object} metadata - From getExportMetadata (stored as a "metadata" member)
+ * @returns {Object} FeatureCollection with intensity, mmi and color per cell
+ */
+export function gridToGeoJSON(grid, metadata) {
+  return {
+    type: 'FeatureCollection',
+    metadata: { ...metadata, cellSize: grid.spec.cellSize, minMMI: GRID_EXPORT_MIN_MMI },
+    features: exportableCells(grid).map(({ ring, intensity }) => {
+      const mmi = getMMI(intensity);
+      return {
+        type: 'Feature',
+        properties: { intensity: Number(intensity.toFixed(2)), mmi: mmi.level, color: mmi.color },
+        geometry: { type: 'Polygon', coordinates: [ring] },
+      };
+    }),
+  };
+}
+
+/**
+ * Convert contour polylines from [lat, lon] to GeoJSON [lon, lat]
+ */
+function toLonLat(line) {
+  return line.map(([lat, lon]) => [roundCoordinate(lon), roundCoordinate(lat)]);
+}
+
+/**
+ * MMI contours as a GeoJSON FeatureCollection
+ * 
+ * @param {Array<Object>} contours - From extractMMIContours
+ * @param {Object} metadata - From getExportMetadata
+ * @returns {Object} FeatureCollection with one MultiLineString per MMI level
+ */
+export function contoursToGeoJSON(contours, metadata) {
+  return {
+    type: 'FeatureCollection',
+    metadata,
+    features: contours.map(contour => ({
+      type: 'Feature',
+      properties: {
+        mmi: contour.level,
+        intensity: contour.threshold,
+        color: getMMI(contour.threshold).color,
+      },
+      geometry: { type: 'MultiLineString', coordinates: contour.lines.map(toLonLat) },
+    })),
+  };
+}
+
+/**
+ * Escape text for XML
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * KML color (aabbggrr) from a CSS hex color
+ */
+function toKMLColor(hex, alpha) {
+  const [r, g, b] = [hex.slice(1, 3), hex.slice(3, 5), hex.slice(5, 7)];
+  return `${alpha}${b}${g}${r}`.toLowerCase();
+}
+
+/**
+ * KML coordinate string from [lon, lat] pairs
+ */
+function kmlCoordinates(points) {
+  return points.map(([lon, lat]) => `${lon},${lat}`).join(' ');
+}
+
+/**
+ * Intensity grid and MMI contours as a KML document
+ * 
+ * @param {{spec: Object, values: Float32Array}} grid - Intensity grid
+ * @param {Array<Object>} contours - From extractMMIContours
+ * @param {Object} metadata - From getExportMetadata (stored as ExtendedData)
+ * @param {string} name - Document name
+ * @returns {string} KML with "Intensity" and "MMI contours" folders
+ */
+export function scenarioToKML(grid, contours, metadata, name) {
+  const gridCells = exportableCells(grid);
+  const levels = [...new Set(gridCells.map(cell => getMMI(cell.intensity).level)
+    .concat(contours.map(contour => contour.level)))];
+  const styles = levels.map(level => {
+    const { color } = getMMI(getIntensityRangeForMMI(level).min);
+    return `    <Style id="mmi-${level}">
+      <LineStyle><color>${toKMLColor(color, 'ff')}</color><width>2</width></LineStyle>
+      <PolyStyle><color>${toKMLColor(color, '99')}</color><outline>0</outline></PolyStyle>
+    </Style>`;
+  });
+
+  const cells = gridCells.map(({ ring, intensity }) => {
+    const { level } = getMMI(intensity);
+    return `      <Placemark>
+        <name>MMI ${level}</name>
+        <styleUrl>#mmi-${level}</styleUrl>
+        <ExtendedData><Data name="intensity"><value>${intensity.toFixed(2)}</value></Data></ExtendedData>
+        <Polygon><outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(ring)}</coordinates></LinearRing></outerBoundaryIs></Polygon>
+      </Placemark>`;
+  });
+
+  const lines = contours.map(contour => `      <Placemark>
+        <name>MMI ${contour.level}</name>
+        <styleUrl>#mmi-${contour.level}</styleUrl>
+        <MultiGeometry>
+${contour.lines.map(line => `          <LineString><coordinates>${kmlCoordinates(toLonLat(line))}</coordinates></LineString>`).join('\n')}
+        </MultiGeometry>
+      </Placemark>`);
+
+  const data = [
+    ['generatedAt', metadata.generatedAt],
+    ['settings', JSON.stringify(metadata.settings)],
+    ['attenuationModel', `${metadata.attenuationModel.name} (${metadata.attenuationModel.id})`],
+    ['modelParameters', JSON.stringify(metadata.attenuationModel.parameters)],
+    ['damageParameters', JSON.stringify(metadata.damageParameters)],
+  ].map(([key, value]) => `      <Data name="${key}"><value>${escapeXML(value)}</value></Data>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXML(name)}</name>
+    <ExtendedData>
+${data.join('\n')}
+    </ExtendedData>
+${styles.join('\n')}
+    <Folder>
+      <name>Intensity</name>
+${cells.join('\n')}
+    </Folder>
+    <Folder>
+      <name>MMI contours</name>
+${lines.join('\n')}
+    </Folder>
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Scenario definition as JSON
+ * 
+ * @param {Object} metadata - From getExportMetadata (settings as in DEFAULT_SCENARIO)
+ * @returns {string} JSON text readable by parseScenarioFile
+ */
+export function scenarioToJSON(metadata) {
+  const { settings, ...models } = metadata;
+  return JSON.stringify({
+    type: SCENARIO_FILE_TYPE,
+    version: SCENARIO_FILE_VERSION,
+    scenario: settings,
+    ...models,
+  }, null, 2) + '\n';
+}
+
+/**
+ * Read a scenario file written by scenarioToJSON
+ * 
+ * Values go through the same validation as permalinks (parseScenario), at
+ * full precision.
+ * 
+ * @param {string} text - JSON text
+ * @returns {{scenario: Object, errors: Array<string>, parametersChanged: boolean}}
+ *   Scenario, validation errors (invalid values take their default), and whether the
+ *   model or damage parameters differ from the ones the file was exported with
+ * @throws {Error} If the text is not a scenario file
+ */
+export function parseScenarioFile(text) {
+  const data = JSON.parse(text);
+  if (data?.type !== SCENARIO_FILE_TYPE || typeof data.scenario !== 'object' || data.scenario === null) {
+    throw new Error('Not a scenario file');
+  }
+  if (data.version > SCENARIO_FILE_VERSION) {
+    throw new Error(`Unsupported scenario file version: ${data.version}`);
+  }
+
+  const values = data.scenario;
+  const params = new URLSearchParams();
+  const set = (key, value) => {
+    if (value !== undefined) params.set(key, String(value));
+  };
+  set('m', values.magnitude);
+  set('d', values.depth);
+  set('lat', values.epicenter?.lat);
+  set('lon', values.epicenter?.lon);
+  set('city', values.selectedCity);
+  set('model', values.modelId);
+  set('fault', values.faultEnabled);
+  set('strike', values.strike);
+  set('dip', values.dip);
+  set('site', values.siteEffects);
+  set('time', values.timeOfDay);
+
+  const { scenario, errors } = parseScenario(params.toString(), DEFAULT_SCENARIO);
+  const current = getExportMetadata(scenario);
+  const parametersChanged = Boolean(data.attenuationModel && data.damageParameters) && (
+    JSON.stringify(data.attenuationModel.parameters) !== JSON.stringify(current.attenuationModel.parameters)
+    || JSON.stringify(data.damageParameters) !== JSON.stringify(current.damageParameters)
+  );
+
+  return { scenario, errors, parametersChanged };
+}
+
+/**
+ * Base file name for the exports of a scenario
+ * 
+ * @param {Object} settings - Scenario settings
+ * @returns {string} e.g. "quake-M8.8-36.29S-73.24W"
+ */
+export function exportFileName({ magnitude, epicenter }) {
+  const lat = `${Math.abs(epicenter.lat).toFixed(2)}${epicenter.lat < 0 ? 'S' : 'N'}`;
+  const lon = `${Math.abs(epicenter.lon).toFixed(2)}${epicenter.lon < 0 ? 'W' : 'E'}`;
+  return `quake-M${magnitude.toFixed(1)}-${lat}-${lon}`;
+}
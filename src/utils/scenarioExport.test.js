@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import { getModelParameters } from './attenuationModel';
+import { getDamageParameters } from './damageModel';
+import { calculateAllCityResults } from './scenarioResults';
+import {
+  computeIntensityGrid,
+  createGridSpec,
+  createIntensityEvaluator,
+  extractMMIContours,
+} from './intensityGrid';
+import { DEFAULT_SCENARIO, parseScenario } from './scenarioUrl';
+import {
+  SCENARIO_FILE_TYPE,
+  cityResultsToCSV,
+  contoursToGeoJSON,
+  exportFileName,
+  getExportMetadata,
+  gridToGeoJSON,
+  parseScenarioFile,
+  scenarioToJSON,
+  scenarioToKML,
+} from './scenarioExport';
+
+const SETTINGS = {
+  ...DEFAULT_SCENARIO,
+  magnitude: 8.8,
+  depth: 30,
+  epicenter: { lat: -36.29123, lon: -73.23987 },
+  selectedCity: 'Concepción',
+  modelId: 'bchydro-interface',
+  timeOfDay: 'night',
+};
+
+const SCENARIO = { ...SETTINGS, rupture: null, siteEffects: false, vs30Grid: null, tsunami: null };
+
+const CITIES = [
+  { city: 'Concepción', lat: -36.827, lon: -73.05, population: 223574, region: 'Biobío', coastal: true },
+  { city: 'Talca, centro', lat: -35.4264, lon: -71.6554, population: 220357, region: 'Maule' },
+];
+
+const METADATA = getExportMetadata(SETTINGS, new Date('2026-01-02T03:04:05Z'));
+
+const grid = computeIntensityGrid(
+  createGridSpec({ latMin: -38, latMax: -34.5, lonMin: -74.5, lonMax: -71 }, 0.25),
+  createIntensityEvaluator(SCENARIO)
+);
+
+describe('getExportMetadata', () => {
+  it('records the model and damage parameters', () => {
+    expect(METADATA.generatedAt).toBe('2026-01-02T03:04:05.000Z');
+    expect(METADATA.attenuationModel.id).toBe('bchydro-interface');
+    expect(METADATA.attenuationModel.parameters).toEqual(getModelParameters('bchydro-interface'));
+    expect(METADATA.damageParameters).toEqual(getDamageParameters());
+  });
+});
+
+describe('cityResultsToCSV', () => {
+  it('writes metadata comments, a header and one quoted row per city', () => {
+    const lines = cityResultsToCSV(calculateAllCityResults(CITIES, SCENARIO), METADATA).trim().split('\n');
+    const comments = lines.filter(line => line.startsWith('#'));
+    const [header, ...rows] = lines.filter(line => !line.startsWith('#'));
+
+    expect(comments.some(line => line.includes(JSON.stringify(getDamageParameters())))).toBe(true);
+    expect(header.split(',')).toEqual(expect.arrayContaining(['city', 'mmi', 'deaths_medium', 'loss_total_usd']));
+    expect(rows).toHaveLength(2);
+    expect(rows[1].startsWith('"Talca, centro",Maule,')).toBe(true);
+  });
+});
+
+describe('GeoJSON export', () => {
+  it('writes grid cells as closed polygons in lon/lat order', () => {
+    const geojson = gridToGeoJSON(grid, METADATA);
+    const [feature] = geojson.features;
+    const ring = feature.geometry.coordinates[0];
+
+    expect(geojson.metadata.attenuationModel.parameters).toEqual(METADATA.attenuationModel.parameters);
+    expect(geojson.features.length).toBeGreaterThan(0);
+    expect(ring[0]).toEqual(ring[ring.length - 1]);
+    expect(ring[0][0]).toBeLessThan(-70);
+    expect(ring[0][1]).toBeLessThan(-34);
+    expect(feature.properties).toMatchObject({ mmi: expect.any(String), color: expect.stringMatching(/^#/) });
+  });
+
+  it('writes one multi-line per MMI contour', () => {
+    const contours = extractMMIContours(grid);
+    const geojson = contoursToGeoJSON(contours, METADATA);
+
+    expect(geojson.features.map(feature => feature.properties.mmi)).toEqual(contours.map(contour => contour.level));
+    const [lon, lat] = geojson.features[0].geometry.coordinates[0][0];
+    expect(lon).toBeLessThan(-70);
+    expect(lat).toBeLessThan(-34);
+  });
+});
+
+describe('scenarioToKML', () => {
+  it('writes styled folders and escaped metadata', () => {
+    const kml = scenarioToKML(grid, extractMMIContours(grid), METADATA, 'M8.8 <Maule> & Biobío');
+
+    expect(kml).toContain('<name>M8.8 &lt;Maule&gt; &amp; Biobío</name>');
+    expect(kml).toContain('<Data name="damageParameters">');
+    expect(kml).toMatch(/<Style id="mmi-VIII">/);
+    expect(kml).toContain('<LineString><coordinates>');
+    expect(kml.match(/<Placemark>/g).length).toBe(kml.match(/<\/Placemark>/g).length);
+  });
+});
+
+describe('scenario files', () => {
+  it('round-trips the scenario at full precision', () => {
+    const text = scenarioToJSON(METADATA);
+    const { scenario, errors, parametersChanged } = parseScenarioFile(text);
+
+    expect(JSON.parse(text).type).toBe(SCENARIO_FILE_TYPE);
+    expect(scenario).toEqual(SETTINGS);
+    expect(errors).toEqual([]);
+    expect(parametersChanged).toBe(false);
+  });
+
+  it('validates values like permalinks and flags changed parameters', () => {
+    const data = JSON.parse(scenarioToJSON(METADATA));
+    data.scenario.magnitude = 12;
+    data.damageParameters = { ...data.damageParameters, k: 2 };
+
+    const { scenario, errors, parametersChanged } = parseScenarioFile(JSON.stringify(data));
+    expect(scenario.magnitude).toBe(DEFAULT_SCENARIO.magnitude);
+    expect(errors).toEqual(parseScenario('m=12').errors);
+    expect(parametersChanged).toBe(true);
+  });
+
+  it('rejects other files', () => {
+    expect(() => parseScenarioFile('{"type":"FeatureCollection"}')).toThrow('Not a scenario file');
+    expect(() => parseScenarioFile('not json')).toThrow();
+  });
+});
+
+describe('exportFileName', () => {
+  it('names files after magnitude and epicenter', () => {
+    expect(exportFileName(SETTINGS)).toBe('quake-M8.8-36.29S-73.24W');
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Per-site scenario results
+ * 
+ * Runs the full chain for one city: source-to-site distances (point
+ * source or rupture plane), rock ground motion from the selected
+ * attenuation model, site amplification, MMI, damage (fragility curves
+ * on the city's building inventory, or the logistic curve without
+ * inventory data), casualties, economic losses and, for coastal cities,
+ * the tsunami estimate.
+ * 
+ * Shared by the App (selected city) and the compute worker (all cities),
+ * so both always produce identical numbers.
+ */
+
+import { calculateGroundMotionFromDistances } from './attenuationModel';
+import { calculateSiteDistances } from './faultModel';
+import { applySiteAmplification, resolveSiteVs30 } from './siteAmplification';
+import { getMMI } from './mmiScale';
+import { estimateDamage, estimateAffectedPopulation } from './damageModel';
+import { estimateTsunamiAtSite } from './tsunamiModel';
+import { resolveBuildingInventory, estimateBuildingDamage } from './fragilityModel';
+import { estimateCasualties, SEVERITY_LEVELS } from './casualtyModel';
+import { resolveEconomicExposure, estimateLosses, LOSS_SECTORS } from './lossModel';
+
+/**
+ * Calculate the ground motion at a site
+ * 
+ * @param {{lat: number, lon: number, vs30?: number|null}} site - Site location and optional Vs30
+ * @param {Object} scenario - { magnitude, depth, epicenter, rupture, modelId, siteEffects, vs30Grid }
+ *   (see calculateCityResult)
+ * @returns {{distances: Object, groundMotion: Object, siteMotion: Object, activeMotion: Object,
+ *   vs30: number, vs30Source: string}} Source-to-site distances, rock and site-corrected
+ *   motion, the motion used for damage (site-corrected when siteEffects is on) and the Vs30
+ */
+export function calculateSiteMotion(site, { magnitude, depth, epicenter, rupture, modelId, siteEffects, vs30Grid }) {
+  // Calculate source-to-site distances (point source or rupture plane)
+  const distances = calculateSiteDistances(epicenter, depth, rupture, site.lat, site.lon);
+
+  // Calculate rock intensity with the selected attenuation model
+  const groundMotion = calculateGroundMotionFromDistances(magnitude, depth, distances, modelId);
+
+  // Correct for local soil conditions
+  const { vs30, source: vs30Source } = resolveSiteVs30(site, vs30Grid);
+  const siteMotion = applySiteAmplification(groundMotion, vs30);
+
+  return {
+    distances,
+    groundMotion,
+    siteMotion,
+    activeMotion: siteEffects ? siteMotion : groundMotion,
+    vs30,
+    vs30Source,
+  };
+}
+
+/**
+ * Calculate scenario results for a single city
+ * 
+ * @param {{city: string, lat: number, lon: number, population: number, vs30?: number|null, region?: string, coastal?: boolean}} city - City record
+ * @param {Object} scenario
+ * @param {number} scenario.magnitude - Moment magnitude (Mw)
+ * @param {number} scenario.depth - Hypocenter depth in kilometers
+ * @param {{lat: number, lon: number}} scenario.epicenter - Epicenter location
+ * @param {Object|null} scenario.rupture - Rupture plane, or null for a point source
+ * @param {string} scenario.modelId - Attenuation model id
+ * @param {boolean} scenario.siteEffects - Use site-corrected intensity for damage
+ * @param {Object|null} scenario.vs30Grid - Vs30 raster
+ * @param {Object|null} scenario.tsunami - Tsunami source from createTsunamiSource (optional)
+ * @param {Object|null} scenario.buildingInventory - Data from building_inventory.json (optional)
+ * @param {string} scenario.timeOfDay - Time-of-day id for the casualty model (optional)
+ * @param {Object|null} scenario.economicExposure - Data from economic_exposure.json (optional)
+ * @returns {Object} Distances, ground motion, site terms, MMI, damage, building damage
+ *   (null without inventory data), affected population, casualties, economic losses (null
+ *   without exposure data) and tsunami (null for inland cities or non-tsunamigenic sources)
+ */
+export function calculateCityResult(city, scenario) {
+  const { siteEffects, tsunami, buildingInventory, timeOfDay, economicExposure } = scenario;
+
+  // Distances, rock motion and site correction
+  const { distances, groundMotion, siteMotion, activeMotion, vs30, vs30Source } = calculateSiteMotion(city, scenario);
+  const intensityValue = activeMotion.intensity;
+
+  // Calculate damage from the building inventory, falling back to the logistic curve
+  const inventory = resolveBuildingInventory(city, buildingInventory);
+  const buildingDamage = inventory
+    ? { ...estimateBuildingDamage(activeMotion.pga, inventory.shares), inventorySource: inventory.source }
+    : null;
+  const damagePercent = buildingDamage ? buildingDamage.damagePercent : estimateDamage(intensityValue);
+  const affectedPop = estimateAffectedPopulation(city.population, damagePercent);
+  const casualties = estimateCasualties(city.population, { buildingDamage, damagePercent }, timeOfDay);
+
+  // Direct and indirect economic losses with the region's exposure
+  const losses = estimateLosses(
+    city.population,
+    { pga: activeMotion.pga, buildingDamage, damagePercent },
+    resolveEconomicExposure(city.region, economicExposure)
+  );
+
+  // Tsunami travels from the source area, so use the Joyner-Boore distance
+  const tsunamiResult = city.coastal && tsunami?.tsunamigenic
+    ? estimateTsunamiAtSite(tsunami, distances.rjb)
+    : null;
+
+  return {
+    city: city.city,
+    region: city.region || null,
+    lat: city.lat,
+    lon: city.lon,
+    population: city.population,
+    coastal: Boolean(city.coastal),
+    distance: distances.rhypo,
+    distances,
+    intensityValue,
+    pga: activeMotion.pga,
+    pgv: activeMotion.pgv,
+    modelId: groundMotion.modelId,
+    rockIntensity: groundMotion.intensity,
+    siteIntensity: siteMotion.intensity,
+    site: {
+      vs30,
+      source: vs30Source,
+      siteClass: siteMotion.siteClass,
+      referenceVs30: siteMotion.referenceVs30,
+      applied: siteEffects,
+    },
+    mmi: getMMI(intensityValue),
+    damagePercent,
+    buildingDamage,
+    affectedPop,
+    casualties,
+    losses,
+    tsunami: tsunamiResult,
+  };
+}
+
+/**
+ * Calculate scenario results for a list of cities
+ * 
+ * @param {Array<Object>} cities - City records
+ * @param {Object} scenario - Scenario (see calculateCityResult)
+ * @returns {Array<Object>} Results in the same order as cities
+ */
+export function calculateAllCityResults(cities, scenario) {
+  return cities.map(city => calculateCityResult(city, scenario));
+}
+
+/**
+ * Add one city result into a running total
+ */
+function addToTotals(totals, result) {
+  totals.cities += 1;
+  totals.population += result.population;
+  totals.affected += result.affectedPop.affected;
+  totals.displaced += result.affectedPop.displaced;
+  SEVERITY_LEVELS.forEach(({ id }) => {
+    totals.casualties[id].low += result.casualties[id].low;
+    totals.casualties[id].medium += result.casualties[id].medium;
+    totals.casualties[id].high += result.casualties[id].high;
+  });
+  if (result.losses) {
+    LOSS_SECTORS.forEach(({ id }) => {
+      totals.losses.direct[id] += result.losses.direct[id];
+    });
+    totals.losses.direct.total += result.losses.direct.total;
+    totals.losses.indirect += result.losses.indirect;
+    totals.losses.total += result.losses.total;
+    totals.losses.gdp += result.losses.gdp;
+  }
+  totals.maxIntensity = Math.max(totals.maxIntensity, result.intensityValue);
+  return totals;
+}
+
+/**
+ * Create an empty totals record
+ */
+function emptyTotals(name) {
+  return {
+    name,
+    cities: 0,
+    population: 0,
+    affected: 0,
+    displaced: 0,
+    casualties: Object.fromEntries(SEVERITY_LEVELS.map(({ id }) => [id, { low: 0, medium: 0, high: 0 }])),
+    losses: {
+      direct: { ...Object.fromEntries(LOSS_SECTORS.map(({ id }) => [id, 0])), total: 0 },
+      indirect: 0,
+      total: 0,
+      gdp: 0,
+    },
+    maxIntensity: 0,
+  };
+}
+
+/**
+ * Summarize city results into national and regional totals
+ * 
+ * @param {Array<Object>} results - Results from calculateCityResult
+ * @returns {{national: Object, regions: Array<Object>}} Totals of population,
+ *   affected, displaced, deaths, injuries and economic losses (USD); regions sorted by
+ *   affected population
+ */
+export function summarizeCityResults(results) {
+  const national = emptyTotals('Chile');
+  const regions = new Map();
+
+  results.forEach(result => {
+    addToTotals(national, result);
+
+    const regionName = result.region || 'Unknown';
+    if (!regions.has(regionName)) {
+      regions.set(regionName, emptyTotals(regionName));
+    }
+    addToTotals(regions.get(regionName), result);
+  });
+
+  return {
+    national,
+    regions: [...regions.values()].sort((a, b) => b.affected - a.affected),
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * Scenario permalinks
+ * 
+ * Serializes the full simulation setup into the URL hash so a scenario
+ * can be shared and reproduced exactly, and parses it back on load.
+ * 
+ * Parameters are validated with the same rules the physics code uses
+ * (isValidCoordinate, isValidDepth, isValidMagnitude, isValidModelId,
+ * isValidTimeOfDay); invalid values are dropped in favour of defaults and
+ * reported, instead of reaching calculateIntensity and throwing.
+ * 
+ * Example: #m=8.8&d=30&lat=-36.29&lon=-73.239&city=Concepción&model=bchydro-interface&fault=1&strike=10&dip=18&site=1&time=night
+ */
+
+import { isValidCoordinate, isValidDepth } from './geoUtils';
+import { isValidMagnitude, isValidModelId, DEFAULT_MODEL_ID } from './attenuationModel';
+import { DEFAULT_FAULT } from './faultModel';
+import { isValidTimeOfDay, DEFAULT_TIME_OF_DAY } from './casualtyModel';
+
+/**
+ * Default scenario (Santiago, M7.5 at 35 km)
+ */
+export const DEFAULT_SCENARIO = {
+  magnitude: 7.5,
+  depth: 35,
+  epicenter: {
+    lat: -33.4489,
+    lon: -70.6693,
+  },
+  selectedCity: 'Santiago',
+  modelId: DEFAULT_MODEL_ID,
+  faultEnabled: false,
+  strike: DEFAULT_FAULT.strike,
+  dip: DEFAULT_FAULT.dip,
+  siteEffects: true,
+  timeOfDay: DEFAULT_TIME_OF_DAY,
+};
+
+/**
+ * Ranges and steps of the scenario sliders in ControlPanel
+ */
+export const SLIDER_RANGES = {
+  magnitude: { min: 5, max: 9.5, step: 0.1 },
+  depth: { min: 5, max: 100, step: 5 },
+  strike: { min: 0, max: 359, step: 1 },
+  dip: { min: 5, max: 90, step: 1 },
+};
+
+/**
+ * Check a value against a slider range
+ */
+function isInRange(value, { min, max }) {
+  return value >= min && value <= max;
+}
+
+/**
+ * Parse a numeric parameter (null when absent, NaN when malformed)
+ */
+function readNumber(params, key) {
+  if (!params.has(key)) return null;
+  const raw = params.get(key).trim();
+  return raw === '' ? NaN : Number(raw);
+}
+
+/**
+ * Parse a boolean flag ('1'/'0', 'true'/'false')
+ */
+function readFlag(params, key) {
+  if (!params.has(key)) return null;
+  const raw = params.get(key).trim().toLowerCase();
+  if (raw === '1' || raw === 'true') return true;
+  if (raw === '0' || raw === 'false') return false;
+  return undefined;
+}
+
+/**
+ * Serialize a scenario to a URL hash string (without the leading '#')
+ * 
+ * Numbers are written unrounded: replayed, imported and live-feed events
+ * are not on the slider steps.
+ * 
+ * @param {Object} scenario - Scenario state (see DEFAULT_SCENARIO)
+ * @returns {string} Encoded parameters
+ */
+export function serializeScenario(scenario) {
+  const params = new URLSearchParams();
+
+  params.set('m', String(scenario.magnitude));
+  params.set('d', String(scenario.depth));
+  params.set('lat', String(scenario.epicenter.lat));
+  params.set('lon', String(scenario.epicenter.lon));
+  params.set('city', scenario.selectedCity);
+  params.set('model', scenario.modelId);
+  params.set('fault', scenario.faultEnabled ? '1' : '0');
+  if (scenario.faultEnabled) {
+    params.set('strike', String(scenario.strike));
+    params.set('dip', String(scenario.dip));
+  }
+  params.set('site', scenario.siteEffects ? '1' : '0');
+  params.set('time', scenario.timeOfDay);
+
+  return params.toString();
+}
+
+/**
+ * Parse a scenario from a URL hash or query string
+ * 
+ * Missing parameters take their default; invalid ones take their default
+ * and are listed in errors.
+ * 
+ * @param {string} hash - location.hash or location.search (leading '#'/'?' optional)
+ * @param {Object} defaults - Fallback values (default: DEFAULT_SCENARIO)
+ * @returns {{scenario: Object, errors: Array<string>}} Parsed scenario and validation errors
+ * 
+ * @example
+ * parseScenario('#m=12&d=35')
+ * // Returns: { scenario: { magnitude: 7.5, depth: 35, ... }, errors: ['Invalid magnitude: 12'] }
+ */
+export function parseScenario(hash, defaults = DEFAULT_SCENARIO) {
+  const params = new URLSearchParams(hash.replace(/^[#?]/, ''));
+  const scenario = {
+    ...defaults,
+    epicenter: { ...defaults.epicenter },
+  };
+  const errors = [];
+
+  const magnitude = readNumber(params, 'm');
+  if (magnitude !== null) {
+    if (isValidMagnitude(magnitude)) scenario.magnitude = magnitude;
+    else errors.push(`Invalid magnitude: ${params.get('m')}`);
+  }
+
+  const depth = readNumber(params, 'd');
+  if (depth !== null) {
+    if (isValidDepth(depth)) scenario.depth = depth;
+    else errors.push(`Invalid depth: ${params.get('d')}`);
+  }
+
+  const lat = readNumber(params, 'lat');
+  const lon = readNumber(params, 'lon');
+  if (lat !== null || lon !== null) {
+    if (isValidCoordinate(lat, lon)) scenario.epicenter = { lat, lon };
+    else errors.push(`Invalid epicenter: ${params.get('lat')}, ${params.get('lon')}`);
+  }
+
+  if (params.has('city')) {
+    const city = params.get('city').trim();
+    if (city) scenario.selectedCity = city;
+    else errors.push('Invalid city: (empty)');
+  }
+
+  if (params.has('model')) {
+    const modelId = params.get('model');
+    if (isValidModelId(modelId)) scenario.modelId = modelId;
+    else errors.push(`Unknown attenuation model: ${modelId}`);
+  }
+
+  const fault = readFlag(params, 'fault');
+  if (fault === undefined) errors.push(`Invalid fault flag: ${params.get('fault')}`);
+  else if (fault !== null) scenario.faultEnabled = fault;
+
+  // Strike and dip are whole degrees; check the rounded value against the sliders
+  const strike = readNumber(params, 'strike');
+  if (strike !== null) {
+    if (isInRange(Math.round(strike), SLIDER_RANGES.strike)) scenario.strike = Math.round(strike);
+    else errors.push(`Invalid strike: ${params.get('strike')}`);
+  }
+
+  const dip = readNumber(params, 'dip');
+  if (dip !== null) {
+    if (isInRange(Math.round(dip), SLIDER_RANGES.dip)) scenario.dip = Math.round(dip);
+    else errors.push(`Invalid dip: ${params.get('dip')}`);
+  }
+
+  const site = readFlag(params, 'site');
+  if (site === undefined) errors.push(`Invalid site flag: ${params.get('site')}`);
+  else if (site !== null) scenario.siteEffects = site;
+
+  if (params.has('time')) {
+    const timeOfDay = params.get('time');
+    if (isValidTimeOfDay(timeOfDay)) scenario.timeOfDay = timeOfDay;
+    else errors.push(`Unknown time of day: ${timeOfDay}`);
+  }
+
+  return { scenario, errors };
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { createRupturePlane } from './faultModel';
+import { DEFAULT_SCENARIO, SLIDER_RANGES, parseScenario, serializeScenario } from './scenarioUrl';
+
+const SCENARIO = {
+  magnitude: 8.8,
+  depth: 30,
+  epicenter: { lat: -36.29, lon: -73.239 },
+  selectedCity: 'Concepción',
+  modelId: 'bchydro-interface',
+  faultEnabled: true,
+  strike: 10,
+  dip: 18,
+  siteEffects: true,
+  timeOfDay: 'night',
+};
+
+describe('serializeScenario / parseScenario', () => {
+  it('round-trips a full scenario', () => {
+    const { scenario, errors } = parseScenario(`#${serializeScenario(SCENARIO)}`);
+    expect(errors).toEqual([]);
+    expect(scenario).toEqual(SCENARIO);
+  });
+
+  it('round-trips values off the slider steps exactly', () => {
+    const feedEvent = { ...SCENARIO, magnitude: 6.46, depth: 187.3, epicenter: { lat: -30.123456, lon: -71.0987654 } };
+    const { scenario, errors } = parseScenario(`#${serializeScenario(feedEvent)}`);
+    expect(errors).toEqual([]);
+    expect(scenario).toEqual(feedEvent);
+  });
+
+  it('uses defaults for missing parameters', () => {
+    expect(parseScenario('')).toEqual({ scenario: DEFAULT_SCENARIO, errors: [] });
+    expect(parseScenario('?m=6.5').scenario).toEqual({ ...DEFAULT_SCENARIO, magnitude: 6.5 });
+  });
+
+  it('reports invalid values and keeps their defaults', () => {
+    const { scenario, errors } = parseScenario('#m=12&d=&lat=-95&lon=-70&city=%20&model=nope&fault=maybe&site=2&time=noon');
+    expect(scenario).toEqual(DEFAULT_SCENARIO);
+    expect(errors).toEqual([
+      'Invalid magnitude: 12',
+      'Invalid depth: ',
+      'Invalid epicenter: -95, -70',
+      'Invalid city: (empty)',
+      'Unknown attenuation model: nope',
+      'Invalid fault flag: maybe',
+      'Invalid site flag: 2',
+      'Unknown time of day: noon',
+    ]);
+  });
+});
+
+describe('strike and dip', () => {
+  it('rounds to whole degrees within the slider ranges', () => {
+    const { scenario, errors } = parseScenario('#fault=1&strike=359.4&dip=4.6');
+    expect(errors).toEqual([]);
+    expect(scenario.strike).toBe(359);
+    expect(scenario.dip).toBe(SLIDER_RANGES.dip.min);
+  });
+
+  it('rejects values that round outside the slider ranges', () => {
+    const { scenario, errors } = parseScenario('#fault=1&strike=359.5&dip=0.3');
+    expect(errors).toEqual(['Invalid strike: 359.5', 'Invalid dip: 0.3']);
+    expect(scenario.strike).toBe(DEFAULT_SCENARIO.strike);
+    expect(scenario.dip).toBe(DEFAULT_SCENARIO.dip);
+
+    expect(parseScenario('#dip=4.4').errors).toEqual(['Invalid dip: 4.4']);
+    expect(parseScenario('#dip=90.6&strike=abc').errors).toEqual(['Invalid strike: abc', 'Invalid dip: 90.6']);
+  });
+
+  it('only yields rupture planes the fault model accepts', () => {
+    ['0.3', '4.6', '45', '90.4', '120'].forEach(dip => {
+      const { scenario } = parseScenario(`#fault=1&m=8&dip=${dip}`);
+      expect(() => createRupturePlane({ ...scenario, hypocenter: scenario.epicenter })).not.toThrow();
+    });
+  });
+});
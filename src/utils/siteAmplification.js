@@ -0,0 +1,198 @@
+/**
+ * Site amplification model
+ * 
+ * Adjusts rock ground motion for local soil conditions using Vs30
+ * (time-averaged shear-wave velocity in the upper 30 m) and NEHRP
+ * site classes.
+ * 
+ * Amplification follows Borcherdt (1994):
+ *   F = (Vref / Vs30)^m
+ * with separate short-period (PGA) and mid-period (PGV) exponents that
+ * decrease as input shaking grows, approximating soil nonlinearity.
+ * 
+ * Vref is the rock velocity of the attenuation model that produced the
+ * motion (760 m/s for the educational and Boore & Atkinson models, 1000 m/s
+ * for BCHydro). Valid for educational comparison only; no basin or
+ * topographic effects.
+ */
+
+import { getReferenceVs30, pgaToIntensity, pgvToIntensity } from './attenuationModel';
+
+/**
+ * Default reference rock velocity (NEHRP B/C boundary), m/s
+ */
+export const REFERENCE_VS30 = 760;
+
+/**
+ * Lowest Vs30 used in the amplification formula (avoids runaway factors)
+ */
+const MIN_VS30 = 150;
+
+/**
+ * NEHRP site classes by Vs30 (m/s)
+ */
+const SITE_CLASSES = [
+  { code: 'A', name: 'Hard rock', minVs30: 1500, maxVs30: Infinity },
+  { code: 'B', name: 'Rock', minVs30: 760, maxVs30: 1500 },
+  { code: 'C', name: 'Very dense soil / soft rock', minVs30: 360, maxVs30: 760 },
+  { code: 'D', name: 'Stiff soil', minVs30: 180, maxVs30: 360 },
+  { code: 'E', name: 'Soft soil', minVs30: 0, maxVs30: 180 },
+];
+
+/**
+ * Borcherdt (1994) amplification exponents by input PGA (g)
+ * 
+ * ma: short-period exponent (applied to PGA)
+ * mv: mid-period exponent (applied to PGV)
+ */
+const AMPLIFICATION_EXPONENTS = [
+  { pga: 0.1, ma: 0.35, mv: 0.65 },
+  { pga: 0.2, ma: 0.25, mv: 0.60 },
+  { pga: 0.3, ma: 0.10, mv: 0.53 },
+  { pga: 0.4, ma: -0.05, mv: 0.45 },
+];
+
+/**
+ * Get NEHRP site class for a Vs30 value
+ * 
+ * @param {number} vs30 - Shear-wave velocity in m/s
+ * @returns {Object} Site class with code, name and Vs30 range
+ * 
+ * @example
+ * getSiteClass(240)
+ * // Returns: { code: "D", name: "Stiff soil", ... }
+ */
+export function getSiteClass(vs30) {
+  const siteClass = SITE_CLASSES.find(c => vs30 >= c.minVs30 && vs30 < c.maxVs30);
+  return { ...(siteClass || SITE_CLASSES[SITE_CLASSES.length - 1]) };
+}
+
+/**
+ * Interpolate amplification exponents for a rock PGA level
+ * 
+ * @param {number} rockPGA - Rock PGA in g
+ * @returns {{ma: number, mv: number}} Exponents
+ */
+function getExponents(rockPGA) {
+  const table = AMPLIFICATION_EXPONENTS;
+
+  if (rockPGA <= table[0].pga) return { ma: table[0].ma, mv: table[0].mv };
+
+  for (let i = 1; i < table.length; i++) {
+    if (rockPGA <= table[i].pga) {
+      const f = (rockPGA - table[i - 1].pga) / (table[i].pga - table[i - 1].pga);
+      return {
+        ma: table[i - 1].ma + f * (table[i].ma - table[i - 1].ma),
+        mv: table[i - 1].mv + f * (table[i].mv - table[i - 1].mv),
+      };
+    }
+  }
+
+  const last = table[table.length - 1];
+  return { ma: last.ma, mv: last.mv };
+}
+
+/**
+ * Get PGA and PGV amplification factors for a site
+ * 
+ * @param {number} vs30 - Shear-wave velocity in m/s
+ * @param {number} rockPGA - Rock PGA in g (controls nonlinearity)
+ * @param {number} referenceVs30 - Vs30 of the rock motion in m/s (default: REFERENCE_VS30)
+ * @returns {{pga: number, pgv: number}} Multiplicative factors
+ */
+export function getAmplificationFactors(vs30, rockPGA, referenceVs30 = REFERENCE_VS30) {
+  const ratio = referenceVs30 / Math.max(vs30, MIN_VS30);
+  const { ma, mv } = getExponents(rockPGA);
+
+  return {
+    pga: Math.pow(ratio, ma),
+    pgv: Math.pow(ratio, mv),
+  };
+}
+
+/**
+ * Apply site amplification to a rock ground-motion result
+ * 
+ * @param {{intensity: number, pga: number, pgv: number, modelId?: string}} groundMotion - Rock
+ *   motion; its modelId selects the reference Vs30 (REFERENCE_VS30 without one)
+ * @param {number} vs30 - Shear-wave velocity in m/s
+ * @returns {Object} Site-corrected motion with intensity, PGA, PGV, site class, reference
+ *   Vs30 and factors
+ */
+export function applySiteAmplification(groundMotion, vs30) {
+  const referenceVs30 = groundMotion.modelId ? getReferenceVs30(groundMotion.modelId) : REFERENCE_VS30;
+  const factors = getAmplificationFactors(vs30, groundMotion.pga, referenceVs30);
+  const pga = groundMotion.pga * factors.pga;
+  const pgv = groundMotion.pgv * factors.pgv;
+
+  // Keep "not felt" sites at zero rather than lifting them with the GMICE floor
+  const intensity = groundMotion.intensity <= 0
+    ? 0
+    : Math.max(pgaToIntensity(pga), pgvToIntensity(pgv), 0);
+
+  return {
+    intensity,
+    pga,
+    pgv,
+    vs30,
+    siteClass: getSiteClass(vs30).code,
+    referenceVs30,
+    amplification: factors,
+  };
+}
+
+/**
+ * Look up Vs30 from a gridded raster (nearest cell)
+ * 
+ * Grid format (public/vs30_grid.json): latMin, latMax, lonMin, lonMax,
+ * cellSize, rows, cols and a row-major values array from north to south,
+ * with null for cells without data (ocean).
+ * 
+ * @param {Object} grid - Vs30 grid
+ * @param {number} lat - Latitude (degrees)
+ * @param {number} lon - Longitude (degrees)
+ * @returns {number|null} Vs30 in m/s, or null outside the grid / over the ocean
+ */
+export function lookupGridVs30(grid, lat, lon) {
+  if (!grid || lat < grid.latMin || lat > grid.latMax || lon < grid.lonMin || lon > grid.lonMax) {
+    return null;
+  }
+
+  const row = Math.min(Math.floor((grid.latMax - lat) / grid.cellSize), grid.rows - 1);
+  const col = Math.min(Math.floor((lon - grid.lonMin) / grid.cellSize), grid.cols - 1);
+  const value = grid.values[row * grid.cols + col];
+
+  return typeof value === 'number' ? value : null;
+}
+
+/**
+ * Resolve the Vs30 to use for a site
+ * 
+ * Priority: explicit site value (e.g. cities.csv vs30 column), then the
+ * gridded raster, then reference rock.
+ * 
+ * @param {{lat: number, lon: number, vs30?: number|null}} site - Site location
+ * @param {Object|null} grid - Vs30 grid (optional)
+ * @returns {{vs30: number, source: string}} Vs30 and where it came from ('site', 'grid' or 'default')
+ */
+export function resolveSiteVs30(site, grid) {
+  if (typeof site.vs30 === 'number' && !isNaN(site.vs30)) {
+    return { vs30: site.vs30, source: 'site' };
+  }
+
+  const gridValue = lookupGridVs30(grid, site.lat, site.lon);
+  if (gridValue !== null) {
+    return { vs30: gridValue, source: 'grid' };
+  }
+
+  return { vs30: REFERENCE_VS30, source: 'default' };
+}
+
+/**
+ * Get all NEHRP site class definitions (for UI display)
+ * 
+ * @returns {Array<Object>} Site classes
+ */
+export function getSiteClasses() {
+  return SITE_CLASSES.map(c => ({ ...c }));
+}
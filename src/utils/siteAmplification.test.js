@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { calculateGroundMotionFromDistances, getAttenuationModels } from './attenuationModel';
+import {
+  REFERENCE_VS30,
+  applySiteAmplification,
+  getAmplificationFactors,
+  getSiteClass,
+} from './siteAmplification';
+
+describe('getSiteClass', () => {
+  it('assigns NEHRP classes at the Vs30 boundaries', () => {
+    expect(getSiteClass(1500).code).toBe('A');
+    expect(getSiteClass(760).code).toBe('B');
+    expect(getSiteClass(759).code).toBe('C');
+    expect(getSiteClass(360).code).toBe('C');
+    expect(getSiteClass(180).code).toBe('D');
+    expect(getSiteClass(179).code).toBe('E');
+  });
+});
+
+describe('getAmplificationFactors', () => {
+  it('leaves reference rock unchanged', () => {
+    expect(getAmplificationFactors(REFERENCE_VS30, 0.05)).toEqual({ pga: 1, pgv: 1 });
+  });
+
+  it('matches Borcherdt (1994) at the site-class boundaries for weak shaking', () => {
+    const stiffSoil = getAmplificationFactors(360, 0.05);
+    expect(stiffSoil.pga).toBeCloseTo(1.2989, 4);
+    expect(stiffSoil.pgv).toBeCloseTo(1.6253, 4);
+
+    const softSoil = getAmplificationFactors(180, 0.05);
+    expect(softSoil.pga).toBeCloseTo(1.6555, 4);
+    expect(softSoil.pgv).toBeCloseTo(2.5504, 4);
+
+    expect(getAmplificationFactors(1500, 0.05).pga).toBeCloseTo(0.7882, 4);
+  });
+
+  it('reduces short-period amplification as shaking grows', () => {
+    expect(getAmplificationFactors(180, 0.4).pga).toBeCloseTo(0.9305, 4);
+    expect(getAmplificationFactors(180, 0.15).pga).toBeCloseTo((760 / 180) ** 0.30, 10);
+  });
+
+  it('floors Vs30 at 150 m/s', () => {
+    expect(getAmplificationFactors(100, 0.05).pga).toBeCloseTo(1.7646, 4);
+  });
+
+  it('corrects from the given reference velocity', () => {
+    expect(getAmplificationFactors(760, 0.05, 1000).pga).toBeCloseTo(1.1008, 4);
+    expect(getAmplificationFactors(1000, 0.05, 1000)).toEqual({ pga: 1, pgv: 1 });
+  });
+});
+
+describe('applySiteAmplification', () => {
+  const distances = { rrup: 80, rjb: 70, rhypo: 80 };
+
+  it("uses the attenuation model's reference rock", () => {
+    getAttenuationModels().forEach(({ id, referenceVs30 }) => {
+      const rock = calculateGroundMotionFromDistances(8, 30, distances, id);
+      const site = applySiteAmplification(rock, 760);
+
+      expect(site.referenceVs30).toBe(referenceVs30);
+      expect(site.pga).toBeCloseTo(rock.pga * getAmplificationFactors(760, rock.pga, referenceVs30).pga, 10);
+    });
+  });
+
+  it('amplifies BCHydro motion on class B/C rock', () => {
+    const rock = calculateGroundMotionFromDistances(8, 30, distances, 'bchydro-interface');
+    expect(applySiteAmplification(rock, 760).pga).toBeGreaterThan(rock.pga);
+  });
+
+  it('falls back to the default reference without a model id', () => {
+    const site = applySiteAmplification({ intensity: 6, pga: 0.05, pgv: 5 }, 360);
+    expect(site.referenceVs30).toBe(REFERENCE_VS30);
+    expect(site.siteClass).toBe('C');
+    expect(site.pga).toBeCloseTo(0.05 * 1.2989, 4);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Situation reports
+ * 
+ * Gathers what a printed drill handout needs from a scenario run: the
+ * scenario settings, the strongest shaking among the cities (MMI level from
+ * getMMI and damage category from getDamageCategory), national casualty and
+ * loss ranges and the most affected cities. The interface lays the report
+ * out for printing, so the browser can save it as PDF without network
+ * access.
+ */
+
+import { getAttenuationModel } from './attenuationModel';
+import { getDamageCategory } from './damageModel';
+import { CHILE_BOUNDS, clipToChile } from './intensityGrid';
+import { getMMI } from './mmiScale';
+import { summarizeCityResults } from './scenarioResults';
+
+/**
+ * Number of cities listed in a report
+ */
+export const REPORT_CITY_COUNT = 10;
+
+/**
+ * Margin of the report map around the epicenter and rupture (degrees)
+ */
+const REPORT_MAP_MARGIN = 3;
+
+/**
+ * Bounds of the report map
+ * 
+ * Covers the epicenter and rupture plane with a margin, clipped to Chile.
+ * 
+ * @param {{lat: number, lon: number}} epicenter - Epicenter location
+ * @param {Object|null} rupture - Rupture plane with corners, or null for a point source
+ * @returns {{latMin: number, latMax: number, lonMin: number, lonMax: number}} Bounds
+ *   (CHILE_BOUNDS if the source lies outside Chile)
+ */
+export function getReportMapBounds(epicenter, rupture = null) {
+  const points = [epicenter, ...(rupture ? rupture.corners : [])];
+  const lats = points.map(point => point.lat);
+  const lons = points.map(point => point.lon);
+
+  return clipToChile({
+    latMin: Math.min(...lats) - REPORT_MAP_MARGIN,
+    latMax: Math.max(...lats) + REPORT_MAP_MARGIN,
+    lonMin: Math.min(...lons) - REPORT_MAP_MARGIN,
+    lonMax: Math.max(...lons) + REPORT_MAP_MARGIN,
+  }) || { ...CHILE_BOUNDS };
+}
+
+/**
+ * Intensity, MMI level and damage category of a city result
+ */
+function describeShaking(result) {
+  return {
+    city: result.city,
+    region: result.region,
+    lat: result.lat,
+    lon: result.lon,
+    distance: result.distance,
+    intensityValue: result.intensityValue,
+    mmi: getMMI(result.intensityValue),
+    damagePercent: result.damagePercent,
+    damageCategory: getDamageCategory(result.damagePercent),
+  };
+}
+
+/**
+ * Build a situation report
+ * 
+ * @param {Object} settings - Scenario settings ({ magnitude, depth, epicenter,
+ *   selectedCity, modelId, faultEnabled, strike, dip, siteEffects, timeOfDay })
+ * @param {Array<Object>} results - City results (calculateAllCityResults)
+ * @param {Object} options
+ * @param {Date} options.generatedAt - Report time (default: now)
+ * @param {number} options.count - Number of cities listed (default: REPORT_CITY_COUNT)
+ * @returns {Object} { generatedAt, settings, model: { id, name, reference }, peak
+ *   (strongest shaken city with MMI and damage category, null without cities), national
+ *   (summarizeCityResults totals), hasLosses, cities (most affected first, with MMI,
+ *   damage category, affected, displaced, deaths range and total loss) }
+ */
+export function buildSituationReport(settings, results, { generatedAt = new Date(), count = REPORT_CITY_COUNT } = {}) {
+  const model = getAttenuationModel(settings.modelId);
+  const peak = results.reduce((best, result) => (!best || result.intensityValue > best.intensityValue ? result : best), null);
+
+  const cities = [...results]
+    .sort((a, b) => b.affectedPop.affected - a.affectedPop.affected || b.intensityValue - a.intensityValue)
+    .slice(0, count)
+    .map(result => ({
+      ...describeShaking(result),
+      population: result.population,
+      affected: result.affectedPop.affected,
+      displaced: result.affectedPop.displaced,
+      deaths: result.casualties.deaths,
+      loss: result.losses ? result.losses.total : null,
+    }));
+
+  return {
+    generatedAt: generatedAt.toISOString(),
+    settings,
+    model: { id: model.id, name: model.name, reference: model.reference },
+    peak: peak ? describeShaking(peak) : null,
+    national: summarizeCityResults(results).national,
+    hasLosses: results.some(result => result.losses),
+    cities,
+  };
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { getDamageCategory } from './damageModel';
+import { CHILE_BOUNDS } from './intensityGrid';
+import { getMMI } from './mmiScale';
+import { calculateAllCityResults, summarizeCityResults } from './scenarioResults';
+import { DEFAULT_SCENARIO } from './scenarioUrl';
+import { buildSituationReport, getReportMapBounds } from './situationReport';
+import { translations } from '../translations';
+
+const SETTINGS = {
+  ...DEFAULT_SCENARIO,
+  magnitude: 8.8,
+  depth: 30,
+  epicenter: { lat: -36.29, lon: -73.24 },
+  modelId: 'bchydro-interface',
+  timeOfDay: 'night',
+};
+
+const SCENARIO = { ...SETTINGS, rupture: null, siteEffects: false, vs30Grid: null, tsunami: null };
+
+const CITIES = [
+  { city: 'Concepción', lat: -36.827, lon: -73.05, population: 223574, region: 'Biobío', coastal: true },
+  { city: 'Talca', lat: -35.4264, lon: -71.6554, population: 220357, region: 'Maule' },
+  { city: 'Santiago', lat: -33.45, lon: -70.67, population: 5000000, region: 'Metropolitana' },
+  { city: 'Antofagasta', lat: -23.65, lon: -70.4, population: 361873, region: 'Antofagasta', coastal: true },
+];
+
+const results = calculateAllCityResults(CITIES, SCENARIO);
+
+describe('getReportMapBounds', () => {
+  it('frames the epicenter and rupture corners with a margin', () => {
+    expect(getReportMapBounds({ lat: -36, lon: -72 })).toEqual({ latMin: -39, latMax: -33, lonMin: -75, lonMax: -69 });
+
+    const rupture = { corners: [{ lat: -38, lon: -74 }, { lat: -34, lon: -72 }] };
+    const bounds = getReportMapBounds({ lat: -36, lon: -73 }, rupture);
+    expect(bounds.latMin).toBe(-41);
+    expect(bounds.latMax).toBe(-31);
+  });
+
+  it('clips to Chile and falls back to the whole country', () => {
+    expect(getReportMapBounds({ lat: -36, lon: -74 }).lonMin).toBe(CHILE_BOUNDS.lonMin);
+    expect(getReportMapBounds({ lat: 10, lon: -74 })).toEqual(CHILE_BOUNDS);
+  });
+});
+
+describe('buildSituationReport', () => {
+  const report = buildSituationReport(SETTINGS, results, { generatedAt: new Date('2026-01-02T03:04:05Z'), count: 3 });
+
+  it('describes the strongest shaking with getMMI and getDamageCategory', () => {
+    const strongest = results.reduce((a, b) => (b.intensityValue > a.intensityValue ? b : a));
+
+    expect(report.generatedAt).toBe('2026-01-02T03:04:05.000Z');
+    expect(report.model.id).toBe('bchydro-interface');
+    expect(report.peak.city).toBe(strongest.city);
+    expect(report.peak.mmi).toEqual(getMMI(strongest.intensityValue));
+    expect(report.peak.damageCategory).toEqual(getDamageCategory(strongest.damagePercent));
+  });
+
+  it('lists the most affected cities with national totals', () => {
+    expect(report.cities).toHaveLength(3);
+    report.cities.slice(1).forEach((city, index) => {
+      expect(city.affected).toBeLessThanOrEqual(report.cities[index].affected);
+    });
+    expect(report.cities[0].deaths).toEqual(results.find(r => r.city === report.cities[0].city).casualties.deaths);
+
+    expect(report.national).toEqual(summarizeCityResults(results).national);
+    expect(report.hasLosses).toBe(false);
+    expect(report.cities.every(city => city.loss === null)).toBe(true);
+  });
+
+  it('handles a run without cities', () => {
+    const empty = buildSituationReport(SETTINGS, []);
+    expect(empty.peak).toBeNull();
+    expect(empty.cities).toEqual([]);
+  });
+});
+
+describe('report limitations', () => {
+  it('match the Limitaciones section of the readme', () => {
+    const readme = readFileSync(new URL('../../readme.md', import.meta.url), 'utf8');
+    const section = readme.split('## Limitaciones')[1].split('\n## ')[0].trim();
+
+    expect(translations.es.report.limitationsText).toBe(section);
+  });
+});
@@ -0,0 +1,18 @@
+/**
+ * Statistical helpers shared by the probabilistic models
+ */
+
+/**
+ * Standard normal cumulative distribution function
+ * (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ * 
+ * @param {number} z - Standard normal value
+ * @returns {number} Probability that a standard normal variable is ≤ z
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erfc = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+    * Math.exp(-x * x);
+  return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+}
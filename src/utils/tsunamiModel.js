@@ -0,0 +1,282 @@
+/**
+ * Tsunami estimate for coastal sites
+ * 
+ * Simplified, order-of-magnitude model:
+ * - Generation: offshore, shallow sources above a magnitude threshold
+ * - Initial amplitude: vertical seafloor uplift from mean slip,
+ *   D = M0 / (μ·A), uplift = D·sin(dip)
+ * - Propagation: long-wave (shallow-water) speed c = sqrt(g·h) over a
+ *   uniform deep ocean, then across a narrow continental shelf
+ * - Coastal amplitude: Green's law shoaling, (h_deep / h_coast)^(1/4),
+ *   decaying as 1 / (1 + r / (W/2)) away from the source area
+ * 
+ * Distances are straight lines to the source area: the surface projection
+ * of the rupture, or a disc of radius L/2 around the epicenter for a point
+ * source. Refraction, bathymetry and local resonance are ignored.
+ */
+
+import { getRuptureDimensions, DEFAULT_FAULT, calculateSiteDistances } from './faultModel';
+import { lookupGridVs30 } from './siteAmplification';
+import { extractContours, getCellCenter } from './intensityGrid';
+
+/**
+ * Tsunami model parameters
+ */
+const TSUNAMI_PARAMETERS = {
+  minMagnitude: 7.0,      // Mw below which no tsunami is modelled
+  maxDepth: 100,          // km; deeper sources barely deform the seafloor
+  rigidity: 4e10,         // Pa, subduction interface shear modulus
+  gravity: 9.81,          // m/s²
+  deepWaterDepth: 4000,   // m, mean depth offshore Chile (Peru-Chile trench slope)
+  shelfDepth: 100,        // m, mean continental shelf depth
+  shelfWidth: 20,         // km, the Chilean shelf is narrow
+  coastDepth: 10,         // m, depth where Green's law is evaluated
+};
+
+/**
+ * Arrival-time isochrones drawn on the map (minutes)
+ */
+export const DEFAULT_ISOCHRONE_MINUTES = [10, 20, 30, 60, 120];
+
+/**
+ * Run-up categories (upper bound in meters, exclusive)
+ */
+const RUNUP_CATEGORIES = [
+  {
+    maxRunUp: 0.3,
+    category: "None",
+    description: "No significant wave expected",
+    action: "No action needed",
+    color: "#10B981", // Green
+    severity: 0,
+  },
+  {
+    maxRunUp: 1,
+    category: "Minor",
+    description: "Strong currents in harbors and on beaches",
+    action: "Stay away from the shore",
+    color: "#FBBF24", // Yellow
+    severity: 1,
+  },
+  {
+    maxRunUp: 3,
+    category: "Moderate",
+    description: "Flooding of beaches and low-lying coast",
+    action: "Evacuate beaches and the coastal strip",
+    color: "#F97316", // Orange
+    severity: 2,
+  },
+  {
+    maxRunUp: 6,
+    category: "Major",
+    description: "Widespread coastal flooding and damage",
+    action: "Evacuate to high ground (30 m or more)",
+    color: "#EF4444", // Red
+    severity: 3,
+  },
+  {
+    maxRunUp: Infinity,
+    category: "Extreme",
+    description: "Destructive inundation far inland",
+    action: "Evacuate to high ground immediately",
+    color: "#7F1D1D", // Dark red
+    severity: 4,
+  },
+];
+
+/**
+ * Check whether a point lies offshore
+ * 
+ * Uses the Vs30 raster, which is null over the ocean; points west of the
+ * raster are treated as ocean and points elsewhere outside it as land.
+ * 
+ * @param {Object|null} landGrid - Vs30 grid (public/vs30_grid.json)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {boolean} True if the point is over the ocean
+ */
+export function isOffshore(landGrid, lat, lon) {
+  if (!landGrid) return false;
+
+  const insideLat = lat >= landGrid.latMin && lat <= landGrid.latMax;
+  if (insideLat && lon < landGrid.lonMin) return true;
+  if (!insideLat || lon > landGrid.lonMax) return false;
+
+  return lookupGridVs30(landGrid, lat, lon) === null;
+}
+
+/**
+ * Shallow-water (long-wave) speed
+ * 
+ * @param {number} waterDepth - Water depth in meters
+ * @returns {number} Wave speed in m/s
+ */
+export function getWaveSpeed(waterDepth) {
+  return Math.sqrt(TSUNAMI_PARAMETERS.gravity * waterDepth);
+}
+
+/**
+ * Characterize the tsunami source of a scenario
+ * 
+ * A source is tsunamigenic when it is shallow, at or above the magnitude
+ * threshold, and its epicenter (or the top edge of its rupture) is offshore.
+ * 
+ * @param {Object} scenario
+ * @param {number} scenario.magnitude - Moment magnitude (Mw)
+ * @param {number} scenario.depth - Hypocenter depth in kilometers
+ * @param {{lat: number, lon: number}} scenario.epicenter - Epicenter location
+ * @param {Object|null} scenario.rupture - Rupture plane, or null for a point source
+ * @param {Object|null} landGrid - Vs30 grid used as land mask
+ * @returns {Object} { tsunamigenic, reason } plus slip (m), initialAmplitude (m),
+ *   sourceRadius (km, 0 for a rupture plane) and decayDistance (km) when tsunamigenic,
+ *   or reasonId ('magnitude', 'depth' or 'land') and the limit that was not met when not
+ * 
+ * @example
+ * // 2010 Maule, point source
+ * createTsunamiSource({ magnitude: 8.8, depth: 30, epicenter: { lat: -36.29, lon: -73.24 }, rupture: null }, grid)
+ * // Returns: ~{ tsunamigenic: true, slip: 6.6, initialAmplitude: 2.0, ... }
+ */
+export function createTsunamiSource({ magnitude, depth, epicenter, rupture }, landGrid) {
+  const { minMagnitude, maxDepth, rigidity } = TSUNAMI_PARAMETERS;
+
+  if (magnitude < minMagnitude) {
+    return { tsunamigenic: false, reason: `Magnitude below M${minMagnitude.toFixed(1)}`, reasonId: 'magnitude', limit: minMagnitude };
+  }
+
+  if (depth > maxDepth) {
+    return { tsunamigenic: false, reason: `Source deeper than ${maxDepth} km`, reasonId: 'depth', limit: maxDepth };
+  }
+
+  // The up-dip edge of a rupture often reaches the trench even when the epicenter is near the coast
+  const testPoints = rupture ? [epicenter, rupture.corners[0], rupture.corners[1]] : [epicenter];
+  if (!testPoints.some(point => isOffshore(landGrid, point.lat, point.lon))) {
+    return { tsunamigenic: false, reason: 'Epicenter is on land', reasonId: 'land', limit: null };
+  }
+
+  const { length, width } = rupture || getRuptureDimensions(magnitude, 'interface');
+  const dip = rupture ? rupture.dip : DEFAULT_FAULT.dip;
+
+  // Mean slip from seismic moment (Hanks & Kanamori 1979), M0 in N·m
+  const moment = Math.pow(10, 1.5 * magnitude + 9.1);
+  const areaM2 = length * width * 1e6;
+  const slip = moment / (rigidity * areaM2);
+
+  return {
+    tsunamigenic: true,
+    reason: null,
+    reasonId: null,
+    slip,
+    initialAmplitude: slip * Math.sin(dip * Math.PI / 180),
+    sourceRadius: rupture ? 0 : length / 2,
+    decayDistance: width / 2,
+  };
+}
+
+/**
+ * Travel time of the leading wave
+ * 
+ * @param {number} distance - Distance to the source area in kilometers
+ * @param {boolean} coastal - Include the final crossing of the shelf (default: true)
+ * @returns {number} Travel time in minutes
+ */
+export function calculateArrivalTime(distance, coastal = true) {
+  const { deepWaterDepth, shelfDepth, shelfWidth } = TSUNAMI_PARAMETERS;
+  const deepDistance = coastal ? Math.max(0, distance - shelfWidth) : distance;
+  const shelfDistance = coastal ? shelfWidth : 0;
+
+  const seconds = (deepDistance * 1000) / getWaveSpeed(deepWaterDepth) +
+    (shelfDistance * 1000) / getWaveSpeed(shelfDepth);
+
+  return seconds / 60;
+}
+
+/**
+ * Get run-up category
+ * 
+ * @param {number} runUp - Expected run-up in meters
+ * @returns {Object} Category with description, recommended action, color and severity
+ */
+export function getRunUpCategory(runUp) {
+  return RUNUP_CATEGORIES.find(category => runUp < category.maxRunUp);
+}
+
+/**
+ * Estimate the tsunami at a coastal site
+ * 
+ * @param {Object} source - Tsunamigenic source from createTsunamiSource
+ * @param {number} distance - Joyner-Boore distance from the site in kilometers
+ *   (epicentral distance for a point source)
+ * @returns {{arrivalMinutes: number, runUp: number, category: Object}} Arrival
+ *   time of the leading wave, expected run-up (m) and its category
+ */
+export function estimateTsunamiAtSite(source, distance) {
+  const { deepWaterDepth, coastDepth } = TSUNAMI_PARAMETERS;
+  const sourceDistance = Math.max(0, distance - source.sourceRadius);
+
+  const shoaling = Math.pow(deepWaterDepth / coastDepth, 0.25);
+  const decay = 1 / (1 + sourceDistance / source.decayDistance);
+  const runUp = source.initialAmplitude * shoaling * decay;
+
+  return {
+    arrivalMinutes: calculateArrivalTime(sourceDistance),
+    runUp,
+    category: getRunUpCategory(runUp),
+  };
+}
+
+/**
+ * Compute open-ocean arrival times on a grid
+ * 
+ * @param {Object} source - Tsunamigenic source from createTsunamiSource
+ * @param {Object} scenario - { depth, epicenter, rupture }
+ * @param {Object} spec - Grid spec from createGridSpec
+ * @returns {{spec: Object, values: Float32Array}} Travel times in minutes
+ */
+export function computeArrivalTimeGrid(source, { depth, epicenter, rupture }, spec) {
+  const values = new Float32Array(spec.rows * spec.cols);
+
+  for (let row = 0; row < spec.rows; row++) {
+    for (let col = 0; col < spec.cols; col++) {
+      const { lat, lon } = getCellCenter(spec, row, col);
+      const { rjb } = calculateSiteDistances(epicenter, depth, rupture, lat, lon);
+      values[row * spec.cols + col] = calculateArrivalTime(Math.max(0, rjb - source.sourceRadius), false);
+    }
+  }
+
+  return { spec, values };
+}
+
+/**
+ * Split a polyline wherever it crosses land
+ */
+function splitAtLand(line, landGrid) {
+  const pieces = [];
+  let current = [];
+
+  line.forEach(([lat, lon]) => {
+    if (isOffshore(landGrid, lat, lon)) {
+      current.push([lat, lon]);
+    } else {
+      if (current.length > 1) pieces.push(current);
+      current = [];
+    }
+  });
+
+  if (current.length > 1) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Extract arrival-time isochrones over the ocean
+ * 
+ * @param {{spec: Object, values: Float32Array}} grid - Grid from computeArrivalTimeGrid
+ * @param {Object|null} landGrid - Vs30 grid used as land mask
+ * @param {Array<number>} levels - Isochrones in minutes (default: DEFAULT_ISOCHRONE_MINUTES)
+ * @returns {Array<{minutes: number, lines: Array}>} Lines of [lat, lon] per level
+ */
+export function extractIsochrones(grid, landGrid, levels = DEFAULT_ISOCHRONE_MINUTES) {
+  return levels.map(minutes => ({
+    minutes,
+    lines: extractContours(grid, minutes).flatMap(line => splitAtLand(line, landGrid)),
+  }));
+}
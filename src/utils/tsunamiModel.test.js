@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateArrivalTime,
+  createTsunamiSource,
+  estimateTsunamiAtSite,
+  getRunUpCategory,
+  getWaveSpeed,
+  isOffshore,
+} from './tsunamiModel';
+
+// 2x2 land mask: west column ocean (null), east column land
+const LAND_GRID = {
+  latMin: -40,
+  latMax: -30,
+  lonMin: -76,
+  lonMax: -66,
+  cellSize: 5,
+  rows: 2,
+  cols: 2,
+  values: [null, 500, null, 500],
+};
+
+const OFFSHORE = { lat: -35, lon: -73 };
+const ONSHORE = { lat: -35, lon: -68 };
+
+describe('isOffshore', () => {
+  it('uses null raster cells as ocean', () => {
+    expect(isOffshore(LAND_GRID, OFFSHORE.lat, OFFSHORE.lon)).toBe(true);
+    expect(isOffshore(LAND_GRID, ONSHORE.lat, ONSHORE.lon)).toBe(false);
+  });
+
+  it('treats points west of the raster as ocean and east of it as land', () => {
+    expect(isOffshore(LAND_GRID, -35, -80)).toBe(true);
+    expect(isOffshore(LAND_GRID, -35, -60)).toBe(false);
+  });
+});
+
+describe('createTsunamiSource', () => {
+  it('requires an offshore, shallow source above the magnitude threshold', () => {
+    expect(createTsunamiSource({ magnitude: 6.9, depth: 30, epicenter: OFFSHORE, rupture: null }, LAND_GRID).tsunamigenic).toBe(false);
+    expect(createTsunamiSource({ magnitude: 8.0, depth: 150, epicenter: OFFSHORE, rupture: null }, LAND_GRID).tsunamigenic).toBe(false);
+    expect(createTsunamiSource({ magnitude: 8.0, depth: 30, epicenter: ONSHORE, rupture: null }, LAND_GRID)).toMatchObject({
+      tsunamigenic: false,
+      reason: 'Epicenter is on land',
+      reasonId: 'land',
+    });
+    expect(createTsunamiSource({ magnitude: 8.0, depth: 150, epicenter: OFFSHORE, rupture: null }, LAND_GRID)).toMatchObject({
+      reasonId: 'depth',
+      limit: 100,
+    });
+  });
+
+  it('estimates Maule-like slip and uplift', () => {
+    const source = createTsunamiSource({ magnitude: 8.8, depth: 30, epicenter: OFFSHORE, rupture: null }, LAND_GRID);
+    expect(source.tsunamigenic).toBe(true);
+    expect(source.slip).toBeGreaterThan(5);
+    expect(source.slip).toBeLessThan(10);
+    expect(source.initialAmplitude).toBeCloseTo(source.slip * Math.sin(18 * Math.PI / 180), 6);
+  });
+});
+
+describe('propagation', () => {
+  it('uses the shallow-water wave speed', () => {
+    expect(getWaveSpeed(4000)).toBeCloseTo(198.1, 1);
+  });
+
+  it('arrives later and smaller further from the source', () => {
+    const source = createTsunamiSource({ magnitude: 8.5, depth: 25, epicenter: OFFSHORE, rupture: null }, LAND_GRID);
+    const near = estimateTsunamiAtSite(source, 50);
+    const far = estimateTsunamiAtSite(source, 800);
+    expect(far.arrivalMinutes).toBeGreaterThan(near.arrivalMinutes);
+    expect(far.runUp).toBeLessThan(near.runUp);
+  });
+
+  it('always includes the shelf crossing at the coast', () => {
+    expect(calculateArrivalTime(0)).toBeGreaterThan(10);
+    expect(calculateArrivalTime(0, false)).toBe(0);
+  });
+});
+
+describe('getRunUpCategory', () => {
+  it('maps run-up edges to categories', () => {
+    expect(getRunUpCategory(0.29).category).toBe('None');
+    expect(getRunUpCategory(0.3).category).toBe('Minor');
+    expect(getRunUpCategory(3).category).toBe('Major');
+    expect(getRunUpCategory(20).category).toBe('Extreme');
+  });
+});
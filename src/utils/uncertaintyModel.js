@@ -0,0 +1,167 @@
+/**
+ * Monte Carlo uncertainty for per-site results
+ * 
+ * Every result in the app is a single best estimate. This module samples
+ * the two main sources of uncertainty and reports the median and the
+ * 16th/84th percentiles (±1σ for a normal distribution):
+ * - Aleatory: the attenuation residual, normal with the model's
+ *   sigmaIntensity (event-to-event and site-to-site scatter)
+ * - Epistemic: the damage curve. For results with a building inventory,
+ *   the fragility medians are scaled by a lognormal capacity factor;
+ *   otherwise k and threshold of DAMAGE_PARAMETERS are drawn from normal
+ *   distributions
+ * 
+ * Each sample runs the damage, affected-population and casualty chain on
+ * its own intensity and parameters, so the bands include the nonlinearity
+ * of the damage curve.
+ */
+
+import { getAttenuationModel, intensityToPGA } from './attenuationModel';
+import { estimateDamage, estimateAffectedPopulation, getDamageParameters } from './damageModel';
+import { estimateBuildingDamage, getInventoryShares } from './fragilityModel';
+import { estimateCasualties } from './casualtyModel';
+import { createRandom, randomNormal } from './random';
+
+/**
+ * Epistemic uncertainty of the damage curve (standard deviations)
+ */
+const DAMAGE_PARAMETER_UNCERTAINTY = {
+  k: 0.3,           // Steepness of the logistic curve
+  threshold: 0.5,   // Intensity at 50% damage
+  minK: 0.3,        // Lower bound so the curve always increases
+  capacityBeta: 0.3, // Lognormal spread of the fragility medians
+};
+
+/**
+ * Sample counts offered in the UI
+ */
+export const SAMPLE_COUNT_OPTIONS = [100, 500, 1000, 5000];
+
+/**
+ * Default number of Monte Carlo samples
+ */
+export const DEFAULT_SAMPLE_COUNT = 1000;
+
+/**
+ * Percentile of a sorted array (linear interpolation)
+ * 
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Interpolated value (NaN for an empty array)
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+
+  const position = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Summarize samples as median and 16th/84th percentiles
+ * 
+ * @param {Array<number>} values - Samples
+ * @returns {{median: number, p16: number, p84: number}} Percentile band
+ */
+export function summarizeSamples(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+
+  return {
+    median: percentile(sorted, 50),
+    p16: percentile(sorted, 16),
+    p84: percentile(sorted, 84),
+  };
+}
+
+/**
+ * Draw a damage-curve parameter set
+ */
+function sampleDamageParameters(random, base) {
+  const { k, threshold, minK } = DAMAGE_PARAMETER_UNCERTAINTY;
+
+  return {
+    k: Math.max(minK, base.k + k * randomNormal(random)),
+    threshold: base.threshold + threshold * randomNormal(random),
+  };
+}
+
+/**
+ * Draw the damage of one sample
+ * 
+ * The fragility path works in PGA, so the intensity residual is carried
+ * over as the matching PGA ratio.
+ */
+function sampleDamage(random, result, intensity, baseParameters) {
+  const { buildingDamage } = result;
+  if (!buildingDamage) {
+    const damagePercent = estimateDamage(intensity, sampleDamageParameters(random, baseParameters));
+    return { buildingDamage: null, damagePercent };
+  }
+
+  const { capacityBeta } = DAMAGE_PARAMETER_UNCERTAINTY;
+  const pga = result.pga * intensityToPGA(intensity) / intensityToPGA(result.intensityValue);
+  const shares = getInventoryShares(buildingDamage);
+  const capacityFactor = Math.exp(capacityBeta * randomNormal(random));
+
+  const sampled = estimateBuildingDamage(pga, shares, { capacityFactor });
+  return { buildingDamage: sampled, damagePercent: sampled.damagePercent };
+}
+
+/**
+ * Sample the uncertainty of one site result
+ * 
+ * @param {Object} result - Result from calculateCityResult
+ * @param {Object} options
+ * @param {number} options.sampleCount - Number of Monte Carlo samples (default: DEFAULT_SAMPLE_COUNT)
+ * @param {number} options.seed - Random seed; the same seed gives the same bands
+ * @returns {{sampleCount: number, seed: number, intensity: Object, damagePercent: Object,
+ *   affected: Object, displaced: Object, deaths: Object, seriousInjuries: Object}} Median
+ *   and 16th/84th percentiles of each output (deaths and injuries use the medium
+ *   estimate at the result's time of day)
+ * 
+ * @example
+ * simulateResultUncertainty(results, { sampleCount: 1000, seed: 42 })
+ * // Returns: { intensity: { median: 7.2, p16: 6.2, p84: 8.2 }, damagePercent: { ... }, ... }
+ */
+export function simulateResultUncertainty(result, { sampleCount = DEFAULT_SAMPLE_COUNT, seed }) {
+  if (!Number.isInteger(sampleCount) || sampleCount < 1) {
+    throw new Error(`Invalid sample count: ${sampleCount}. Must be a positive integer.`);
+  }
+
+  const random = createRandom(seed);
+  const { sigmaIntensity } = getAttenuationModel(result.modelId);
+  const baseParameters = getDamageParameters();
+
+  const intensities = [];
+  const damages = [];
+  const affected = [];
+  const displaced = [];
+  const deaths = [];
+  const seriousInjuries = [];
+
+  for (let i = 0; i < sampleCount; i++) {
+    const intensity = Math.max(0, result.intensityValue + sigmaIntensity * randomNormal(random));
+    const damage = sampleDamage(random, result, intensity, baseParameters);
+    const population = estimateAffectedPopulation(result.population, damage.damagePercent);
+    const casualties = estimateCasualties(result.population, damage, result.casualties?.timeOfDay);
+
+    intensities.push(intensity);
+    damages.push(damage.damagePercent);
+    affected.push(population.affected);
+    displaced.push(population.displaced);
+    deaths.push(casualties.deaths.medium);
+    seriousInjuries.push(casualties.seriousInjuries.medium);
+  }
+
+  return {
+    sampleCount,
+    seed,
+    intensity: summarizeSamples(intensities),
+    damagePercent: summarizeSamples(damages),
+    affected: summarizeSamples(affected),
+    displaced: summarizeSamples(displaced),
+    deaths: summarizeSamples(deaths),
+    seriousInjuries: summarizeSamples(seriousInjuries),
+  };
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { percentile, simulateResultUncertainty, summarizeSamples } from './uncertaintyModel';
+import { estimateDamage } from './damageModel';
+import { estimateBuildingDamage } from './fragilityModel';
+
+// Minimal calculateCityResult output for the Maule scenario in Concepción
+const RESULT = {
+  intensityValue: 7.2,
+  population: 223574,
+  modelId: 'bchydro-interface',
+};
+
+describe('percentile', () => {
+  it('interpolates between sorted values', () => {
+    expect(percentile([1, 2, 3, 4, 5], 50)).toBe(3);
+    expect(percentile([0, 10], 16)).toBeCloseTo(1.6, 10);
+    expect(percentile([], 50)).toBeNaN();
+  });
+
+  it('summarizes unsorted samples', () => {
+    const band = summarizeSamples([5, 1, 3, 2, 4]);
+    expect(band.median).toBe(3);
+    expect(band.p16).toBeCloseTo(1.64, 10);
+    expect(band.p84).toBeCloseTo(4.36, 10);
+  });
+});
+
+describe('simulateResultUncertainty', () => {
+  const uncertainty = simulateResultUncertainty(RESULT, { sampleCount: 2000, seed: 11 });
+
+  it('is reproducible from its seed', () => {
+    expect(simulateResultUncertainty(RESULT, { sampleCount: 2000, seed: 11 })).toEqual(uncertainty);
+  });
+
+  it('centers the intensity band on the deterministic value with the model sigma', () => {
+    expect(uncertainty.intensity.median).toBeCloseTo(7.2, 1);
+    // sigmaIntensity is 1.0 for BCHydro, so p16/p84 sit about one unit away
+    expect(uncertainty.intensity.p84 - uncertainty.intensity.p16).toBeGreaterThan(1.8);
+    expect(uncertainty.intensity.p84 - uncertainty.intensity.p16).toBeLessThan(2.2);
+  });
+
+  it('brackets the deterministic damage and orders every band', () => {
+    const { damagePercent } = uncertainty;
+    expect(damagePercent.p16).toBeLessThan(estimateDamage(7.2));
+    expect(damagePercent.p84).toBeGreaterThan(estimateDamage(7.2));
+
+    ['intensity', 'damagePercent', 'affected', 'displaced', 'deaths', 'seriousInjuries'].forEach(key => {
+      expect(uncertainty[key].p16).toBeLessThanOrEqual(uncertainty[key].median);
+      expect(uncertainty[key].median).toBeLessThanOrEqual(uncertainty[key].p84);
+    });
+  });
+
+  it('rejects an invalid sample count', () => {
+    expect(() => simulateResultUncertainty(RESULT, { sampleCount: 0, seed: 1 })).toThrow(/sample count/);
+    expect(() => simulateResultUncertainty(RESULT, { sampleCount: 2.5, seed: 1 })).toThrow(/sample count/);
+  });
+});
+
+describe('simulateResultUncertainty with a building inventory', () => {
+  const shares = { rc: 0.25, confined_masonry: 0.45, adobe: 0.1, timber: 0.15, informal: 0.05 };
+  const buildingDamage = estimateBuildingDamage(0.3, shares);
+  const result = { ...RESULT, pga: 0.3, buildingDamage, damagePercent: buildingDamage.damagePercent };
+  const uncertainty = simulateResultUncertainty(result, { sampleCount: 2000, seed: 11 });
+
+  it('brackets the fragility damage estimate', () => {
+    expect(uncertainty.damagePercent.p16).toBeLessThan(buildingDamage.damagePercent);
+    expect(uncertainty.damagePercent.p84).toBeGreaterThan(buildingDamage.damagePercent);
+    expect(uncertainty.damagePercent.median).toBeCloseTo(buildingDamage.damagePercent, -1);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Compute worker
+ * 
+ * Runs intensity grids, hazard grids, per-city scenario results, city hazard
+ * curves and uncertainty sampling off the main thread.
+ * Work is split into tiles (grid row bands / city batches); between tiles
+ * the worker yields so 'cancel' messages for stale requests are handled
+ * before more work is done.
+ * 
+ * Message API (main -> worker):
+ *   { type: 'setVs30Grid', payload: { vs30Grid } }
+ *   { id, type: 'grid', payload: { scenario, spec, tileRows } }
+ *   { id, type: 'hazardGrid', payload: { zones, returnPeriod, spec, tileRows } }
+ *   { id, type: 'cities', payload: { scenario, cities, batchSize } }
+ *   { id, type: 'uncertainty', payload: { result, options } }
+ *   { id, type: 'cityHazard', payload: { zones, cities } }
+ *   { id, type: 'cancel' }
+ * 
+ * Message API (worker -> main):
+ *   { id, type: 'tile', rowStart, rowEnd, values }   (Float32Array, transferred)
+ *   { id, type: 'cityBatch', results }
+ *   { id, type: 'result', value }
+ *   { id, type: 'done' }
+ *   { id, type: 'error', message }
+ */
+
+import { createIntensityEvaluator, computeGridRows } from '../utils/intensityGrid';
+import { calculateCityResult } from '../utils/scenarioResults';
+import { calculateCityHazard, createHazardEvaluator, prepareHazardSources } from '../utils/hazardModel';
+import { simulateResultUncertainty } from '../utils/uncertaintyModel';
+
+// Requests still being computed, and those of them cancelled by the main thread
+const runningRequests = new Set();
+const cancelledRequests = new Set();
+let vs30Grid = null;
+
+// Let pending messages (e.g. cancel) run before the next tile
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+async function runGridTiles(id, spec, tileRows, evaluate) {
+  for (let rowStart = 0; rowStart < spec.rows; rowStart += tileRows) {
+    if (cancelledRequests.has(id)) return;
+
+    // Only the band's rows are allocated and sent
+    const rowEnd = Math.min(rowStart + tileRows, spec.rows);
+    const values = new Float32Array((rowEnd - rowStart) * spec.cols);
+    computeGridRows(spec, values, rowStart, rowEnd, evaluate, rowStart);
+
+    self.postMessage({ id, type: 'tile', rowStart, rowEnd, values }, [values.buffer]);
+
+    await yieldToMessages();
+  }
+
+  if (!cancelledRequests.has(id)) {
+    self.postMessage({ id, type: 'done' });
+  }
+}
+
+function runGrid(id, { scenario, spec, tileRows = 8 }) {
+  return runGridTiles(id, spec, tileRows, createIntensityEvaluator({ ...scenario, vs30Grid }));
+}
+
+function runHazardGrid(id, { zones, returnPeriod, spec, tileRows = 4 }) {
+  return runGridTiles(id, spec, tileRows, createHazardEvaluator(zones, returnPeriod));
+}
+
+async function runCities(id, { scenario, cities, batchSize = 10 }) {
+  const fullScenario = { ...scenario, vs30Grid };
+
+  for (let start = 0; start < cities.length; start += batchSize) {
+    if (cancelledRequests.has(id)) return;
+
+    const results = cities
+      .slice(start, start + batchSize)
+      .map(city => calculateCityResult(city, fullScenario));
+    self.postMessage({ id, type: 'cityBatch', results });
+
+    await yieldToMessages();
+  }
+
+  if (!cancelledRequests.has(id)) {
+    self.postMessage({ id, type: 'done' });
+  }
+}
+
+// Single-value requests run in one step and answer with a result, then done
+function postValue(id, value) {
+  self.postMessage({ id, type: 'result', value });
+  self.postMessage({ id, type: 'done' });
+}
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+  const isRequest = type !== 'cancel' && type !== 'setVs30Grid';
+  if (isRequest) runningRequests.add(id);
+
+  try {
+    switch (type) {
+      case 'setVs30Grid':
+        vs30Grid = payload.vs30Grid;
+        break;
+      case 'cancel':
+        // Requests are handled in order, so a cancel for an id that is not
+        // running arrived after the request finished and can be dropped
+        if (runningRequests.has(id)) cancelledRequests.add(id);
+        break;
+      case 'grid':
+        await runGrid(id, payload);
+        break;
+      case 'hazardGrid':
+        await runHazardGrid(id, payload);
+        break;
+      case 'cities':
+        await runCities(id, payload);
+        break;
+      case 'uncertainty':
+        postValue(id, simulateResultUncertainty(payload.result, payload.options));
+        break;
+      case 'cityHazard':
+        postValue(id, calculateCityHazard(prepareHazardSources(payload.zones), payload.cities));
+        break;
+      default:
+        throw new Error(`Unknown compute request: ${type}`);
+    }
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  } finally {
+    if (isRequest) {
+      runningRequests.delete(id);
+      cancelledRequests.delete(id);
+    }
+  }
+};